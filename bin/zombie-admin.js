@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+// Headless administration: users, client secrets, sessions, conflicts, setup, import and export.
+//
+//   zombie-admin <command> [subcommand] [options]    (zombie-admin help lists them)
+//
+// Reads the same COUCHDB_*, INSTANCE_ID and CLIENT_* settings as the server, from the
+// environment or .env (or --env-file <path>). Add --json for machine-readable output.
+const path = require('path');
+
+// The database module reads its settings when first required, so load them before anything else
+const envFileIndex = process.argv.indexOf('--env-file');
+require('dotenv').config(envFileIndex !== -1 ? { path: path.resolve(process.argv[envFileIndex + 1] || '') } : {});
+
+const cli = require('../src/cli');
+
+cli.run(process.argv.slice(2)).then(code => process.exit(code));
@@ -4,6 +4,7 @@
 #
 # This script sets up the CouchDB database with admin-specific components.
 # Run this after the main zombie CouchDB setup but before starting zombie-admin.
+# `zombie-admin setup` (bin/zombie-admin.js) does the same through the application's models.
 #
 # Prerequisites:
 # - CouchDB must be running
@@ -129,7 +130,8 @@ if ! curl -s -f "${COUCHDB_AUTH_URL}/${COUCHDB_DATABASE}" > /dev/null; then
 fi
 echo -e "✅ Database access confirmed"
 
-# Create admin views
+# Create admin views. These are only what this script's own lookups need: the application
+# defines every view in src/migrations/design-docs.js and updates them each time it starts.
 echo ""
 echo "📊 Creating admin CouchDB views..."
 
@@ -160,10 +162,10 @@ create_view() {
 create_view "_design/users" '{
     "views": {
         "by_email": {
-            "map": "function(doc) { if (doc.type === \"user\" && doc.email) { emit(doc.email, doc); } }"
+            "map": "function(doc) { if (doc.type === \"user\" && doc.email) { emit(doc.email, null); } }"
         },
         "by_username": {
-            "map": "function(doc) { if (doc.type === \"user\" && doc.username) { emit(doc.username, doc); } }"
+            "map": "function(doc) { if (doc.type === \"user\" && doc.username) { emit(doc.username, null); } }"
         }
     }
 }'
@@ -172,13 +174,13 @@ create_view "_design/users" '{
 create_view "_design/sessions" '{
     "views": {
         "by_user_id": {
-            "map": "function(doc) { if (doc.type === \"session\" && doc.userId) { emit(doc.userId, doc); } }"
+            "map": "function(doc) { if (doc.type === \"session\" && doc.user_id) { emit(doc.user_id, null); } }"
         },
         "by_auth_code": {
-            "map": "function(doc) { if (doc.type === \"session\" && doc.authorizationCode) { emit(doc.authorizationCode, doc); } }"
+            "map": "function(doc) { if (doc.type === \"session\" && doc.authorization_code) { emit(doc.authorization_code, null); } }"
         },
         "active_sessions": {
-            "map": "function(doc) { if (doc.type === \"session\" && doc.active) { emit(doc.userId, doc); } }"
+            "map": "function(doc) { if (doc.type === \"session\" && doc.active) { emit(doc.user_id, null); } }"
         }
     }
 }'
@@ -187,7 +189,7 @@ create_view "_design/sessions" '{
 create_view "_design/activities" '{
     "views": {
         "by_timestamp": {
-            "map": "function(doc) { if (doc.type === \"activity\" && doc.timestamp) { emit(doc.timestamp, doc); } }"
+            "map": "function(doc) { if (doc.type === \"activity\" && doc.timestamp) { emit(doc.timestamp, null); } }"
         }
     }
 }'
@@ -196,17 +198,21 @@ create_view "_design/activities" '{
 create_view "_design/clients" '{
     "views": {
         "by_client_id": {
-            "map": "function(doc) { if (doc.type === \"client\" && doc.clientId) { emit(doc.clientId, doc); } }"
+            "map": "function(doc) { if (doc.type === \"client\" && doc.client_id) { emit(doc.client_id, null); } }"
         },
         "by_name": {
-            "map": "function(doc) { if (doc.type === \"client\" && doc.name) { emit(doc.name, doc); } }"
+            "map": "function(doc) { if (doc.type === \"client\" && doc.name) { emit(doc.name, null); } }"
         },
         "enabled_clients": {
-            "map": "function(doc) { if (doc.type === \"client\" && doc.enabled) { emit(doc.name, doc); } }"
+            "map": "function(doc) { if (doc.type === \"client\" && doc.enabled) { emit(doc.name, null); } }"
         }
     }
 }'
 
+# The secret and password hashes below are made with the project's own code
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_DIR="$(dirname "$SCRIPT_DIR")"
+
 # Create OIDC client
 echo ""
 echo "🔐 Creating OIDC client for admin authentication..."
@@ -219,25 +225,36 @@ if [[ "$CLIENT_EXISTS" -gt "0" ]]; then
 else
     echo "   Creating OIDC client: ${CLIENT_ID}"
     
+    # Only a salted hash of the secret is stored (see src/utils/client-secrets.js)
+    CLIENT_SECRETS=$(cd "$PROJECT_DIR" && node -e "
+        const { secretEntry } = require('./src/utils/client-secrets');
+        console.log(JSON.stringify([secretEntry(process.argv[1], { created_by: 'setup' })]));
+    " "${CLIENT_SECRET}" 2>/dev/null || echo "")
+    
+    if [[ -z "$CLIENT_SECRETS" ]]; then
+        echo -e "   ${RED}❌ Failed to hash the client secret${NC}"
+        exit 1
+    fi
+    
     CLIENT_DOC="{
         \"_id\": \"client_$(openssl rand -hex 12)\",
         \"type\": \"client\",
-        \"clientId\": \"${CLIENT_ID}\",
-        \"clientSecret\": \"${CLIENT_SECRET}\",
+        \"client_id\": \"${CLIENT_ID}\",
+        \"client_secrets\": ${CLIENT_SECRETS},
         \"name\": \"Zombie - Admin Interface\",
         \"description\": \"OIDC client for Zombie admin interface authentication\",
-        \"redirectUris\": [
+        \"redirect_uris\": [
             \"http://localhost:4000/callback\",
             \"http://localhost:4001/callback\",
             \"http://localhost:4002/callback\"
         ],
         \"scopes\": [\"openid\", \"profile\", \"email\"],
-        \"grantTypes\": [\"authorization_code\", \"refresh_token\"],
-        \"responseTypes\": [\"code\"],
+        \"grant_types\": [\"authorization_code\", \"refresh_token\"],
+        \"response_types\": [\"code\"],
         \"confidential\": true,
         \"enabled\": true,
-        \"createdAt\": \"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\",
-        \"updatedAt\": \"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\"
+        \"created_at\": \"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\",
+        \"updated_at\": \"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\"
     }"
     
     if curl -s -X POST "${COUCHDB_AUTH_URL}/${COUCHDB_DATABASE}" \
@@ -263,9 +280,6 @@ else
     echo "   Creating admin user: ${ADMIN_USERNAME}"
     
     # Generate password hash using Node.js (since we need bcrypt)
-    SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
-    PROJECT_DIR="$(dirname "$SCRIPT_DIR")"
-    
     # Check if we can run node with bcrypt
     if [[ ! -d "$PROJECT_DIR/node_modules/bcrypt" ]]; then
         echo -e "   ${RED}❌ bcrypt module not found${NC}"
@@ -289,15 +303,15 @@ else
         \"type\": \"user\",
         \"username\": \"${ADMIN_USERNAME}\",
         \"email\": \"${ADMIN_EMAIL}\",
-        \"passwordHash\": \"${PASSWORD_HASH}\",
-        \"firstName\": \"System\",
-        \"lastName\": \"Administrator\",
+        \"password_hash\": \"${PASSWORD_HASH}\",
+        \"first_name\": \"System\",
+        \"last_name\": \"Administrator\",
         \"groups\": [\"admin\"],
         \"roles\": [\"admin\", \"user\"],
         \"enabled\": true,
-        \"emailVerified\": true,
-        \"createdAt\": \"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\",
-        \"updatedAt\": \"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\"
+        \"email_verified\": true,
+        \"created_at\": \"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\",
+        \"updated_at\": \"$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)\"
     }"
     
     if curl -s -X POST "${COUCHDB_AUTH_URL}/${COUCHDB_DATABASE}" \
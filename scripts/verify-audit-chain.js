@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Verify the tamper-evident activity hash chain from the command line.
+//
+//   node scripts/verify-audit-chain.js [--instance <id>] [--json]
+//
+// Uses the same COUCHDB_* and INSTANCE_ID settings as the server. Exits 0 when every
+// chain verifies, 1 when problems are found and 2 when verification could not run.
+require('dotenv').config();
+
+const database = require('../src/database');
+const auditChain = require('../src/services/audit-chain');
+
+function parseArgs(argv) {
+  const options = { json: false, instance: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      options.json = true;
+    } else if (argv[i] === '--instance') {
+      options.instance = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+function printReport(report) {
+  console.log(`Audit chain verification at ${report.checkedAt}`);
+  for (const instance of report.instances) {
+    const head = instance.headSeq !== undefined ? `, head ${instance.headSeq}` : '';
+    console.log(`\n${instance.ok ? '✓' : '✗'} ${instance.instance}: ${instance.entries} entries, last seq ${instance.lastSeq}${head}`);
+    for (const problem of instance.problems) {
+      console.log(`   [${problem.type}] seq ${problem.seq}: ${problem.message}`);
+    }
+  }
+  if (report.unchained > 0) {
+    console.log(`\n${report.unchained} older activities predate chaining and were not checked`);
+  }
+  console.log(report.ok ? '\nAll chains verified' : '\nChain verification FAILED');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  await database.initialize();
+
+  const report = await auditChain.verify({ instance: options.instance });
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  return report.ok ? 0 : 1;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Audit chain verification failed to run:', error.message);
+    process.exit(2);
+  });
@@ -0,0 +1,773 @@
+const fs = require('fs');
+const { once } = require('events');
+const os = require('os');
+const crypto = require('crypto');
+const database = require('../database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Client = require('../models/Client');
+const Activity = require('../models/Activity');
+const ConflictDetector = require('../services/conflict-detector');
+const UserDirectory = require('../services/user-directory');
+const UserExport = require('../services/user-export');
+const UserImport = require('../services/user-import');
+const webhookDispatcher = require('../services/webhook-dispatcher');
+const clientSecretExpiry = require('../services/client-secret-expiry');
+const Migrator = require('../services/migrator');
+const migrations = require('../migrations');
+const { validationRules, validateData } = require('../middleware/validation');
+const { diffFields } = require('../utils/change-diff');
+
+// zombie-admin commands. Each one returns a plain result object, printed as JSON with --json
+// or through its format() otherwise. Whoever runs the CLI already holds the CouchDB
+// credentials, so there are no permission checks, but every change is audited.
+
+// A refused or impossible request (unknown user, duplicate name, ...) - exit code 1
+class CommandError extends Error {}
+
+function osUsername() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return process.env.USER || 'unknown';
+  }
+}
+
+// Changes made here are audited and sent to webhooks as the OS account that ran the command
+const actor = { sub: null, username: `cli:${osUsername()}` };
+
+function audit(action, fields = {}) {
+  return Activity.logActivity(action, {
+    admin_username: actor.username,
+    user_agent: 'zombie-admin',
+    ...fields
+  });
+}
+
+// Load a document of the given type by ID; model lookups by ID do not check the type
+async function findDoc(Model, type, id) {
+  try {
+    const doc = await database.getDb().get(id);
+    return doc.type === type ? new Model(doc) : null;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Users are named by username or document ID (user:...)
+async function findUser(ref) {
+  const user = ref.startsWith('user:') ? await findDoc(User, 'user', ref) : await User.findByUsername(ref);
+  if (!user) {
+    throw new CommandError(`No user ${ref}`);
+  }
+  return user;
+}
+
+// Clients are named by client_id or document ID (client:...)
+async function findClient(ref) {
+  const client = ref.startsWith('client:') ? await findDoc(Client, 'client', ref) : await Client.findByClientId(ref);
+  if (!client) {
+    throw new CommandError(`No client ${ref}`);
+  }
+  return client;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// A random password that passes the password rule (lowercase, uppercase and a digit)
+function generatePassword() {
+  let password;
+  do {
+    password = crypto.randomBytes(15).toString('base64url');
+  } while (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password));
+  return password;
+}
+
+/**
+ * The password from --password or --password-stdin, or a generated one
+ * @returns {Promise<{password: string, generated: boolean}>}
+ */
+async function choosePassword(options) {
+  if (options.password !== undefined && options.passwordStdin) {
+    throw new CommandError('Use either --password or --password-stdin');
+  }
+
+  const password = options.passwordStdin ? (await readStdin()).replace(/\r?\n$/, '') : options.password;
+  if (password === undefined) {
+    return { password: generatePassword(), generated: true };
+  }
+
+  const errors = await validateData(validationRules.apiSetPassword, { password });
+  if (errors.length > 0) {
+    throw new CommandError(errors[0].message);
+  }
+  return { password, generated: false };
+}
+
+function table(rows, columns) {
+  if (rows.length === 0) {
+    return ['(none)'];
+  }
+  const cell = value => (Array.isArray(value) ? value.join(',') : value === null || value === undefined ? '' : String(value));
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  return [line(columns.map(column => column.toUpperCase())), ...rows.map(row => line(columns.map(column => cell(row[column]))))];
+}
+
+function fields(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+}
+
+// Users
+
+async function listUsers(args, options) {
+  const query = UserDirectory.parseQuery({
+    q: options.search,
+    role: options.role,
+    enabled: options.disabled ? 'false' : undefined
+  });
+  const userDirectory = new UserDirectory();
+  await userDirectory.initialize();
+
+  const users = [];
+  for await (const doc of userDirectory.iterateUsers(query)) {
+    users.push(new User(doc).toPublicJSON());
+  }
+  return { users };
+}
+
+async function showUser([ref]) {
+  const user = await findUser(ref);
+  return { user: user.toPublicJSON() };
+}
+
+async function createUser([username], options) {
+  const { password, generated } = await choosePassword(options);
+  const data = {
+    username,
+    email: options.email,
+    password,
+    first_name: options.firstName,
+    last_name: options.lastName,
+    groups: options.group || [],
+    roles: options.role || []
+  };
+
+  const errors = await validateData(validationRules.apiCreateUser, data);
+  if (errors.length > 0) {
+    throw new CommandError(errors.map(error => `${error.field}: ${error.message}`).join('; '));
+  }
+  if (await User.findByUsername(username)) {
+    throw new CommandError('Username already exists');
+  }
+  if (await User.findByEmail(options.email)) {
+    throw new CommandError('Email already exists');
+  }
+
+  const user = new User({
+    username,
+    email: options.email,
+    password_hash: await User.hashPassword(password),
+    first_name: options.firstName,
+    last_name: options.lastName,
+    groups: Array.from(new Set(data.groups)),
+    roles: Array.from(new Set(data.roles)),
+    email_verified: options.verified === true,
+    password_reset_required: generated || options.requireChange === true
+  });
+  await user.save();
+
+  await audit('user_created', {
+    target_username: user.username,
+    target_user_id: user._id,
+    details: { changes: diffFields(null, user.toJSON()) }
+  });
+  await webhookDispatcher.userChanged('user.created', user, actor);
+
+  return { user: user.toPublicJSON(), ...(generated ? { password } : {}) };
+}
+
+function setEnabled(enabled) {
+  return async ([ref]) => {
+    const user = await findUser(ref);
+    if (user.enabled === enabled) {
+      return { user: user.toPublicJSON(), changed: false };
+    }
+
+    const before = user.toJSON();
+    user.enabled = enabled;
+    await user.save();
+
+    await audit(enabled ? 'user_enabled' : 'user_disabled', {
+      target_username: user.username,
+      target_user_id: user._id,
+      details: { changes: diffFields(before, user.toJSON()) }
+    });
+    await webhookDispatcher.userChanged(enabled ? 'user.enabled' : 'user.disabled', user, actor);
+
+    return { user: user.toPublicJSON(), changed: true };
+  };
+}
+
+async function deleteUser([ref], options) {
+  const user = await findUser(ref);
+  if (!options.yes) {
+    throw new CommandError(`Pass --yes to delete ${user.username}`);
+  }
+
+  await audit('user_deleted', { target_username: user.username, target_user_id: user._id });
+  await user.delete();
+  await webhookDispatcher.userChanged('user.deleted', user, actor);
+
+  return { deleted: { id: user._id, username: user.username } };
+}
+
+async function resetPassword([ref], options) {
+  const user = await findUser(ref);
+  const { password, generated } = await choosePassword(options);
+
+  const before = user.toJSON();
+  user.password_hash = await User.hashPassword(password);
+  if (generated || options.requireChange) {
+    user.password_reset_required = true;
+  }
+  await user.save();
+
+  await audit('password_reset', {
+    target_username: user.username,
+    target_user_id: user._id,
+    details: { changes: diffFields(before, user.toJSON()) }
+  });
+
+  return {
+    user: { id: user._id, username: user.username },
+    password_reset_required: user.password_reset_required === true,
+    ...(generated ? { password } : {})
+  };
+}
+
+// Clients
+
+const SECRET_STATES = ['ok', 'expiring', 'expired'];
+
+async function listClients(args, options) {
+  if (options.secret && !SECRET_STATES.includes(options.secret)) {
+    throw new CommandError(`--secret must be one of ${SECRET_STATES.join(', ')}`);
+  }
+
+  const clients = await Client.findAll();
+  const { statuses } = clientSecretExpiry.summarize(clients);
+  return {
+    clients: clients
+      .map(client => {
+        const expiry = statuses.get(client.client_id);
+        return {
+          ...client.toSafeJSON(),
+          client_secrets: client.secretSummaries(),
+          secret_state: expiry ? expiry.state : null,
+          rotate_by: expiry ? expiry.rotate_by : null
+        };
+      })
+      .filter(client => !options.secret || client.secret_state === options.secret)
+  };
+}
+
+// The scheduled reminder check, run now
+function checkClientSecrets() {
+  return clientSecretExpiry.run();
+}
+
+async function rotateClientSecret([ref], options) {
+  const client = await findClient(ref);
+  const overlapHours = Client.parseRotationOverlap(options.overlap);
+  if (overlapHours === null) {
+    throw new CommandError('--overlap must be a number of hours from 0 to 720');
+  }
+
+  const before = client.toJSON();
+  const { secret, previousExpireAt } = client.rotateSecret({ overlapHours, created_by: actor.username });
+  await client.save();
+
+  await audit('client_secret_regenerated', {
+    target_username: client.name,
+    target_user_id: client._id,
+    details: { changes: diffFields(before, client.toJSON()), overlap_hours: overlapHours }
+  });
+  await webhookDispatcher.clientSecretRotated(client, actor, previousExpireAt);
+
+  return {
+    client: { id: client._id, client_id: client.client_id, name: client.name },
+    client_secret: secret,
+    previous_secrets_expire_at: previousExpireAt
+  };
+}
+
+// Sessions
+
+async function listSessions(args, options) {
+  const userId = options.user ? (await findUser(options.user))._id : null;
+  const result = await database.getDb().view('sessions', 'by_user_id', {
+    include_docs: true,
+    ...(userId ? { key: userId } : {})
+  });
+
+  let sessions = result.rows.filter(row => row.doc).map(row => new Session(row.doc));
+  if (options.active) {
+    sessions = sessions.filter(session => session.active && !session.isExpired());
+  }
+  return { sessions: sessions.map(session => ({ ...session.toPublicJSON(), expired: session.isExpired() })) };
+}
+
+// Sessions are marked inactive, like the Invalidate button in the admin UI. Admin UI
+// sign-ins live in the server's memory and end when their OIDC session is refused.
+async function revokeSessions([sessionId], options) {
+  if (!sessionId === !options.user) {
+    throw new CommandError('Name one session ID, or a user with --user');
+  }
+
+  let sessions;
+  let user = null;
+  if (sessionId) {
+    const session = await findDoc(Session, 'session', sessionId);
+    if (!session) {
+      throw new CommandError(`No session ${sessionId}`);
+    }
+    sessions = [session];
+  } else {
+    user = await findUser(options.user);
+    sessions = await Session.findByUserId(user._id);
+  }
+
+  const revoked = [];
+  for (const session of sessions.filter(candidate => candidate.active)) {
+    await session.invalidate();
+    revoked.push(session._id);
+
+    await audit('session_invalidated', {
+      target_user_id: session.user_id,
+      target_username: user ? user.username : undefined,
+      details: `Session ${session._id} invalidated`
+    });
+  }
+
+  if (revoked.length > 0) {
+    await webhookDispatcher.sessionsRevoked(user || sessions[0].user_id, revoked, 'admin_invalidated', actor);
+  }
+  return { revoked };
+}
+
+// Conflicts
+
+async function listConflicts() {
+  const conflictDetector = new ConflictDetector();
+  await conflictDetector.initialize();
+  return { conflicts: await conflictDetector.getAllConflicts() };
+}
+
+async function resolveConflict([docId], options) {
+  if (!options.rev) {
+    throw new CommandError('--rev <winning-rev> is required; conflicts list shows the revisions');
+  }
+
+  const conflictDetector = new ConflictDetector();
+  await conflictDetector.initialize();
+
+  let doc;
+  try {
+    doc = await database.getDb().get(docId, { conflicts: true });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw new CommandError(`No document ${docId}`);
+    }
+    throw error;
+  }
+
+  const revisions = [doc._rev, ...(doc._conflicts || [])];
+  if (revisions.length < 2) {
+    throw new CommandError(`Document ${doc._id} has no conflicts`);
+  }
+  if (!revisions.includes(options.rev)) {
+    throw new CommandError(`${options.rev} is not a revision of ${doc._id}: ${revisions.join(', ')}`);
+  }
+
+  const losingRevs = revisions.filter(rev => rev !== options.rev);
+  await conflictDetector.resolveConflict(doc._id, options.rev, losingRevs);
+
+  await audit('conflict_resolved', { details: `Resolved conflict for document ${doc._id}` });
+
+  return { document_id: doc._id, winning_rev: options.rev, deleted_revs: losingRevs };
+}
+
+// Setup - what scripts/setup-couchdb.sh did, through the models
+
+async function setup(args, options) {
+  const isDevelopment = process.env.DEVELOPMENT_MODE === 'true';
+  if (!isDevelopment) {
+    if (!/^client_[a-f0-9]{32}$/.test(process.env.CLIENT_ID || '')) {
+      throw new CommandError('CLIENT_ID must be set to client_<32 hex characters> (generate one with: echo "client_$(openssl rand -hex 16)")');
+    }
+    if (!process.env.CLIENT_SECRET) {
+      throw new CommandError('CLIENT_SECRET must be set (generate one with: openssl rand -base64 32)');
+    }
+  }
+
+  const adminUsername = options.adminUsername || process.env.ADMIN_USERNAME;
+  const adminPassword = options.adminPassword || process.env.ADMIN_PASSWORD;
+  const adminEmail = options.adminEmail || process.env.ADMIN_EMAIL || (adminUsername ? `${adminUsername}@zombie.local` : undefined);
+  if (!adminUsername !== !adminPassword) {
+    throw new CommandError('Give both an admin username and password (ADMIN_USERNAME and ADMIN_PASSWORD), or neither');
+  }
+
+  // database.initialize() has created the database, its design documents and the OIDC client
+  const views = database.migrationReport.design_docs.filter(designDoc => designDoc.action !== 'unchanged').map(designDoc => designDoc.id);
+  const result = { database: database.dbName, views_created: views, admin: null };
+  if (!adminUsername) {
+    return result;
+  }
+
+  const existing = await User.findByUsername(adminUsername);
+  if (existing) {
+    result.admin = { username: existing.username, created: false };
+    return result;
+  }
+
+  const errors = await validateData(validationRules.apiCreateUser, { username: adminUsername, email: adminEmail, password: adminPassword });
+  if (errors.length > 0) {
+    throw new CommandError(errors.map(error => `${error.field}: ${error.message}`).join('; '));
+  }
+
+  const admin = new User({
+    username: adminUsername,
+    email: adminEmail,
+    password_hash: await User.hashPassword(adminPassword),
+    first_name: 'System',
+    last_name: 'Administrator',
+    groups: ['admin'],
+    roles: ['admin', 'user'],
+    email_verified: true
+  });
+  await admin.save();
+
+  await audit('user_created', {
+    target_username: admin.username,
+    target_user_id: admin._id,
+    details: { changes: diffFields(null, admin.toJSON()) }
+  });
+
+  result.admin = { username: admin.username, created: true };
+  return result;
+}
+
+// Design documents and migrations, which every command (and server start) otherwise applies
+// first. Migrations marked manual only run from here.
+
+async function migrate(args, options) {
+  const report = await new Migrator(database.getDb()).run({ dryRun: options.dryRun === true, includeManual: true });
+
+  const rewritten = report.migrations.filter(migration => migration.action === 'ran' || migration.action === 'incomplete');
+  if (rewritten.length > 0) {
+    await audit('migrations_run', {
+      details: { migrations: rewritten.map(({ id, action, result }) => ({ id, action, result })) }
+    });
+  }
+  return report;
+}
+
+// Report lines for one migration, with its own summary when it has a formatter
+function formatMigration(migration) {
+  const definition = migrations.find(candidate => candidate.id === migration.id);
+  return [
+    `${migration.id}: ${migration.action} - ${migration.description}`,
+    ...(migration.result && definition?.format ? definition.format(migration.result) : [])
+  ];
+}
+
+// Import and export
+
+async function exportUsers(args, options) {
+  const format = options.format || 'csv';
+  if (!UserExport.isValidFormat(format)) {
+    throw new CommandError('--format must be csv, json or ndjson');
+  }
+
+  const userExport = new UserExport({ format, fields: options.fields, backup: options.backup === true });
+  const userDirectory = new UserDirectory();
+  await userDirectory.initialize();
+
+  const stream = options.output ? fs.createWriteStream(options.output, { mode: options.backup ? 0o600 : 0o644 }) : process.stdout;
+  const { count, completed } = await userExport.writeTo(stream, userDirectory.iterateUsers(UserDirectory.parseQuery({})));
+  if (options.output) {
+    await once(stream, 'finish');
+  }
+
+  await audit(userExport.backup ? 'users_backup_exported' : 'users_exported', {
+    details: { format, fields: userExport.fields, filters: null, count, completed, output: options.output || 'stdout' }
+  });
+
+  if (!options.output) {
+    // The export itself went to stdout
+    console.error(`Exported ${count} user(s)`);
+    return undefined;
+  }
+  return { format, fields: userExport.fields, count, output: options.output };
+}
+
+async function importUsers([file], options) {
+  const onExisting = options.onExisting || 'skip';
+  if (!['skip', 'update'].includes(onExisting)) {
+    throw new CommandError('--on-existing must be skip or update');
+  }
+
+  let data;
+  try {
+    data = file === '-' ? await readStdin() : fs.readFileSync(file, 'utf8');
+  } catch (readError) {
+    throw new CommandError(`Cannot read ${file}: ${readError.message}`);
+  }
+  const userImport = new UserImport({ format: options.format, onExisting, actor });
+
+  let plan;
+  try {
+    plan = await userImport.plan(data);
+  } catch (parseError) {
+    throw new CommandError(parseError.message);
+  }
+
+  const summary = UserImport.summarize(plan);
+  if (options.commit) {
+    await userImport.commit(plan);
+    await audit('users_imported', {
+      details: {
+        format: plan.format,
+        onExisting,
+        created: summary.create,
+        updated: summary.update,
+        skipped: summary.skip,
+        failed: summary.error
+      }
+    });
+  }
+
+  return {
+    dry_run: !options.commit,
+    format: plan.format,
+    ignored_columns: plan.ignoredColumns,
+    summary,
+    rows: UserImport.toPublicRows(plan)
+  };
+}
+
+const passwordOptions = {
+  '--password <password>': 'The new password (visible in shell history; prefer --password-stdin)',
+  '--password-stdin': 'Read the password from stdin',
+  '--require-change': 'Make the user change the password at next sign-in (always set for generated passwords)'
+};
+
+const commands = {
+  'users list': {
+    summary: 'List users',
+    options: {
+      '--search <text>': 'Match usernames, emails and names',
+      '--role <role>': 'Only users with this role',
+      '--disabled': 'Only disabled users'
+    },
+    run: listUsers,
+    format: result => table(result.users, ['username', 'email', 'enabled', 'roles', 'id'])
+  },
+  'users show': {
+    args: '<user>',
+    summary: 'Show one user (by username or ID)',
+    run: showUser,
+    format: result => fields(result.user)
+  },
+  'users create': {
+    args: '<username>',
+    summary: 'Create a user',
+    description: 'Create a user. Without a password option a random one is generated, printed once, and must be changed at first sign-in.',
+    options: {
+      '--email <email>': 'Email address (required)',
+      ...passwordOptions,
+      '--first-name <name>': 'First name',
+      '--last-name <name>': 'Last name',
+      '--role <role>...': 'Grant a role; repeat for more',
+      '--group <group>...': 'Add to a group; repeat for more',
+      '--verified': 'Mark the email address verified'
+    },
+    run: createUser,
+    format: result => [
+      `Created ${result.user.username} (${result.user.id})`,
+      ...(result.password ? [`Password: ${result.password}`, 'The user must change it at first sign-in.'] : [])
+    ]
+  },
+  'users disable': {
+    args: '<user>',
+    summary: 'Disable a user (by username or ID)',
+    run: setEnabled(false),
+    format: result => [result.changed ? `Disabled ${result.user.username}` : `${result.user.username} is already disabled`]
+  },
+  'users enable': {
+    args: '<user>',
+    summary: 'Enable a user',
+    run: setEnabled(true),
+    format: result => [result.changed ? `Enabled ${result.user.username}` : `${result.user.username} is already enabled`]
+  },
+  'users delete': {
+    args: '<user>',
+    summary: 'Delete a user',
+    options: { '--yes': 'Confirm the deletion' },
+    run: deleteUser,
+    format: result => [`Deleted ${result.deleted.username}`]
+  },
+  'users reset-password': {
+    args: '<user>',
+    summary: 'Set a user\'s password',
+    description: 'Set a user\'s password. Without a password option a random one is generated and printed once.',
+    options: passwordOptions,
+    run: resetPassword,
+    format: result => [
+      `Password set for ${result.user.username}`,
+      ...(result.password ? [`Password: ${result.password}`] : []),
+      ...(result.password_reset_required ? ['The user must change it at next sign-in.'] : [])
+    ]
+  },
+  'clients list': {
+    summary: 'List OAuth2 clients',
+    description: 'List OAuth2 clients with the last four characters of their active secrets. Secrets are stored as hashes ' +
+      'and cannot be shown; rotate one to get a new secret.',
+    options: { '--secret <state>': 'Only clients whose secret is ok, expiring or expired under the rotation policy' },
+    run: listClients,
+    format: result => table(result.clients, ['client_id', 'name', 'enabled', 'client_secret', 'secret_state', 'rotate_by', 'id'])
+  },
+  'clients check-secrets': {
+    summary: 'Send due secret expiry reminders now',
+    description: 'Run the check the server schedules every CLIENT_SECRET_CHECK_INTERVAL_HOURS: record activity and send ' +
+      'webhook events for client secrets nearing or past their rotation date, and disable expired clients when ' +
+      'CLIENT_SECRET_AUTO_DISABLE=true. Reminders already sent are not repeated.',
+    run: checkClientSecrets,
+    format: result => [
+      `Checked ${result.checked} client(s): ${result.reminded} reminded, ${result.expired} expired, ${result.disabled} disabled`,
+      ...(result.errors ? [`${result.errors} client(s) could not be updated; run again to retry`] : [])
+    ]
+  },
+  'clients rotate-secret': {
+    args: '<client>',
+    summary: 'Generate a new secret for a client (by client_id or ID)',
+    description: 'Generate a new secret for a client and print it once. The current secrets keep working for the overlap ' +
+      'window so deployments can switch over.',
+    options: { '--overlap <hours>': `Hours the current secrets keep working (default ${Client.defaultRotationOverlapHours}, 0 ends them now)` },
+    run: rotateClientSecret,
+    format: result => [
+      `New secret for ${result.client.name} (${result.client.client_id}):`,
+      result.client_secret,
+      `Previous secrets stop working at ${result.previous_secrets_expire_at}`
+    ]
+  },
+  'sessions list': {
+    summary: 'List OIDC sessions',
+    options: {
+      '--user <user>': 'Only this user\'s sessions',
+      '--active': 'Only live, unexpired sessions'
+    },
+    run: listSessions,
+    format: result => table(result.sessions, ['id', 'user_id', 'client_id', 'active', 'expired', 'expires_at'])
+  },
+  'sessions revoke': {
+    args: '[session-id]',
+    summary: 'Revoke one session, or all of a user\'s with --user',
+    options: { '--user <user>': 'Revoke every active session of this user' },
+    run: revokeSessions,
+    format: result => [`Revoked ${result.revoked.length} session(s)`]
+  },
+  'conflicts list': {
+    summary: 'List documents with replication conflicts',
+    run: listConflicts,
+    format: result => (result.conflicts.length === 0
+      ? ['No conflicts']
+      : result.conflicts.flatMap(conflict => [
+        `${conflict.documentId} (${conflict.documentType || 'unknown type'}, ${conflict.conflictCount} conflict(s))`,
+        ...conflict.versions.map(version => `  ${version.version === 'current' ? '*' : ' '} ${version.rev}${version.instanceMetadata?.last_modified_by ? ` from ${version.instanceMetadata.last_modified_by}` : ''}`)
+      ]))
+  },
+  'conflicts resolve': {
+    args: '<doc-id>',
+    summary: 'Keep one revision of a conflicted document and delete the others',
+    options: { '--rev <winning-rev>': 'The revision to keep (required)' },
+    run: resolveConflict,
+    format: result => [`Kept ${result.winning_rev} of ${result.document_id}; deleted ${result.deleted_revs.join(', ')}`]
+  },
+  setup: {
+    summary: 'Create the database, design documents, admin OIDC client and first admin user',
+    description: 'Create the database and design documents if missing, the admin UI\'s OIDC client from CLIENT_ID, CLIENT_SECRET and REDIRECT_URIS, ' +
+      'and an admin user from ADMIN_USERNAME, ADMIN_PASSWORD and ADMIN_EMAIL. Safe to run again; existing documents are left alone.',
+    options: {
+      '--admin-username <username>': 'Admin username (default ADMIN_USERNAME)',
+      '--admin-password <password>': 'Admin password (default ADMIN_PASSWORD)',
+      '--admin-email <email>': 'Admin email (default ADMIN_EMAIL, or <username>@zombie.local)'
+    },
+    run: setup,
+    format: result => [
+      `Database ${result.database} is ready`,
+      result.views_created.length ? `Created or updated ${result.views_created.join(', ')}` : 'Design documents were up to date',
+      result.admin
+        ? (result.admin.created ? `Created admin user ${result.admin.username}` : `Admin user ${result.admin.username} already exists`)
+        : 'No admin user requested'
+    ]
+  },
+  migrate: {
+    summary: 'Apply design document changes and pending migrations',
+    description: 'Create or update the CouchDB design documents and run pending data migrations. The server and every other ' +
+      'command do this when they start, except for migrations that rewrite many documents, which only run from here. ' +
+      'Use --dry-run to see what would change first.',
+    options: { '--dry-run': 'Report what would change without writing anything' },
+    migrate: false,
+    run: migrate,
+    format: result => [
+      ...result.design_docs.filter(designDoc => designDoc.action !== 'unchanged')
+        .map(designDoc => `${designDoc.id}: ${designDoc.action} (${designDoc.views.join(', ')})`),
+      ...result.migrations.filter(migration => migration.action !== 'applied').flatMap(formatMigration),
+      ...(result.design_docs.every(designDoc => designDoc.action === 'unchanged') && result.migrations.every(migration => migration.action === 'applied')
+        ? ['Up to date']
+        : [])
+    ]
+  },
+  export: {
+    summary: 'Export users as CSV, JSON or NDJSON',
+    options: {
+      '--format <format>': 'csv (default), json or ndjson',
+      '--fields <list>': `Comma-separated fields from: ${UserExport.fieldNames.join(', ')}`,
+      '--backup': 'Every field including password hashes, for restoring with import',
+      '--output <file>': 'Write to a file instead of stdout'
+    },
+    run: exportUsers,
+    format: result => [`Exported ${result.count} user(s) to ${result.output}`]
+  },
+  import: {
+    args: '<file>',
+    summary: 'Import users from a CSV or JSON file (- for stdin); a dry run unless --commit',
+    options: {
+      '--format <format>': 'auto (default), csv or json',
+      '--on-existing <action>': 'skip (default) or update users that already exist',
+      '--commit': 'Write the changes; without it nothing is saved'
+    },
+    run: importUsers,
+    format: result => [
+      `${result.dry_run ? 'Dry run' : 'Imported'} (${result.format}): ${result.summary.create} to create, ${result.summary.update} to update, ` +
+        `${result.summary.skip} skipped, ${result.summary.error} with errors`,
+      ...result.rows.filter(row => row.errors && row.errors.length).map(row => `  row ${row.row} ${row.username || ''}: ${row.errors.map(error => error.message).join('; ')}`),
+      ...(result.dry_run ? ['Run again with --commit to save.'] : [])
+    ]
+  }
+};
+
+module.exports = { commands, CommandError };
@@ -0,0 +1,194 @@
+const { commands, CommandError } = require('./commands');
+
+// Argument parsing, output and exit codes for bin/zombie-admin.js. Commands live in commands.js.
+//
+// Exit codes: 0 success, 1 the command was refused or found nothing (e.g. unknown user),
+// 2 bad usage or the command could not run (e.g. CouchDB unreachable).
+
+const GLOBAL_OPTIONS = {
+  '--json': 'Print the result as JSON',
+  '--verbose': 'Show connection and setup logging (on stderr)',
+  '--env-file <path>': 'Read settings from this file instead of ./.env',
+  '--help': 'Show help for the command'
+};
+
+class UsageError extends Error {}
+
+// '--role <name>...' -> { name: 'role', value: true, repeat: true }
+function optionSpec(spec) {
+  const [flag] = spec.split(' ');
+  return {
+    name: flag.slice(2),
+    key: flag.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()),
+    value: spec.includes('<'),
+    repeat: spec.endsWith('...')
+  };
+}
+
+function parseArgs(argv, optionSpecs) {
+  const specs = new Map(optionSpecs.map(spec => optionSpec(spec)).map(spec => [spec.name, spec]));
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const spec = specs.get(name);
+    if (!spec) {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+    if (!spec.value) {
+      options[spec.key] = true;
+      continue;
+    }
+
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) {
+      throw new UsageError(`--${name} needs a value`);
+    }
+    options[spec.key] = spec.repeat ? [...(options[spec.key] || []), value] : value;
+  }
+
+  return { positional, options };
+}
+
+function findCommand(argv) {
+  const twoWords = `${argv[0]} ${argv[1]}`;
+  if (commands[twoWords]) {
+    return { name: twoWords, rest: argv.slice(2) };
+  }
+  if (commands[argv[0]]) {
+    return { name: argv[0], rest: argv.slice(1) };
+  }
+  return null;
+}
+
+function print(text = '') {
+  process.stdout.write(`${text}\n`);
+}
+
+function printUsage() {
+  print('Usage: zombie-admin <command> [options]');
+  print();
+  const width = Math.max(...Object.keys(commands).map(name => `${name} ${commands[name].args || ''}`.length));
+  for (const [name, command] of Object.entries(commands)) {
+    print(`  ${`${name} ${command.args || ''}`.padEnd(width)}  ${command.summary}`);
+  }
+  print();
+  print('Options for every command:');
+  printOptions(GLOBAL_OPTIONS);
+  print();
+  print('Run zombie-admin <command> --help for its options.');
+}
+
+function printOptions(options) {
+  const width = Math.max(...Object.keys(options).map(spec => spec.length));
+  for (const [spec, description] of Object.entries(options)) {
+    print(`  ${spec.padEnd(width)}  ${description}`);
+  }
+}
+
+function printCommandHelp(name, command) {
+  print(`Usage: zombie-admin ${name} ${command.args || ''}`.trimEnd());
+  print();
+  print(command.description || command.summary);
+  if (command.options && Object.keys(command.options).length > 0) {
+    print();
+    printOptions(command.options);
+  }
+}
+
+// Check positional arguments against the command's '<required> [optional]' list
+function checkArgs(command, positional) {
+  const names = (command.args || '').split(' ').filter(Boolean);
+  const required = names.filter(name => name.startsWith('<')).length;
+  if (positional.length < required) {
+    throw new UsageError(`Missing ${names.slice(positional.length, required).join(' ')}`);
+  }
+  if (positional.length > names.length) {
+    throw new UsageError(`Unexpected argument: ${positional[names.length]}`);
+  }
+}
+
+/**
+ * Run one command line
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  if (argv.length === 0 || ['help', '--help', '-h'].includes(argv[0])) {
+    printUsage();
+    return 0;
+  }
+
+  const found = findCommand(argv);
+  if (!found) {
+    console.error(`Unknown command: ${argv.slice(0, 2).join(' ')}. Run zombie-admin help for the list.`);
+    return 2;
+  }
+  const command = commands[found.name];
+
+  let parsed;
+  try {
+    parsed = parseArgs(found.rest, [...Object.keys(GLOBAL_OPTIONS), ...Object.keys(command.options || {})]);
+    if (parsed.options.help) {
+      printCommandHelp(found.name, command);
+      return 0;
+    }
+    checkArgs(command, parsed.positional);
+  } catch (error) {
+    console.error(`${error.message}. Run zombie-admin ${found.name} --help for usage.`);
+    return 2;
+  }
+
+  const { positional, options } = parsed;
+
+  // stdout is kept for results; the services' progress logging is only shown with --verbose
+  const { log, info } = console;
+  console.log = options.verbose ? console.error : () => {};
+  console.info = console.log;
+
+  try {
+    // Required only once a command is going to run: help and usage errors need no settings
+    const database = require('../database');
+    const webhookDispatcher = require('../services/webhook-dispatcher');
+
+    // A few attempts rather than the server's minute of waiting for CouchDB to start
+    await database.initialize({ retries: 3, migrate: command.migrate !== false });
+    await webhookDispatcher.initialize();
+
+    const result = await command.run(positional, options);
+
+    // undefined when the command wrote its own output (export to stdout)
+    if (result === undefined) {
+      return 0;
+    }
+    if (options.json) {
+      print(JSON.stringify(result, null, 2));
+    } else if (command.format) {
+      command.format(result).forEach(line => print(line));
+    }
+    return 0;
+  } catch (error) {
+    const refused = error instanceof CommandError;
+    if (options.json) {
+      print(JSON.stringify({ error: { message: error.message } }, null, 2));
+    }
+    console.error(refused ? `Error: ${error.message}` : `zombie-admin ${found.name} failed: ${error.message}`);
+    return refused ? 1 : 2;
+  } finally {
+    console.log = log;
+    console.info = info;
+  }
+}
+
+module.exports = { run };
@@ -2,16 +2,16 @@ const nano = require('nano');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { secretEntry } = require('./utils/client-secrets');
 
 class Database {
   constructor() {
     const username = process.env.COUCHDB_USER || 'zombie';
     const password = process.env.COUCHDB_PASSWORD;
 
-    if (!password) {
-      console.error('COUCHDB_PASSWORD environment variable is required');
-      process.exit(1);
-    }
+    // Checked by initialize() rather than here, so loading this module (as zombie-admin --help
+    // does through the models) works without settings
+    this.passwordMissing = !password;
 
     // CouchDB URL for this instance - support both COUCHDB_URL and legacy COUCHDB_HOST/PORT
     let couchUrl;
@@ -33,10 +33,22 @@ class Database {
     this.db = null;
   }
 
-  async initialize() {
+  /**
+   * Connect, creating the database if missing, bring its design documents and
+   * migrations up to date, and create the admin UI's client if missing
+   * @param {Object} [options]
+   * @param {number} [options.retries=30] - Connection attempts, 2 seconds apart, before giving up
+   * @param {boolean} [options.migrate=true] - Apply design documents and migrations, then create
+   *   the admin UI's client; false only connects (and creates the database)
+   */
+  async initialize(options = {}) {
+    if (this.passwordMissing) {
+      throw new Error('COUCHDB_PASSWORD environment variable is required');
+    }
+
     try {
       // Wait for CouchDB to be ready
-      await this.waitForCouchDB();
+      await this.waitForCouchDB(options.retries);
 
       // Try to connect to existing database
       this.db = this.client.db.use(this.dbName);
@@ -53,13 +65,19 @@ class Database {
         }
       }
 
+      // Design documents and data migrations. Required here rather than at the top:
+      // migrations use the models, which require this module.
+      if (options.migrate !== false) {
+        const Migrator = require('./services/migrator');
+        this.migrationReport = await new Migrator(this.db).run();
 
-      // Run database setup for Zombie UI
-      await this.ensureZombieUIClientExists();
+        // Run database setup for Zombie UI (its lookups need the views)
+        await this.ensureZombieUIClientExists();
 
-      // Create default admin user in development mode
-      if (process.env.DEVELOPMENT_MODE === 'true') {
-        await this.ensureDefaultAdminExists();
+        // Create default admin user in development mode
+        if (process.env.DEVELOPMENT_MODE === 'true') {
+          await this.ensureDefaultAdminExists();
+        }
       }
 
       console.log(`✅ Database initialization complete: ${this.dbName}`);
@@ -138,7 +156,7 @@ class Database {
         _id: `client:${uuidv4()}`,
         type: 'client',
         client_id: clientId,
-        client_secret: clientSecret,
+        client_secrets: [secretEntry(clientSecret, { created_by: 'setup' })],
         name: 'Zombie UI',
         description: `Web interface for Zombie authentication server (${isDevelopment ? 'development' : 'production'} mode)`,
         redirect_uris: redirectUris,
@@ -220,8 +238,7 @@ class Database {
     }
   }
 
-  async waitForCouchDB() {
-    const maxRetries = 30;
+  async waitForCouchDB(maxRetries = 30) {
     let retries = 0;
     
     while (retries < maxRetries) {
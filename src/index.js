@@ -13,14 +13,24 @@ const { engine } = require('express-handlebars');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
-const { sanitizeInput } = require('./middleware/validation');
+const { bodyParsing } = require('./middleware/body-parsing');
 const csrf = require('csurf');
 
 const database = require('./database');
 const adminRoutes = require('./routes/admin');
 const adminApiRoutes = require('./routes/admin-api');
+const apiV1Routes = require('./routes/api-v1');
 const userRoutes = require('./routes/user');
+const scimRoutes = require('./routes/scim');
+const registrationRoutes = require('./routes/registration');
 const sessionManager = require('./utils/session-manager');
+const auditRetention = require('./services/audit-retention');
+const clientSecretExpiry = require('./services/client-secret-expiry');
+const auditStream = require('./services/audit-stream');
+const webhookDispatcher = require('./services/webhook-dispatcher');
+const { authenticateApiToken } = require('./middleware/api-token-auth');
+const { handleApiErrors } = require('./utils/api-response');
+const { validateAgainstSpec } = require('./middleware/openapi-validation');
 
 const app = express();
 const PORT = process.env.ADMIN_PORT || process.env.PORT || 8080;
@@ -73,6 +83,9 @@ app.engine('html', engine({
     },
     not: (value) => {
       return !value;
+    },
+    can: (permissions, permission) => {
+      return Array.isArray(permissions) && permissions.includes(permission);
     }
   }
 }));
@@ -116,9 +129,7 @@ const corsOptions = {
   credentials: true,
 };
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '1mb' })); // Limit payload size
-app.use(express.urlencoded({ extended: true, limit: '1mb' }));
-app.use(sanitizeInput); // Sanitize all inputs
+app.use(bodyParsing()); // JSON and form bodies, then sanitizing
 app.use(methodOverride(function (req, _res) {
   if (req.body && typeof req.body === 'object' && '_method' in req.body) {
     // Look in urlencoded POST bodies and delete it
@@ -129,11 +140,20 @@ app.use(methodOverride(function (req, _res) {
 }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// SCIM provisioning authenticates with bearer tokens, so it sits before sessions and CSRF
+app.use('/scim/v2', scimRoutes);
+
+// So does dynamic client registration; in production it is rate limited like /api
+app.use('/register', ...(process.env.NODE_ENV === 'production' ? [generalLimiter] : []), registrationRoutes);
+
+// API tokens authenticate /api requests by header, so those requests skip sessions and CSRF below
+app.use('/api', authenticateApiToken);
+
 // Session configuration
 const sessionStore = new session.MemoryStore();
 sessionManager.setSessionStore(sessionStore);
 
-app.use(session({
+const sessionMiddleware = session({
   name: `zombie-admin-session-${process.env.INSTANCE_ID || 'default'}`,
   secret: process.env.SESSION_SECRET,
   resave: false,
@@ -145,7 +165,8 @@ app.use(session({
     maxAge: 24 * 60 * 60 * 1000, // 24 hours
     sameSite: 'lax' // Allow cross-site cookies for OIDC flow
   }
-}));
+});
+app.use((req, res, next) => (req.apiToken ? next() : sessionMiddleware(req, res, next)));
 
 // OIDC routes (must be before CSRF protection to avoid interference)
 const oidcAuth = require('./middleware/oidc-auth');
@@ -174,12 +195,13 @@ const csrfProtection = csrf({
   ignoreMethods: ['GET', 'HEAD', 'OPTIONS']
 });
 
-// Apply CSRF protection to all routes (except OIDC routes above)
-app.use(csrfProtection);
+// Apply CSRF protection to all routes (except OIDC routes above and API token requests,
+// which browsers never send on their own)
+app.use((req, res, next) => (req.apiToken ? next() : csrfProtection(req, res, next)));
 
 // Add CSRF token to templates
 app.use((req, res, next) => {
-  res.locals.csrfToken = req.csrfToken();
+  res.locals.csrfToken = req.apiToken ? null : req.csrfToken();
   next();
 });
 
@@ -192,7 +214,9 @@ app.use((req, res, next) => {
   console.log('- Cookies:', req.headers.cookie || 'none');
   console.log('- OIDC user exists:', !!req.session?.oidc_user);
 
-  req.oidc_user = req.session?.oidc_user || null;
+  if (!req.apiToken) {
+    req.oidc_user = req.session?.oidc_user || null;
+  }
   res.locals.oidc_user = req.oidc_user;
 
   // Set layout based on route
@@ -301,6 +325,12 @@ if (process.env.NODE_ENV === 'production') {
 
 
 // Routes
+if (process.env.DEVELOPMENT_MODE === 'true') {
+  app.use('/api/v1', validateAgainstSpec); // Check v1 requests and responses against /api/openapi.json
+  console.log('OpenAPI request and response validation enabled for /api/v1');
+}
+app.use('/api/v1', apiV1Routes);
+app.use('/api/v1', handleApiErrors); // Bad JSON and CSRF failures in the v1 error envelope
 app.use('/api', adminApiRoutes);
 app.use('/admin', adminRoutes);
 app.use('/', userRoutes);
@@ -309,8 +339,22 @@ app.use('/', userRoutes);
 async function startAdminServer() {
   try {
     console.log('Initializing database connection...');
+    // Also applies design documents and pending migrations (services/migrator.js)
     await database.initialize();
-    
+
+    // Archive and purge activity past its retention period
+    auditRetention.startSchedule();
+
+    // Stream activity to syslog, file and webhook sinks
+    auditStream.start();
+
+    // Retries for webhook deliveries that failed or were cut short
+    await webhookDispatcher.initialize();
+    webhookDispatcher.startRetries();
+
+    // Reminders and optional auto-disable for client secrets due for rotation
+    clientSecretExpiry.startSchedule();
+
     app.listen(PORT, () => {
       console.log(`ZombieAuth Admin server running on port ${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,65 @@
+const ApiToken = require('../models/ApiToken');
+const { getClientIp } = require('../utils/ip-helper');
+const { ApiError, isVersionedApi, sendError } = require('../utils/api-response');
+
+function unauthorized(req, res, error) {
+  res.status(401).set('WWW-Authenticate', 'Bearer realm="api"');
+  if (isVersionedApi(req)) {
+    return sendError(res, new ApiError(401, error));
+  }
+  res.json({ success: false, error });
+}
+
+/**
+ * Accept personal access tokens as `Authorization: Bearer` on /api. A valid token sets
+ * req.apiToken and an req.oidc_user for its owner, so requirePermission() can check it
+ * without a session. Requests without a bearer token carry on to session auth.
+ */
+async function authenticateApiToken(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return next();
+  }
+
+  try {
+    const token = await ApiToken.findByToken(match[1]);
+    if (!token) {
+      console.warn(`Rejected API request with an unknown token from ${getClientIp(req)}`);
+      return unauthorized(req, res, 'Invalid API token');
+    }
+    if (!token.isActive()) {
+      return unauthorized(req, res, `API token is ${token.status}`);
+    }
+
+    req.apiToken = token;
+    req.oidc_user = token.toOidcUser();
+    token.touch(getClientIp(req), `${req.method} ${req.originalUrl.split('?')[0]}`); // Not awaited; last use is informational
+    next();
+  } catch (error) {
+    console.error('API token auth error:', error);
+    if (isVersionedApi(req)) {
+      return sendError(res, new ApiError(500, 'Authentication failed'));
+    }
+    res.status(500).json({ success: false, error: 'Authentication failed' });
+  }
+}
+
+/**
+ * Refuse API token requests to a route that works on the browser session, before anything
+ * reads req.session (token requests have none)
+ * @param {string} error - Why the route needs a session
+ * @param {Function} [applies] - Limits the check to requests it returns true for
+ */
+function requireSession(error, applies = () => true) {
+  return (req, res, next) => {
+    if (!req.apiToken || !applies(req)) {
+      return next();
+    }
+    if (isVersionedApi(req)) {
+      return sendError(res, new ApiError(403, error));
+    }
+    res.status(403).json({ success: false, error });
+  };
+}
+
+module.exports = { authenticateApiToken, requireSession };
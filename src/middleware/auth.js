@@ -12,7 +12,7 @@ function requireAdmin(req, res, next) {
         req.session.destroy();
         const errorType = !user ? 'access_denied' : 
                          !user.enabled ? 'account_disabled' : 
-                         user.syncStatus !== 'synced' ? 'account_sync_conflict' : 
+                         user.sync_status !== 'synced' ? 'account_sync_conflict' : 
                          'access_denied';
         return res.redirect(`/admin/login?error=${errorType}`);
       }
@@ -0,0 +1,18 @@
+const express = require('express');
+const { sanitizeInput } = require('./validation');
+
+/**
+ * Body parsers and input sanitizing, in the order every request goes through them
+ * @returns {Function[]} Middleware for app.use()
+ */
+function bodyParsing() {
+  return [
+    express.Router().use('/api/users/import', express.json({ limit: '10mb' })), // Bulk imports carry whole files
+    express.Router().use('/scim/v2', express.json({ type: ['application/json', 'application/scim+json'], limit: '1mb' })),
+    express.json({ limit: '1mb' }), // Limit payload size
+    express.urlencoded({ extended: true, limit: '1mb' }),
+    sanitizeInput // Sanitize all inputs
+  ];
+}
+
+module.exports = { bodyParsing };
@@ -0,0 +1,75 @@
+const { getSpec, findOperation } = require('../services/openapi');
+const { validateSchema } = require('../utils/json-schema');
+const { ApiError, sendError } = require('../utils/api-response');
+
+// Query strings are text; compare numbers as numbers
+function queryValue(value, schema) {
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+function responseFor(operation, status, spec) {
+  const response = operation.responses[status];
+  if (response && response.$ref) {
+    return spec.components.responses[response.$ref.split('/').pop()];
+  }
+  return response;
+}
+
+/**
+ * Check /api/v1 traffic against the OpenAPI document (development mode only, see index.js).
+ * Requests with a query parameter or body the spec does not allow are refused with 400
+ * before the route runs. Responses are checked too, but only logged, so drift between the
+ * routes and services/openapi.js shows up in the console while developing.
+ */
+function validateAgainstSpec(req, res, next) {
+  const match = findOperation(req.method, req.path);
+  if (!match) {
+    return next(); // The v1 router answers 404
+  }
+
+  const spec = getSpec();
+  const { operation } = match;
+  const label = `${req.method} ${req.baseUrl}${match.path}`;
+
+  const errors = [];
+  for (const parameter of operation.parameters || []) {
+    const value = req.query[parameter.name];
+    if (parameter.in === 'query' && value !== undefined) {
+      errors.push(...validateSchema(parameter.schema, queryValue(value, parameter.schema), spec, parameter.name));
+    }
+  }
+  if (operation.requestBody) {
+    errors.push(...validateSchema(operation.requestBody.content['application/json'].schema, req.body ?? null, spec));
+  }
+  if (errors.length > 0) {
+    return sendError(res, new ApiError(400, `Request does not match the API specification for ${label}`, errors));
+  }
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    const response = responseFor(operation, res.statusCode, spec);
+    const schema = response && response.content && response.content['application/json'].schema;
+    if (schema) {
+      // Compare what the client receives: undefined fields are dropped, dates become strings
+      const problems = validateSchema(schema, JSON.parse(JSON.stringify(body)), spec);
+      if (problems.length > 0) {
+        console.warn(`OpenAPI: response to ${label} (${res.statusCode}) does not match the spec:`, problems);
+      }
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    // 304s come from conditional GETs and 5xx are logged where they happen
+    if (res.statusCode !== 304 && res.statusCode < 500 && !operation.responses[res.statusCode]) {
+      console.warn(`OpenAPI: ${label} answered ${res.statusCode}, which the spec does not list`);
+    }
+  });
+
+  next();
+}
+
+module.exports = { validateAgainstSpec };
@@ -0,0 +1,219 @@
+const oidcAuth = require('./oidc-auth');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Activity = require('../models/Activity');
+const GroupManager = require('../services/group-manager');
+const RoleManager = require('../services/role-manager');
+const { getClientIp } = require('../utils/ip-helper');
+const { ApiError, isVersionedApi, sendError } = require('../utils/api-response');
+
+// Resolved permissions are cached briefly per admin so pages that fire several
+// API calls don't repeat the user, group and role lookups on every request
+const CACHE_TTL_MS = 15 * 1000;
+const permissionCache = new Map();
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+// Roles come from the OIDC claims plus, when the admin has a local account, its
+// direct roles and the roles granted by its groups. API token identities carry no
+// claims, so a token only gets what its owner's account holds now.
+async function resolveAccess(oidcUser) {
+  const roles = new Set(oidcUser.roles || []);
+
+  const user = oidcUser.username ? await User.findByUsername(oidcUser.username) : null;
+  if (user) {
+    if (!user.enabled) {
+      return { roles: [], permissions: [], readOnly: false, passwordResetRequired: false };
+    }
+    user.roles.forEach(role => roles.add(role));
+    const membership = await new GroupManager().resolveMembership(user.groups);
+    membership.roles.forEach(role => roles.add(role));
+  }
+
+  const permissions = await new RoleManager().resolvePermissions(Array.from(roles));
+
+  // Auditors stay read-only even when another role would let them write
+  return {
+    roles: Array.from(roles),
+    permissions,
+    readOnly: roles.has(Role.auditorRole),
+    passwordResetRequired: user ? user.password_reset_required : false
+  };
+}
+
+async function loadPermissions(req) {
+  if (req.permissions) {
+    return req.permissions;
+  }
+
+  // Token requests resolve without the session's role claims, so they are cached apart
+  const key = req.apiToken ? req.apiToken._id : req.oidc_user.username || req.oidc_user.sub;
+  const cached = permissionCache.get(key);
+  let access;
+
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) {
+    access = cached.access;
+  } else {
+    access = await resolveAccess(req.oidc_user);
+    permissionCache.set(key, { at: Date.now(), access });
+  }
+
+  req.oidc_user.effective_roles = access.roles;
+  // An API token never grants more than its scopes, nor more than its owner now holds
+  req.permissions = req.apiToken
+    ? access.permissions.filter(permission => req.apiToken.scopes.includes(permission))
+    : access.permissions;
+  req.readOnly = access.readOnly;
+  req.passwordResetRequired = access.passwordResetRequired;
+  return req.permissions;
+}
+
+function hasPermission(req, permission) {
+  return Array.isArray(req.permissions) && req.permissions.includes(permission);
+}
+
+// Forget cached permissions after roles, groups or memberships change
+function clearPermissionCache() {
+  permissionCache.clear();
+}
+
+// Roles decide permissions, so changing what a user ends up holding - directly or through
+// role-granting groups - needs roles:manage. Returns an error message or null.
+async function checkRoleChange(req, current, next) {
+  if (hasPermission(req, 'roles:manage')) {
+    return null;
+  }
+
+  const groupManager = new GroupManager();
+  const [before, after] = await Promise.all([
+    groupManager.getEffectiveRoles(current),
+    groupManager.getEffectiveRoles(next)
+  ]);
+  if (before.join(',') !== after.join(',')) {
+    return 'Changing roles, or groups that grant roles, requires the \'roles:manage\' permission';
+  }
+  return null;
+}
+
+// Whether a user's roles, held directly or through groups, grant any admin permission
+async function grantsAdminAccess(user) {
+  const roles = await new GroupManager().getEffectiveRoles(user);
+  const permissions = await new RoleManager().resolvePermissions(roles);
+  return permissions.length > 0;
+}
+
+function denyAccess(req, res, permission, message) {
+  message = message || (permission
+    ? `You need the '${permission}' permission to do this.`
+    : 'You need administrator privileges to access this area.');
+
+  if (isVersionedApi(req)) {
+    return sendError(res, new ApiError(403, message));
+  }
+
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.status(403).json({ success: false, error: message });
+  }
+
+  return res.status(403).render('error', {
+    title: 'Access Denied',
+    message,
+    layout: 'layout'
+  });
+}
+
+// Admins asked to change their password (User.password_reset_required) do that on the
+// self-service password page before anything else
+function denyUntilPasswordChanged(req, res) {
+  if (req.originalUrl.startsWith('/api/')) {
+    return denyAccess(req, res, null, 'Change your password before using the admin area.');
+  }
+  res.redirect('/password');
+}
+
+// Read-only admins may load any page or API read, but every change is refused and audited
+async function denyReadOnlyWrite(req, res) {
+  await Activity.logActivity('read_only_write_denied', {
+    admin_user_id: req.oidc_user?.sub,
+    admin_username: req.oidc_user?.username,
+    api_token_id: req.oidc_user?.api_token_id,
+    ip: getClientIp(req),
+    user_agent: req.headers['user-agent'],
+    details: { method: req.method, path: req.originalUrl }
+  });
+
+  return denyAccess(req, res, null, 'The auditor role is read-only; changes are not allowed.');
+}
+
+/**
+ * Require an authenticated admin holding every listed permission. With no
+ * permissions listed, any admin permission at all grants access. Read-only
+ * (auditor) admins pass every GET and are refused everything else. Requests
+ * authenticated with an API token (see api-token-auth.js) skip the session check.
+ * Under /api/v1 failures use the API error envelope (see utils/api-response.js).
+ * @param {...string} permissions - Permission names from Role.permissions
+ */
+function requirePermission(...permissions) {
+  const authenticate = oidcAuth.requireOidcAuth();
+
+  const middleware = (req, res, next) => {
+    const check = async () => {
+      try {
+        await loadPermissions(req);
+        res.locals.permissions = req.permissions;
+        res.locals.readOnly = req.readOnly;
+
+        // API tokens are not tied to the password, so they keep working
+        if (req.passwordResetRequired && !req.apiToken) {
+          return denyUntilPasswordChanged(req, res);
+        }
+
+        if (req.permissions.length === 0) {
+          return denyAccess(req, res, null);
+        }
+
+        if (req.readOnly) {
+          if (!READ_METHODS.includes(req.method)) {
+            return await denyReadOnlyWrite(req, res);
+          }
+          // Tokens are still held to their scopes on reads
+          if (!req.apiToken) {
+            return next();
+          }
+        }
+
+        const missing = permissions.find(permission => !hasPermission(req, permission));
+        if (missing) {
+          return denyAccess(req, res, missing);
+        }
+
+        next();
+      } catch (error) {
+        console.error('Permission check error:', error);
+        next(error);
+      }
+    };
+
+    if (req.apiToken) {
+      return check();
+    }
+    // The versioned API answers 401 instead of redirecting to the login page
+    if (isVersionedApi(req) && !req.session?.oidc_user) {
+      res.set('WWW-Authenticate', 'Bearer realm="api"');
+      return sendError(res, new ApiError(401, 'Sign in, or send an API token as Authorization: Bearer <token>'));
+    }
+    authenticate(req, res, check);
+  };
+
+  // Read by the OpenAPI generator to document what each endpoint requires
+  middleware.permissions = permissions;
+  return middleware;
+}
+
+module.exports = {
+  requirePermission,
+  hasPermission,
+  clearPermissionCache,
+  checkRoleChange,
+  grantsAdminAccess
+};
@@ -0,0 +1,68 @@
+const Client = require('../models/Client');
+const RegistrationToken = require('../models/RegistrationToken');
+const { getClientIp } = require('../utils/ip-helper');
+
+// Bearer token errors as RFC 6750 describes them, in the registration endpoint's JSON error shape
+function unauthorized(res, error, description) {
+  res.status(401)
+    .set('WWW-Authenticate', `Bearer realm="client-registration"${error ? `, error="${error}"` : ''}`)
+    .set('Cache-Control', 'no-store')
+    .json({ error: error || 'invalid_token', error_description: description });
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// Authenticate a registration request with an initial access token issued in the admin UI
+async function requireInitialAccessToken(req, res, next) {
+  const presented = bearerToken(req);
+  if (!presented) {
+    return unauthorized(res, null, 'An initial access token is required');
+  }
+
+  try {
+    const token = await RegistrationToken.findByToken(presented);
+    if (!token) {
+      console.warn(`Rejected client registration with an unknown token from ${getClientIp(req)}`);
+      return unauthorized(res, 'invalid_token', 'Invalid initial access token');
+    }
+    if (token.isExpired() || token.isUsedUp()) {
+      return unauthorized(res, 'invalid_token', 'The initial access token has expired or been used up');
+    }
+
+    req.registrationToken = token;
+    token.touch(getClientIp(req)); // Not awaited; last use is informational
+    next();
+  } catch (error) {
+    console.error('Client registration auth error:', error);
+    res.status(500).json({ error: 'server_error', error_description: 'Authentication failed' });
+  }
+}
+
+// Authenticate a client configuration request with the client's registration access token.
+// Unknown clients get the same 401 as a wrong token, so client IDs cannot be probed.
+async function requireRegistrationAccessToken(req, res, next) {
+  const presented = bearerToken(req);
+  if (!presented) {
+    return unauthorized(res, null, 'A registration access token is required');
+  }
+
+  try {
+    const client = await Client.findByClientId(req.params.clientId);
+    if (!client || !client.registrationTokenMatches(presented)) {
+      console.warn(`Rejected client configuration request for ${req.params.clientId} from ${getClientIp(req)}`);
+      return unauthorized(res, 'invalid_token', 'Invalid registration access token');
+    }
+
+    req.registeredClient = client;
+    req.registrationAccessToken = presented;
+    next();
+  } catch (error) {
+    console.error('Client configuration auth error:', error);
+    res.status(500).json({ error: 'server_error', error_description: 'Authentication failed' });
+  }
+}
+
+module.exports = { requireInitialAccessToken, requireRegistrationAccessToken };
@@ -0,0 +1,35 @@
+const ScimToken = require('../models/ScimToken');
+const { SCHEMAS } = require('../services/scim-schemas');
+const { getClientIp } = require('../utils/ip-helper');
+
+function unauthorized(res, detail) {
+  res.status(401)
+    .set('WWW-Authenticate', 'Bearer realm="SCIM"')
+    .type('application/scim+json')
+    .json({ schemas: [SCHEMAS.error], status: '401', detail });
+}
+
+// Authenticate SCIM requests with a bearer token issued on the admin SCIM page
+async function requireScimToken(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return unauthorized(res, 'A SCIM bearer token is required');
+  }
+
+  try {
+    const token = await ScimToken.findByToken(match[1]);
+    if (!token) {
+      console.warn(`Rejected SCIM request with an unknown token from ${getClientIp(req)}`);
+      return unauthorized(res, 'Invalid SCIM token');
+    }
+
+    req.scimToken = token;
+    token.touch(getClientIp(req)); // Not awaited; last use is informational
+    next();
+  } catch (error) {
+    console.error('SCIM auth error:', error);
+    res.status(500).type('application/scim+json').json({ schemas: [SCHEMAS.error], status: '500', detail: 'Authentication failed' });
+  }
+}
+
+module.exports = { requireScimToken };
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { ApiError, sendError } = require('../utils/api-response');
 
 // Common validation rules
 const commonRules = {
@@ -42,6 +43,107 @@ const commonRules = {
     .withMessage('State parameter contains invalid characters'),
 };
 
+// Optional JSON boolean, not the "on"/"true" strings HTML forms send
+const jsonBoolean = field => body(field)
+  .optional()
+  .custom(value => typeof value === 'boolean')
+  .withMessage(`${field} must be true or false`);
+
+// Optional list of names, e.g. groups, roles or scopes
+const nameList = (field, max = 100) => [
+  body(field)
+    .optional()
+    .isArray()
+    .withMessage(`${field} must be an array`),
+  body(`${field}.*`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max })
+    .withMessage(`${field} must be non-empty strings of at most ${max} characters`)
+];
+
+const optionalText = (field, max) => body(field)
+  .optional({ values: 'null' })
+  .isString()
+  .isLength({ max })
+  .withMessage(`${field} must be a string of at most ${max} characters`);
+
+// Fields shared by REST API user create and update
+const apiUserFields = [
+  optionalText('first_name', 100),
+  optionalText('last_name', 100),
+  ...nameList('groups'),
+  ...nameList('roles'),
+  jsonBoolean('enabled'),
+  jsonBoolean('email_verified'),
+  jsonBoolean('password_reset_required')
+];
+
+const ACCESS_POLICY_FIELDS = ['allowed_groups', 'allowed_roles', 'allowed_users', 'denied_users', 'require_mfa'];
+
+// Optional client access policy object; names are checked further by services/client-access.js
+const accessPolicy = field => [
+  body(field)
+    .optional()
+    .custom(value => !!value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).every(key => ACCESS_POLICY_FIELDS.includes(key)))
+    .withMessage(`${field} must be an object with ${ACCESS_POLICY_FIELDS.join(', ')}`),
+  ...['allowed_groups', 'allowed_roles', 'allowed_users', 'denied_users'].flatMap(list => nameList(`${field}.${list}`)),
+  jsonBoolean(`${field}.require_mfa`)
+];
+
+// Fields shared by REST API client create and update; name and redirect_uris are required on create
+const apiClientFields = [
+  optionalText('description', 500),
+  body('redirect_uris.*')
+    .isURL({ protocols: ['http', 'https'], require_tld: false })
+    .withMessage('Redirect URIs must be valid http(s) URLs')
+    .isLength({ max: 255 })
+    .withMessage('Redirect URIs must be at most 255 characters'),
+  ...nameList('scopes'),
+  body('grant_types')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('grant_types must be a non-empty array'),
+  body('grant_types.*')
+    .isIn(['authorization_code', 'client_credentials', 'refresh_token'])
+    .withMessage('grant_types may contain authorization_code, client_credentials and refresh_token'),
+  body('response_types')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('response_types must be a non-empty array'),
+  body('response_types.*')
+    .isIn(['code', 'token', 'id_token'])
+    .withMessage('response_types may contain code, token and id_token'),
+  jsonBoolean('confidential'),
+  jsonBoolean('enabled'),
+  ...accessPolicy('access_policy')
+];
+
+const httpUrl = (field, message) => body(field)
+  .isURL({ protocols: ['http', 'https'], require_tld: false })
+  .withMessage(message)
+  .isLength({ max: 255 })
+  .withMessage(`${field} must be at most 255 characters`);
+
+// Optional string list with values from a fixed set
+const choiceList = (field, choices) => [
+  body(field)
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage(`${field} must be a non-empty array`),
+  body(`${field}.*`)
+    .isIn(choices)
+    .withMessage(`${field} may contain ${choices.join(', ')}`)
+];
+
+const clientName = () => body('name')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .matches(/^[a-zA-Z0-9\s._-]+$/)
+  .withMessage('Client name must be 1-100 characters, letters, numbers, spaces, dots, hyphens, underscores');
+
 // Validation rule sets for different endpoints
 const validationRules = {
   // Authentication endpoints
@@ -147,6 +249,125 @@ const validationRules = {
       .withMessage('Invalid role')
   ],
   
+  // Bulk user import (one imported row at a time, see validateData)
+  importUser: [
+    commonRules.username,
+    commonRules.email,
+    body('password')
+      .optional({ values: 'falsy' })
+      .isLength({ min: 8, max: 128 })
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must be at least 8 characters with lowercase, uppercase, and number'),
+    body('password_hash')
+      .optional({ values: 'falsy' })
+      .matches(/^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/)
+      .withMessage('Password hash must be a bcrypt hash'),
+    body('groups.*')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Groups must be non-empty strings of at most 100 characters'),
+    body('roles.*')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Roles must be non-empty strings of at most 100 characters')
+  ],
+
+  // REST API v1 JSON bodies (run with validateJsonBody; see routes/api-v1.js)
+  apiCreateUser: [
+    commonRules.username,
+    commonRules.email,
+    commonRules.password,
+    ...apiUserFields
+  ],
+
+  apiUpdateUser: [
+    body('email')
+      .optional()
+      .isString()
+      .trim()
+      .isEmail()
+      .isLength({ max: 255 })
+      .withMessage('Must be a valid email address'),
+    ...apiUserFields
+  ],
+
+  apiSetPassword: [
+    commonRules.password
+  ],
+
+  apiCreateClient: [
+    clientName(),
+    body('redirect_uris')
+      .isArray({ min: 1 })
+      .withMessage('At least one redirect URI is required'),
+    ...apiClientFields
+  ],
+
+  apiUpdateClient: [
+    clientName().optional(),
+    body('redirect_uris')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('redirect_uris must be a non-empty array'),
+    ...apiClientFields
+  ],
+
+  // Dynamic client registration metadata (RFC 7591 section 2). Unknown fields are ignored,
+  // as the RFC requires; services/client-registration.js checks how the fields combine.
+  clientRegistration: [
+    body('redirect_uris')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('redirect_uris must be a non-empty array'),
+    httpUrl('redirect_uris.*', 'redirect_uris must be http(s) URLs'),
+    body('client_name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .matches(/^[a-zA-Z0-9\s._-]+$/)
+      .withMessage('client_name must be 1-100 characters, letters, numbers, spaces, dots, hyphens, underscores'),
+    body('token_endpoint_auth_method')
+      .optional()
+      .isIn(['none', 'client_secret_basic', 'client_secret_post'])
+      .withMessage('token_endpoint_auth_method must be none, client_secret_basic or client_secret_post'),
+    ...choiceList('grant_types', ['authorization_code', 'client_credentials', 'refresh_token']),
+    ...choiceList('response_types', ['code', 'token', 'id_token']),
+    body('scope')
+      .optional()
+      .matches(/^[A-Za-z0-9_.:-]+( [A-Za-z0-9_.:-]+)*$/)
+      .withMessage('scope must be space-separated scope names'),
+    body('contacts')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('contacts must be an array of at most 10 email addresses'),
+    body('contacts.*')
+      .isEmail()
+      .isLength({ max: 255 })
+      .withMessage('contacts must be email addresses'),
+    ...['client_uri', 'logo_uri', 'tos_uri', 'policy_uri'].map(field => httpUrl(field, `${field} must be an http(s) URL`).optional()),
+    optionalText('software_id', 100),
+    optionalText('software_version', 100)
+  ],
+
+  apiGroup: [
+    body('name')
+      .optional()
+      .isString()
+      .withMessage('name must be a string'),
+    optionalText('description', 500),
+    optionalText('owner', 100),
+    optionalText('parent', 100),
+    ...nameList('roles')
+  ],
+
+  apiResolveConflict: [
+    body('winning_rev')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('winning_rev is required')
+  ],
+
   // Session management
   deleteSession: [
     param('sessionId')
@@ -182,34 +403,97 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Run a rule set against a plain object (e.g. an imported row) instead of a request.
+// The object is copied so sanitizers in the rules do not modify the caller's data.
+const validateData = async (rules, data) => {
+  const req = { body: { ...data } };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  // Keep one message per field, preferring a withMessage() text over the default
+  const messages = new Map();
+  for (const error of validationResult(req).array()) {
+    if (error.msg !== 'Invalid value') {
+      messages.set(error.path, error.msg);
+    } else if (!messages.has(error.path)) {
+      messages.set(error.path, `Invalid ${error.path}`);
+    }
+  }
+  return Array.from(messages, ([field, message]) => ({ field, message }));
+};
+
+/**
+ * Validate a REST API JSON body with a rule set, refusing fields the resource does not have.
+ * The fields and rules stay on the middleware so the OpenAPI document can describe the body.
+ * @param {string[]} fields - Field names the resource accepts (`_rev` is always accepted)
+ * @param {Array} rules - A rule set from validationRules
+ * @returns {Function} Express middleware that answers 400 in the API error envelope
+ */
+const validateJsonBody = (fields, rules) => {
+  const middleware = async (req, res, next) => {
+    const data = req.body;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return sendError(res, new ApiError(400, 'The request body must be a JSON object'));
+    }
+
+    const unknown = Object.keys(data).filter(key => key !== '_rev' && !fields.includes(key));
+    if (unknown.length > 0) {
+      return sendError(res, new ApiError(400, `Unknown field(s): ${unknown.join(', ')}`, unknown.map(field => ({ field, message: 'Unknown field' }))));
+    }
+
+    try {
+      const errors = await validateData(rules, data);
+      if (errors.length > 0) {
+        return sendError(res, new ApiError(400, 'Invalid input', errors));
+      }
+    } catch (error) {
+      return sendError(res, error);
+    }
+    next();
+  };
+
+  middleware.bodyFields = fields;
+  middleware.bodyRules = rules;
+  return middleware;
+};
+
+// Requests whose bodies carry whole files, where line breaks and tabs are part of the content
+const MULTILINE_BODY_PATHS = new Set(['/api/users/import']);
+
 // Sanitization middleware for common XSS prevention
 const sanitizeInput = (req, res, next) => {
   // Remove null bytes and control characters
-  const sanitizeString = (str) => {
+  const stripControlCharacters = (str) => str.replace(/[\x00-\x1F\x7F]/g, '');
+  const sanitizeString = (str, keepLineBreaks = false) => {
     if (typeof str !== 'string') return str;
-    return str.replace(/[\x00-\x1F\x7F]/g, '');
+    if (keepLineBreaks) {
+      // Odd pieces of the split are the tabs and line breaks themselves
+      return str.split(/([\t\n\r])/).map((part, index) => (index % 2 ? part : stripControlCharacters(part))).join('');
+    }
+    return stripControlCharacters(str);
   };
   
   // Recursively sanitize object properties
-  const sanitizeObject = (obj) => {
+  const sanitizeObject = (obj, keepLineBreaks = false) => {
     if (obj === null || typeof obj !== 'object') {
-      return sanitizeString(obj);
+      return sanitizeString(obj, keepLineBreaks);
     }
     
     if (Array.isArray(obj)) {
-      return obj.map(sanitizeObject);
+      return obj.map(item => sanitizeObject(item, keepLineBreaks));
     }
     
     const sanitized = {};
     for (const [key, value] of Object.entries(obj)) {
-      sanitized[key] = sanitizeObject(value);
+      sanitized[key] = sanitizeObject(value, keepLineBreaks);
     }
     return sanitized;
   };
   
   // Sanitize request body
   if (req.body) {
-    req.body = sanitizeObject(req.body);
+    req.body = sanitizeObject(req.body, MULTILINE_BODY_PATHS.has(req.path));
   }
   
   // Sanitize query parameters
@@ -223,6 +507,8 @@ const sanitizeInput = (req, res, next) => {
 module.exports = {
   validationRules,
   handleValidationErrors,
+  validateData,
+  validateJsonBody,
   sanitizeInput,
   commonRules
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const { normalizeDoc } = require('../utils/field-names');
+
+// Documents read and written per request
+const PAGE_SIZE = 200;
+
+// Discarded fields listed in the report; the count covers the rest
+const MAX_DISCARDED_LISTED = 50;
+
+/**
+ * Rewrite camelCase fields left by the setup script, older SyncMonitor versions and older
+ * route handlers (passwordHash, clientId, createdAt, instanceMetadata...) to the snake_case
+ * names the models use. Where a document has both names with different values the
+ * snake_case value is the one the application has been reading, so it is kept and the
+ * legacy one dropped; the report lists those fields without their values.
+ *
+ * Manual, since it rewrites every affected document: run `zombie-admin migrate --dry-run`
+ * to see what would change, then `zombie-admin migrate`.
+ */
+module.exports = {
+  id: '001-normalize-field-names',
+  description: 'Rename legacy camelCase document fields to snake_case',
+  manual: true,
+
+  async up(db, { dryRun = false } = {}) {
+    const summary = { scanned: 0, changed: 0, updated: 0, failed: [], fields: {}, discarded: [], discarded_count: 0 };
+    let startkey;
+
+    for (;;) {
+      const page = await db.list({
+        include_docs: true,
+        limit: PAGE_SIZE + 1,
+        ...(startkey ? { startkey_docid: startkey } : {})
+      });
+      const rows = page.rows.slice(0, PAGE_SIZE);
+      const updates = [];
+
+      for (const row of rows) {
+        if (!row.doc || row.id.startsWith('_design/')) continue;
+        summary.scanned++;
+
+        const result = normalizeDoc(row.doc);
+        if (!result) continue;
+
+        summary.changed++;
+        for (const field of [...result.renamed, ...result.discarded]) {
+          const key = `${row.doc.type || 'untyped'}.${field}`;
+          summary.fields[key] = (summary.fields[key] || 0) + 1;
+        }
+        for (const field of result.discarded) {
+          summary.discarded_count++;
+          if (summary.discarded.length < MAX_DISCARDED_LISTED) {
+            summary.discarded.push({ id: row.id, field });
+          }
+        }
+        updates.push(result.doc);
+      }
+
+      if (!dryRun && updates.length > 0) {
+        // A conflict means the document changed since we read it; the next run picks it up
+        const results = await db.bulk({ docs: updates });
+        for (const result of results) {
+          if (result.error) {
+            summary.failed.push({ id: result.id, error: result.reason || result.error });
+          } else {
+            summary.updated++;
+          }
+        }
+      }
+
+      if (page.rows.length <= PAGE_SIZE) break;
+      startkey = page.rows[PAGE_SIZE].id;
+    }
+
+    // Not recorded as applied while documents are left to rewrite
+    summary.complete = summary.failed.length === 0;
+    return summary;
+  },
+
+  // Report lines for the CLI
+  format(summary) {
+    const lines = [`  ${summary.scanned} documents scanned, ${summary.changed} with legacy fields, ${summary.updated} updated`];
+    for (const [field, count] of Object.entries(summary.fields).sort()) {
+      lines.push(`    ${field}: ${count}`);
+    }
+    if (summary.discarded_count > 0) {
+      lines.push(`  ${summary.discarded_count} legacy fields dropped in favour of a different snake_case value:`);
+      lines.push(...summary.discarded.map(({ id, field }) => `    ${id} ${field}`));
+      if (summary.discarded_count > summary.discarded.length) {
+        lines.push(`    ...and ${summary.discarded_count - summary.discarded.length} more`);
+      }
+    }
+    if (summary.failed.length > 0) {
+      lines.push(`  ${summary.failed.length} failed, run again to retry:`);
+      lines.push(...summary.failed.map(({ id, error }) => `    ${id}: ${error}`));
+    }
+    return lines;
+  }
+};
@@ -0,0 +1,52 @@
+const { secretEntry } = require('../utils/client-secrets');
+
+/**
+ * Replace plaintext client secrets (client_secret, or clientSecret on documents the
+ * 001 migration has not rewritten yet) with a hashed client_secrets entry. The secrets
+ * keep working; they just can no longer be read back.
+ */
+module.exports = {
+  id: '002-hash-client-secrets',
+  description: 'Store client secrets as salted hashes',
+
+  async up(db, { dryRun = false } = {}) {
+    const result = await db.view('clients', 'by_client_id', { include_docs: true });
+    const updates = [];
+
+    for (const { doc } of result.rows) {
+      const plaintext = doc.client_secret || doc.clientSecret;
+      if (!plaintext) continue;
+
+      const updated = { ...doc };
+      delete updated.client_secret;
+      delete updated.clientSecret;
+      if (!Array.isArray(updated.client_secrets) || updated.client_secrets.length === 0) {
+        updated.client_secrets = [secretEntry(plaintext, { id: 'legacy', created_at: doc.created_at || doc.createdAt })];
+      }
+      updates.push(updated);
+    }
+
+    const summary = { clients: result.rows.length, hashed: 0, failed: [] };
+    if (dryRun) {
+      summary.hashed = updates.length;
+    } else if (updates.length > 0) {
+      for (const saved of await db.bulk({ docs: updates })) {
+        if (saved.error) {
+          summary.failed.push({ id: saved.id, error: saved.reason || saved.error });
+        } else {
+          summary.hashed++;
+        }
+      }
+    }
+
+    summary.complete = summary.failed.length === 0;
+    return summary;
+  },
+
+  format(summary) {
+    return [
+      `  ${summary.hashed} of ${summary.clients} clients had a plaintext secret`,
+      ...summary.failed.map(({ id, error }) => `  ${id}: ${error}`)
+    ];
+  }
+};
@@ -0,0 +1,445 @@
+/* global emit */
+
+// Every CouchDB design document the application queries, applied at startup by the
+// migrator (services/migrator.js). Edit a view here and the next start updates it in
+// CouchDB. Views are merged into existing design documents, so views another
+// application (such as the Zombie server) keeps in the same document are left alone.
+//
+// Map functions run inside CouchDB, so they use ES5 and only the fields they're given.
+// They read canonical snake_case fields. The lookup views also accept the legacy camelCase
+// name until the 001-normalize-field-names migration has rewritten the old documents.
+
+module.exports = {
+  users: {
+    views: {
+      by_username: {
+        map: function(doc) {
+          if (doc.type === 'user' && doc.username) {
+            emit(doc.username, null);
+          }
+        }
+      },
+      by_email: {
+        map: function(doc) {
+          if (doc.type === 'user' && doc.email) {
+            emit(doc.email, null);
+          }
+        }
+      }
+    }
+  },
+
+  sessions: {
+    views: {
+      by_user_id: {
+        map: function(doc) {
+          var userId = doc.user_id || doc.userId;
+          if (doc.type === 'session' && userId) {
+            emit(userId, null);
+          }
+        }
+      },
+      by_auth_code: {
+        map: function(doc) {
+          var code = doc.authorization_code || doc.authorizationCode;
+          if (doc.type === 'session' && code) {
+            emit(code, null);
+          }
+        }
+      },
+      by_client_id: {
+        map: function(doc) {
+          var clientId = doc.client_id || doc.clientId;
+          if (doc.type === 'session' && clientId) {
+            emit([clientId, doc.created_at || doc.createdAt || ''], null);
+          }
+        }
+      },
+      // Grouped by client: count is the number of sessions and max the latest time one
+      // was used (created, accessed or refreshed), in milliseconds
+      usage_by_client: {
+        map: function(doc) {
+          var clientId = doc.client_id || doc.clientId;
+          if (doc.type !== 'session' || !clientId) return;
+          var times = [doc.created_at || doc.createdAt, doc.last_accessed_at || doc.lastAccessedAt, doc.last_refreshed_at];
+          var used = null;
+          for (var i = 0; i < times.length; i++) {
+            var time = times[i] ? Date.parse(times[i]) : NaN;
+            if (!isNaN(time) && (used === null || time > used)) {
+              used = time;
+            }
+          }
+          if (used !== null) {
+            emit(clientId, used);
+          }
+        },
+        reduce: '_stats'
+      }
+    }
+  },
+
+  clients: {
+    views: {
+      by_client_id: {
+        map: function(doc) {
+          var clientId = doc.client_id || doc.clientId;
+          if (doc.type === 'client' && clientId) {
+            emit(clientId, null);
+          }
+        }
+      },
+      by_name: {
+        map: function(doc) {
+          if (doc.type === 'client' && doc.name) {
+            emit(doc.name, null);
+          }
+        }
+      }
+    }
+  },
+
+  activities: {
+    views: {
+      by_timestamp: {
+        map: function(doc) {
+          if (doc.type === 'activity' && doc.timestamp) {
+            emit(doc.timestamp, null);
+          }
+        }
+      }
+    }
+  },
+
+  // Audit log filtering, retention and chain verification
+  activity_log: {
+    views: {
+      by_timestamp: {
+        map: function(doc) {
+          if (doc.type === 'activity' && doc.timestamp) {
+            emit(doc.timestamp, null);
+          }
+        }
+      },
+      by_action: {
+        map: function(doc) {
+          if (doc.type === 'activity' && doc.timestamp && doc.action) {
+            emit([doc.action, doc.timestamp], null);
+          }
+        },
+        reduce: '_count'
+      },
+      by_admin: {
+        map: function(doc) {
+          if (doc.type === 'activity' && doc.timestamp && doc.admin_username) {
+            emit([doc.admin_username, doc.timestamp], null);
+          }
+        },
+        reduce: '_count'
+      },
+      // Keyed by user ID and, when it differs, by username, so entries for deleted
+      // users can still be found by name
+      by_target_user: {
+        map: function(doc) {
+          if (doc.type === 'activity' && doc.timestamp) {
+            if (doc.target_user_id) {
+              emit([doc.target_user_id, doc.timestamp], null);
+            }
+            if (doc.target_username && doc.target_username !== doc.target_user_id) {
+              emit([doc.target_username, doc.timestamp], null);
+            }
+          }
+        }
+      },
+      // Per-instance hash chain order, used by audit chain verification
+      by_chain: {
+        map: function(doc) {
+          if (doc.type === 'activity' && doc.chain && doc.chain.instance) {
+            emit([doc.chain.instance, doc.chain.seq], null);
+          }
+        },
+        reduce: '_count'
+      },
+      by_ip: {
+        map: function(doc) {
+          if (doc.type === 'activity' && doc.timestamp && doc.ip) {
+            emit([doc.ip, doc.timestamp], null);
+          }
+        }
+      },
+      // Chain links of purged entries, so verification can step over them
+      purged_by_instance: {
+        map: function(doc) {
+          if (doc.type === 'audit_purge' && doc.instance) {
+            emit(doc.instance, null);
+          }
+        }
+      },
+      retention_runs: {
+        map: function(doc) {
+          if (doc.type === 'audit_retention_run' && doc.started_at) {
+            emit(doc.started_at, null);
+          }
+        }
+      }
+    }
+  },
+
+  // Replication conflicts, for the conflicts page and sync status
+  conflicts: {
+    views: {
+      all_conflicts: {
+        map: function(doc) {
+          if (doc._conflicts && doc._conflicts.length > 0) {
+            emit([doc.type, doc._id], {
+              id: doc._id,
+              type: doc.type,
+              conflicts: doc._conflicts,
+              instance_metadata: doc.instance_metadata || doc.instanceMetadata
+            });
+          }
+        }
+      },
+      user_conflicts: {
+        map: function(doc) {
+          if (doc.type === 'user' && doc._conflicts && doc._conflicts.length > 0) {
+            emit(doc._id, {
+              id: doc._id,
+              username: doc.username,
+              email: doc.email,
+              groups: doc.groups,
+              conflicts: doc._conflicts,
+              instance_metadata: doc.instance_metadata || doc.instanceMetadata
+            });
+          }
+        }
+      },
+      client_conflicts: {
+        map: function(doc) {
+          if (doc.type === 'client' && doc._conflicts && doc._conflicts.length > 0) {
+            emit(doc._id, {
+              id: doc._id,
+              client_id: doc.client_id || doc.clientId,
+              name: doc.name,
+              conflicts: doc._conflicts,
+              instance_metadata: doc.instance_metadata || doc.instanceMetadata
+            });
+          }
+        }
+      }
+    }
+  },
+
+  roles: {
+    views: {
+      by_name: {
+        map: function(doc) {
+          if (doc.type === 'role' && doc.name) {
+            emit(doc.name, null);
+          }
+        }
+      }
+    }
+  },
+
+  // Group lookups and membership counts
+  groups: {
+    views: {
+      by_name: {
+        map: function(doc) {
+          if (doc.type === 'group' && doc.name) {
+            emit(doc.name, null);
+          }
+        }
+      },
+      by_parent: {
+        map: function(doc) {
+          if (doc.type === 'group' && doc.parent) {
+            emit(doc.parent, null);
+          }
+        }
+      },
+      members: {
+        map: function(doc) {
+          if (doc.type === 'user' && doc.groups) {
+            doc.groups.forEach(function(group) {
+              emit(group, null);
+            });
+          }
+        },
+        reduce: '_count'
+      }
+    }
+  },
+
+  // User listing, search and stats
+  user_directory: {
+    views: {
+      by_username: {
+        map: function(doc) {
+          if (doc.type === 'user' && doc.username) {
+            emit(doc.username.toLowerCase(), null);
+          }
+        }
+      },
+      by_email: {
+        map: function(doc) {
+          if (doc.type === 'user') {
+            emit(doc.email ? doc.email.toLowerCase() : null, null);
+          }
+        }
+      },
+      by_created_at: {
+        map: function(doc) {
+          if (doc.type === 'user') {
+            emit(doc.created_at || null, null);
+          }
+        }
+      },
+      by_last_login: {
+        map: function(doc) {
+          if (doc.type === 'user') {
+            emit(doc.last_login || null, null);
+          }
+        }
+      },
+      by_status: {
+        map: function(doc) {
+          if (doc.type === 'user') {
+            emit([doc.enabled !== false, doc.email_verified === true], null);
+          }
+        },
+        reduce: '_count'
+      },
+      by_role: {
+        map: function(doc) {
+          if (doc.type === 'user' && doc.roles) {
+            doc.roles.forEach(function(role) {
+              emit(role, null);
+            });
+          }
+        },
+        reduce: '_count'
+      },
+      search_terms: {
+        map: function(doc) {
+          if (doc.type !== 'user') return;
+          var terms = {};
+          [doc.username, doc.email, doc.first_name, doc.last_name].forEach(function(value) {
+            if (typeof value !== 'string') return;
+            var lower = value.toLowerCase();
+            terms[lower] = true;
+            lower.split(/[\s@._+-]+/).forEach(function(part) {
+              if (part) terms[part] = true;
+            });
+          });
+          Object.keys(terms).forEach(function(term) {
+            emit(term, null);
+          });
+        }
+      }
+    }
+  },
+
+  // SCIM token lookups
+  scim: {
+    views: {
+      tokens_by_hash: {
+        map: function(doc) {
+          if (doc.type === 'scim_token' && doc.token_hash) {
+            emit(doc.token_hash, null);
+          }
+        }
+      },
+      tokens_by_created_at: {
+        map: function(doc) {
+          if (doc.type === 'scim_token') {
+            emit(doc.created_at, null);
+          }
+        }
+      }
+    }
+  },
+
+  // Initial access tokens for dynamic client registration
+  registration_tokens: {
+    views: {
+      by_hash: {
+        map: function(doc) {
+          if (doc.type === 'registration_token' && doc.token_hash) {
+            emit(doc.token_hash, null);
+          }
+        }
+      },
+      by_created_at: {
+        map: function(doc) {
+          if (doc.type === 'registration_token') {
+            emit(doc.created_at, null);
+          }
+        }
+      }
+    }
+  },
+
+  // API token lookups
+  api_tokens: {
+    views: {
+      by_hash: {
+        map: function(doc) {
+          if (doc.type === 'api_token' && doc.token_hash) {
+            emit(doc.token_hash, null);
+          }
+        }
+      },
+      by_owner: {
+        map: function(doc) {
+          if (doc.type === 'api_token') {
+            emit([doc.owner_username, doc.created_at], null);
+          }
+        }
+      },
+      by_created_at: {
+        map: function(doc) {
+          if (doc.type === 'api_token') {
+            emit(doc.created_at, null);
+          }
+        }
+      }
+    }
+  },
+
+  // Webhook subscriptions and the delivery log
+  webhooks: {
+    views: {
+      by_name: {
+        map: function(doc) {
+          if (doc.type === 'webhook') {
+            emit(doc.name, null);
+          }
+        }
+      },
+      by_event: {
+        map: function(doc) {
+          if (doc.type === 'webhook' && doc.enabled !== false && doc.events) {
+            doc.events.forEach(function(event) {
+              emit(event, null);
+            });
+          }
+        }
+      },
+      deliveries_by_webhook: {
+        map: function(doc) {
+          if (doc.type === 'webhook_delivery' && doc.webhook_id) {
+            emit([doc.webhook_id, doc.created_at], null);
+          }
+        }
+      },
+      pending: {
+        map: function(doc) {
+          if (doc.type === 'webhook_delivery' && doc.status === 'pending' && doc.next_attempt_at) {
+            emit([doc.instance, doc.next_attempt_at], null);
+          }
+        }
+      }
+    }
+  }
+};
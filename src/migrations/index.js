@@ -0,0 +1,19 @@
+// Data migrations, run once per database in this order by services/migrator.js after the
+// design documents are applied. Append new ones; never reorder, rename or remove one that
+// has shipped, since its id is what marks it as applied.
+//
+// Each module exports:
+//   id           - Unique and sortable, e.g. '001-normalize-field-names'
+//   description  - One line for logs and reports
+//   up(db, { dryRun }) - Does the work (or with dryRun, only reports what it would do) and
+//                  returns a summary for the report. Another instance may run the same
+//                  migration at the same moment, so it must be safe to run twice. A summary
+//                  with complete: false leaves the migration unrecorded, to run again.
+//   manual       - Optional. Skipped at startup and run by `zombie-admin migrate`, for
+//                  migrations that rewrite a lot of data and deserve a dry run first
+//   format(summary) - Optional. Report lines for the CLI
+
+module.exports = [
+  require('./001-normalize-field-names'),
+  require('./002-hash-client-secrets')
+];
@@ -1,4 +1,7 @@
 const database = require('../database');
+const auditChain = require('../services/audit-chain');
+const auditStream = require('../services/audit-stream');
+const { formatChangeValue } = require('../utils/change-diff');
 
 class Activity {
   constructor(data = {}) {
@@ -6,7 +9,7 @@ class Activity {
     this._rev = data._rev;
     this.type = 'activity';
     this.timestamp = data.timestamp || new Date().toISOString();
-    this.action = data.action; // 'login', 'logout', 'user_created', 'user_updated', 'user_disabled', 'user_deleted', 'password_reset', 'session_invalidated'
+    this.action = data.action; // 'login', 'logout', 'user_created', 'user_updated', 'user_disabled', 'user_deleted', 'password_reset', 'session_invalidated', ...
     this.username = data.username;
     this.target_user_id = data.target_user_id; // For admin actions on other users
     this.target_username = data.target_username;
@@ -14,7 +17,9 @@ class Activity {
     this.user_agent = data.user_agent;
     this.admin_user_id = data.admin_user_id; // ID of admin who performed the action
     this.admin_username = data.admin_username; // Username of admin who performed the action
+    this.api_token_id = data.api_token_id; // API token the admin's request was authenticated with, if any
     this.details = data.details; // Additional details about the action
+    this.chain = data.chain; // { instance, seq, prev_hash, hash } - see services/audit-chain.js
   }
 
   async save() {
@@ -48,7 +53,9 @@ class Activity {
       user_agent: this.user_agent,
       admin_user_id: this.admin_user_id,
       admin_username: this.admin_username,
-      details: this.details
+      api_token_id: this.api_token_id,
+      details: this.details,
+      chain: this.chain
     };
   }
 
@@ -61,11 +68,26 @@ class Activity {
       target_username: this.target_username,
       ip: this.ip,
       admin_username: this.admin_username,
+      api_token_id: this.api_token_id,
       details: this.details,
       actionType: this.getActionType()
     };
   }
 
+  // For change history panels: the entry plus its recorded field changes as display text
+  toChangeHistoryJSON() {
+    const changes = this.details && Array.isArray(this.details.changes) ? this.details.changes : [];
+    return {
+      ...this.toPublicJSON(),
+      changes: changes.map(change => ({
+        field: change.field,
+        redacted: change.redacted === true,
+        from: formatChangeValue(change.from),
+        to: formatChangeValue(change.to)
+      }))
+    };
+  }
+
   getActionType() {
     // Return Bootstrap badge type based on action
     switch (this.action) {
@@ -83,8 +105,66 @@ class Activity {
         return 'danger';
       case 'password_reset':
         return 'warning';
+      case 'password_reset_required':
+        return 'warning';
       case 'session_invalidated':
         return 'secondary';
+      case 'users_imported':
+        return 'success';
+      case 'group_created':
+        return 'success';
+      case 'group_updated':
+        return 'primary';
+      case 'group_deleted':
+        return 'danger';
+      case 'users_exported':
+        return 'info';
+      case 'users_backup_exported':
+        return 'warning';
+      case 'role_created':
+        return 'success';
+      case 'role_updated':
+        return 'primary';
+      case 'role_deleted':
+        return 'danger';
+      case 'read_only_write_denied':
+        return 'danger';
+      case 'audit_chain_verified':
+        return 'info';
+      case 'audit_log_purged':
+        return 'warning';
+      case 'migrations_run':
+        return 'warning';
+      case 'webhook_created':
+        return 'success';
+      case 'webhook_updated':
+        return 'primary';
+      case 'webhook_deleted':
+        return 'danger';
+      case 'webhook_secret_rotated':
+        return 'warning';
+      case 'webhook_redelivered':
+        return 'info';
+      case 'scim_token_created':
+        return 'success';
+      case 'scim_token_revoked':
+        return 'danger';
+      case 'api_token_created':
+        return 'success';
+      case 'api_token_revoked':
+        return 'danger';
+      case 'registration_token_created':
+        return 'success';
+      case 'registration_token_revoked':
+        return 'danger';
+      case 'client_registration_approved':
+        return 'success';
+      case 'client_registration_rejected':
+        return 'danger';
+      case 'client_secret_expiring':
+        return 'warning';
+      case 'client_secret_expired':
+        return 'danger';
       default:
         return 'secondary';
     }
@@ -114,9 +194,10 @@ class Activity {
     const db = database.getDb();
 
     try {
-      // Try to find activities where this user is the target
-      const result = await db.view('activities', 'by_target_user', {
-        key: userId,
+      // Try to find activities where this user is the target (activity_log views, see migrations/design-docs.js)
+      const result = await db.view('activity_log', 'by_target_user', {
+        startkey: [userId, {}],
+        endkey: [userId],
         include_docs: true,
         descending: true,
         limit: limit
@@ -147,6 +228,14 @@ class Activity {
     }
   }
 
+  // Entries for a user or client that recorded field changes, newest first
+  static async findChangeHistory(targetId, limit = 25) {
+    const activities = await Activity.findByUserId(targetId, limit * 4);
+    return activities
+      .filter(activity => activity.details && Array.isArray(activity.details.changes) && activity.details.changes.length > 0)
+      .slice(0, limit);
+  }
+
   static async logActivity(action, data = {}) {
     const activity = new Activity({
       action,
@@ -157,17 +246,24 @@ class Activity {
       user_agent: data.user_agent,
       admin_user_id: data.admin_user_id,
       admin_username: data.admin_username,
+      api_token_id: data.api_token_id,
       details: data.details
     });
 
     try {
-      await activity.save();
-      return activity;
+      // Saves the activity as the next link in this instance's hash chain
+      await auditChain.append(activity);
     } catch (error) {
       console.error('Failed to log activity:', error);
       // Don't throw error - activity logging shouldn't break the main functionality
       return null;
     }
+
+    // Stream to configured sinks in the background; failed deliveries are queued and retried
+    auditStream.publish(activity).catch(error => {
+      console.error('Failed to stream activity:', error);
+    });
+    return activity;
   }
 }
 
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+
+const TOKEN_PREFIX = 'zpat_';
+
+// Last-use details are written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Personal access token for the REST API. It acts as the admin who minted it, limited to
+// its scopes and to what the admin's local account holds when the token is used. Only a
+// SHA-256 hash of the token is stored; the token is shown once.
+// Revoked tokens are kept so audit entries that name them can still be traced.
+class ApiToken {
+  constructor(data = {}) {
+    this._id = data._id || `api_token:${uuidv4()}`;
+    this._rev = data._rev;
+    this.type = 'api_token';
+    this.description = data.description;
+    this.scopes = Array.isArray(data.scopes) ? data.scopes : [];
+    this.token_hash = data.token_hash;
+    this.token_hint = data.token_hint; // First characters of the token, to tell tokens apart
+    this.owner_sub = data.owner_sub;
+    this.owner_username = data.owner_username;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+    this.expires_at = data.expires_at;
+    this.last_used_at = data.last_used_at || null;
+    this.last_used_ip = data.last_used_ip || null;
+    this.last_used_request = data.last_used_request || null; // "METHOD /api/path"
+    this.revoked_at = data.revoked_at || null;
+    this.revoked_by = data.revoked_by || null;
+  }
+
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a token record and the secret token it stands for. The caller must show the
+   * token to the admin now - it cannot be recovered later.
+   * @param {Object} options - description, scopes, expiresAt (ISO string) and owner ({ sub, username })
+   * @returns {{ record: ApiToken, token: string }}
+   */
+  static issue({ description, scopes, expiresAt, owner }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = new ApiToken({
+      description,
+      scopes,
+      token_hash: ApiToken.hash(token),
+      token_hint: token.slice(0, TOKEN_PREFIX.length + 4),
+      owner_sub: owner.sub,
+      owner_username: owner.username,
+      expires_at: expiresAt
+    });
+    return { record, token };
+  }
+
+  static async findById(id) {
+    try {
+      const db = database.getDb();
+      const doc = await db.get(id);
+      return doc.type === 'api_token' ? new ApiToken(doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding API token by ID:', error);
+      throw error;
+    }
+  }
+
+  // The record for a presented bearer token, or null. Revoked and expired tokens are returned too.
+  static async findByToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    try {
+      const db = database.getDb();
+      const result = await db.view('api_tokens', 'by_hash', { key: ApiToken.hash(token), include_docs: true });
+      return result.rows.length > 0 ? new ApiToken(result.rows[0].doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding API token:', error);
+      throw error;
+    }
+  }
+
+  // Newest first; only the given owner's tokens when a username is passed
+  static async findAll(ownerUsername = null) {
+    try {
+      const db = database.getDb();
+      const result = ownerUsername
+        ? await db.view('api_tokens', 'by_owner', {
+          startkey: [ownerUsername, {}],
+          endkey: [ownerUsername],
+          descending: true,
+          include_docs: true
+        })
+        : await db.view('api_tokens', 'by_created_at', { include_docs: true, descending: true });
+      return result.rows.map(row => new ApiToken(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding API tokens:', error);
+      throw error;
+    }
+  }
+
+  get status() {
+    if (this.revoked_at) return 'revoked';
+    if (this.expires_at && Date.parse(this.expires_at) <= Date.now()) return 'expired';
+    return 'active';
+  }
+
+  isActive() {
+    return this.status === 'active';
+  }
+
+  // The identity requests made with this token act as, in the shape of a session's oidc_user.
+  // It carries no role claims: access comes from the owner's account as it is now.
+  toOidcUser() {
+    return {
+      sub: this.owner_sub,
+      username: this.owner_username,
+      api_token_id: this._id
+    };
+  }
+
+  async save() {
+    try {
+      const db = database.getDb();
+      this.updated_at = new Date().toISOString();
+      const result = await db.insert(this.toJSON());
+      this._rev = result.rev;
+      return this;
+    } catch (error) {
+      console.error('Error saving API token:', error);
+      throw error;
+    }
+  }
+
+  async revoke(revokedBy) {
+    this.revoked_at = new Date().toISOString();
+    this.revoked_by = revokedBy || null;
+    return this.save();
+  }
+
+  // Record use without a write on every request; a lost update only costs a timestamp
+  async touch(ip, request) {
+    const now = Date.now();
+    if (this.last_used_at && now - Date.parse(this.last_used_at) < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    this.last_used_at = new Date(now).toISOString();
+    this.last_used_ip = ip || null;
+    this.last_used_request = request || null;
+    try {
+      await this.save();
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        console.error('Error recording API token use:', error);
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      _rev: this._rev,
+      type: this.type,
+      description: this.description,
+      scopes: this.scopes,
+      token_hash: this.token_hash,
+      token_hint: this.token_hint,
+      owner_sub: this.owner_sub,
+      owner_username: this.owner_username,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      expires_at: this.expires_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip,
+      last_used_request: this.last_used_request,
+      revoked_at: this.revoked_at,
+      revoked_by: this.revoked_by
+    };
+  }
+
+  toPublicJSON() {
+    return {
+      id: this._id,
+      description: this.description,
+      scopes: this.scopes,
+      token_hint: this.token_hint,
+      owner_username: this.owner_username,
+      created_at: this.created_at,
+      expires_at: this.expires_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip,
+      last_used_request: this.last_used_request,
+      revoked_at: this.revoked_at,
+      revoked_by: this.revoked_by,
+      status: this.status
+    };
+  }
+}
+
+module.exports = ApiToken;
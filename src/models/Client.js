@@ -1,14 +1,73 @@
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const database = require('../database');
+const { withCanonicalFields } = require('../utils/field-names');
+const { secretEntry, secretMatches } = require('../utils/client-secrets');
+
+const REGISTRATION_TOKEN_PREFIX = 'zrat_';
+
+// How long a rotated-out secret keeps working, unless the rotation says otherwise
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+const MAX_ROTATION_OVERLAP_HOURS = 30 * 24;
+
+function rotationOverlapHours() {
+  const hours = Number(process.env.CLIENT_SECRET_ROTATION_OVERLAP_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_ROTATION_OVERLAP_HOURS;
+}
+
+// How long a secret may be used before policy says to rotate it
+const DEFAULT_SECRET_MAX_AGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function secretMaxAgeDays() {
+  const value = process.env.CLIENT_SECRET_MAX_AGE_DAYS;
+  const days = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(days) && days >= 0 ? days : DEFAULT_SECRET_MAX_AGE_DAYS;
+}
+
+// When a secret is due for rotation; secrets stored before rotate_by existed count from
+// their creation. Null when there is no maximum age.
+function rotateBy(entry) {
+  if (entry.rotate_by) {
+    return entry.rotate_by;
+  }
+  const days = secretMaxAgeDays();
+  const created = Date.parse(entry.created_at);
+  return days > 0 && Number.isFinite(created) ? new Date(created + days * DAY_MS).toISOString() : null;
+}
+
+// Name lists in a client's access policy. Empty allow lists place no restriction.
+const ACCESS_POLICY_LISTS = ['allowed_groups', 'allowed_roles', 'allowed_users', 'denied_users'];
+
+// A stored or submitted access policy with every list present, trimmed and de-duplicated
+function accessPolicy(policy) {
+  const source = policy && typeof policy === 'object' ? policy : {};
+  const normalized = {};
+  for (const list of ACCESS_POLICY_LISTS) {
+    const names = Array.isArray(source[list]) ? source[list] : [];
+    normalized[list] = [...new Set(names.filter(name => typeof name === 'string').map(name => name.trim()).filter(name => name))];
+  }
+  normalized.require_mfa = source.require_mfa === true;
+  return normalized;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return !!entry.expires_at && Date.parse(entry.expires_at) <= now;
+}
 
 class Client {
-  constructor(data = {}) {
+  constructor(input = {}) {
+    const data = withCanonicalFields('client', input); // Also reads documents with legacy camelCase fields
     this._id = data._id || `client:${uuidv4()}`;
     this._rev = data._rev;
     this.type = 'client';
     this.client_id = data.client_id || this.generateClientId();
-    this.client_secret = data.client_secret || this.generateClientSecret();
+    // Hashed secrets (utils/client-secrets.js); a new client has none until addSecret()
+    this.client_secrets = Array.isArray(data.client_secrets) ? data.client_secrets : [];
+    if (data.client_secret && this.client_secrets.length === 0) {
+      // Plaintext secret from before secrets were hashed; saving stores only its hash
+      this.client_secrets.push(secretEntry(data.client_secret, { id: 'legacy', created_at: data.created_at }));
+    }
     this.name = data.name;
     this.description = data.description;
     this.redirect_uris = data.redirect_uris || [];
@@ -20,6 +79,13 @@ class Client {
     this.created_at = data.created_at || new Date().toISOString();
     this.updated_at = data.updated_at || new Date().toISOString();
     this.metadata = data.metadata || {};
+    // Set on clients created through dynamic client registration (services/client-registration.js):
+    // { status: pending|approved, registered_at, initial_token_id, initial_token_name, approved_by, approved_at }
+    this.registration = data.registration || null;
+    // SHA-256 of the client's registration access token; kept apart so change diffs redact it
+    this.registration_access_token_hash = data.registration_access_token_hash || null;
+    // Who may sign in with this client; enforced by the Zombie server, see checkAccess()
+    this.access_policy = accessPolicy(data.access_policy);
     
     // Instance metadata for cluster tracking
     this.instance_metadata = data.instance_metadata || {
@@ -35,6 +101,207 @@ class Client {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  // CLIENT_SECRET_MAX_AGE_DAYS, 0 meaning secrets never need rotating
+  static get secretMaxAgeDays() {
+    return secretMaxAgeDays();
+  }
+
+  static get defaultRotationOverlapHours() {
+    return rotationOverlapHours();
+  }
+
+  // An overlap given by an admin, or null when it isn't a number of hours within range
+  static parseRotationOverlap(value) {
+    if (value === undefined || value === null || value === '') {
+      return rotationOverlapHours();
+    }
+    const hours = Number(value);
+    return Number.isFinite(hours) && hours >= 0 && hours <= MAX_ROTATION_OVERLAP_HOURS ? hours : null;
+  }
+
+  /**
+   * Generate a secret and store its hash. The caller must show the secret now - it
+   * cannot be recovered later.
+   * @param {Object} [options] - created_by (username), expires_at and rotate_by; rotate_by
+   *   defaults to CLIENT_SECRET_MAX_AGE_DAYS from now
+   * @returns {string} The new secret
+   */
+  addSecret(options = {}) {
+    const secret = this.generateClientSecret();
+    const days = secretMaxAgeDays();
+    const defaultRotateBy = days > 0 ? new Date(Date.now() + days * DAY_MS).toISOString() : null;
+    this.client_secrets.push(secretEntry(secret, { ...options, rotate_by: options.rotate_by || defaultRotateBy }));
+    return secret;
+  }
+
+  /**
+   * Replace the active secrets with a new one. The old ones keep working for the overlap
+   * window (or until their own earlier expiry) so deployments can switch over; secrets
+   * that have already expired are dropped.
+   * @param {Object} [options]
+   * @param {number} [options.overlapHours] - Defaults to CLIENT_SECRET_ROTATION_OVERLAP_HOURS; 0 ends them now
+   * @param {string} [options.created_by]
+   * @returns {{secret: string, previousExpireAt: string}} The new secret and when the old ones stop working
+   */
+  rotateSecret(options = {}) {
+    const now = Date.now();
+    const overlapHours = options.overlapHours ?? rotationOverlapHours();
+    const previousExpireAt = new Date(now + overlapHours * 60 * 60 * 1000).toISOString();
+
+    this.client_secrets = this.client_secrets
+      .filter(entry => !isExpired(entry, now))
+      .map(entry => (entry.expires_at && entry.expires_at < previousExpireAt
+        ? entry
+        : { ...entry, expires_at: previousExpireAt }));
+
+    return { secret: this.addSecret({ created_by: options.created_by }), previousExpireAt };
+  }
+
+  // Remove one secret so it stops working immediately. Returns false when there is no such secret.
+  revokeSecret(secretId) {
+    const count = this.client_secrets.length;
+    this.client_secrets = this.client_secrets.filter(entry => entry.id !== secretId);
+    return this.client_secrets.length < count;
+  }
+
+  activeSecrets() {
+    const now = Date.now();
+    return this.client_secrets.filter(entry => !isExpired(entry, now));
+  }
+
+  // The active secret due for rotation last. Its rotate_by is when the client's secrets
+  // expire under the rotation policy; null when no active secret has one.
+  currentSecret() {
+    let current = null;
+    for (const entry of this.activeSecrets()) {
+      const due = rotateBy(entry);
+      if (due && (!current || due > rotateBy(current))) {
+        current = entry;
+      }
+    }
+    return current;
+  }
+
+  secretRotateBy() {
+    const current = this.currentSecret();
+    return current ? rotateBy(current) : null;
+  }
+
+  // Secret details for display; never includes the hashes
+  secretSummaries() {
+    const now = Date.now();
+    return this.client_secrets.map(entry => ({
+      id: entry.id,
+      hint: entry.hint,
+      created_at: entry.created_at,
+      created_by: entry.created_by,
+      expires_at: entry.expires_at,
+      rotate_by: rotateBy(entry),
+      last_used_at: entry.last_used_at,
+      status: isExpired(entry, now) ? 'expired' : (entry.expires_at ? 'expiring' : 'active')
+    }));
+  }
+
+  // A self-registered client that no admin has approved yet. It stays disabled until then.
+  isPendingApproval() {
+    return this.registration?.status === 'pending';
+  }
+
+  /**
+   * Generate the registration access token the client uses to read, update and delete its
+   * own registration, replacing any earlier one. Only its hash is stored.
+   * @returns {string} The new token
+   */
+  issueRegistrationToken() {
+    const token = `${REGISTRATION_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    this.registration_access_token_hash = crypto.createHash('sha256').update(token).digest('hex');
+    return token;
+  }
+
+  registrationTokenMatches(token) {
+    const stored = this.registration_access_token_hash;
+    if (typeof token !== 'string' || !token.startsWith(REGISTRATION_TOKEN_PREFIX) || !stored) {
+      return false;
+    }
+    const actual = crypto.createHash('sha256').update(token).digest();
+    const expected = Buffer.from(stored, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  approveRegistration(username) {
+    this.registration = {
+      ...this.registration,
+      status: 'approved',
+      approved_by: username || null,
+      approved_at: new Date().toISOString()
+    };
+    this.enabled = true;
+  }
+
+  static normalizeAccessPolicy(policy) {
+    return accessPolicy(policy);
+  }
+
+  // Whether the policy limits sign-in to some users rather than every enabled user
+  isAccessRestricted() {
+    return ['allowed_groups', 'allowed_roles', 'allowed_users'].some(list => this.access_policy[list].length > 0);
+  }
+
+  /**
+   * Whether the policy lets a user sign in with this client. Denied users are always
+   * refused; otherwise a user is allowed by name, by any allowed group or by any allowed
+   * role, and everyone is allowed when there are no allow lists. MFA (require_mfa) is a
+   * sign-in requirement on top and is not checked here.
+   * @param {Object} user - username and enabled
+   * @param {{groups: string[], roles: string[]}} membership - The user's groups including
+   *   parent groups, and roles including those granted by groups (GroupManager.resolveMembership)
+   * @returns {{allowed: boolean, reason: string, match: string|null}} reason is one of
+   *   user_disabled, denied_user, allowed_user, allowed_group, allowed_role, unrestricted, not_allowed
+   */
+  checkAccess(user, membership = { groups: [], roles: [] }) {
+    const policy = this.access_policy;
+    const result = (allowed, reason, match = null) => ({ allowed, reason, match });
+
+    if (!user.enabled) {
+      return result(false, 'user_disabled');
+    }
+    if (policy.denied_users.includes(user.username)) {
+      return result(false, 'denied_user', user.username);
+    }
+    if (policy.allowed_users.includes(user.username)) {
+      return result(true, 'allowed_user', user.username);
+    }
+    if (!this.isAccessRestricted()) {
+      return result(true, 'unrestricted');
+    }
+
+    const group = policy.allowed_groups.find(name => membership.groups.includes(name));
+    if (group) {
+      return result(true, 'allowed_group', group);
+    }
+    const role = policy.allowed_roles.find(name => membership.roles.includes(name));
+    if (role) {
+      return result(true, 'allowed_role', role);
+    }
+    return result(false, 'not_allowed');
+  }
+
+  // Registration details for display; never includes the token hash
+  registrationSummary() {
+    if (!this.registration) {
+      return null;
+    }
+    const { status, registered_at, initial_token_id, initial_token_name, approved_by, approved_at } = this.registration;
+    return {
+      status,
+      registered_at,
+      initial_token_id: initial_token_id || null,
+      initial_token_name: initial_token_name || null,
+      approved_by: approved_by || null,
+      approved_at: approved_at || null
+    };
+  }
+
   static async findByClientId(clientId) {
     try {
       const db = database.getDb();
@@ -122,9 +389,19 @@ class Client {
     }
   }
 
-  // Validate client credentials
+  // Validate client credentials against every active secret, in constant time per secret.
+  // A match records its last use on the entry; save the client to keep it.
   validateSecret(providedSecret) {
-    return this.client_secret === providedSecret;
+    let matched = null;
+    for (const entry of this.activeSecrets()) {
+      if (secretMatches(providedSecret, entry.hash) && !matched) {
+        matched = entry;
+      }
+    }
+    if (matched) {
+      matched.last_used_at = new Date().toISOString();
+    }
+    return !!matched;
   }
 
   // Check if redirect URI is allowed
@@ -154,7 +431,7 @@ class Client {
       _rev: this._rev,
       type: this.type,
       client_id: this.client_id,
-      client_secret: this.client_secret,
+      client_secrets: this.client_secrets,
       name: this.name,
       description: this.description,
       redirect_uris: this.redirect_uris,
@@ -166,6 +443,9 @@ class Client {
       created_at: this.created_at,
       updated_at: this.updated_at,
       metadata: this.metadata,
+      registration: this.registration,
+      registration_access_token_hash: this.registration_access_token_hash,
+      access_policy: this.access_policy,
       instance_metadata: this.instance_metadata
     };
   }
@@ -182,15 +462,17 @@ class Client {
       response_types: this.response_types,
       enabled: this.enabled,
       confidential: this.confidential,
+      registration: this.registrationSummary(),
+      access_policy: this.access_policy,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
   }
 
-  // Return safe version for client credentials display (mask secret)
+  // Return safe version for client credentials display (active secret hints only)
   toSafeJSON() {
     const safe = this.toPublicJSON();
-    safe.client_secret = this.client_secret ? '••••••••' + this.client_secret.slice(-4) : null;
+    safe.client_secret = this.activeSecrets().map(entry => '••••' + entry.hint).join(', ') || null;
 
     // Include sync_status if it exists (for UI display)
     if (this.sync_status) {
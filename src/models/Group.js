@@ -0,0 +1,143 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+
+// Group names are stored on users (User.groups), so they are fixed after creation
+const GROUP_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_. -]{0,99}$/;
+
+class Group {
+  constructor(data = {}) {
+    this._id = data._id || `group:${uuidv4()}`;
+    this._rev = data._rev;
+    this.type = 'group';
+    this.name = data.name;
+    this.description = data.description;
+    this.owner = data.owner; // Username of the user responsible for the group
+    this.parent = data.parent || null; // Name of the parent group; members of this group are members of the parent too
+    this.roles = data.roles || []; // Roles granted to every member
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+    this.metadata = data.metadata || {};
+
+    // Instance tracking metadata for conflict resolution
+    this.instance_metadata = data.instance_metadata || {
+      created_by: process.env.INSTANCE_ID || 'unknown',
+      created_at: data.created_at || new Date().toISOString(),
+      last_modified_by: process.env.INSTANCE_ID || 'unknown',
+      last_modified_at: data.updated_at || new Date().toISOString(),
+      version: data.instance_metadata?.version || 1
+    };
+  }
+
+  static isValidName(name) {
+    return typeof name === 'string' && GROUP_NAME_PATTERN.test(name);
+  }
+
+  static async findById(id) {
+    try {
+      const db = database.getDb();
+      const doc = await db.get(id);
+      return doc.type === 'group' ? new Group(doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding group by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const db = database.getDb();
+      const result = await db.view('groups', 'by_name', {
+        key: name,
+        include_docs: true
+      });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Group(result.rows[0].doc);
+    } catch (error) {
+      console.error('Error finding group by name:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const db = database.getDb();
+      const result = await db.view('groups', 'by_name', { include_docs: true });
+      return result.rows.map(row => new Group(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding all groups:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      const db = database.getDb();
+      const now = new Date().toISOString();
+
+      this.updated_at = now;
+      this.instance_metadata.last_modified_by = process.env.INSTANCE_ID || 'unknown';
+      this.instance_metadata.last_modified_at = now;
+      this.instance_metadata.version = (this.instance_metadata.version || 1) + 1;
+
+      const result = await db.insert(this.toJSON());
+      this._rev = result.rev;
+      return this;
+    } catch (error) {
+      console.error('Error saving group:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      const db = database.getDb();
+      await db.destroy(this._id, this._rev);
+      return true;
+    } catch (error) {
+      console.error('Error deleting group:', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      _rev: this._rev,
+      type: this.type,
+      name: this.name,
+      description: this.description,
+      owner: this.owner,
+      parent: this.parent,
+      roles: this.roles,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      metadata: this.metadata,
+      instance_metadata: this.instance_metadata
+    };
+  }
+
+  toPublicJSON() {
+    return {
+      id: this._id,
+      name: this.name,
+      description: this.description,
+      owner: this.owner,
+      parent: this.parent,
+      roles: this.roles,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Group;
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+
+const TOKEN_PREFIX = 'zreg_';
+
+// Last-use times are written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Initial access token for dynamic client registration (RFC 7591): whoever holds one may
+// register clients at /register. Only a SHA-256 hash of the token is stored; the token
+// itself is shown once, when it is issued.
+class RegistrationToken {
+  constructor(data = {}) {
+    this._id = data._id || `registration_token:${uuidv4()}`;
+    this._rev = data._rev;
+    this.type = 'registration_token';
+    this.name = data.name;
+    this.token_hash = data.token_hash;
+    this.token_hint = data.token_hint; // First characters of the token, to tell tokens apart
+    this.approval_required = data.approval_required !== false; // Clients it registers start disabled until approved
+    this.max_registrations = data.max_registrations || null; // null for no limit
+    this.registrations = data.registrations || 0;
+    this.expires_at = data.expires_at || null;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+    this.last_used_at = data.last_used_at || null;
+    this.last_used_ip = data.last_used_ip || null;
+  }
+
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a token record and the secret token it stands for. The caller must show the
+   * token to the admin now - it cannot be recovered later.
+   * @param {Object} options - name, approvalRequired, maxRegistrations, expiresAt (ISO string) and createdBy
+   * @returns {{ record: RegistrationToken, token: string }}
+   */
+  static issue({ name, approvalRequired = true, maxRegistrations = null, expiresAt = null, createdBy }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = new RegistrationToken({
+      name,
+      token_hash: RegistrationToken.hash(token),
+      token_hint: token.slice(0, TOKEN_PREFIX.length + 4),
+      approval_required: approvalRequired,
+      max_registrations: maxRegistrations,
+      expires_at: expiresAt,
+      created_by: createdBy
+    });
+    return { record, token };
+  }
+
+  static async findById(id) {
+    try {
+      const db = database.getDb();
+      const doc = await db.get(id);
+      return doc.type === 'registration_token' ? new RegistrationToken(doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding registration token by ID:', error);
+      throw error;
+    }
+  }
+
+  // The record for a presented bearer token, or null. Expired and used-up tokens are returned too.
+  static async findByToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    try {
+      const db = database.getDb();
+      const result = await db.view('registration_tokens', 'by_hash', { key: RegistrationToken.hash(token), include_docs: true });
+      return result.rows.length > 0 ? new RegistrationToken(result.rows[0].doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding registration token:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const db = database.getDb();
+      const result = await db.view('registration_tokens', 'by_created_at', { include_docs: true, descending: true });
+      return result.rows.map(row => new RegistrationToken(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding registration tokens:', error);
+      throw error;
+    }
+  }
+
+  isExpired(now = Date.now()) {
+    return !!this.expires_at && Date.parse(this.expires_at) <= now;
+  }
+
+  isUsedUp() {
+    return this.max_registrations !== null && this.registrations >= this.max_registrations;
+  }
+
+  async save() {
+    try {
+      const db = database.getDb();
+      this.updated_at = new Date().toISOString();
+      const result = await db.insert(this.toJSON());
+      this._rev = result.rev;
+      return this;
+    } catch (error) {
+      console.error('Error saving registration token:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      const db = database.getDb();
+      await db.destroy(this._id, this._rev);
+      return true;
+    } catch (error) {
+      console.error('Error deleting registration token:', error);
+      throw error;
+    }
+  }
+
+  // Record use without a write on every request; a lost update only costs a timestamp
+  async touch(ip) {
+    const now = Date.now();
+    if (this.last_used_at && now - Date.parse(this.last_used_at) < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    this.last_used_at = new Date(now).toISOString();
+    this.last_used_ip = ip || null;
+    try {
+      await this.save();
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        console.error('Error recording registration token use:', error);
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      _rev: this._rev,
+      type: this.type,
+      name: this.name,
+      token_hash: this.token_hash,
+      token_hint: this.token_hint,
+      approval_required: this.approval_required,
+      max_registrations: this.max_registrations,
+      registrations: this.registrations,
+      expires_at: this.expires_at,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip
+    };
+  }
+
+  toPublicJSON() {
+    return {
+      id: this._id,
+      name: this.name,
+      token_hint: this.token_hint,
+      approval_required: this.approval_required,
+      max_registrations: this.max_registrations,
+      registrations: this.registrations,
+      expires_at: this.expires_at,
+      expired: this.isExpired(),
+      used_up: this.isUsedUp(),
+      created_by: this.created_by,
+      created_at: this.created_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip
+    };
+  }
+}
+
+module.exports = RegistrationToken;
@@ -0,0 +1,200 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+
+// Every permission the admin area checks, grouped by area for the roles editor
+const PERMISSIONS = {
+  'users:read': 'View users and their details',
+  'users:write': 'Create and edit users, enable and disable accounts',
+  'users:delete': 'Delete users',
+  'users:password': 'Reset passwords and require password changes',
+  'users:import': 'Bulk import users',
+  'users:export': 'Export users',
+  'users:backup': 'Export users including password hashes',
+  'groups:read': 'View groups and members',
+  'groups:write': 'Create, edit and delete groups and manage members',
+  'roles:manage': 'Create and edit roles and their permissions',
+  'clients:read': 'View OIDC clients',
+  'clients:write': 'Create, edit, enable, disable and delete clients',
+  'clients:secrets': 'See new client secrets, rotate and revoke them',
+  'clients:registration': 'Issue initial access tokens for client self-registration and approve registered clients',
+  'sessions:read': 'View sessions',
+  'sessions:revoke': 'Invalidate and delete sessions',
+  'activity:read': 'View and search the audit log',
+  'activity:purge': 'Archive and purge expired audit log entries',
+  'webhooks:read': 'View webhook subscriptions and their delivery logs',
+  'webhooks:manage': 'Create, edit and delete webhooks, see signing secrets and redeliver events',
+  'scim:manage': 'Issue and revoke SCIM provisioning tokens',
+  'api_tokens:manage': 'See and revoke every admin\'s API tokens',
+  'cluster:read': 'View replication status and conflicts',
+  'cluster:resolve': 'Resolve replication conflicts'
+};
+
+// The admin role always has every permission and cannot be edited
+const ADMIN_ROLE = 'admin';
+
+// The auditor role can view every admin page and API but never change anything;
+// holding it makes the whole admin session read-only
+const AUDITOR_ROLE = 'auditor';
+const READ_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission => permission.endsWith(':read'));
+
+// Role names are stored on users (User.roles), so they are fixed after creation
+const ROLE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,99}$/;
+
+class Role {
+  constructor(data = {}) {
+    this._id = data._id || `role:${uuidv4()}`;
+    this._rev = data._rev;
+    this.type = 'role';
+    this.name = data.name;
+    this.description = data.description;
+    this.permissions = (data.permissions || []).filter(permission => PERMISSIONS[permission]);
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+    this.metadata = data.metadata || {};
+
+    // Instance tracking metadata for conflict resolution
+    this.instance_metadata = data.instance_metadata || {
+      created_by: process.env.INSTANCE_ID || 'unknown',
+      created_at: data.created_at || new Date().toISOString(),
+      last_modified_by: process.env.INSTANCE_ID || 'unknown',
+      last_modified_at: data.updated_at || new Date().toISOString(),
+      version: data.instance_metadata?.version || 1
+    };
+  }
+
+  static get permissions() {
+    return PERMISSIONS;
+  }
+
+  static get adminRole() {
+    return ADMIN_ROLE;
+  }
+
+  static get auditorRole() {
+    return AUDITOR_ROLE;
+  }
+
+  static get readPermissions() {
+    return READ_PERMISSIONS;
+  }
+
+  static isBuiltin(name) {
+    return name === ADMIN_ROLE || name === AUDITOR_ROLE;
+  }
+
+  static isValidName(name) {
+    return typeof name === 'string' && ROLE_NAME_PATTERN.test(name) && !Role.isBuiltin(name);
+  }
+
+  static async findById(id) {
+    try {
+      const db = database.getDb();
+      const doc = await db.get(id);
+      return doc.type === 'role' ? new Role(doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding role by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    const roles = await Role.findByNames([name]);
+    return roles[0] || null;
+  }
+
+  static async findByNames(names) {
+    try {
+      const db = database.getDb();
+      const result = await db.view('roles', 'by_name', {
+        keys: names,
+        include_docs: true
+      });
+      return result.rows.filter(row => row.doc).map(row => new Role(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding roles by name:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const db = database.getDb();
+      const result = await db.view('roles', 'by_name', { include_docs: true });
+      return result.rows.map(row => new Role(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding all roles:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      const db = database.getDb();
+      const now = new Date().toISOString();
+
+      this.updated_at = now;
+      this.instance_metadata.last_modified_by = process.env.INSTANCE_ID || 'unknown';
+      this.instance_metadata.last_modified_at = now;
+      this.instance_metadata.version = (this.instance_metadata.version || 1) + 1;
+
+      const result = await db.insert(this.toJSON());
+      this._rev = result.rev;
+      return this;
+    } catch (error) {
+      console.error('Error saving role:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      const db = database.getDb();
+      await db.destroy(this._id, this._rev);
+      return true;
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      throw error;
+    }
+  }
+
+  hasPermission(permission) {
+    return this.permissions.includes(permission);
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      _rev: this._rev,
+      type: this.type,
+      name: this.name,
+      description: this.description,
+      permissions: this.permissions,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      metadata: this.metadata,
+      instance_metadata: this.instance_metadata
+    };
+  }
+
+  toPublicJSON() {
+    return {
+      id: this._id,
+      name: this.name,
+      description: this.description,
+      permissions: this.permissions,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+
+const TOKEN_PREFIX = 'zscim_';
+
+// Last-use times are written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Bearer token for the SCIM provisioning API. Only a SHA-256 hash of the token is stored;
+// the token itself is shown once, when it is issued.
+class ScimToken {
+  constructor(data = {}) {
+    this._id = data._id || `scim_token:${uuidv4()}`;
+    this._rev = data._rev;
+    this.type = 'scim_token';
+    this.name = data.name;
+    this.token_hash = data.token_hash;
+    this.token_hint = data.token_hint; // First characters of the token, to tell tokens apart
+    this.created_by = data.created_by;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+    this.last_used_at = data.last_used_at || null;
+    this.last_used_ip = data.last_used_ip || null;
+  }
+
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a token record and the secret token it stands for. The caller must show the
+   * token to the admin now - it cannot be recovered later.
+   * @returns {{ record: ScimToken, token: string }}
+   */
+  static issue(name, createdBy) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = new ScimToken({
+      name,
+      token_hash: ScimToken.hash(token),
+      token_hint: token.slice(0, TOKEN_PREFIX.length + 4),
+      created_by: createdBy
+    });
+    return { record, token };
+  }
+
+  static async findById(id) {
+    try {
+      const db = database.getDb();
+      const doc = await db.get(id);
+      return doc.type === 'scim_token' ? new ScimToken(doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding SCIM token by ID:', error);
+      throw error;
+    }
+  }
+
+  // The record for a presented bearer token, or null
+  static async findByToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    try {
+      const db = database.getDb();
+      const result = await db.view('scim', 'tokens_by_hash', { key: ScimToken.hash(token), include_docs: true });
+      return result.rows.length > 0 ? new ScimToken(result.rows[0].doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding SCIM token:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const db = database.getDb();
+      const result = await db.view('scim', 'tokens_by_created_at', { include_docs: true, descending: true });
+      return result.rows.map(row => new ScimToken(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding SCIM tokens:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      const db = database.getDb();
+      this.updated_at = new Date().toISOString();
+      const result = await db.insert(this.toJSON());
+      this._rev = result.rev;
+      return this;
+    } catch (error) {
+      console.error('Error saving SCIM token:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      const db = database.getDb();
+      await db.destroy(this._id, this._rev);
+      return true;
+    } catch (error) {
+      console.error('Error deleting SCIM token:', error);
+      throw error;
+    }
+  }
+
+  // Record use without a write on every request; a lost update only costs a timestamp
+  async touch(ip) {
+    const now = Date.now();
+    if (this.last_used_at && now - Date.parse(this.last_used_at) < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    this.last_used_at = new Date(now).toISOString();
+    this.last_used_ip = ip || null;
+    try {
+      await this.save();
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        console.error('Error recording SCIM token use:', error);
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      _rev: this._rev,
+      type: this.type,
+      name: this.name,
+      token_hash: this.token_hash,
+      token_hint: this.token_hint,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip
+    };
+  }
+
+  toPublicJSON() {
+    return {
+      id: this._id,
+      name: this.name,
+      token_hint: this.token_hint,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip
+    };
+  }
+}
+
+module.exports = ScimToken;
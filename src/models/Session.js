@@ -1,8 +1,10 @@
 const { v4: uuidv4 } = require('uuid');
 const database = require('../database');
+const { withCanonicalFields } = require('../utils/field-names');
 
 class Session {
-  constructor(data = {}) {
+  constructor(input = {}) {
+    const data = withCanonicalFields('session', input); // Also reads documents with legacy camelCase fields
     this._id = data._id || `session:${uuidv4()}`;
     this._rev = data._rev;
     this.type = 'session';
@@ -20,6 +22,10 @@ class Session {
     this.updated_at = data.updated_at || new Date().toISOString();
     this.expires_at = data.expires_at;
     this.last_accessed_at = data.last_accessed_at;
+    // Refresh token grants served for this session. Only the Zombie server writes these two;
+    // the admin UI reads them for client usage
+    this.refresh_count = Number.isInteger(data.refresh_count) && data.refresh_count > 0 ? data.refresh_count : 0;
+    this.last_refreshed_at = data.last_refreshed_at;
     
     // Instance metadata for cluster tracking
     this.instance_metadata = data.instance_metadata || {
@@ -154,6 +160,8 @@ class Session {
       updated_at: this.updated_at,
       expires_at: this.expires_at,
       last_accessed_at: this.last_accessed_at,
+      refresh_count: this.refresh_count,
+      last_refreshed_at: this.last_refreshed_at,
       instance_metadata: this.instance_metadata
     };
   }
@@ -1,9 +1,11 @@
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const database = require('../database');
+const { withCanonicalFields } = require('../utils/field-names');
 
 class User {
-  constructor(data = {}) {
+  constructor(input = {}) {
+    const data = withCanonicalFields('user', input); // Also reads documents with legacy camelCase fields
     this._id = data._id || `user:${uuidv4()}`;
     this._rev = data._rev;
     this.type = 'user';
@@ -16,6 +18,7 @@ class User {
     this.roles = data.roles || [];
     this.enabled = data.enabled !== false;
     this.email_verified = data.email_verified || false;
+    this.password_reset_required = data.password_reset_required === true; // Set by admins to force a change at next login
     this.sync_status = data.sync_status || 'synced'; // 'synced', 'conflict', 'error'
     this.created_at = data.created_at || new Date().toISOString();
     this.updated_at = data.updated_at || new Date().toISOString();
@@ -93,28 +96,77 @@ class User {
     }
   }
 
-  async save() {
+  // Returns users in the order of the given ids, with null for ids that don't exist
+  static async findByIds(ids) {
     try {
       const db = database.getDb();
-      const now = new Date().toISOString();
-      const instanceId = process.env.INSTANCE_ID || 'unknown';
+      const result = await db.fetch({ keys: ids });
+
+      return result.rows.map(row => (row.doc && row.doc.type === 'user' ? new User(row.doc) : null));
+    } catch (error) {
+      console.error('Error finding users by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByUsernames(usernames) {
+    try {
+      const db = database.getDb();
+      const result = await db.view('users', 'by_username', {
+        keys: usernames,
+        include_docs: true
+      });
+
+      return result.rows.filter(row => row.doc).map(row => new User(row.doc));
+    } catch (error) {
+      console.error('Error finding users by username:', error);
+      throw error;
+    }
+  }
+
+  static async findByEmails(emails) {
+    try {
+      const db = database.getDb();
+      const result = await db.view('users', 'by_email', {
+        keys: emails,
+        include_docs: true
+      });
+
+      return result.rows.filter(row => row.doc).map(row => new User(row.doc));
+    } catch (error) {
+      console.error('Error finding users by email:', error);
+      throw error;
+    }
+  }
+
+  // Stamp update time and instance metadata before writing
+  touch() {
+    const now = new Date().toISOString();
+    const instanceId = process.env.INSTANCE_ID || 'unknown';
+
+    this.updated_at = now;
+
+    if (!this.instance_metadata.created_by) {
+      this.instance_metadata.created_by = instanceId;
+      this.instance_metadata.created_at = this.created_at;
+    }
 
-      this.updated_at = now;
+    this.instance_metadata.last_modified_by = instanceId;
+    this.instance_metadata.last_modified_at = now;
+    this.instance_metadata.version = (this.instance_metadata.version || 1) + 1;
+  }
+
+  async save() {
+    try {
+      const db = database.getDb();
 
       // Check if this is a new user and if it should be promoted to first admin
       if (!this._rev) {
         await this.checkAndPromoteToFirstAdmin(db);
       }
 
-      // Update instance metadata
-      if (!this.instance_metadata.created_by) {
-        this.instance_metadata.created_by = instanceId;
-        this.instance_metadata.created_at = this.created_at;
-      }
-
-      this.instance_metadata.last_modified_by = instanceId;
-      this.instance_metadata.last_modified_at = now;
-      this.instance_metadata.version = (this.instance_metadata.version || 1) + 1;
+      // Update timestamps and instance metadata
+      this.touch();
 
       const result = await db.insert(this.toJSON());
       this._rev = result.rev;
@@ -125,6 +177,48 @@ class User {
     }
   }
 
+  // Save many users in one _bulk_docs request. Returns one result per user,
+  // in order, with either the new rev or the CouchDB error for that document.
+  static async bulkSave(users) {
+    try {
+      const db = database.getDb();
+
+      for (const user of users) {
+        user.touch();
+      }
+
+      const results = await db.bulk({ docs: users.map(user => user.toJSON()) });
+
+      return results.map((result, index) => {
+        if (result.ok) {
+          users[index]._rev = result.rev;
+          return { id: result.id, ok: true };
+        }
+        return { id: result.id, ok: false, error: result.reason || result.error };
+      });
+    } catch (error) {
+      console.error('Error bulk saving users:', error);
+      throw error;
+    }
+  }
+
+  // Delete many users in one _bulk_docs request, same result shape as bulkSave
+  static async bulkDelete(users) {
+    try {
+      const db = database.getDb();
+      const results = await db.bulk({
+        docs: users.map(user => ({ _id: user._id, _rev: user._rev, _deleted: true }))
+      });
+
+      return results.map(result => (result.ok
+        ? { id: result.id, ok: true }
+        : { id: result.id, ok: false, error: result.reason || result.error }));
+    } catch (error) {
+      console.error('Error bulk deleting users:', error);
+      throw error;
+    }
+  }
+
   async checkAndPromoteToFirstAdmin(db) {
     try {
       // Check if any users exist in the database
@@ -245,6 +339,7 @@ class User {
       roles: this.roles,
       enabled: this.enabled,
       email_verified: this.email_verified,
+      password_reset_required: this.password_reset_required,
       sync_status: this.sync_status,
       created_at: this.created_at,
       updated_at: this.updated_at,
@@ -265,6 +360,7 @@ class User {
       roles: this.roles,
       enabled: this.enabled,
       email_verified: this.email_verified,
+      password_reset_required: this.password_reset_required,
       sync_status: this.sync_status,
       created_at: this.created_at,
       last_login: this.last_login
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+
+// Identity lifecycle events a subscription can receive
+const EVENTS = {
+  'user.created': 'A user account was created',
+  'user.enabled': 'A user account was enabled',
+  'user.disabled': 'A user account was disabled',
+  'user.deleted': 'A user account was deleted',
+  'client.registered': 'A client registered itself through dynamic client registration',
+  'client.secret_rotated': 'An OIDC client secret was regenerated',
+  'client.secret_expiring': 'An OIDC client secret is due for rotation soon',
+  'client.secret_expired': 'An OIDC client secret is past its rotation date',
+  'session.revoked': 'One or more of a user\'s sessions were revoked'
+};
+
+// Sent by the "Send test" button; every subscription accepts it
+const PING_EVENT = 'webhook.ping';
+
+class Webhook {
+  constructor(data = {}) {
+    this._id = data._id || `webhook:${uuidv4()}`;
+    this._rev = data._rev;
+    this.type = 'webhook';
+    this.name = data.name;
+    this.url = data.url;
+    this.description = data.description;
+    this.events = (data.events || []).filter(event => EVENTS[event]);
+    this.secret = data.secret || Webhook.generateSecret();
+    this.enabled = data.enabled !== false;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+
+    // Instance tracking metadata for conflict resolution
+    this.instance_metadata = data.instance_metadata || {
+      created_by: process.env.INSTANCE_ID || 'unknown',
+      created_at: data.created_at || new Date().toISOString(),
+      last_modified_by: process.env.INSTANCE_ID || 'unknown',
+      last_modified_at: data.updated_at || new Date().toISOString(),
+      version: data.instance_metadata?.version || 1
+    };
+  }
+
+  static get events() {
+    return EVENTS;
+  }
+
+  static get pingEvent() {
+    return PING_EVENT;
+  }
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  static isValidUrl(value) {
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const db = database.getDb();
+      const doc = await db.get(id);
+      return doc.type === 'webhook' ? new Webhook(doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding webhook by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const db = database.getDb();
+      const result = await db.view('webhooks', 'by_name', { include_docs: true });
+      return result.rows.map(row => new Webhook(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding all webhooks:', error);
+      throw error;
+    }
+  }
+
+  // Enabled subscriptions that want this event
+  static async findSubscribed(event) {
+    try {
+      const db = database.getDb();
+      const result = await db.view('webhooks', 'by_event', { key: event, include_docs: true });
+      return result.rows.filter(row => row.doc).map(row => new Webhook(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding webhooks by event:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      const db = database.getDb();
+      const now = new Date().toISOString();
+
+      this.updated_at = now;
+      this.instance_metadata.last_modified_by = process.env.INSTANCE_ID || 'unknown';
+      this.instance_metadata.last_modified_at = now;
+      this.instance_metadata.version = (this.instance_metadata.version || 1) + 1;
+
+      const result = await db.insert(this.toJSON());
+      this._rev = result.rev;
+      return this;
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      const db = database.getDb();
+      await db.destroy(this._id, this._rev);
+      return true;
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  subscribesTo(event) {
+    return event === PING_EVENT || this.events.includes(event);
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      _rev: this._rev,
+      type: this.type,
+      name: this.name,
+      url: this.url,
+      description: this.description,
+      events: this.events,
+      secret: this.secret,
+      enabled: this.enabled,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      instance_metadata: this.instance_metadata
+    };
+  }
+
+  // The signing secret is left out; pages that may show it add it themselves
+  toPublicJSON() {
+    return {
+      id: this._id,
+      name: this.name,
+      url: this.url,
+      description: this.description,
+      events: this.events,
+      enabled: this.enabled,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Webhook;
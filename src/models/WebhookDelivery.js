@@ -0,0 +1,136 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+
+// One event sent to one webhook: the payload plus every attempt to deliver it.
+// status is pending until a 2xx response (succeeded) or the last retry fails (failed).
+class WebhookDelivery {
+  constructor(data = {}) {
+    this._id = data._id || `webhook_delivery:${uuidv4()}`;
+    this._rev = data._rev;
+    this.type = 'webhook_delivery';
+    this.webhook_id = data.webhook_id;
+    this.event = data.event;
+    this.event_id = data.event_id;
+    this.payload = data.payload;
+    this.status = data.status || 'pending';
+    this.attempts = data.attempts || [];
+    this.next_attempt_at = data.next_attempt_at || null;
+    this.redelivery_of = data.redelivery_of || null;
+    // Only the instance that created a delivery retries it, so replicas never double-send
+    this.instance = data.instance || process.env.INSTANCE_ID || 'unknown';
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || new Date().toISOString();
+  }
+
+  static async findById(id) {
+    try {
+      const db = database.getDb();
+      const doc = await db.get(id);
+      return doc.type === 'webhook_delivery' ? new WebhookDelivery(doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error finding webhook delivery by ID:', error);
+      throw error;
+    }
+  }
+
+  // Newest deliveries for one webhook
+  static async findByWebhook(webhookId, limit = 50) {
+    try {
+      const db = database.getDb();
+      const result = await db.view('webhooks', 'deliveries_by_webhook', {
+        startkey: [webhookId, {}],
+        endkey: [webhookId],
+        descending: true,
+        include_docs: true,
+        limit
+      });
+      return result.rows.map(row => new WebhookDelivery(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Pending deliveries created by this instance whose next retry is due
+  static async findDue(instance, now = new Date().toISOString(), limit = 100) {
+    try {
+      const db = database.getDb();
+      const result = await db.view('webhooks', 'pending', {
+        startkey: [instance],
+        endkey: [instance, now],
+        include_docs: true,
+        limit
+      });
+      return result.rows.map(row => new WebhookDelivery(row.doc));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      console.error('Error finding due webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      const db = database.getDb();
+      this.updated_at = new Date().toISOString();
+      const result = await db.insert(this.toJSON());
+      this._rev = result.rev;
+      return this;
+    } catch (error) {
+      console.error('Error saving webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  get lastAttempt() {
+    return this.attempts[this.attempts.length - 1] || null;
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      _rev: this._rev,
+      type: this.type,
+      webhook_id: this.webhook_id,
+      event: this.event,
+      event_id: this.event_id,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      next_attempt_at: this.next_attempt_at,
+      redelivery_of: this.redelivery_of,
+      instance: this.instance,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+
+  toPublicJSON() {
+    const last = this.lastAttempt;
+    return {
+      id: this._id,
+      webhook_id: this.webhook_id,
+      event: this.event,
+      event_id: this.event_id,
+      status: this.status,
+      attempts: this.attempts,
+      attempt_count: this.attempts.length,
+      status_code: last ? last.status_code : null,
+      error: last ? last.error : null,
+      next_attempt_at: this.status === 'pending' ? this.next_attempt_at : null,
+      redelivery_of: this.redelivery_of,
+      instance: this.instance,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,57 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Audit retention page JavaScript loaded');
+
+    // Handle preview and archive & purge buttons
+    document.querySelectorAll('[data-action="run-retention"]').forEach(button => {
+        button.addEventListener('click', function() {
+            runRetention(this.dataset.dryRun === 'true', this);
+        });
+    });
+});
+
+async function runRetention(dryRun, button) {
+    if (!dryRun) {
+        // Check for cluster isolation before proceeding
+        const proceedWithAction = () => {
+            return confirm('Archive and permanently remove every activity entry past its retention period?');
+        };
+
+        if (typeof window.checkClusterIsolationBeforeAction === 'function') {
+            if (!window.checkClusterIsolationBeforeAction('purge audit log', proceedWithAction)) {
+                return;
+            }
+        } else if (!proceedWithAction()) {
+            return;
+        }
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/api/audit/retention/run', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': window.csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ dryRun })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            const count = result.run.archived;
+            const message = dryRun
+                ? `Preview: ${count} entries would be archived and purged`
+                : `Archived and purged ${count} entries`;
+            location.href = `/admin/activity/retention?message=${encodeURIComponent(message)}&messageType=success`;
+        } else {
+            alert('Error: ' + result.error);
+            button.disabled = false;
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+        button.disabled = false;
+    }
+}
@@ -0,0 +1,11 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Activity page JavaScript loaded');
+
+    // Changing the page size reloads the first page with the same filters
+    const pageSizeSelect = document.querySelector('[data-action="change-page-size"]');
+    if (pageSizeSelect) {
+        pageSizeSelect.addEventListener('change', function() {
+            this.form.submit();
+        });
+    }
+});
@@ -0,0 +1,331 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('API docs page JavaScript loaded');
+
+    const container = document.getElementById('apiOperations');
+    if (container) {
+        loadSpec(container);
+    }
+
+    const filter = document.getElementById('apiDocsFilter');
+    if (filter) {
+        filter.addEventListener('input', function() {
+            filterOperations(this.value);
+        });
+    }
+});
+
+const METHOD_STYLES = {
+    get: 'bg-success',
+    post: 'bg-primary',
+    put: 'bg-info text-dark',
+    patch: 'bg-warning text-dark',
+    delete: 'bg-danger'
+};
+
+// Response headers worth showing next to the body
+const SHOWN_HEADERS = ['etag', 'location', 'link', 'www-authenticate'];
+
+// Build an element; text is always set with textContent so spec content is never parsed as HTML
+function el(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+async function loadSpec(container) {
+    try {
+        const response = await fetch(container.dataset.specUrl, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        renderSpec(container, await response.json());
+    } catch (error) {
+        container.replaceChildren();
+        const alert = document.getElementById('apiDocsError');
+        alert.textContent = 'Could not load the API description: ' + error.message;
+        alert.style.display = 'block';
+    }
+}
+
+function renderSpec(container, spec) {
+    container.replaceChildren();
+    const baseUrl = spec.servers && spec.servers[0] ? spec.servers[0].url : '';
+
+    for (const tag of spec.tags) {
+        const card = el('div', 'card mb-3 api-tag');
+        const header = el('div', 'card-header');
+        header.appendChild(el('h6', 'card-title mb-0', tag.name));
+        card.appendChild(header);
+
+        const list = el('div', 'list-group list-group-flush');
+        for (const [path, item] of Object.entries(spec.paths)) {
+            for (const [method, operation] of Object.entries(item)) {
+                if (operation.tags.includes(tag.name)) {
+                    list.appendChild(renderOperation(spec, baseUrl, path, method, operation));
+                }
+            }
+        }
+        card.appendChild(list);
+        container.appendChild(card);
+    }
+}
+
+function renderOperation(spec, baseUrl, path, method, operation) {
+    const wrapper = el('div', 'list-group-item api-operation');
+    wrapper.dataset.search = `${method} ${path} ${operation.summary}`.toLowerCase();
+
+    const bodyId = `op-${operation.operationId}`;
+    const toggle = el('button', 'btn btn-link text-decoration-none text-reset w-100 text-start p-0 d-flex align-items-center gap-2');
+    toggle.type = 'button';
+    toggle.setAttribute('data-bs-toggle', 'collapse');
+    toggle.setAttribute('data-bs-target', `#${bodyId}`);
+    toggle.appendChild(el('span', `badge ${METHOD_STYLES[method] || 'bg-secondary'} text-uppercase`, method));
+    toggle.appendChild(el('code', 'text-break', path));
+    toggle.appendChild(el('span', 'text-muted small ms-auto', operation.summary));
+    wrapper.appendChild(toggle);
+
+    const body = el('div', 'collapse pt-3');
+    body.id = bodyId;
+
+    if (operation.description) {
+        const description = el('p', 'small mb-2', operation.description);
+        description.style.whiteSpace = 'pre-line';
+        body.appendChild(description);
+    }
+
+    const form = el('form');
+    const inputs = {};
+    for (const parameter of operation.parameters || []) {
+        inputs[parameter.name] = renderParameter(form, operation.operationId, parameter);
+    }
+
+    let bodyInput = null;
+    if (operation.requestBody) {
+        const schema = operation.requestBody.content['application/json'].schema;
+        const group = el('div', 'mb-2');
+        const label = el('label', 'form-label small mb-1', 'Request body (JSON)');
+        bodyInput = el('textarea', 'form-control form-control-sm font-monospace');
+        bodyInput.id = `${bodyId}-body`;
+        bodyInput.rows = 8;
+        bodyInput.value = JSON.stringify(exampleFor(spec, schema), null, 2);
+        label.htmlFor = bodyInput.id;
+        group.append(label, bodyInput, renderSchema(spec, 'Body schema', schema));
+        form.appendChild(group);
+    }
+
+    const send = el('button', 'btn btn-sm btn-primary');
+    send.type = 'submit';
+    send.appendChild(el('i', 'bi bi-send'));
+    send.append(' Send');
+    form.appendChild(send);
+
+    const output = el('div', 'mt-3');
+    form.addEventListener('submit', function(event) {
+        event.preventDefault();
+        sendRequest(baseUrl, path, method, operation, inputs, bodyInput, send, output);
+    });
+
+    body.appendChild(form);
+    body.appendChild(output);
+    body.appendChild(renderResponses(spec, operation));
+    wrapper.appendChild(body);
+    return wrapper;
+}
+
+function renderParameter(form, operationId, parameter) {
+    const group = el('div', 'row g-2 align-items-center mb-2');
+    const labelColumn = el('div', 'col-md-3');
+    const label = el('label', 'col-form-label col-form-label-sm');
+    label.appendChild(el('code', null, parameter.name));
+    label.append(` ${parameter.in}${parameter.required ? ' (required)' : ''}`);
+    labelColumn.appendChild(label);
+
+    const inputColumn = el('div', 'col-md-9');
+    let input;
+    if (parameter.schema && parameter.schema.enum) {
+        input = el('select', 'form-select form-select-sm');
+        input.appendChild(el('option', null, ''));
+        for (const value of parameter.schema.enum) {
+            input.appendChild(el('option', null, String(value)));
+        }
+    } else {
+        input = el('input', 'form-control form-control-sm');
+        input.type = 'text';
+        input.placeholder = parameter.description || (parameter.schema && parameter.schema.type) || '';
+    }
+    input.id = `op-${operationId}-${parameter.in}-${parameter.name}`;
+    input.required = !!parameter.required;
+    label.htmlFor = input.id;
+    inputColumn.appendChild(input);
+
+    group.append(labelColumn, inputColumn);
+    form.appendChild(group);
+    return { parameter, input };
+}
+
+// Follow a '#/components/...' reference
+function resolveRef(spec, ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+}
+
+// The schema with its references replaced by what they point to, for display
+function inlineRefs(spec, schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(item => inlineRefs(spec, item));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    if (schema.$ref) {
+        return inlineRefs(spec, resolveRef(spec, schema.$ref));
+    }
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, inlineRefs(spec, value)]));
+}
+
+function renderSchema(spec, title, schema) {
+    const details = el('details', 'mt-1');
+    details.appendChild(el('summary', 'small text-muted', title));
+    details.appendChild(el('pre', 'small bg-light border rounded p-2 mb-0', JSON.stringify(inlineRefs(spec, schema), null, 2)));
+    return details;
+}
+
+function renderResponses(spec, operation) {
+    const details = el('details', 'mt-3');
+    details.appendChild(el('summary', 'small text-muted', 'Responses'));
+    const list = el('ul', 'small mb-0');
+    for (const [status, entry] of Object.entries(operation.responses)) {
+        const response = entry.$ref ? resolveRef(spec, entry.$ref) : entry;
+        const item = el('li');
+        item.appendChild(el('code', null, status));
+        item.append(' ' + response.description);
+        const content = response.content && response.content['application/json'];
+        if (content) {
+            item.appendChild(renderSchema(spec, 'Schema', content.schema));
+        }
+        list.appendChild(item);
+    }
+    details.appendChild(list);
+    return details;
+}
+
+// A starting point for a request body: every field, with a value of the right type
+function exampleFor(spec, schema) {
+    if (schema.$ref) {
+        return exampleFor(spec, resolveRef(spec, schema.$ref));
+    }
+    if (schema.enum) {
+        return schema.enum[0];
+    }
+
+    switch (schema.type) {
+        case 'object': {
+            const example = {};
+            for (const [name, property] of Object.entries(schema.properties || {})) {
+                if (name !== '_rev') {
+                    example[name] = exampleFor(spec, property);
+                }
+            }
+            return example;
+        }
+        case 'array':
+            return schema.items ? [exampleFor(spec, schema.items)] : [];
+        case 'boolean':
+            return true;
+        case 'integer':
+        case 'number':
+            return 0;
+        case 'string':
+            if (schema.format === 'email') return 'user@example.com';
+            if (schema.format === 'uri') return 'https://app.example.com/callback';
+            return '';
+        default:
+            return null;
+    }
+}
+
+async function sendRequest(baseUrl, path, method, operation, inputs, bodyInput, button, output) {
+    output.replaceChildren();
+
+    let url = baseUrl + path;
+    const query = new URLSearchParams();
+    const headers = { 'X-CSRF-Token': window.csrfToken };
+
+    for (const { parameter, input } of Object.values(inputs)) {
+        const value = input.value.trim();
+        if (!value) continue;
+        if (parameter.in === 'path') {
+            url = url.replace(`{${parameter.name}}`, encodeURIComponent(value));
+        } else if (parameter.in === 'query') {
+            query.set(parameter.name, value);
+        } else if (parameter.in === 'header') {
+            headers[parameter.name] = value;
+        }
+    }
+    if (query.toString()) {
+        url += '?' + query.toString();
+    }
+
+    let body;
+    if (bodyInput) {
+        try {
+            body = JSON.stringify(JSON.parse(bodyInput.value));
+        } catch (error) {
+            output.appendChild(el('div', 'alert alert-warning small mb-0', 'The request body is not valid JSON: ' + error.message));
+            return;
+        }
+        headers['Content-Type'] = 'application/json';
+    }
+
+    button.disabled = true;
+    try {
+        const response = await fetch(url, {
+            method: method.toUpperCase(),
+            headers,
+            credentials: 'same-origin',
+            cache: 'no-store',
+            body
+        });
+        const text = await response.text();
+        renderResult(output, `${method.toUpperCase()} ${url}`, response, text);
+    } catch (error) {
+        output.appendChild(el('div', 'alert alert-danger small mb-0', 'Network error: ' + error.message));
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function renderResult(output, request, response, text) {
+    const style = response.ok ? 'text-success' : 'text-danger';
+    const status = el('div', 'small mb-1');
+    status.appendChild(el('strong', style, `${response.status} ${response.statusText}`));
+    status.append(' ');
+    status.appendChild(el('code', 'text-muted', request));
+    output.appendChild(status);
+
+    const shown = SHOWN_HEADERS
+        .filter(name => response.headers.has(name))
+        .map(name => `${name}: ${response.headers.get(name)}`);
+    if (shown.length) {
+        output.appendChild(el('pre', 'small bg-light border rounded p-2 mb-1', shown.join('\n')));
+    }
+
+    let pretty = text;
+    try {
+        pretty = text ? JSON.stringify(JSON.parse(text), null, 2) : '(no body)';
+    } catch (error) {
+        // Not JSON; show it as sent
+    }
+    output.appendChild(el('pre', 'small bg-light border rounded p-2 mb-0', pretty));
+}
+
+function filterOperations(text) {
+    const needle = text.trim().toLowerCase();
+    document.querySelectorAll('.api-operation').forEach(operation => {
+        operation.style.display = !needle || operation.dataset.search.includes(needle) ? '' : 'none';
+    });
+    document.querySelectorAll('.api-tag').forEach(tag => {
+        const visible = Array.from(tag.querySelectorAll('.api-operation')).some(operation => operation.style.display !== 'none');
+        tag.style.display = visible ? '' : 'none';
+    });
+}
@@ -0,0 +1,112 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('API tokens page JavaScript loaded');
+
+    const form = document.getElementById('apiTokenForm');
+    if (form) {
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            createToken(form);
+        });
+    }
+
+    // Handle revoke token buttons
+    document.querySelectorAll('[data-action="revoke-token"]').forEach(button => {
+        button.addEventListener('click', function() {
+            revokeToken(this.dataset.tokenId, this.dataset.tokenDescription);
+        });
+    });
+
+    document.querySelectorAll('[data-action="copy-token"]').forEach(button => {
+        button.addEventListener('click', function() {
+            copyToken(this);
+        });
+    });
+});
+
+async function callTokenApi(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': window.csrfToken
+        },
+        credentials: 'same-origin',
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return response.json();
+}
+
+async function createToken(form) {
+    const scopes = Array.from(form.querySelectorAll('input[name="scopes"]:checked')).map(input => input.value);
+    if (scopes.length === 0) {
+        alert('Select at least one scope');
+        return;
+    }
+
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const result = await callTokenApi('/api/tokens', 'POST', {
+            description: document.getElementById('apiTokenDescription').value,
+            scopes,
+            expires_in_days: document.getElementById('apiTokenExpiry').value
+        });
+
+        if (result.success) {
+            // Show the token in place; reloading the page would lose it for good
+            document.getElementById('newApiTokenValue').value = result.token;
+            document.getElementById('newApiToken').style.display = 'block';
+            form.reset();
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function revokeToken(tokenId, description) {
+    // Check for cluster isolation before proceeding
+    const proceedWithAction = () => {
+        return confirm(`Are you sure you want to revoke the API token "${description}"? Requests using it are refused immediately.`);
+    };
+
+    if (typeof window.checkClusterIsolationBeforeAction === 'function') {
+        if (!window.checkClusterIsolationBeforeAction('revoke API token', proceedWithAction)) {
+            return;
+        }
+    } else if (!proceedWithAction()) {
+        return;
+    }
+
+    try {
+        const result = await callTokenApi(`/api/tokens/${encodeURIComponent(tokenId)}`, 'DELETE');
+
+        if (result.success) {
+            location.href = '/admin/api-tokens?message=API token revoked&messageType=success';
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+function copyToken(button) {
+    const token = document.getElementById('newApiTokenValue');
+
+    navigator.clipboard.writeText(token.value).then(function() {
+        // Show temporary success feedback
+        const originalHTML = button.innerHTML;
+        button.innerHTML = '<i class="bi bi-check"></i>';
+        setTimeout(() => {
+            button.innerHTML = originalHTML;
+        }, 1000);
+    }).catch(function(err) {
+        console.error('Could not copy text: ', err);
+        alert('Failed to copy to clipboard');
+    });
+}
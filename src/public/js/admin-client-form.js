@@ -26,10 +26,23 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
     
-    // Handle toggle secret buttons
-    document.querySelectorAll('[data-action="toggle-secret"]').forEach(button => {
+    // Handle approve and reject buttons for self-registered clients
+    document.querySelectorAll('[data-action="approve-registration"]').forEach(button => {
+        button.addEventListener('click', function() {
+            approveRegistration(this.dataset.clientId);
+        });
+    });
+    
+    document.querySelectorAll('[data-action="reject-registration"]').forEach(button => {
+        button.addEventListener('click', function() {
+            rejectRegistration(this.dataset.clientId);
+        });
+    });
+    
+    // Handle revoke secret buttons
+    document.querySelectorAll('[data-action="revoke-secret"]').forEach(button => {
         button.addEventListener('click', function(e) {
-            toggleSecret();
+            revokeClientSecret(this.dataset.clientId, this.dataset.secretId);
         });
     });
     
@@ -43,7 +56,13 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 async function regenerateClientSecret(clientId) {
-    if (!confirm('Are you sure you want to regenerate the client secret? The old secret will stop working immediately.')) {
+    // The overlap field is on the details page; elsewhere the server default applies
+    const overlapInput = document.getElementById('rotationOverlapHours');
+    const overlapHours = overlapInput ? overlapInput.value : '';
+    const keepMessage = overlapHours === '0'
+        ? 'The current secret will stop working immediately.'
+        : `The current secret will keep working for ${overlapHours || 'the default number of'} hours.`;
+    if (!confirm(`Are you sure you want to rotate the client secret? ${keepMessage}`)) {
         return;
     }
     
@@ -54,16 +73,42 @@ async function regenerateClientSecret(clientId) {
                 'Content-Type': 'application/json',
                 'X-CSRF-Token': window.csrfToken
             },
-            credentials: 'same-origin'
+            credentials: 'same-origin',
+            body: JSON.stringify({ overlap_hours: overlapHours })
         });
         
         const result = await response.json();
         
         if (result.success) {
             alert(`New client secret: ${result.clientSecret}\n\nPlease save this secret now - it will not be shown again!`);
-            // Update the displayed secret
-            document.getElementById('clientSecret').textContent = result.clientSecret;
-            document.getElementById('maskedSecret').textContent = '••••••••' + result.clientSecret.slice(-4);
+            location.reload();
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+async function revokeClientSecret(clientId, secretId) {
+    if (!confirm('Are you sure you want to revoke this secret? Applications still using it will fail immediately.')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/clients/${encodeURIComponent(clientId)}/secrets/${encodeURIComponent(secretId)}`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': window.csrfToken
+            },
+            credentials: 'same-origin'
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            location.reload();
         } else {
             alert('Error: ' + result.error);
         }
@@ -128,50 +173,57 @@ async function toggleClient(clientId, enabled) {
     }
 }
 
-function toggleSecret() {
-    const secret = document.getElementById('clientSecret');
-    const masked = document.getElementById('maskedSecret');
-    const copyBtn = document.getElementById('copySecretBtn');
-    const toggleBtn = document.querySelector('[data-action="toggle-secret"]');
-    const toggleIcon = document.getElementById('toggleIcon');
-    
-    if (!secret || !masked || !toggleBtn) {
-        console.error('Required elements not found for toggleSecret');
+async function approveRegistration(clientId) {
+    if (!confirm('Approve this client? It will be enabled and can sign users in.')) {
         return;
     }
     
-    if (secret.style.display === 'none') {
-        secret.style.display = 'inline';
-        masked.style.display = 'none';
+    try {
+        const response = await fetch(`/api/clients/${encodeURIComponent(clientId)}/approve`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': window.csrfToken
+            },
+            credentials: 'same-origin'
+        });
         
-        // Handle client-details page layout (with text buttons)
-        if (toggleBtn.innerHTML.includes('Show') || toggleBtn.innerHTML.includes('Hide')) {
-            toggleBtn.innerHTML = '<i class="bi bi-eye-slash"></i> Hide';
-        }
-        // Handle client-form page layout (with icon only)
-        if (toggleIcon) {
-            toggleIcon.className = 'bi bi-eye-slash';
-        }
+        const result = await response.json();
         
-        if (copyBtn) {
-            copyBtn.style.display = 'inline-block';
+        if (result.success) {
+            location.reload();
+        } else {
+            alert('Error: ' + result.error);
         }
-    } else {
-        secret.style.display = 'none';
-        masked.style.display = 'inline';
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+async function rejectRegistration(clientId) {
+    if (!confirm('Reject this client? Its registration will be deleted.')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/clients/${encodeURIComponent(clientId)}/reject`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': window.csrfToken
+            },
+            credentials: 'same-origin'
+        });
         
-        // Handle client-details page layout (with text buttons)
-        if (toggleBtn.innerHTML.includes('Show') || toggleBtn.innerHTML.includes('Hide')) {
-            toggleBtn.innerHTML = '<i class="bi bi-eye"></i> Show';
-        }
-        // Handle client-form page layout (with icon only)
-        if (toggleIcon) {
-            toggleIcon.className = 'bi bi-eye';
-        }
+        const result = await response.json();
         
-        if (copyBtn) {
-            copyBtn.style.display = 'none';
+        if (result.success) {
+            window.location.href = '/admin/clients?message=Client registration rejected&messageType=success';
+        } else {
+            alert('Error: ' + result.error);
         }
+    } catch (error) {
+        alert('Network error: ' + error.message);
     }
 }
 
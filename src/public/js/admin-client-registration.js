@@ -0,0 +1,162 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Client registration page JavaScript loaded');
+
+    const form = document.getElementById('registrationTokenForm');
+    if (form) {
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            issueToken(form);
+        });
+    }
+
+    // Handle revoke token buttons
+    document.querySelectorAll('[data-action="revoke-token"]').forEach(button => {
+        button.addEventListener('click', function() {
+            revokeToken(this.dataset.tokenId, this.dataset.tokenName);
+        });
+    });
+
+    document.querySelectorAll('[data-action="copy-token"]').forEach(button => {
+        button.addEventListener('click', function() {
+            copyToken(this);
+        });
+    });
+
+    // Handle approve and reject buttons for pending clients
+    document.querySelectorAll('[data-action="approve-client"]').forEach(button => {
+        button.addEventListener('click', function() {
+            approveClient(this.dataset.clientId, this.dataset.clientName);
+        });
+    });
+
+    document.querySelectorAll('[data-action="reject-client"]').forEach(button => {
+        button.addEventListener('click', function() {
+            rejectClient(this.dataset.clientId, this.dataset.clientName);
+        });
+    });
+});
+
+async function callRegistrationApi(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': window.csrfToken
+        },
+        credentials: 'same-origin',
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return response.json();
+}
+
+async function issueToken(form) {
+    const nameInput = document.getElementById('registrationTokenName');
+    const expiryInput = document.getElementById('registrationTokenExpiry');
+    const limitInput = document.getElementById('registrationTokenLimit');
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const result = await callRegistrationApi('/api/registration/tokens', 'POST', {
+            name: nameInput.value,
+            expires_in_days: expiryInput.value,
+            max_registrations: limitInput.value,
+            approval_required: document.getElementById('registrationTokenApproval').checked
+        });
+
+        if (result.success) {
+            // Show the token in place; reloading the page would lose it for good
+            document.getElementById('newRegistrationTokenValue').value = result.token;
+            document.getElementById('newRegistrationToken').style.display = 'block';
+            nameInput.value = '';
+            expiryInput.value = '';
+            limitInput.value = '';
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Confirm, allowing for the cluster isolation check other admin pages use
+function confirmAction(actionName, message) {
+    const proceedWithAction = () => confirm(message);
+
+    if (typeof window.checkClusterIsolationBeforeAction === 'function') {
+        return window.checkClusterIsolationBeforeAction(actionName, proceedWithAction);
+    }
+    return proceedWithAction();
+}
+
+async function revokeToken(tokenId, tokenName) {
+    if (!confirmAction('revoke registration token', `Are you sure you want to revoke the initial access token "${tokenName}"? No more clients can register with it; clients it registered keep working.`)) {
+        return;
+    }
+
+    try {
+        const result = await callRegistrationApi(`/api/registration/tokens/${encodeURIComponent(tokenId)}`, 'DELETE');
+
+        if (result.success) {
+            location.href = '/admin/clients/registration?message=Initial access token revoked&messageType=success';
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+async function approveClient(clientId, clientName) {
+    if (!confirmAction('approve client', `Approve "${clientName}"? The client is enabled and can sign users in.`)) {
+        return;
+    }
+
+    try {
+        const result = await callRegistrationApi(`/api/clients/${encodeURIComponent(clientId)}/approve`, 'POST');
+
+        if (result.success) {
+            location.href = '/admin/clients/registration?message=Client approved&messageType=success';
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+async function rejectClient(clientId, clientName) {
+    if (!confirmAction('reject client', `Reject "${clientName}"? Its registration is deleted.`)) {
+        return;
+    }
+
+    try {
+        const result = await callRegistrationApi(`/api/clients/${encodeURIComponent(clientId)}/reject`, 'POST');
+
+        if (result.success) {
+            location.href = '/admin/clients/registration?message=Client registration rejected&messageType=success';
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+function copyToken(button) {
+    const token = document.getElementById('newRegistrationTokenValue');
+
+    navigator.clipboard.writeText(token.value).then(function() {
+        // Show temporary success feedback
+        const originalHTML = button.innerHTML;
+        button.innerHTML = '<i class="bi bi-check"></i>';
+        setTimeout(() => {
+            button.innerHTML = originalHTML;
+        }, 1000);
+    }).catch(function(err) {
+        console.error('Could not copy text: ', err);
+        alert('Failed to copy to clipboard');
+    });
+}
@@ -57,7 +57,7 @@ async function toggleClient(clientId, enabled) {
 }
 
 async function regenerateClientSecret(clientId) {
-    if (!confirm('Are you sure you want to regenerate the client secret? The old secret will stop working immediately.')) {
+    if (!confirm('Are you sure you want to rotate the client secret? The current secret will keep working for the default overlap period.')) {
         return;
     }
     
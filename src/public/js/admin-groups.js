@@ -0,0 +1,91 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Groups page JavaScript loaded');
+
+    // Handle delete group buttons
+    document.querySelectorAll('[data-action="delete-group"]').forEach(button => {
+        button.addEventListener('click', function() {
+            deleteGroup(this.dataset.groupId, this.dataset.groupName, parseInt(this.dataset.memberCount, 10) || 0);
+        });
+    });
+
+    // Handle remove member buttons
+    document.querySelectorAll('[data-action="remove-member"]').forEach(button => {
+        button.addEventListener('click', function() {
+            removeMember(this.dataset.groupId, this.dataset.userId, this.dataset.username);
+        });
+    });
+
+    const addMemberForm = document.getElementById('addMemberForm');
+    if (addMemberForm) {
+        addMemberForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            addMember(this.dataset.groupId, this.elements.username.value.trim());
+        });
+    }
+});
+
+async function groupRequest(url, method, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': window.csrfToken
+            },
+            credentials: 'same-origin',
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            alert('Error: ' + result.error);
+        }
+        return result;
+    } catch (error) {
+        alert('Network error: ' + error.message);
+        return { success: false };
+    }
+}
+
+async function deleteGroup(groupId, groupName, memberCount) {
+    const memberNote = memberCount > 0 ? ` It will be removed from ${memberCount} member(s).` : '';
+
+    // Check for cluster isolation before proceeding
+    const proceedWithAction = () => {
+        return confirm(`Are you sure you want to delete the group "${groupName}"?${memberNote} This cannot be undone.`);
+    };
+
+    if (typeof window.checkClusterIsolationBeforeAction === 'function') {
+        if (!window.checkClusterIsolationBeforeAction('delete group', proceedWithAction)) {
+            return;
+        }
+    } else if (!proceedWithAction()) {
+        return;
+    }
+
+    const result = await groupRequest(`/api/groups/${encodeURIComponent(groupId)}`, 'DELETE');
+    if (result.success) {
+        window.location.href = '/admin/groups';
+    }
+}
+
+async function addMember(groupId, username) {
+    if (!username) return;
+
+    const result = await groupRequest(`/api/groups/${encodeURIComponent(groupId)}/members`, 'POST', { username });
+    if (result.success) {
+        location.reload();
+    }
+}
+
+async function removeMember(groupId, userId, username) {
+    if (!confirm(`Remove ${username} from this group?`)) {
+        return;
+    }
+
+    const result = await groupRequest(`/api/groups/${encodeURIComponent(groupId)}/members/${encodeURIComponent(userId)}`, 'DELETE');
+    if (result.success) {
+        location.reload();
+    }
+}
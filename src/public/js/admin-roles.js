@@ -0,0 +1,48 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Roles page JavaScript loaded');
+
+    // Handle delete role buttons
+    document.querySelectorAll('[data-action="delete-role"]').forEach(button => {
+        button.addEventListener('click', function() {
+            deleteRole(this.dataset.roleId, this.dataset.roleName, parseInt(this.dataset.userCount, 10) || 0);
+        });
+    });
+});
+
+async function deleteRole(roleId, roleName, userCount) {
+    const userNote = userCount > 0 ? ` ${userCount} user(s) still hold it and will lose its permissions.` : '';
+
+    // Check for cluster isolation before proceeding
+    const proceedWithAction = () => {
+        return confirm(`Are you sure you want to delete the role "${roleName}"?${userNote} This cannot be undone.`);
+    };
+
+    if (typeof window.checkClusterIsolationBeforeAction === 'function') {
+        if (!window.checkClusterIsolationBeforeAction('delete role', proceedWithAction)) {
+            return;
+        }
+    } else if (!proceedWithAction()) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/roles/${encodeURIComponent(roleId)}`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': window.csrfToken
+            },
+            credentials: 'same-origin'
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            location.reload();
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
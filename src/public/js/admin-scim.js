@@ -0,0 +1,103 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('SCIM page JavaScript loaded');
+
+    const form = document.getElementById('scimTokenForm');
+    if (form) {
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            issueToken(form);
+        });
+    }
+
+    // Handle revoke token buttons
+    document.querySelectorAll('[data-action="revoke-token"]').forEach(button => {
+        button.addEventListener('click', function() {
+            revokeToken(this.dataset.tokenId, this.dataset.tokenName);
+        });
+    });
+
+    document.querySelectorAll('[data-action="copy-token"]').forEach(button => {
+        button.addEventListener('click', function() {
+            copyToken(this);
+        });
+    });
+});
+
+async function callScimApi(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': window.csrfToken
+        },
+        credentials: 'same-origin',
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return response.json();
+}
+
+async function issueToken(form) {
+    const nameInput = document.getElementById('scimTokenName');
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const result = await callScimApi('/api/scim/tokens', 'POST', { name: nameInput.value });
+
+        if (result.success) {
+            // Show the token in place; reloading the page would lose it for good
+            document.getElementById('newScimTokenValue').value = result.token;
+            document.getElementById('newScimToken').style.display = 'block';
+            nameInput.value = '';
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function revokeToken(tokenId, tokenName) {
+    // Check for cluster isolation before proceeding
+    const proceedWithAction = () => {
+        return confirm(`Are you sure you want to revoke the SCIM token "${tokenName}"? Provisioning with it stops immediately.`);
+    };
+
+    if (typeof window.checkClusterIsolationBeforeAction === 'function') {
+        if (!window.checkClusterIsolationBeforeAction('revoke SCIM token', proceedWithAction)) {
+            return;
+        }
+    } else if (!proceedWithAction()) {
+        return;
+    }
+
+    try {
+        const result = await callScimApi(`/api/scim/tokens/${encodeURIComponent(tokenId)}`, 'DELETE');
+
+        if (result.success) {
+            location.href = '/admin/scim?message=SCIM token revoked&messageType=success';
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+function copyToken(button) {
+    const token = document.getElementById('newScimTokenValue');
+
+    navigator.clipboard.writeText(token.value).then(function() {
+        // Show temporary success feedback
+        const originalHTML = button.innerHTML;
+        button.innerHTML = '<i class="bi bi-check"></i>';
+        setTimeout(() => {
+            button.innerHTML = originalHTML;
+        }, 1000);
+    }).catch(function(err) {
+        console.error('Could not copy text: ', err);
+        alert('Failed to copy to clipboard');
+    });
+}
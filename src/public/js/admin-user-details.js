@@ -176,7 +176,7 @@ function displayUserSessions(sessions) {
                     ? '<span class="badge bg-warning">Expired</span>'
                     : '<span class="badge bg-secondary">Inactive</span>';
             
-            const actions = session.active && !session.isExpired
+            const actions = session.active && !session.isExpired && !window.adminReadOnly
                 ? `<button class="btn btn-sm btn-outline-danger" data-action="invalidate-session" data-session-id="${session.id}">
                      <i class="bi bi-x-circle"></i> Invalidate
                    </button>`
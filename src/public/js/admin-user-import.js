@@ -0,0 +1,124 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('User import JavaScript loaded');
+
+    const dataField = document.getElementById('importData');
+    const commitButton = document.getElementById('commitImportBtn');
+
+    // Load the chosen file into the data field
+    document.getElementById('importFile').addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function() {
+            dataField.value = reader.result;
+            commitButton.disabled = true;
+        };
+        reader.readAsText(file);
+    });
+
+    // Any edit invalidates the previous preview
+    ['importData', 'format', 'onExisting'].forEach(id => {
+        document.getElementById(id).addEventListener('input', function() {
+            commitButton.disabled = true;
+        });
+    });
+
+    document.querySelector('[data-action="preview-import"]').addEventListener('click', function() {
+        runImport(true);
+    });
+
+    commitButton.addEventListener('click', function() {
+        if (!confirm('Import these users now?')) {
+            return;
+        }
+        runImport(false);
+    });
+});
+
+async function runImport(dryRun) {
+    const commitButton = document.getElementById('commitImportBtn');
+
+    try {
+        const response = await fetch('/api/users/import', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': window.csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({
+                data: document.getElementById('importData').value,
+                format: document.getElementById('format').value,
+                onExisting: document.getElementById('onExisting').value,
+                dryRun
+            })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            renderImportResults(result);
+            // Only allow committing a preview that has something to write
+            commitButton.disabled = !dryRun || (result.summary.create + result.summary.update) === 0;
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === undefined || value === null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') return '<em class="text-muted">empty</em>';
+    if (Array.isArray(value)) return escapeHtml(value.join(', ') || '-');
+    return escapeHtml(value);
+}
+
+function renderImportResults(result) {
+    const badges = { create: 'success', update: 'primary', skip: 'secondary', error: 'danger' };
+    const summary = result.summary;
+
+    document.getElementById('importResultsCard').style.display = '';
+    document.getElementById('importResultsTitle').textContent = result.dryRun
+        ? `Preview (${result.format.toUpperCase()}, nothing written yet)`
+        : `Import complete (${result.format.toUpperCase()})`;
+    document.getElementById('importSummary').innerHTML = `
+        <span class="badge bg-success">${summary.create} create</span>
+        <span class="badge bg-primary">${summary.update} update</span>
+        <span class="badge bg-secondary">${summary.skip} skip</span>
+        <span class="badge bg-danger">${summary.error} error</span>
+    `;
+
+    document.getElementById('importNotices').innerHTML = result.ignoredColumns.length > 0
+        ? `<div class="alert alert-warning alert-permanent py-2">Ignored unknown columns: ${escapeHtml(result.ignoredColumns.join(', '))}</div>`
+        : '';
+
+    document.getElementById('importResultsBody').innerHTML = result.rows.map(row => {
+        let details = '';
+        if (row.errors.length > 0) {
+            details = row.errors.map(error => `<div class="text-danger">${escapeHtml(error.field)}: ${escapeHtml(error.message)}</div>`).join('');
+        } else if (row.changes.length > 0) {
+            details = row.changes.map(change => row.action === 'update'
+                ? `<div><code>${escapeHtml(change.field)}</code>: ${formatValue(change.from)} → ${formatValue(change.to)}</div>`
+                : `<div><code>${escapeHtml(change.field)}</code>: ${formatValue(change.to)}</div>`).join('');
+        } else if (row.note) {
+            details = `<span class="text-muted">${escapeHtml(row.note)}</span>`;
+        }
+
+        return `
+            <tr>
+                <td class="text-muted">${row.row}</td>
+                <td>${escapeHtml(row.username || '')}</td>
+                <td><span class="badge bg-${badges[row.action]}">${row.action}</span></td>
+                <td class="small">${details}</td>
+            </tr>
+        `;
+    }).join('');
+}
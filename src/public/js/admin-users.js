@@ -1,3 +1,4 @@
+/* global bootstrap */
 document.addEventListener('DOMContentLoaded', function() {
     console.log('Users page JavaScript loaded');
     
@@ -26,6 +27,74 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
     
+    // Reload the list when the page size changes
+    const pageSizeSelect = document.querySelector('[data-action="change-page-size"]');
+    if (pageSizeSelect) {
+        pageSizeSelect.addEventListener('change', function() {
+            this.form.submit();
+        });
+    }
+
+    // Multi-select and bulk actions
+    document.querySelectorAll('[data-action="select-user"]').forEach(checkbox => {
+        checkbox.addEventListener('change', updateBulkActionBar);
+    });
+
+    const selectAll = document.querySelector('[data-action="select-all-users"]');
+    if (selectAll) {
+        selectAll.addEventListener('change', function() {
+            document.querySelectorAll('[data-action="select-user"]').forEach(checkbox => {
+                checkbox.checked = this.checked;
+            });
+            updateBulkActionBar();
+        });
+    }
+
+    const bulkAction = document.getElementById('bulkAction');
+    if (bulkAction) {
+        bulkAction.addEventListener('change', function() {
+            const needsValue = this.selectedOptions[0].dataset.needsValue;
+            const valueInput = document.getElementById('bulkValue');
+            valueInput.style.display = needsValue ? '' : 'none';
+            valueInput.placeholder = needsValue === 'group' ? 'Group name' : 'Role name';
+        });
+
+        document.querySelector('[data-action="apply-bulk"]').addEventListener('click', applyBulkAction);
+        document.querySelector('[data-action="clear-selection"]').addEventListener('click', function() {
+            document.querySelectorAll('[data-action="select-user"], [data-action="select-all-users"]').forEach(checkbox => {
+                checkbox.checked = false;
+            });
+            updateBulkActionBar();
+        });
+
+        // Results change the list, so reload once they have been reviewed
+        document.getElementById('bulkResultsModal').addEventListener('hidden.bs.modal', function() {
+            location.reload();
+        });
+    }
+
+    // Export modal
+    const exportButton = document.querySelector('[data-action="show-export"]');
+    if (exportButton) {
+        exportButton.addEventListener('click', function() {
+            new bootstrap.Modal(document.getElementById('exportUsersModal')).show();
+        });
+
+        // Backup mode is only offered to admins allowed to export password hashes
+        const exportBackup = document.getElementById('exportBackup');
+        if (exportBackup) {
+            exportBackup.addEventListener('change', function() {
+                document.getElementById('exportBackupPassword').style.display = this.checked ? '' : 'none';
+                document.getElementById('exportFieldsGroup').style.display = this.checked ? 'none' : '';
+            });
+        }
+
+        document.getElementById('exportUsersForm').addEventListener('submit', function(e) {
+            e.preventDefault();
+            exportUsers(this);
+        });
+    }
+
     // Handle invalidate session buttons in modal (dynamically created)
     document.addEventListener('click', function(e) {
         if (e.target.matches('[data-action="invalidate-session"]')) {
@@ -77,7 +146,7 @@ async function showUserSessions(userId) {
                                     ${statusBadge}
                                 </div>
                             </div>
-                            ${session.active ? `
+                            ${session.active && !window.adminReadOnly ? `
                                 <div class="mt-2">
                                     <button class="btn btn-sm btn-outline-danger" data-action="invalidate-session" data-session-id="${session.id}">
                                         <i class="bi bi-x-circle"></i> Invalidate
@@ -173,6 +242,159 @@ async function deleteUser(userId) {
     }
 }
 
+function getSelectedUsers() {
+    return Array.from(document.querySelectorAll('[data-action="select-user"]:checked')).map(checkbox => ({
+        id: checkbox.value,
+        username: checkbox.dataset.username
+    }));
+}
+
+function updateBulkActionBar() {
+    const selected = getSelectedUsers();
+    const all = document.querySelectorAll('[data-action="select-user"]');
+    const selectAll = document.querySelector('[data-action="select-all-users"]');
+
+    document.getElementById('bulkActionBar').classList.toggle('d-none', selected.length === 0);
+    document.getElementById('bulkSelectedCount').textContent = `${selected.length} selected`;
+    selectAll.checked = selected.length > 0 && selected.length === all.length;
+    selectAll.indeterminate = selected.length > 0 && selected.length < all.length;
+}
+
+async function applyBulkAction() {
+    const select = document.getElementById('bulkAction');
+    const action = select.value;
+    const selected = getSelectedUsers();
+
+    if (!action) {
+        alert('Choose an action first');
+        return;
+    }
+
+    const needsValue = select.selectedOptions[0].dataset.needsValue;
+    const value = document.getElementById('bulkValue').value.trim();
+    if (needsValue && !value) {
+        alert(`Enter a ${needsValue} name`);
+        return;
+    }
+
+    const label = select.selectedOptions[0].textContent.toLowerCase() + (needsValue ? ` "${value}"` : '');
+    const proceedWithAction = () => {
+        const warning = action === 'delete' ? ' This cannot be undone.' : '';
+        return confirm(`Apply "${label}" to ${selected.length} user(s)?${warning}`);
+    };
+
+    if (typeof window.checkClusterIsolationBeforeAction === 'function') {
+        if (!window.checkClusterIsolationBeforeAction(`bulk ${label}`, proceedWithAction)) {
+            return;
+        }
+    } else if (!proceedWithAction()) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/users/bulk', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': window.csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ action, value, ids: selected.map(user => user.id) })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showBulkResults(result);
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+function showBulkResults(result) {
+    const badges = { ok: 'success', skipped: 'secondary', error: 'danger' };
+    const escape = value => {
+        const div = document.createElement('div');
+        div.textContent = value || '';
+        return div.innerHTML;
+    };
+
+    document.getElementById('bulkResultsContent').innerHTML = `
+        <p>
+            <span class="badge bg-success">${result.summary.ok} done</span>
+            <span class="badge bg-secondary">${result.summary.skipped} skipped</span>
+            <span class="badge bg-danger">${result.summary.error} failed</span>
+        </p>
+        <table class="table table-sm">
+            <thead><tr><th>User</th><th>Result</th><th>Details</th></tr></thead>
+            <tbody>
+                ${result.results.map(item => `
+                    <tr>
+                        <td>${escape(item.username || item.id)}</td>
+                        <td><span class="badge bg-${badges[item.status]}">${item.status}</span></td>
+                        <td class="small">${escape(item.message || (item.count !== undefined ? `${item.count} session(s) invalidated` : ''))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    new bootstrap.Modal(document.getElementById('bulkResultsModal')).show();
+}
+
+async function exportUsers(form) {
+    const backupInput = form.querySelector('#exportBackup');
+    const backup = backupInput ? backupInput.checked : false;
+    const filtered = form.querySelector('input[name="scope"]:checked').value === 'filtered';
+    const params = new URLSearchParams(filtered ? form.dataset.filterQuery : '');
+
+    params.set('format', form.querySelector('#exportFormat').value);
+    if (filtered) {
+        params.set('scope', 'filtered');
+    }
+
+    if (backup) {
+        // Password hashes are only released after confirming the admin's password
+        try {
+            const response = await fetch('/api/users/export/reauth', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': window.csrfToken
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ password: form.querySelector('#exportPassword').value })
+            });
+
+            const result = await response.json();
+            if (!result.success) {
+                alert('Error: ' + result.error);
+                return;
+            }
+        } catch (error) {
+            alert('Network error: ' + error.message);
+            return;
+        }
+
+        params.set('mode', 'backup');
+        form.querySelector('#exportPassword').value = '';
+    } else {
+        const fields = Array.from(form.querySelectorAll('input[name="fields"]:checked')).map(input => input.value);
+        if (fields.length === 0) {
+            alert('Select at least one field to export');
+            return;
+        }
+        params.set('fields', fields.join(','));
+    }
+
+    // Navigate to the export so the browser streams it straight to a download
+    window.location.href = `/api/users/export?${params}`;
+    bootstrap.Modal.getInstance(document.getElementById('exportUsersModal')).hide();
+}
+
 async function invalidateSessionFromModal(sessionId) {
     if (!confirm('Are you sure you want to invalidate this session?')) {
         return;
@@ -0,0 +1,182 @@
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Webhooks page JavaScript loaded');
+
+    // Handle delete webhook buttons (list and details pages)
+    document.querySelectorAll('[data-action="delete-webhook"]').forEach(button => {
+        button.addEventListener('click', function() {
+            deleteWebhook(this.dataset.webhookId, this.dataset.webhookName);
+        });
+    });
+
+    // Handle send test event button
+    document.querySelectorAll('[data-action="test-webhook"]').forEach(button => {
+        button.addEventListener('click', function() {
+            testWebhook(this.dataset.webhookId, this);
+        });
+    });
+
+    // Handle rotate secret button
+    document.querySelectorAll('[data-action="rotate-secret"]').forEach(button => {
+        button.addEventListener('click', function() {
+            rotateSecret(this.dataset.webhookId);
+        });
+    });
+
+    // Handle redeliver buttons in the delivery log
+    document.querySelectorAll('[data-action="redeliver"]').forEach(button => {
+        button.addEventListener('click', function() {
+            redeliver(this.dataset.deliveryId, this);
+        });
+    });
+
+    // Handle show/hide and copy secret buttons
+    document.querySelectorAll('[data-action="toggle-secret"]').forEach(button => {
+        button.addEventListener('click', function() {
+            toggleSecret(this);
+        });
+    });
+
+    document.querySelectorAll('[data-action="copy-secret"]').forEach(button => {
+        button.addEventListener('click', function() {
+            copySecret(this);
+        });
+    });
+});
+
+async function postWebhookApi(url, method = 'POST') {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': window.csrfToken
+        },
+        credentials: 'same-origin'
+    });
+    return response.json();
+}
+
+function deliveryMessage(delivery) {
+    if (delivery.status === 'succeeded') {
+        return `Delivered - receiver responded ${delivery.status_code}`;
+    }
+    return `Delivery failed (${delivery.error}) - it will be retried automatically`;
+}
+
+async function deleteWebhook(webhookId, webhookName) {
+    // Check for cluster isolation before proceeding
+    const proceedWithAction = () => {
+        return confirm(`Are you sure you want to delete the webhook "${webhookName}"? It will receive no more events and pending retries stop.`);
+    };
+
+    if (typeof window.checkClusterIsolationBeforeAction === 'function') {
+        if (!window.checkClusterIsolationBeforeAction('delete webhook', proceedWithAction)) {
+            return;
+        }
+    } else if (!proceedWithAction()) {
+        return;
+    }
+
+    try {
+        const result = await postWebhookApi(`/api/webhooks/${encodeURIComponent(webhookId)}`, 'DELETE');
+
+        if (result.success) {
+            location.href = '/admin/webhooks?message=Webhook deleted successfully&messageType=success';
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+async function testWebhook(webhookId, button) {
+    button.disabled = true;
+
+    try {
+        const result = await postWebhookApi(`/api/webhooks/${encodeURIComponent(webhookId)}/test`);
+
+        if (result.success) {
+            const messageType = result.delivery.status === 'succeeded' ? 'success' : 'warning';
+            location.href = `${location.pathname}?message=${encodeURIComponent('Test event: ' + deliveryMessage(result.delivery))}&messageType=${messageType}`;
+        } else {
+            alert('Error: ' + result.error);
+            button.disabled = false;
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+async function rotateSecret(webhookId) {
+    if (!confirm('Are you sure you want to rotate the signing secret? Receivers must switch to the new secret to keep verifying requests.')) {
+        return;
+    }
+
+    try {
+        const result = await postWebhookApi(`/api/webhooks/${encodeURIComponent(webhookId)}/rotate-secret`);
+
+        if (result.success) {
+            location.href = `${location.pathname}?message=Signing secret rotated&messageType=success`;
+        } else {
+            alert('Error: ' + result.error);
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+    }
+}
+
+async function redeliver(deliveryId, button) {
+    if (!confirm('Send this event to the webhook again? Receivers see the same event ID as the original delivery.')) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const result = await postWebhookApi(`/api/webhooks/deliveries/${encodeURIComponent(deliveryId)}/redeliver`);
+
+        if (result.success) {
+            const messageType = result.delivery.status === 'succeeded' ? 'success' : 'warning';
+            location.href = `${location.pathname}?message=${encodeURIComponent('Redelivery: ' + deliveryMessage(result.delivery))}&messageType=${messageType}`;
+        } else {
+            alert('Error: ' + result.error);
+            button.disabled = false;
+        }
+    } catch (error) {
+        alert('Network error: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+function toggleSecret(button) {
+    const secret = document.getElementById('webhookSecret');
+    const masked = document.getElementById('maskedSecret');
+    if (!secret || !masked) {
+        return;
+    }
+
+    const showing = secret.style.display !== 'none';
+    secret.style.display = showing ? 'none' : 'inline';
+    masked.style.display = showing ? 'inline' : 'none';
+    button.innerHTML = showing ? '<i class="bi bi-eye"></i> Show' : '<i class="bi bi-eye-slash"></i> Hide';
+}
+
+function copySecret(button) {
+    const secret = document.getElementById('webhookSecret');
+    if (!secret) {
+        return;
+    }
+
+    navigator.clipboard.writeText(secret.textContent).then(function() {
+        // Show temporary success feedback
+        const originalHTML = button.innerHTML;
+        button.innerHTML = '<i class="bi bi-check"></i>';
+        setTimeout(() => {
+            button.innerHTML = originalHTML;
+        }, 1000);
+    }).catch(function(err) {
+        console.error('Could not copy text: ', err);
+        alert('Failed to copy to clipboard');
+    });
+}
@@ -4,15 +4,211 @@ const Session = require('../models/Session');
 const Activity = require('../models/Activity');
 const Client = require('../models/Client');
 const database = require('../database');
-const oidcAuth = require('../middleware/oidc-auth');
+const { requirePermission, hasPermission, clearPermissionCache } = require('../middleware/permissions');
+const { requireSession } = require('../middleware/api-token-auth');
 const { getClientIp } = require('../utils/ip-helper');
+const { diffFields } = require('../utils/change-diff');
 const ConflictDetector = require('../services/conflict-detector');
 const ClusterHealth = require('../services/cluster-health');
+const UserImport = require('../services/user-import');
+const UserExport = require('../services/user-export');
+const UserDirectory = require('../services/user-directory');
+const UserBulkActions = require('../services/user-bulk-actions');
+const Group = require('../models/Group');
+const GroupManager = require('../services/group-manager');
+const Role = require('../models/Role');
+const Webhook = require('../models/Webhook');
+const ScimToken = require('../models/ScimToken');
+const RegistrationToken = require('../models/RegistrationToken');
+const ApiToken = require('../models/ApiToken');
+const { TOKEN_EXPIRY_DAYS } = require('../services/api-token-manager');
+const auditChain = require('../services/audit-chain');
+const auditRetention = require('../services/audit-retention');
+const auditStream = require('../services/audit-stream');
+const webhookDispatcher = require('../services/webhook-dispatcher');
+const openapi = require('../services/openapi');
+
+// How long a password confirmation unlocks a single backup export
+const BACKUP_REAUTH_WINDOW_MS = 2 * 60 * 1000;
+
+// Backup exports are unlocked by a password confirmation kept in the browser session
+const BACKUP_SESSION_ERROR = 'Backup exports need a signed-in browser session';
+const isBackupExport = req => req.query.mode === 'backup';
 
 const router = express.Router();
 
+// Group membership can carry roles, so handing it out or taking it away is gated like a role change
+async function grantsRoles(groupName) {
+  const membership = await new GroupManager().resolveMembership([groupName]);
+  return membership.roles.length > 0;
+}
+
 // User API endpoints
-router.post('/users/:id/toggle', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+// Bulk user import - dryRun returns the plan without writing anything
+router.post('/users/import', requirePermission('users:import'), async (req, res) => {
+  try {
+    const { data, format, onExisting } = req.body;
+    const dryRun = req.body.dryRun !== false;
+
+    const userImport = new UserImport({ format, onExisting, actor: req.oidc_user, request: req });
+    let plan;
+    try {
+      plan = await userImport.plan(data);
+    } catch (parseError) {
+      return res.json({ success: false, error: parseError.message });
+    }
+
+    if (!dryRun) {
+      await userImport.commit(plan);
+
+      const summary = UserImport.summarize(plan);
+      await Activity.logActivity('users_imported', {
+        admin_user_id: req.oidc_user?.sub,
+        admin_username: req.oidc_user?.username,
+        api_token_id: req.oidc_user?.api_token_id,
+        ip: getClientIp(req),
+        user_agent: req.headers['user-agent'],
+        details: {
+          format: plan.format,
+          onExisting: userImport.onExisting,
+          created: summary.create,
+          updated: summary.update,
+          skipped: summary.skip,
+          failed: summary.error
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      dryRun,
+      format: plan.format,
+      ignoredColumns: plan.ignoredColumns,
+      summary: UserImport.summarize(plan),
+      rows: UserImport.toPublicRows(plan)
+    });
+  } catch (error) {
+    console.error('Import users error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Confirm the admin's own password before a backup export (which includes password hashes)
+router.post('/users/export/reauth', requireSession(BACKUP_SESSION_ERROR), requirePermission('users:backup'), async (req, res) => {
+  try {
+    const admin = req.oidc_user ? await User.findByUsername(req.oidc_user.username) : null;
+    const valid = admin && typeof req.body.password === 'string' && await admin.verifyPassword(req.body.password);
+
+    if (!valid) {
+      delete req.session.backup_export_reauth_at;
+      return res.json({ success: false, error: 'Password is incorrect' });
+    }
+
+    req.session.backup_export_reauth_at = Date.now();
+    res.json({ success: true, expiresIn: BACKUP_REAUTH_WINDOW_MS / 1000 });
+  } catch (error) {
+    console.error('Export re-authentication error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Stream users as CSV, JSON or NDJSON. Accepts the same filter parameters as the users list.
+router.get('/users/export', requireSession(BACKUP_SESSION_ERROR, isBackupExport), requirePermission('users:export'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!UserExport.isValidFormat(format)) {
+      return res.status(400).json({ success: false, error: 'Format must be csv, json or ndjson' });
+    }
+
+    const backup = isBackupExport(req);
+    if (backup && !hasPermission(req, 'users:backup')) {
+      return res.status(403).json({ success: false, error: 'You need the \'users:backup\' permission to do this.' });
+    }
+    if (backup) {
+      // A password confirmation is good for one backup within the window
+      const reauthAt = req.session.backup_export_reauth_at;
+      delete req.session.backup_export_reauth_at;
+      if (!reauthAt || Date.now() - reauthAt > BACKUP_REAUTH_WINDOW_MS) {
+        return res.status(403).json({ success: false, error: 'Backup exports require password confirmation' });
+      }
+    }
+
+    const filtered = req.query.scope === 'filtered';
+    const query = UserDirectory.parseQuery(filtered ? req.query : {});
+    const userExport = new UserExport({ format, fields: req.query.fields, backup });
+
+    const userDirectory = new UserDirectory();
+    await userDirectory.initialize();
+
+    res.setHeader('Content-Type', userExport.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${userExport.filename()}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const { count, completed } = await userExport.writeTo(res, userDirectory.iterateUsers(query));
+
+    await Activity.logActivity(backup ? 'users_backup_exported' : 'users_exported', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: {
+        format,
+        fields: userExport.fields,
+        filters: filtered ? UserDirectory.toQueryString(query).slice(1) : null,
+        count,
+        completed
+      }
+    });
+  } catch (error) {
+    console.error('Export users error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+// Apply one action to many users; each user gets its own result and audit entry
+router.post('/users/bulk', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { action, ids, value } = req.body;
+
+    const validationError = UserBulkActions.validate({ action, ids, value });
+    if (validationError) {
+      return res.json({ success: false, error: validationError });
+    }
+
+    const permission = UserBulkActions.permissionFor(action);
+    if (!hasPermission(req, permission)) {
+      return res.status(403).json({ success: false, error: `You need the '${permission}' permission to do this.` });
+    }
+    if ((action === 'add_group' || action === 'remove_group') && !hasPermission(req, 'roles:manage') && await grantsRoles(value.trim())) {
+      const change = action === 'add_group' ? 'Adding members to' : 'Removing members from';
+      return res.status(403).json({ success: false, error: `${change} a group that grants roles requires the 'roles:manage' permission.` });
+    }
+
+    const bulkActions = new UserBulkActions({
+      action,
+      value,
+      admin: req.oidc_user,
+      audit: {
+        ip: getClientIp(req),
+        user_agent: req.headers['user-agent']
+      }
+    });
+    const results = await bulkActions.run(ids);
+    clearPermissionCache();
+
+    res.json({ success: true, action, summary: UserBulkActions.summarize(results), results });
+  } catch (error) {
+    console.error('Bulk user action error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.post('/users/:id/toggle', requirePermission('users:write'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const user = await User.findById(userId);
@@ -25,6 +221,7 @@ router.post('/users/:id/toggle', oidcAuth.requireOidcAuth('admin'), async (req,
       return res.json({ success: false, error: 'Cannot disable yourself' });
     }
     
+    const before = user.toJSON();
     user.enabled = req.body.enabled;
     await user.save();
     
@@ -34,10 +231,16 @@ router.post('/users/:id/toggle', oidcAuth.requireOidcAuth('admin'), async (req,
       target_user_id: user._id,
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
       ip: getClientIp(req),
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(before, user.toJSON()) }
     });
     
+    if (before.enabled !== user.enabled) {
+      webhookDispatcher.userChanged(user.enabled ? 'user.enabled' : 'user.disabled', user, req.oidc_user);
+    }
+    
     res.json({ success: true });
   } catch (error) {
     console.error('Toggle user error:', error);
@@ -45,7 +248,7 @@ router.post('/users/:id/toggle', oidcAuth.requireOidcAuth('admin'), async (req,
   }
 });
 
-router.delete('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.delete('/users/:id', requirePermission('users:delete'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const user = await User.findById(userId);
@@ -64,11 +267,13 @@ router.delete('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res)
       target_user_id: user._id,
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
       ip: getClientIp(req),
       user_agent: req.headers['user-agent']
     });
     
     await user.delete();
+    webhookDispatcher.userChanged('user.deleted', user, req.oidc_user);
     res.json({ success: true });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -76,7 +281,7 @@ router.delete('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res)
   }
 });
 
-router.post('/users/:id/password', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/users/:id/password', requirePermission('users:password'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const user = await User.findById(userId);
@@ -89,6 +294,7 @@ router.post('/users/:id/password', oidcAuth.requireOidcAuth('admin'), async (req
       return res.json({ success: false, error: 'Password must be at least 6 characters' });
     }
     
+    const before = user.toJSON();
     user.password_hash = await User.hashPassword(password);
     await user.save();
     
@@ -98,8 +304,10 @@ router.post('/users/:id/password', oidcAuth.requireOidcAuth('admin'), async (req
       target_user_id: user._id,
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
       ip: getClientIp(req),
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(before, user.toJSON()) }
     });
     
     res.json({ success: true });
@@ -109,7 +317,7 @@ router.post('/users/:id/password', oidcAuth.requireOidcAuth('admin'), async (req
   }
 });
 
-router.get('/users/:id/sessions', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/users/:id/sessions', requirePermission('sessions:read'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const sessions = await Session.findByUserId(userId);
@@ -126,28 +334,455 @@ router.get('/users/:id/sessions', oidcAuth.requireOidcAuth('admin'), async (req,
   }
 });
 
-router.post('/users/:id/sessions/invalidate', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/users/:id/sessions/invalidate', requirePermission('sessions:revoke'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const sessions = await Session.findByUserId(userId);
     
-    let count = 0;
+    const revoked = [];
     for (const session of sessions) {
       if (session.active) {
         await session.invalidate();
-        count++;
+        revoked.push(session._id);
       }
     }
     
-    res.json({ success: true, count });
+    webhookDispatcher.sessionsRevoked(userId, revoked, 'admin_invalidated', req.oidc_user);
+    
+    res.json({ success: true, count: revoked.length });
   } catch (error) {
     console.error('Invalidate user sessions error:', error);
     res.json({ success: false, error: error.message });
   }
 });
 
+// Group API endpoints
+router.delete('/groups/:id', requirePermission('groups:write'), async (req, res) => {
+  try {
+    const group = await Group.findById(decodeURIComponent(req.params.id));
+    if (!group) {
+      return res.json({ success: false, error: 'Group not found' });
+    }
+    // Deleting the group takes its roles away from every member
+    if (!hasPermission(req, 'roles:manage') && await grantsRoles(group.name)) {
+      return res.status(403).json({ success: false, error: 'Deleting a group that grants roles requires the \'roles:manage\' permission.' });
+    }
+
+    const groupManager = new GroupManager();
+    await groupManager.initialize();
+    const removedMembers = await groupManager.deleteGroup(group);
+    clearPermissionCache();
+
+    await Activity.logActivity('group_deleted', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { group: group.name, removed_members: removedMembers }
+    });
+
+    res.json({ success: true, removedMembers });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.post('/groups/:id/members', requirePermission('groups:write'), async (req, res) => {
+  try {
+    const group = await Group.findById(decodeURIComponent(req.params.id));
+    if (!group) {
+      return res.json({ success: false, error: 'Group not found' });
+    }
+
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    const user = username ? await User.findByUsername(username) : null;
+    if (!user) {
+      return res.json({ success: false, error: 'User not found' });
+    }
+    if (user.hasGroup(group.name)) {
+      return res.json({ success: false, error: `${user.username} is already a member` });
+    }
+    if (!hasPermission(req, 'roles:manage') && await grantsRoles(group.name)) {
+      return res.status(403).json({ success: false, error: 'Adding members to a group that grants roles requires the \'roles:manage\' permission.' });
+    }
+
+    const before = user.toJSON();
+    user.addGroup(group.name);
+    await user.save();
+    clearPermissionCache();
+
+    await Activity.logActivity('user_updated', {
+      target_username: user.username,
+      target_user_id: user._id,
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { group_added: group.name, changes: diffFields(before, user.toJSON()) }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Add group member error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/groups/:id/members/:userId', requirePermission('groups:write'), async (req, res) => {
+  try {
+    const group = await Group.findById(decodeURIComponent(req.params.id));
+    if (!group) {
+      return res.json({ success: false, error: 'Group not found' });
+    }
+
+    const user = await User.findById(decodeURIComponent(req.params.userId));
+    if (!user || !user.hasGroup(group.name)) {
+      return res.json({ success: false, error: 'User is not a member of this group' });
+    }
+    if (!hasPermission(req, 'roles:manage') && await grantsRoles(group.name)) {
+      return res.status(403).json({ success: false, error: 'Removing members from a group that grants roles requires the \'roles:manage\' permission.' });
+    }
+
+    const before = user.toJSON();
+    user.removeGroup(group.name);
+    await user.save();
+    clearPermissionCache();
+
+    await Activity.logActivity('user_updated', {
+      target_username: user.username,
+      target_user_id: user._id,
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { group_removed: group.name, changes: diffFields(before, user.toJSON()) }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Audit trail API endpoints
+// Walk each instance's activity hash chain and report gaps, broken links and edited entries
+router.get('/audit/verify', requirePermission('activity:read'), async (req, res) => {
+  try {
+    const instance = typeof req.query.instance === 'string' && req.query.instance ? req.query.instance : undefined;
+    const report = await auditChain.verify({ instance });
+
+    await Activity.logActivity('audit_chain_verified', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: {
+        ok: report.ok,
+        instances: report.instances.map(item => ({ instance: item.instance, entries: item.entries, problems: item.problems.length }))
+      }
+    });
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Audit chain verification error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Delivery state of each configured audit sink: queued events, last error, next retry
+router.get('/audit/sinks', requirePermission('activity:read'), async (req, res) => {
+  try {
+    res.json({ success: true, sinks: auditStream.status() });
+  } catch (error) {
+    console.error('Audit sink status error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Archive and purge activities past their retention period now, or preview with dryRun
+router.post('/audit/retention/run', requirePermission('activity:purge'), async (req, res) => {
+  try {
+    const report = await auditRetention.run({
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      trigger: 'manual',
+      admin: req.oidc_user,
+      audit: {
+        ip: getClientIp(req),
+        user_agent: req.headers['user-agent']
+      }
+    });
+
+    if (report.error) {
+      return res.json({ success: false, error: report.error, run: report });
+    }
+    res.json({ success: true, run: report });
+  } catch (error) {
+    console.error('Audit retention run error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Role API endpoints
+router.delete('/roles/:id', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(decodeURIComponent(req.params.id));
+    if (!role) {
+      return res.json({ success: false, error: 'Role not found' });
+    }
+
+    await role.delete();
+    clearPermissionCache();
+
+    await Activity.logActivity('role_deleted', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { role: role.name, permissions: role.permissions }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Webhook API endpoints
+router.delete('/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(decodeURIComponent(req.params.id));
+    if (!webhook) {
+      return res.json({ success: false, error: 'Webhook not found' });
+    }
+
+    await webhook.delete();
+
+    await Activity.logActivity('webhook_deleted', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { webhook: webhook.name, url: webhook.url, events: webhook.events }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.post('/webhooks/:id/rotate-secret', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(decodeURIComponent(req.params.id));
+    if (!webhook) {
+      return res.json({ success: false, error: 'Webhook not found' });
+    }
+
+    const before = webhook.toJSON();
+    webhook.secret = Webhook.generateSecret();
+    await webhook.save();
+
+    await Activity.logActivity('webhook_secret_rotated', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { webhook: webhook.name, changes: diffFields(before, webhook.toJSON()) }
+    });
+
+    res.json({ success: true, secret: webhook.secret });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Send a webhook.ping event and report how the receiver answered
+router.post('/webhooks/:id/test', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(decodeURIComponent(req.params.id));
+    if (!webhook) {
+      return res.json({ success: false, error: 'Webhook not found' });
+    }
+
+    const delivery = await webhookDispatcher.ping(webhook, req.oidc_user);
+    res.json({ success: true, delivery: delivery.toPublicJSON() });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.post('/webhooks/deliveries/:id/redeliver', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await webhookDispatcher.redeliver(decodeURIComponent(req.params.id));
+
+    await Activity.logActivity('webhook_redelivered', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: {
+        event: delivery.event,
+        event_id: delivery.event_id,
+        delivery: delivery._id,
+        redelivery_of: delivery.redelivery_of,
+        status_code: delivery.lastAttempt?.status_code ?? null
+      }
+    });
+
+    res.json({ success: true, delivery: delivery.toPublicJSON() });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Issue a SCIM bearer token. The response is the only time the token itself is available.
+router.post('/scim/tokens', requirePermission('scim:manage'), async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.json({ success: false, error: 'Token name is required (up to 100 characters)' });
+    }
+
+    const { record, token } = ScimToken.issue(name, req.oidc_user?.username);
+    await record.save();
+
+    await Activity.logActivity('scim_token_created', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { token: record.name, token_hint: record.token_hint }
+    });
+
+    res.json({ success: true, token, record: record.toPublicJSON() });
+  } catch (error) {
+    console.error('Create SCIM token error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/scim/tokens/:id', requirePermission('scim:manage'), async (req, res) => {
+  try {
+    const record = await ScimToken.findById(decodeURIComponent(req.params.id));
+    if (!record) {
+      return res.json({ success: false, error: 'SCIM token not found' });
+    }
+
+    await record.delete();
+
+    await Activity.logActivity('scim_token_revoked', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { token: record.name, token_hint: record.token_hint }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke SCIM token error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// OpenAPI 3 document for /api/v1, generated from its routes and validation rules
+router.get('/openapi.json', requirePermission(), (req, res) => {
+  res.json(openapi.getSpec());
+});
+
+// Mint a personal API token for the signed-in admin. Its scopes must be permissions the
+// admin holds; the response is the only time the token itself is available.
+router.post('/tokens', requireSession('API tokens cannot mint other tokens'), requirePermission(), async (req, res) => {
+  try {
+    const description = typeof req.body.description === 'string' ? req.body.description.trim() : '';
+    if (!description || description.length > 200) {
+      return res.json({ success: false, error: 'Description is required (up to 200 characters)' });
+    }
+
+    const scopes = Array.isArray(req.body.scopes) ? [...new Set(req.body.scopes)] : [];
+    if (scopes.length === 0) {
+      return res.json({ success: false, error: 'Select at least one scope' });
+    }
+    const notHeld = scopes.filter(scope => !hasPermission(req, scope));
+    if (notHeld.length > 0) {
+      return res.json({ success: false, error: `You cannot grant permissions you don't hold: ${notHeld.join(', ')}` });
+    }
+
+    const days = parseInt(req.body.expires_in_days, 10);
+    if (!TOKEN_EXPIRY_DAYS.includes(days)) {
+      return res.json({ success: false, error: `Expiry must be one of ${TOKEN_EXPIRY_DAYS.join(', ')} days` });
+    }
+
+    const { record, token } = ApiToken.issue({
+      description,
+      scopes,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+      owner: req.oidc_user
+    });
+    await record.save();
+
+    await Activity.logActivity('api_token_created', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { token: record._id, description, scopes, expires_at: record.expires_at }
+    });
+
+    res.json({ success: true, token, record: record.toPublicJSON() });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Admins revoke their own tokens; api_tokens:manage revokes anyone's
+router.delete('/tokens/:id', requireSession('API tokens cannot revoke tokens'), requirePermission(), async (req, res) => {
+  try {
+    const record = await ApiToken.findById(decodeURIComponent(req.params.id));
+    if (!record || (record.owner_username !== req.oidc_user.username && !hasPermission(req, 'api_tokens:manage'))) {
+      return res.json({ success: false, error: 'API token not found' });
+    }
+    if (record.revoked_at) {
+      return res.json({ success: false, error: 'API token is already revoked' });
+    }
+
+    await record.revoke(req.oidc_user.username);
+
+    await Activity.logActivity('api_token_revoked', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { token: record._id, description: record.description, owner: record.owner_username }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // Session API endpoints
-router.get('/sessions/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/sessions/:id', requirePermission('sessions:read'), async (req, res) => {
   try {
     const session = await Session.findById(req.params.id);
     if (!session) {
@@ -172,24 +807,30 @@ router.get('/sessions/:id', oidcAuth.requireOidcAuth('admin'), async (req, res)
   }
 });
 
-router.post('/sessions/:id/invalidate', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/sessions/:id/invalidate', requirePermission('sessions:revoke'), async (req, res) => {
   try {
     const session = await Session.findById(req.params.id);
     if (!session) {
       return res.json({ success: false, error: 'Session not found' });
     }
     
+    const wasActive = session.active;
     await session.invalidate();
     
     // Log activity
     await Activity.logActivity('session_invalidated', {
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
       ip: getClientIp(req),
       user_agent: req.headers['user-agent'],
       details: `Session ${req.params.id} invalidated`
     });
     
+    if (wasActive) {
+      webhookDispatcher.sessionsRevoked(session.user_id, [session._id], 'admin_invalidated', req.oidc_user);
+    }
+    
     // Destroy the user's Express session if they have one
     const sessionManager = require('../utils/session-manager');
     const sessionDestroyed = await sessionManager.destroyUserSession(session.user_id);
@@ -204,7 +845,7 @@ router.post('/sessions/:id/invalidate', oidcAuth.requireOidcAuth('admin'), async
   }
 });
 
-router.delete('/sessions/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.delete('/sessions/:id', requirePermission('sessions:revoke'), async (req, res) => {
   try {
     const session = await Session.findById(req.params.id);
     if (!session) {
@@ -213,6 +854,10 @@ router.delete('/sessions/:id', oidcAuth.requireOidcAuth('admin'), async (req, re
     
     await session.delete();
     
+    if (session.active && !session.isExpired()) {
+      webhookDispatcher.sessionsRevoked(session.user_id, [session._id], 'admin_deleted', req.oidc_user);
+    }
+    
     // Destroy the user's Express session if they have one
     const sessionManager = require('../utils/session-manager');
     const sessionDestroyed = await sessionManager.destroyUserSession(session.user_id);
@@ -227,7 +872,7 @@ router.delete('/sessions/:id', oidcAuth.requireOidcAuth('admin'), async (req, re
   }
 });
 
-router.post('/sessions/clear-inactive', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/sessions/clear-inactive', requirePermission('sessions:revoke'), async (req, res) => {
   try {
     const db = database.getDb();
     // Use Mango query to find all sessions
@@ -252,7 +897,7 @@ router.post('/sessions/clear-inactive', oidcAuth.requireOidcAuth('admin'), async
   }
 });
 
-router.post('/sessions/clear-all', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/sessions/clear-all', requirePermission('sessions:revoke'), async (req, res) => {
   try {
     const db = database.getDb();
     // Use Mango query to find all sessions
@@ -262,12 +907,25 @@ router.post('/sessions/clear-all', oidcAuth.requireOidcAuth('admin'), async (req
     });
     
     let count = 0;
+    const revokedByUser = new Map(); // Sessions that were still live, per user
     for (const doc of result.docs) {
       const session = new Session(doc);
       await session.delete();
       count++;
+      if (session.active && !session.isExpired()) {
+        revokedByUser.set(session.user_id, [...(revokedByUser.get(session.user_id) || []), session._id]);
+      }
+    }
+    
+    for (const [userId, sessionIds] of revokedByUser) {
+      webhookDispatcher.sessionsRevoked(userId, sessionIds, 'sessions_cleared', req.oidc_user);
     }
     
+    // API token requests have no session to clear
+    if (req.apiToken) {
+      return res.json({ success: true, count, adminSessionCleared: false, message: 'All sessions cleared.' });
+    }
+
     // Clear the current admin session as well to force re-authentication
     req.session.destroy((err) => {
       if (err) {
@@ -290,7 +948,7 @@ router.post('/sessions/clear-all', oidcAuth.requireOidcAuth('admin'), async (req
 });
 
 // Client API endpoints
-router.post('/clients/:id/toggle', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/clients/:id/toggle', requirePermission('clients:write'), async (req, res) => {
   try {
     const clientId = decodeURIComponent(req.params.id);
     const client = await Client.findById(clientId);
@@ -303,6 +961,11 @@ router.post('/clients/:id/toggle', oidcAuth.requireOidcAuth('admin'), async (req
       return res.json({ success: false, error: 'Cannot disable the default client' });
     }
     
+    if (req.body.enabled && client.isPendingApproval()) {
+      return res.json({ success: false, error: 'This client registered itself and is waiting for approval; approve it instead' });
+    }
+    
+    const before = client.toJSON();
     client.enabled = req.body.enabled;
     await client.save();
     
@@ -312,8 +975,10 @@ router.post('/clients/:id/toggle', oidcAuth.requireOidcAuth('admin'), async (req
       target_user_id: client._id,
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
       ip: getClientIp(req),
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(before, client.toJSON()) }
     });
     
     res.json({ success: true });
@@ -323,7 +988,7 @@ router.post('/clients/:id/toggle', oidcAuth.requireOidcAuth('admin'), async (req
   }
 });
 
-router.post('/clients/:id/regenerate-secret', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/clients/:id/regenerate-secret', requirePermission('clients:secrets'), async (req, res) => {
   try {
     const clientId = decodeURIComponent(req.params.id);
     const client = await Client.findById(clientId);
@@ -331,9 +996,14 @@ router.post('/clients/:id/regenerate-secret', oidcAuth.requireOidcAuth('admin'),
       return res.json({ success: false, error: 'Client not found' });
     }
     
-    // Generate new secret
-    const newSecret = client.generateClientSecret();
-    client.client_secret = newSecret;
+    const overlapHours = Client.parseRotationOverlap(req.body.overlap_hours);
+    if (overlapHours === null) {
+      return res.json({ success: false, error: 'Overlap must be between 0 and 720 hours' });
+    }
+
+    // The previous secrets keep working for the overlap window so deployments can switch over
+    const before = client.toJSON();
+    const { secret, previousExpireAt } = client.rotateSecret({ overlapHours, created_by: req.oidc_user?.username });
     await client.save();
     
     // Log activity
@@ -342,18 +1012,59 @@ router.post('/clients/:id/regenerate-secret', oidcAuth.requireOidcAuth('admin'),
       target_user_id: client._id,
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
       ip: getClientIp(req),
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(before, client.toJSON()), overlap_hours: overlapHours }
     });
     
-    res.json({ success: true, clientSecret: newSecret });
+    webhookDispatcher.clientSecretRotated(client, req.oidc_user, previousExpireAt);
+    
+    res.json({ success: true, clientSecret: secret, previousExpireAt });
   } catch (error) {
     console.error('Regenerate client secret error:', error);
     res.json({ success: false, error: error.message });
   }
 });
 
-router.delete('/clients/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.delete('/clients/:id/secrets/:secretId', requirePermission('clients:secrets'), async (req, res) => {
+  try {
+    const clientId = decodeURIComponent(req.params.id);
+    const client = await Client.findById(clientId);
+    if (!client) {
+      return res.json({ success: false, error: 'Client not found' });
+    }
+
+    const remaining = client.activeSecrets().filter(entry => entry.id !== req.params.secretId);
+    if (client.confidential && remaining.length === 0) {
+      return res.json({ success: false, error: 'This is the client\'s only active secret - rotate it instead' });
+    }
+
+    const before = client.toJSON();
+    if (!client.revokeSecret(req.params.secretId)) {
+      return res.json({ success: false, error: 'Secret not found' });
+    }
+    await client.save();
+
+    await Activity.logActivity('client_secret_revoked', {
+      target_username: client.name,
+      target_user_id: client._id,
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(before, client.toJSON()), secret: req.params.secretId }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke client secret error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/clients/:id', requirePermission('clients:write'), async (req, res) => {
   try {
     const clientId = decodeURIComponent(req.params.id);
     const client = await Client.findById(clientId);
@@ -372,6 +1083,7 @@ router.delete('/clients/:id', oidcAuth.requireOidcAuth('admin'), async (req, res
       target_user_id: client._id,
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
       ip: getClientIp(req),
       user_agent: req.headers['user-agent']
     });
@@ -384,12 +1096,151 @@ router.delete('/clients/:id', oidcAuth.requireOidcAuth('admin'), async (req, res
   }
 });
 
+// Approve a self-registered client, which enables it
+router.post('/clients/:id/approve', requirePermission('clients:registration'), async (req, res) => {
+  try {
+    const client = await Client.findById(decodeURIComponent(req.params.id));
+    if (!client) {
+      return res.json({ success: false, error: 'Client not found' });
+    }
+    if (!client.isPendingApproval()) {
+      return res.json({ success: false, error: 'This client is not waiting for approval' });
+    }
+
+    const before = client.toJSON();
+    client.approveRegistration(req.oidc_user?.username);
+    await client.save();
+
+    await Activity.logActivity('client_registration_approved', {
+      target_username: client.name,
+      target_user_id: client._id,
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(before, client.toJSON()) }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Approve client registration error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Reject a self-registered client that is waiting for approval, deleting it
+router.post('/clients/:id/reject', requirePermission('clients:registration'), async (req, res) => {
+  try {
+    const client = await Client.findById(decodeURIComponent(req.params.id));
+    if (!client) {
+      return res.json({ success: false, error: 'Client not found' });
+    }
+    if (!client.isPendingApproval()) {
+      return res.json({ success: false, error: 'This client is not waiting for approval' });
+    }
+
+    await client.delete();
+
+    await Activity.logActivity('client_registration_rejected', {
+      target_username: client.name,
+      target_user_id: client._id,
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { client_id: client.client_id, initial_token: client.registration.initial_token_name }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reject client registration error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Issue an initial access token for dynamic client registration. The response is the
+// only time the token itself is available.
+router.post('/registration/tokens', requirePermission('clients:registration'), async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.json({ success: false, error: 'Token name is required (up to 100 characters)' });
+    }
+
+    const days = req.body.expires_in_days === undefined || req.body.expires_in_days === '' ? null : Number(req.body.expires_in_days);
+    if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= 365)) {
+      return res.json({ success: false, error: 'Expiry must be 1 to 365 days, or empty for none' });
+    }
+    const maxRegistrations = req.body.max_registrations === undefined || req.body.max_registrations === '' ? null : Number(req.body.max_registrations);
+    if (maxRegistrations !== null && !(Number.isInteger(maxRegistrations) && maxRegistrations >= 1 && maxRegistrations <= 1000)) {
+      return res.json({ success: false, error: 'Registration limit must be 1 to 1000, or empty for none' });
+    }
+
+    const { record, token } = RegistrationToken.issue({
+      name,
+      approvalRequired: req.body.approval_required !== false,
+      maxRegistrations,
+      expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+      createdBy: req.oidc_user?.username
+    });
+    await record.save();
+
+    await Activity.logActivity('registration_token_created', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: {
+        token: record.name,
+        token_hint: record.token_hint,
+        approval_required: record.approval_required,
+        max_registrations: record.max_registrations,
+        expires_at: record.expires_at
+      }
+    });
+
+    res.json({ success: true, token, record: record.toPublicJSON() });
+  } catch (error) {
+    console.error('Create registration token error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Revoke an initial access token. Clients it registered keep working.
+router.delete('/registration/tokens/:id', requirePermission('clients:registration'), async (req, res) => {
+  try {
+    const record = await RegistrationToken.findById(decodeURIComponent(req.params.id));
+    if (!record) {
+      return res.json({ success: false, error: 'Registration token not found' });
+    }
+
+    await record.delete();
+
+    await Activity.logActivity('registration_token_revoked', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { token: record.name, token_hint: record.token_hint }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke registration token error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // Initialize conflict detector and cluster health monitor
 const conflictDetector = new ConflictDetector();
 const clusterHealth = new ClusterHealth();
 
 // Conflict Resolution API endpoints
-router.get('/conflicts', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/conflicts', requirePermission('cluster:read'), async (req, res) => {
   try {
     await conflictDetector.initialize();
     const conflicts = await conflictDetector.getAllConflicts();
@@ -400,7 +1251,7 @@ router.get('/conflicts', oidcAuth.requireOidcAuth('admin'), async (req, res) =>
   }
 });
 
-router.get('/conflicts/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/conflicts/users', requirePermission('cluster:read'), async (req, res) => {
   try {
     await conflictDetector.initialize();
     const userConflicts = await conflictDetector.getUserConflicts();
@@ -411,7 +1262,7 @@ router.get('/conflicts/users', oidcAuth.requireOidcAuth('admin'), async (req, re
   }
 });
 
-router.get('/conflicts/stats', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/conflicts/stats', requirePermission('cluster:read'), async (req, res) => {
   try {
     await conflictDetector.initialize();
     const stats = await conflictDetector.getConflictStats();
@@ -422,7 +1273,7 @@ router.get('/conflicts/stats', oidcAuth.requireOidcAuth('admin'), async (req, re
   }
 });
 
-router.post('/conflicts/:docId/resolve', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/conflicts/:docId/resolve', requirePermission('cluster:resolve'), async (req, res) => {
   try {
     await conflictDetector.initialize();
     
@@ -470,6 +1321,7 @@ router.post('/conflicts/:docId/resolve', oidcAuth.requireOidcAuth('admin'), asyn
     await Activity.logActivity('conflict_resolved', {
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
+      api_token_id: req.oidc_user?.api_token_id,
       ip: getClientIp(req),
       user_agent: req.headers['user-agent'],
       details: `Resolved conflict for document ${docId}`
@@ -482,7 +1334,7 @@ router.post('/conflicts/:docId/resolve', oidcAuth.requireOidcAuth('admin'), asyn
   }
 });
 
-router.get('/replication/status', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/replication/status', requirePermission('cluster:read'), async (req, res) => {
   try {
     const replicationStatus = await database.getReplicationStatus();
     const instanceInfo = database.getInstanceInfo();
@@ -499,7 +1351,7 @@ router.get('/replication/status', oidcAuth.requireOidcAuth('admin'), async (req,
 });
 
 // Cluster Health API endpoints
-router.get('/cluster/health', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/cluster/health', requirePermission(), async (req, res) => {
   try {
     await clusterHealth.initialize();
     const health = await clusterHealth.checkClusterHealth();
@@ -510,7 +1362,7 @@ router.get('/cluster/health', oidcAuth.requireOidcAuth('admin'), async (req, res
   }
 });
 
-router.get('/cluster/isolation-warning', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/cluster/isolation-warning', requirePermission(), async (req, res) => {
   try {
     await clusterHealth.initialize();
     await clusterHealth.checkClusterHealth(); // Refresh health status
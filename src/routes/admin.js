@@ -5,9 +5,31 @@ const Activity = require('../models/Activity');
 const Client = require('../models/Client');
 const database = require('../database');
 const oidcAuth = require('../middleware/oidc-auth');
+const { requirePermission, hasPermission, clearPermissionCache, checkRoleChange } = require('../middleware/permissions');
 const { getClientIp } = require('../utils/ip-helper');
+const { diffFields } = require('../utils/change-diff');
+const { instanceMetadata } = require('../utils/field-names');
 const ConflictDetector = require('../services/conflict-detector');
 const ClusterHealth = require('../services/cluster-health');
+const UserDirectory = require('../services/user-directory');
+const UserExport = require('../services/user-export');
+const Group = require('../models/Group');
+const GroupManager = require('../services/group-manager');
+const Role = require('../models/Role');
+const RoleManager = require('../services/role-manager');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ScimToken = require('../models/ScimToken');
+const RegistrationToken = require('../models/RegistrationToken');
+const ClientRegistration = require('../services/client-registration');
+const ClientAccess = require('../services/client-access');
+const ClientUsage = require('../services/client-usage');
+const ApiToken = require('../models/ApiToken');
+const { TOKEN_EXPIRY_DAYS, DEFAULT_TOKEN_EXPIRY_DAYS } = require('../services/api-token-manager');
+const ActivityLog = require('../services/activity-log');
+const auditRetention = require('../services/audit-retention');
+const webhookDispatcher = require('../services/webhook-dispatcher');
+const clientSecretExpiry = require('../services/client-secret-expiry');
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
 
 function formatUptime(seconds) {
@@ -32,6 +54,61 @@ function addUserContext(req, renderData) {
   return { ...renderData };
 }
 
+// Sort header links for the users table - clicking the active column flips the direction
+function buildUserSortLinks(query) {
+  const links = {};
+  for (const field of UserDirectory.sortFields) {
+    const active = query.sort === field;
+    const dir = active && query.dir === 'asc' ? 'desc' : 'asc';
+    links[field] = {
+      url: `/admin/users${UserDirectory.toQueryString(query, { sort: field, dir })}`,
+      active,
+      icon: active ? (query.dir === 'asc' ? 'bi-sort-up' : 'bi-sort-down') : 'bi-arrow-down-up'
+    };
+  }
+  return links;
+}
+
+function parseNameList(value) {
+  const items = Array.isArray(value) ? value : (value ? String(value).split(',') : []);
+  return Array.from(new Set(items.map(item => String(item).trim()).filter(item => item)));
+}
+
+// Group picker options for the user form: every group document plus any group the user
+// already has that has no document yet, so saving the form never drops a membership
+async function buildGroupOptions(selected = []) {
+  const groups = await Group.findAll();
+  const options = groups.map(group => ({
+    name: group.name,
+    description: group.description,
+    roles: group.roles,
+    selected: selected.includes(group.name)
+  }));
+
+  for (const name of selected) {
+    if (!options.some(option => option.name === name)) {
+      options.push({ name, unmanaged: true, selected: true });
+    }
+  }
+
+  return options;
+}
+
+// A new client's secret, shown once on its details page to admins allowed to see secrets.
+// Kept in the session between the create and the redirect, and removed when shown.
+function takeNewClientSecret(req, client) {
+  const pending = req.session.new_client_secret;
+  if (!pending || pending.client !== client._id) {
+    return null;
+  }
+  delete req.session.new_client_secret;
+  return hasPermission(req, 'clients:secrets') ? pending.secret : null;
+}
+
+function buildExportFields() {
+  return UserExport.fieldNames.map(name => ({ name, checked: UserExport.defaultFields.includes(name) }));
+}
+
 // Login is handled directly via /auth route - no separate login page needed
 
 // Initiate OIDC authentication
@@ -45,7 +122,7 @@ router.get('/auth', (req, res) => {
 
 
 // Admin dashboard
-router.get('/', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/', requirePermission(), async (req, res) => {
   console.log('🎯 ADMIN ROUTE: Root path hit - rendering admin dashboard');
   console.log('🎯 ADMIN ROUTE: User roles:', req.oidc_user?.roles);
   try {
@@ -69,6 +146,13 @@ router.get('/', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
     
     // Get recent activity
     const recentActivity = await Activity.findRecent(10);
+
+    // Confidential clients whose secrets are due for rotation
+    let clientSecrets = null;
+    if (hasPermission(req, 'clients:read')) {
+      const { expiring, expired } = clientSecretExpiry.summarize(await Client.findAll());
+      clientSecrets = { expiring, expired, maxAgeDays: Client.secretMaxAgeDays };
+    }
     
     const totalDocs = dbStatus.doc_count || 0;
     const dbConflicts = conflictStats.total || 0;
@@ -89,7 +173,8 @@ router.get('/', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
       dbStatus,
       uptime: formatUptime(process.uptime()),
       nodeId: process.env.CLUSTER_NODE_ID || 'default',
-      recentActivity: recentActivity.map(activity => activity.toPublicJSON())
+      recentActivity: recentActivity.map(activity => activity.toPublicJSON()),
+      clientSecrets
     }));
   } catch (error) {
     console.error('Dashboard error:', error);
@@ -105,74 +190,35 @@ router.get('/', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
 });
 
 // Users list
-router.get('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
+  const query = UserDirectory.parseQuery(req.query);
+
   try {
-    const db = database.getDb();
-    const result = await db.view('users', 'by_username', { 
-      include_docs: true,
-      conflicts: true 
-    });
-    
-    // Initialize cluster health to check for isolated records
-    const ClusterHealth = require('../services/cluster-health');
-    const clusterHealth = new ClusterHealth();
-    await clusterHealth.initialize();
-    
-    const users = await Promise.all(result.rows.map(async row => {
-      const user = new User(row.doc);
-      const publicUser = user.toPublicJSON();
-      
-      try {
-        // Get the document with conflicts to properly detect them
-        const docWithConflicts = await db.get(row.doc._id, { conflicts: true });
-        
-        
-        // Check for actual CouchDB conflicts first
-        if (docWithConflicts._conflicts && docWithConflicts._conflicts.length > 0) {
-          console.log(`User ${publicUser.username} has conflicts:`, docWithConflicts._conflicts);
-          publicUser.syncStatus = 'conflict';
-        }
-        // Check if this user record is isolated using the raw document
-        else if (clusterHealth.isRecordIsolated(row.doc)) {
-          console.log(`User ${publicUser.username} is isolated - modified at:`, row.doc.instance_metadata?.last_modified_at);
-          publicUser.syncStatus = 'isolated';
-        } else {
-          console.log(`User ${publicUser.username} is synced - modified at:`, row.doc.instance_metadata?.last_modified_at, 'isolation start:', global.clusterIsolationState.isolationStartTime?.toISOString());
-          publicUser.syncStatus = 'synced';
-        }
-      } catch (error) {
-        console.error(`Error getting conflicts for user ${publicUser.username}:`, error);
-        // Fallback to isolation check
-        if (clusterHealth.isRecordIsolated(row.doc)) {
-          publicUser.syncStatus = 'isolated';
-        } else {
-          publicUser.syncStatus = 'synced';
-        }
-      }
-      
-      return publicUser;
-    }));
-    
-    // Sort users to pin the current admin user to the top
-    const sortedUsers = users.sort((a, b) => {
-      if (req.oidc_user && a.username === req.oidc_user.username) return -1;
-      if (req.oidc_user && b.username === req.oidc_user.username) return 1;
-      return a.username.localeCompare(b.username);
-    });
-    
-    // Calculate user stats with proper priority: disabled > unverified > active
-    const userStats = {
-      activeUsers: users.filter(user => user.enabled && user.email_verified).length,
-      disabledUsers: users.filter(user => !user.enabled).length,
-      unverifiedUsers: users.filter(user => user.enabled && !user.email_verified).length,
-      totalUsers: users.length
-    };
-    
+    const userDirectory = new UserDirectory();
+    await userDirectory.initialize();
+
+    const [page, userStats, roleCounts] = await Promise.all([
+      userDirectory.listUsers(query),
+      userDirectory.getUserStats(),
+      userDirectory.getRoleCounts()
+    ]);
+
     res.render('users', addUserContext(req, {
       title: 'Users',
       isUsers: true,
-      users: sortedUsers,
-      userStats
+      users: page.users,
+      userStats,
+      roleCounts,
+      filters: query,
+      pageSizes: UserDirectory.pageSizes,
+      sortLinks: buildUserSortLinks(query),
+      exportFields: buildExportFields(),
+      filterQuery: UserDirectory.toQueryString({ ...query, limit: null }).slice(1),
+      pagination: {
+        prevUrl: page.prevCursor ? `/admin/users${UserDirectory.toQueryString(query, { before: page.prevCursor })}` : null,
+        nextUrl: page.nextCursor ? `/admin/users${UserDirectory.toQueryString(query, { after: page.nextCursor })}` : null,
+        firstUrl: `/admin/users${UserDirectory.toQueryString(query)}`
+      }
     }));
   } catch (error) {
     console.error('Users list error:', error);
@@ -181,6 +227,12 @@ router.get('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
       isUsers: true,
       users: [],
       userStats: { activeUsers: 0, disabledUsers: 0, unverifiedUsers: 0, totalUsers: 0 },
+      roleCounts: [],
+      filters: query,
+      pageSizes: UserDirectory.pageSizes,
+      sortLinks: buildUserSortLinks(query),
+      exportFields: buildExportFields(),
+      pagination: {},
       message: 'Error loading users: ' + error.message,
       messageType: 'danger'
     }));
@@ -188,15 +240,24 @@ router.get('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
 });
 
 // New user form
-router.get('/users/new', oidcAuth.requireOidcAuth('admin'), (req, res) => {
+router.get('/users/new', requirePermission('users:write'), async (req, res) => {
   res.render('user-form', addUserContext(req, {
     title: 'Add User',
+    isUsers: true,
+    groupOptions: await buildGroupOptions()
+  }));
+});
+
+// Bulk import form
+router.get('/users/import', requirePermission('users:import'), (req, res) => {
+  res.render('user-import', addUserContext(req, {
+    title: 'Import Users',
     isUsers: true
   }));
 });
 
 // Create user
-router.post('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/users', requirePermission('users:write'), async (req, res) => {
   try {
     const { username, email, password, firstName, lastName, groups, roles, enabled, emailVerified } = req.body;
     
@@ -206,7 +267,8 @@ router.post('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
         isUsers: true,
         message: 'Username, email, and password are required',
         messageType: 'danger',
-        user: req.body
+        user: req.body,
+        groupOptions: await buildGroupOptions(parseNameList(req.body.groups))
       }));
     }
     
@@ -218,7 +280,8 @@ router.post('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
         isUsers: true,
         message: 'Username already exists',
         messageType: 'danger',
-        user: req.body
+        user: req.body,
+        groupOptions: await buildGroupOptions(parseNameList(req.body.groups))
       }));
     }
     
@@ -229,20 +292,35 @@ router.post('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
         isUsers: true,
         message: 'Email already exists',
         messageType: 'danger',
-        user: req.body
+        user: req.body,
+        groupOptions: await buildGroupOptions(parseNameList(req.body.groups))
       }));
     }
     
+    const roleError = await checkRoleChange(req, { roles: [], groups: [] }, {
+      roles: parseNameList(roles),
+      groups: parseNameList(groups)
+    });
+    if (roleError) {
+      return res.render('user-form', addUserContext(req, {
+        title: 'Add User',
+        isUsers: true,
+        message: roleError,
+        messageType: 'danger',
+        user: req.body,
+        groupOptions: await buildGroupOptions(parseNameList(req.body.groups))
+      }));
+    }
+
     // Create user
-    const passwordHash = await User.hashPassword(password);
     const user = new User({
       username,
       email,
-      passwordHash,
+      password_hash: await User.hashPassword(password),
       first_name: firstName || undefined,
       last_name: lastName || undefined,
-      groups: groups ? groups.split(',').map(g => g.trim()).filter(g => g) : [],
-      roles: roles ? roles.split(',').map(r => r.trim()).filter(r => r) : [],
+      groups: parseNameList(groups),
+      roles: parseNameList(roles),
       enabled: enabled === 'on',
       email_verified: emailVerified === 'on'
     });
@@ -256,9 +334,12 @@ router.post('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
       ip: getClientIp(req),
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(null, user.toJSON()) }
     });
     
+    webhookDispatcher.userChanged('user.created', user, req.oidc_user);
+    
     res.redirect('/admin/users?message=User created successfully&messageType=success');
   } catch (error) {
     console.error('Create user error:', error);
@@ -267,13 +348,14 @@ router.post('/users', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
       isUsers: true,
       message: 'Error creating user: ' + error.message,
       messageType: 'danger',
-      user: req.body
+      user: req.body,
+      groupOptions: await buildGroupOptions(parseNameList(req.body.groups))
     }));
   }
 });
 
 // View user details
-router.get('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const user = await User.findById(userId);
@@ -291,10 +373,24 @@ router.get('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) =>
       }))
       .slice(0, 5); // Limit to 5 sessions
     
+    // Groups inherited through parent groups and roles granted by membership
+    const groupManager = new GroupManager();
+    await groupManager.initialize();
+    const resolved = await groupManager.resolveMembership(user.groups);
+    const membership = {
+      inherited: resolved.inherited,
+      grantedRoles: resolved.roles.filter(role => !user.roles.includes(role))
+    };
+    membership.effectiveRoles = [...user.roles, ...membership.grantedRoles];
+
+    const changeHistory = await Activity.findChangeHistory(userId);
+
     res.render('user-details', addUserContext(req, {
       title: 'User Details',
       isUsers: true,
       user: user.toPublicJSON(),
+      membership,
+      changeHistory: changeHistory.map(activity => activity.toChangeHistoryJSON()),
       sessions: displaySessions,
       totalActiveSessions: allActiveSessions.length,
       totalSessions: allSessions.length,
@@ -307,7 +403,7 @@ router.get('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) =>
 });
 
 // Edit user form
-router.get('/users/:id/edit', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/users/:id/edit', requirePermission('users:write'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const user = await User.findById(userId);
@@ -318,7 +414,8 @@ router.get('/users/:id/edit', oidcAuth.requireOidcAuth('admin'), async (req, res
     res.render('user-form', addUserContext(req, {
       title: 'Edit User',
       isUsers: true,
-      user: user.toPublicJSON()
+      user: user.toPublicJSON(),
+      groupOptions: await buildGroupOptions(user.groups)
     }));
   } catch (error) {
     console.error('Edit user error:', error);
@@ -328,7 +425,7 @@ router.get('/users/:id/edit', oidcAuth.requireOidcAuth('admin'), async (req, res
 
 
 // Update user
-router.put('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.put('/users/:id', requirePermission('users:write'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const user = await User.findById(userId);
@@ -346,22 +443,40 @@ router.put('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) =>
           title: 'Edit User',
           isUsers: true,
           user: user.toPublicJSON(),
+          groupOptions: await buildGroupOptions(user.groups),
           message: 'Email already exists',
           messageType: 'danger'
         }));
       }
     }
     
+    const roleError = await checkRoleChange(req, user, {
+      roles: parseNameList(roles),
+      groups: parseNameList(groups)
+    });
+    if (roleError) {
+      return res.render('user-form', addUserContext(req, {
+        title: 'Edit User',
+        isUsers: true,
+        user: user.toPublicJSON(),
+        groupOptions: await buildGroupOptions(user.groups),
+        message: roleError,
+        messageType: 'danger'
+      }));
+    }
+
     // Update user
+    const before = user.toJSON();
     user.email = email;
     user.first_name = firstName || undefined;
     user.last_name = lastName || undefined;
-    user.groups = groups ? groups.split(',').map(g => g.trim()).filter(g => g) : [];
-    user.roles = roles ? roles.split(',').map(r => r.trim()).filter(r => r) : [];
+    user.groups = parseNameList(groups);
+    user.roles = parseNameList(roles);
     user.enabled = enabled === 'on';
     user.email_verified = emailVerified === 'on';
     
     await user.save();
+    clearPermissionCache();
     
     // Log activity
     await Activity.logActivity('user_updated', {
@@ -370,9 +485,14 @@ router.put('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) =>
       admin_user_id: req.oidc_user?.sub,
       admin_username: req.oidc_user?.username,
       ip: getClientIp(req),
-      user_agent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(before, user.toJSON()) }
     });
     
+    if (before.enabled !== user.enabled) {
+      webhookDispatcher.userChanged(user.enabled ? 'user.enabled' : 'user.disabled', user, req.oidc_user);
+    }
+    
     res.redirect('/admin/users?message=User updated successfully&messageType=success');
   } catch (error) {
     console.error('Update user error:', error);
@@ -381,14 +501,740 @@ router.put('/users/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) =>
       title: 'Edit User',
       isUsers: true,
       user: user ? user.toPublicJSON() : {},
+      groupOptions: await buildGroupOptions(user ? user.groups : []),
       message: 'Error updating user: ' + error.message,
       messageType: 'danger'
     }));
   }
 });
 
+// Read and check the group form. Returns { error } or { values } ready to assign to a Group.
+async function readGroupForm(req, groupManager, existing) {
+  const name = existing ? existing.name : (req.body.name || '').trim();
+  const description = (req.body.description || '').trim();
+  const owner = (req.body.owner || '').trim();
+  const parent = (req.body.parent || '').trim() || null;
+  const roles = parseNameList(req.body.roles);
+
+  const problem = await groupManager.checkGroup({ name, owner, parent, roles }, existing, hasPermission(req, 'roles:manage'));
+  if (problem) {
+    return { error: problem.message };
+  }
+
+  return { values: { name, description: description || undefined, owner: owner || undefined, parent, roles } };
+}
+
+async function buildParentOptions(excludeName, selected) {
+  const groups = await Group.findAll();
+  return groups
+    .filter(group => group.name !== excludeName)
+    .map(group => ({ name: group.name, selected: group.name === selected }));
+}
+
+// Groups list
+router.get('/groups', requirePermission('groups:read'), async (req, res) => {
+  try {
+    const groupManager = new GroupManager();
+    await groupManager.initialize();
+
+    const { groups, unmanaged } = await groupManager.listGroups();
+
+    res.render('groups', addUserContext(req, {
+      title: 'Groups',
+      isGroups: true,
+      groups,
+      unmanaged
+    }));
+  } catch (error) {
+    console.error('Groups list error:', error);
+    res.render('groups', addUserContext(req, {
+      title: 'Groups',
+      isGroups: true,
+      groups: [],
+      unmanaged: [],
+      message: 'Error loading groups: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
+// New group form - ?name= prefills a group name already used on users
+router.get('/groups/new', requirePermission('groups:write'), async (req, res) => {
+  res.render('group-form', addUserContext(req, {
+    title: 'Add Group',
+    isGroups: true,
+    draft: { name: typeof req.query.name === 'string' ? req.query.name : '' },
+    parentOptions: await buildParentOptions(null, null)
+  }));
+});
+
+// Create group
+router.post('/groups', requirePermission('groups:write'), async (req, res) => {
+  try {
+    const groupManager = new GroupManager();
+    await groupManager.initialize();
+
+    const { values, error } = await readGroupForm(req, groupManager, null);
+    if (error) {
+      return res.render('group-form', addUserContext(req, {
+        title: 'Add Group',
+        isGroups: true,
+        draft: { ...req.body, roles: parseNameList(req.body.roles) },
+        parentOptions: await buildParentOptions(null, req.body.parent),
+        message: error,
+        messageType: 'danger'
+      }));
+    }
+
+    const group = new Group(values);
+    await group.save();
+
+    // Log activity
+    await Activity.logActivity('group_created', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { group: group.name, parent: group.parent, roles: group.roles }
+    });
+
+    res.redirect(`/admin/groups/${encodeURIComponent(group._id)}?message=Group created successfully&messageType=success`);
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.render('group-form', addUserContext(req, {
+      title: 'Add Group',
+      isGroups: true,
+      draft: { ...req.body, roles: parseNameList(req.body.roles) },
+      parentOptions: [],
+      message: 'Error creating group: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
+// View group details and members
+router.get('/groups/:id', requirePermission('groups:read'), async (req, res) => {
+  try {
+    const group = await Group.findById(decodeURIComponent(req.params.id));
+    if (!group) {
+      return res.redirect('/admin/groups?message=Group not found&messageType=danger');
+    }
+
+    const groupManager = new GroupManager();
+    await groupManager.initialize();
+
+    const allGroups = await Group.findAll();
+    const groupsByName = new Map(allGroups.map(item => [item.name, item]));
+    const [members, subgroups] = await Promise.all([
+      groupManager.getMembers(group.name),
+      groupManager.getSubgroups(group.name)
+    ]);
+
+    // Roles inherited from parent groups also apply to this group's members
+    const ancestors = groupManager.getAncestors(group.name, groupsByName);
+    const inheritedRoles = new Set();
+    for (const name of ancestors) {
+      const ancestor = groupsByName.get(name);
+      if (ancestor) ancestor.roles.forEach(role => inheritedRoles.add(role));
+    }
+
+    res.render('group-details', addUserContext(req, {
+      title: 'Group Details',
+      isGroups: true,
+      group: group.toPublicJSON(),
+      ancestors: ancestors.map(name => ({ name, id: groupsByName.get(name)?._id })),
+      inheritedRoles: Array.from(inheritedRoles).filter(role => !group.roles.includes(role)),
+      members: members.map(member => member.toPublicJSON()),
+      subgroups: subgroups.map(subgroup => subgroup.toPublicJSON())
+    }));
+  } catch (error) {
+    console.error('View group error:', error);
+    res.redirect('/admin/groups?message=Error loading group: ' + error.message + '&messageType=danger');
+  }
+});
+
+// Edit group form
+router.get('/groups/:id/edit', requirePermission('groups:write'), async (req, res) => {
+  try {
+    const group = await Group.findById(decodeURIComponent(req.params.id));
+    if (!group) {
+      return res.redirect('/admin/groups?message=Group not found&messageType=danger');
+    }
+
+    res.render('group-form', addUserContext(req, {
+      title: 'Edit Group',
+      isGroups: true,
+      group: group.toPublicJSON(),
+      draft: group.toPublicJSON(),
+      parentOptions: await buildParentOptions(group.name, group.parent)
+    }));
+  } catch (error) {
+    console.error('Edit group error:', error);
+    res.redirect('/admin/groups?message=Error loading group: ' + error.message + '&messageType=danger');
+  }
+});
+
+// Update group
+router.put('/groups/:id', requirePermission('groups:write'), async (req, res) => {
+  try {
+    const group = await Group.findById(decodeURIComponent(req.params.id));
+    if (!group) {
+      return res.redirect('/admin/groups?message=Group not found&messageType=danger');
+    }
+
+    const groupManager = new GroupManager();
+    await groupManager.initialize();
+
+    const { values, error } = await readGroupForm(req, groupManager, group);
+    if (error) {
+      return res.render('group-form', addUserContext(req, {
+        title: 'Edit Group',
+        isGroups: true,
+        group: group.toPublicJSON(),
+        draft: { ...req.body, name: group.name, roles: parseNameList(req.body.roles) },
+        parentOptions: await buildParentOptions(group.name, req.body.parent),
+        message: error,
+        messageType: 'danger'
+      }));
+    }
+
+    group.description = values.description;
+    group.owner = values.owner;
+    group.parent = values.parent;
+    group.roles = values.roles;
+    await group.save();
+    clearPermissionCache();
+
+    // Log activity
+    await Activity.logActivity('group_updated', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { group: group.name, parent: group.parent, roles: group.roles }
+    });
+
+    res.redirect(`/admin/groups/${encodeURIComponent(group._id)}?message=Group updated successfully&messageType=success`);
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.redirect('/admin/groups?message=Error updating group: ' + error.message + '&messageType=danger');
+  }
+});
+
+// Read and check the role form. Returns { error } or { values } ready to assign to a Role.
+async function readRoleForm(req, existing) {
+  const name = existing ? existing.name : (req.body.name || '').trim();
+  const description = (req.body.description || '').trim();
+  const permissions = parseNameList(req.body.permissions);
+
+  if (!existing) {
+    if (!Role.isValidName(name)) {
+      return { error: 'Role name must be 1-100 characters: letters, numbers, dots, colons, hyphens and underscores, and not "admin"' };
+    }
+    if (await Role.findByName(name)) {
+      return { error: 'A role with this name already exists' };
+    }
+  }
+
+  const unknown = permissions.filter(permission => !Role.permissions[permission]);
+  if (unknown.length > 0) {
+    return { error: `Unknown permission: ${unknown.join(', ')}` };
+  }
+
+  return { values: { name, description: description || undefined, permissions } };
+}
+
+// Roles list
+router.get('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roleManager = new RoleManager();
+    await roleManager.initialize();
+
+    res.render('roles', addUserContext(req, {
+      title: 'Roles',
+      isRoles: true,
+      roles: await roleManager.listRoles()
+    }));
+  } catch (error) {
+    console.error('Roles list error:', error);
+    res.render('roles', addUserContext(req, {
+      title: 'Roles',
+      isRoles: true,
+      roles: [],
+      message: 'Error loading roles: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
+// New role form - ?name= prefills a role name already used on users
+router.get('/roles/new', requirePermission('roles:manage'), (req, res) => {
+  res.render('role-form', addUserContext(req, {
+    title: 'Add Role',
+    isRoles: true,
+    draft: { name: typeof req.query.name === 'string' ? req.query.name : '' },
+    permissionGroups: RoleManager.permissionGroups()
+  }));
+});
+
+// Create role
+router.post('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roleManager = new RoleManager();
+    await roleManager.initialize();
+
+    const { values, error } = await readRoleForm(req, null);
+    if (error) {
+      return res.render('role-form', addUserContext(req, {
+        title: 'Add Role',
+        isRoles: true,
+        draft: req.body,
+        permissionGroups: RoleManager.permissionGroups(parseNameList(req.body.permissions)),
+        message: error,
+        messageType: 'danger'
+      }));
+    }
+
+    const role = new Role(values);
+    await role.save();
+    clearPermissionCache();
+
+    // Log activity
+    await Activity.logActivity('role_created', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { role: role.name, permissions: role.permissions }
+    });
+
+    res.redirect('/admin/roles?message=Role created successfully&messageType=success');
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.render('role-form', addUserContext(req, {
+      title: 'Add Role',
+      isRoles: true,
+      draft: req.body,
+      permissionGroups: RoleManager.permissionGroups(parseNameList(req.body.permissions)),
+      message: 'Error creating role: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
+// Edit role form
+router.get('/roles/:id/edit', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(decodeURIComponent(req.params.id));
+    if (!role) {
+      return res.redirect('/admin/roles?message=Role not found&messageType=danger');
+    }
+
+    res.render('role-form', addUserContext(req, {
+      title: 'Edit Role',
+      isRoles: true,
+      role: role.toPublicJSON(),
+      draft: role.toPublicJSON(),
+      permissionGroups: RoleManager.permissionGroups(role.permissions)
+    }));
+  } catch (error) {
+    console.error('Edit role error:', error);
+    res.redirect('/admin/roles?message=Error loading role: ' + error.message + '&messageType=danger');
+  }
+});
+
+// Update role
+router.put('/roles/:id', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(decodeURIComponent(req.params.id));
+    if (!role) {
+      return res.redirect('/admin/roles?message=Role not found&messageType=danger');
+    }
+
+    const { values, error } = await readRoleForm(req, role);
+    if (error) {
+      return res.render('role-form', addUserContext(req, {
+        title: 'Edit Role',
+        isRoles: true,
+        role: role.toPublicJSON(),
+        draft: { ...req.body, name: role.name },
+        permissionGroups: RoleManager.permissionGroups(parseNameList(req.body.permissions)),
+        message: error,
+        messageType: 'danger'
+      }));
+    }
+
+    role.description = values.description;
+    role.permissions = values.permissions;
+    await role.save();
+    clearPermissionCache();
+
+    // Log activity
+    await Activity.logActivity('role_updated', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { role: role.name, permissions: role.permissions }
+    });
+
+    res.redirect('/admin/roles?message=Role updated successfully&messageType=success');
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.redirect('/admin/roles?message=Error updating role: ' + error.message + '&messageType=danger');
+  }
+});
+
+// Read and check the webhook form. Returns { error } or { values } ready to assign to a Webhook.
+function readWebhookForm(req) {
+  const name = (req.body.name || '').trim();
+  const url = (req.body.url || '').trim();
+  const description = (req.body.description || '').trim();
+  const events = parseNameList(req.body.events);
+
+  if (name.length < 1 || name.length > 100) {
+    return { error: 'Webhook name must be 1-100 characters' };
+  }
+  if (!Webhook.isValidUrl(url)) {
+    return { error: 'Payload URL must be an http or https URL' };
+  }
+
+  const unknown = events.filter(event => !Webhook.events[event]);
+  if (unknown.length > 0) {
+    return { error: `Unknown event: ${unknown.join(', ')}` };
+  }
+  if (events.length === 0) {
+    return { error: 'Select at least one event' };
+  }
+
+  return { values: { name, url, description: description || undefined, events, enabled: req.body.enabled === 'on' } };
+}
+
+function buildEventOptions(selected = []) {
+  return Object.entries(Webhook.events).map(([name, description]) => ({
+    name,
+    description,
+    checked: selected.includes(name)
+  }));
+}
+
+// Webhooks list
+router.get('/webhooks', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.findAll();
+
+    res.render('webhooks', addUserContext(req, {
+      title: 'Webhooks',
+      isWebhooks: true,
+      webhooks: webhooks.map(webhook => webhook.toPublicJSON()),
+      message: req.query.message,
+      messageType: req.query.messageType || 'info'
+    }));
+  } catch (error) {
+    console.error('Webhooks list error:', error);
+    res.render('webhooks', addUserContext(req, {
+      title: 'Webhooks',
+      isWebhooks: true,
+      webhooks: [],
+      message: 'Error loading webhooks: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
+// New webhook form
+router.get('/webhooks/new', requirePermission('webhooks:manage'), (req, res) => {
+  res.render('webhook-form', addUserContext(req, {
+    title: 'Add Webhook',
+    isWebhooks: true,
+    draft: { enabled: true },
+    eventOptions: buildEventOptions()
+  }));
+});
+
+// Create webhook - the signing secret is generated and shown on the details page
+router.post('/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  const renderForm = (message) => res.render('webhook-form', addUserContext(req, {
+    title: 'Add Webhook',
+    isWebhooks: true,
+    draft: { ...req.body, enabled: req.body.enabled === 'on' },
+    eventOptions: buildEventOptions(parseNameList(req.body.events)),
+    message,
+    messageType: 'danger'
+  }));
+
+  try {
+    const { values, error } = readWebhookForm(req);
+    if (error) {
+      return renderForm(error);
+    }
+
+    const webhook = new Webhook(values);
+    await webhook.save();
+
+    // Log activity
+    await Activity.logActivity('webhook_created', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { webhook: webhook.name, changes: diffFields(null, webhook.toJSON()) }
+    });
+
+    res.redirect(`/admin/webhooks/${encodeURIComponent(webhook._id)}?message=Webhook created successfully&messageType=success`);
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    renderForm('Error creating webhook: ' + error.message);
+  }
+});
+
+// Webhook details and delivery log
+router.get('/webhooks/:id', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(decodeURIComponent(req.params.id));
+    if (!webhook) {
+      return res.redirect('/admin/webhooks?message=Webhook not found&messageType=danger');
+    }
+
+    const deliveries = await WebhookDelivery.findByWebhook(webhook._id);
+
+    res.render('webhook-details', addUserContext(req, {
+      title: 'Webhook Details',
+      isWebhooks: true,
+      webhook: webhook.toPublicJSON(),
+      // Signing secrets are only sent to the page for admins who manage webhooks
+      secret: hasPermission(req, 'webhooks:manage') ? webhook.secret : null,
+      deliveries: deliveries.map(delivery => ({
+        ...delivery.toPublicJSON(),
+        payloadJson: JSON.stringify(delivery.payload, null, 2)
+      })),
+      message: req.query.message,
+      messageType: req.query.messageType || 'info'
+    }));
+  } catch (error) {
+    console.error('Webhook details error:', error);
+    res.redirect('/admin/webhooks?message=Error loading webhook: ' + error.message + '&messageType=danger');
+  }
+});
+
+// Edit webhook form
+router.get('/webhooks/:id/edit', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(decodeURIComponent(req.params.id));
+    if (!webhook) {
+      return res.redirect('/admin/webhooks?message=Webhook not found&messageType=danger');
+    }
+
+    res.render('webhook-form', addUserContext(req, {
+      title: 'Edit Webhook',
+      isWebhooks: true,
+      webhook: webhook.toPublicJSON(),
+      draft: webhook.toPublicJSON(),
+      eventOptions: buildEventOptions(webhook.events)
+    }));
+  } catch (error) {
+    console.error('Edit webhook error:', error);
+    res.redirect('/admin/webhooks?message=Error loading webhook: ' + error.message + '&messageType=danger');
+  }
+});
+
+// Update webhook
+router.put('/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(decodeURIComponent(req.params.id));
+    if (!webhook) {
+      return res.redirect('/admin/webhooks?message=Webhook not found&messageType=danger');
+    }
+
+    const { values, error } = readWebhookForm(req);
+    if (error) {
+      return res.render('webhook-form', addUserContext(req, {
+        title: 'Edit Webhook',
+        isWebhooks: true,
+        webhook: webhook.toPublicJSON(),
+        draft: { ...req.body, enabled: req.body.enabled === 'on' },
+        eventOptions: buildEventOptions(parseNameList(req.body.events)),
+        message: error,
+        messageType: 'danger'
+      }));
+    }
+
+    const before = webhook.toJSON();
+    Object.assign(webhook, values);
+    await webhook.save();
+
+    // Log activity
+    await Activity.logActivity('webhook_updated', {
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      details: { webhook: webhook.name, changes: diffFields(before, webhook.toJSON()) }
+    });
+
+    res.redirect(`/admin/webhooks/${encodeURIComponent(webhook._id)}?message=Webhook updated successfully&messageType=success`);
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.redirect('/admin/webhooks?message=Error updating webhook: ' + error.message + '&messageType=danger');
+  }
+});
+
+// SCIM provisioning - the endpoint URL and the bearer tokens identity providers use
+router.get('/scim', requirePermission('scim:manage'), async (req, res) => {
+  const scimUrl = `${req.protocol}://${req.get('host')}/scim/v2`;
+
+  try {
+    const tokens = await ScimToken.findAll();
+
+    res.render('scim', addUserContext(req, {
+      title: 'SCIM Provisioning',
+      isScim: true,
+      scimUrl,
+      tokens: tokens.map(token => token.toPublicJSON()),
+      message: req.query.message,
+      messageType: req.query.messageType || 'info'
+    }));
+  } catch (error) {
+    console.error('SCIM tokens list error:', error);
+    res.render('scim', addUserContext(req, {
+      title: 'SCIM Provisioning',
+      isScim: true,
+      scimUrl,
+      tokens: [],
+      message: 'Error loading SCIM tokens: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
+// Scope choices for a new API token: the permissions the admin holds, grouped by area
+function buildScopeGroups(req) {
+  return RoleManager.permissionGroups()
+    .map(group => ({ ...group, permissions: group.permissions.filter(permission => hasPermission(req, permission.name)) }))
+    .filter(group => group.permissions.length > 0);
+}
+
+// API tokens - the admin's own, or everyone's with api_tokens:manage
+router.get('/api-tokens', requirePermission(), async (req, res) => {
+  const manageAll = hasPermission(req, 'api_tokens:manage');
+  const pageData = {
+    title: 'API Tokens',
+    isApiTokens: true,
+    manageAll,
+    scopeGroups: buildScopeGroups(req),
+    expiryOptions: TOKEN_EXPIRY_DAYS.map(days => ({ days, selected: days === DEFAULT_TOKEN_EXPIRY_DAYS })),
+    apiUrl: `${req.protocol}://${req.get('host')}/api`
+  };
+
+  try {
+    const tokens = await ApiToken.findAll(manageAll ? null : req.oidc_user.username);
+
+    res.render('api-tokens', addUserContext(req, {
+      ...pageData,
+      tokens: tokens.map(token => ({
+        ...token.toPublicJSON(),
+        canRevoke: token.isActive() && (manageAll || token.owner_username === req.oidc_user.username)
+      })),
+      message: req.query.message,
+      messageType: req.query.messageType || 'info'
+    }));
+  } catch (error) {
+    console.error('API tokens list error:', error);
+    res.render('api-tokens', addUserContext(req, {
+      ...pageData,
+      tokens: [],
+      message: 'Error loading API tokens: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
+// REST API explorer - the page reads /api/openapi.json and sends requests with the admin's session
+router.get('/api-docs', requirePermission(), (req, res) => {
+  res.render('api-docs', addUserContext(req, {
+    title: 'API Docs',
+    isApiDocs: true,
+    specUrl: '/api/openapi.json',
+    apiUrl: `${req.protocol}://${req.get('host')}/api/v1`
+  }));
+});
+
+// Audit log - filters by action, admin, target user, IP and date, plus free-text search over details
+router.get('/activity', requirePermission('activity:read'), async (req, res) => {
+  const query = ActivityLog.parseQuery(req.query);
+
+  try {
+    const activityLog = new ActivityLog();
+    await activityLog.initialize();
+
+    const [page, actionCounts, adminCounts] = await Promise.all([
+      activityLog.listActivities(query),
+      activityLog.getActionCounts(),
+      activityLog.getAdminCounts()
+    ]);
+
+    res.render('activity', addUserContext(req, {
+      title: 'Activity',
+      isActivity: true,
+      activities: page.activities,
+      actionCounts,
+      adminCounts,
+      filters: query,
+      hasFilters: ActivityLog.hasFilters(query),
+      pageSizes: ActivityLog.pageSizes,
+      pagination: {
+        prevUrl: page.prevCursor ? `/admin/activity${ActivityLog.toQueryString(query, { before: page.prevCursor })}` : null,
+        nextUrl: page.nextCursor ? `/admin/activity${ActivityLog.toQueryString(query, { after: page.nextCursor })}` : null,
+        firstUrl: `/admin/activity${ActivityLog.toQueryString(query)}`
+      }
+    }));
+  } catch (error) {
+    console.error('Activity log error:', error);
+    res.render('activity', addUserContext(req, {
+      title: 'Activity',
+      isActivity: true,
+      activities: [],
+      actionCounts: [],
+      adminCounts: [],
+      filters: query,
+      pageSizes: ActivityLog.pageSizes,
+      pagination: {},
+      message: 'Error loading activity: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
+// Audit log retention - current policy and what past runs archived and purged
+router.get('/activity/retention', requirePermission('activity:read'), async (req, res) => {
+  const settings = auditRetention.describe();
+
+  try {
+    const runs = await auditRetention.findRuns();
+
+    res.render('activity-retention', addUserContext(req, {
+      title: 'Audit Retention',
+      isActivity: true,
+      settings,
+      runs,
+      message: req.query.message,
+      messageType: req.query.messageType || 'info'
+    }));
+  } catch (error) {
+    console.error('Audit retention page error:', error);
+    res.render('activity-retention', addUserContext(req, {
+      title: 'Audit Retention',
+      isActivity: true,
+      settings,
+      runs: [],
+      message: 'Error loading retention runs: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
 // Sessions list
-router.get('/sessions', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/sessions', requirePermission('sessions:read'), async (req, res) => {
   try {
     const db = database.getDb();
     const result = await db.view('sessions', 'by_user_id', { 
@@ -467,7 +1313,7 @@ router.get('/sessions', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
 });
 
 // Clients list
-router.get('/clients', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/clients', requirePermission('clients:read'), async (req, res) => {
   try {
     // Get raw documents to check isolation status
     const db = database.getDb();
@@ -522,16 +1368,45 @@ router.get('/clients', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
       publicClients: clients.filter(client => !client.confidential).length,
       totalClients: clients.length
     };
+
+    // Secret expiry under the rotation policy, optionally filtered to ok, expiring or expired
+    const secretExpiry = clientSecretExpiry.summarize(clients);
+    const secretFilter = ['ok', 'expiring', 'expired'].includes(req.query.secret) ? req.query.secret : '';
+
+    // Last use from sessions; clients unused for CLIENT_INACTIVE_DAYS are cleanup candidates
+    const clientUsage = new ClientUsage();
+    await clientUsage.initialize();
+    const usageSummaries = await clientUsage.summaries();
+    const inactiveDays = ClientUsage.inactiveDays;
+    const usage = new Map(clients.map(client => [
+      client.client_id,
+      ClientUsage.activity(client, usageSummaries.get(client.client_id), inactiveDays)
+    ]));
+    const usageFilter = req.query.usage === 'inactive' && inactiveDays > 0 ? 'inactive' : '';
+
+    const listedClients = sortedClients
+      .filter(client => !secretFilter || secretExpiry.statuses.get(client.client_id)?.state === secretFilter)
+      .filter(client => !usageFilter || usage.get(client.client_id).inactive);
     
     res.render('clients', addUserContext(req, {
       title: 'Clients',
       isClients: true,
-      clients: sortedClients.map(client => {
+      clients: listedClients.map(client => {
         const clientJson = client.toSafeJSON();
         clientJson.isDefaultClient = client.client_id === defaultClientId;
+        clientJson.secretExpiry = secretExpiry.statuses.get(client.client_id) || null;
+        clientJson.usage = usage.get(client.client_id);
         return clientJson;
       }),
-      clientStats
+      clientStats,
+      secretFilter,
+      secretCounts: { expiring: secretExpiry.expiring, expired: secretExpiry.expired },
+      usageFilter,
+      inactiveDays,
+      inactiveCount: [...usage.values()].filter(activity => activity.inactive).length,
+      pendingRegistrations: clients.filter(client => client.isPendingApproval()).length,
+      message: req.query.message,
+      messageType: req.query.messageType || 'info'
     }));
   } catch (error) {
     console.error('Clients list error:', error);
@@ -540,14 +1415,49 @@ router.get('/clients', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
       isClients: true,
       clients: [],
       clientStats: { activeClients: 0, confidentialClients: 0, publicClients: 0, totalClients: 0 },
+      secretCounts: { expiring: 0, expired: 0 },
+      inactiveDays: ClientUsage.inactiveDays,
+      inactiveCount: 0,
       message: 'Error loading clients: ' + error.message,
       messageType: 'danger'
     }));
   }
 });
 
+// Dynamic client registration - the endpoint, initial access tokens and clients waiting for approval
+router.get('/clients/registration', requirePermission('clients:registration'), async (req, res) => {
+  const registrationUrl = `${req.protocol}://${req.get('host')}/register`;
+
+  try {
+    const [tokens, clients] = await Promise.all([RegistrationToken.findAll(), Client.findAll()]);
+
+    res.render('client-registration', addUserContext(req, {
+      title: 'Client Registration',
+      isClients: true,
+      registrationUrl,
+      allowedScopes: ClientRegistration.allowedScopes,
+      tokens: tokens.map(token => token.toPublicJSON()),
+      pendingClients: clients.filter(client => client.isPendingApproval()).map(client => client.toPublicJSON()),
+      message: req.query.message,
+      messageType: req.query.messageType || 'info'
+    }));
+  } catch (error) {
+    console.error('Client registration page error:', error);
+    res.render('client-registration', addUserContext(req, {
+      title: 'Client Registration',
+      isClients: true,
+      registrationUrl,
+      allowedScopes: ClientRegistration.allowedScopes,
+      tokens: [],
+      pendingClients: [],
+      message: 'Error loading client registration: ' + error.message,
+      messageType: 'danger'
+    }));
+  }
+});
+
 // New client form
-router.get('/clients/new', oidcAuth.requireOidcAuth('admin'), (req, res) => {
+router.get('/clients/new', requirePermission('clients:write'), (req, res) => {
   res.render('client-form', addUserContext(req, {
     title: 'Add Client',
     isClients: true
@@ -568,21 +1478,50 @@ const preprocessClientData = (req, res, next) => {
   if (req.body.responseTypes && typeof req.body.responseTypes === 'string') {
     req.body.responseTypes = req.body.responseTypes.split(',').map(rt => rt.trim()).filter(rt => rt);
   }
+  for (const field of ['allowedGroups', 'allowedRoles', 'allowedUsers', 'deniedUsers']) {
+    if (typeof req.body[field] === 'string') {
+      req.body[field] = req.body[field].split(/[,\n]/).map(name => name.trim()).filter(name => name);
+    }
+  }
   next();
 };
 
+// The access policy fields of the client form
+function clientFormAccessPolicy(body) {
+  return Client.normalizeAccessPolicy({
+    allowed_groups: body.allowedGroups,
+    allowed_roles: body.allowedRoles,
+    allowed_users: body.allowedUsers,
+    denied_users: body.deniedUsers,
+    require_mfa: body.requireMfa === 'on'
+  });
+}
+
+// Submitted client form values in the model's field names, for re-rendering the form
+function clientFormValues(body) {
+  return {
+    ...body,
+    redirect_uris: body.redirectUris,
+    grant_types: body.grantTypes,
+    response_types: body.responseTypes,
+    access_policy: clientFormAccessPolicy(body)
+  };
+}
+
 // Create client
-router.post('/clients', oidcAuth.requireOidcAuth('admin'), preprocessClientData, validationRules.createClient, handleValidationErrors, async (req, res) => {
+router.post('/clients', requirePermission('clients:write'), preprocessClientData, validationRules.createClient, handleValidationErrors, async (req, res) => {
   try {
     const { name, description, redirectUris, scopes, grantTypes, responseTypes, confidential } = req.body;
+    const accessPolicy = clientFormAccessPolicy(req.body);
+    const problem = !name || !redirectUris ? 'Name and redirect URIs are required' : ClientAccess.checkPolicy(accessPolicy);
     
-    if (!name || !redirectUris) {
+    if (problem) {
       return res.render('client-form', addUserContext(req, {
         title: 'Add Client',
         isClients: true,
-        message: 'Name and redirect URIs are required',
+        message: problem,
         messageType: 'danger',
-        client: req.body
+        client: clientFormValues(req.body)
       }));
     }
     
@@ -590,26 +1529,30 @@ router.post('/clients', oidcAuth.requireOidcAuth('admin'), preprocessClientData,
     const client = new Client({
       name,
       description,
-      redirectUris,
+      redirect_uris: redirectUris,
       scopes: scopes && scopes.length ? scopes : ['openid', 'profile', 'email'],
-      grantTypes: grantTypes && grantTypes.length ? grantTypes : ['authorization_code', 'refresh_token'],
-      responseTypes: responseTypes && responseTypes.length ? responseTypes : ['code'],
-      confidential: confidential === 'on'
+      grant_types: grantTypes && grantTypes.length ? grantTypes : ['authorization_code', 'refresh_token'],
+      response_types: responseTypes && responseTypes.length ? responseTypes : ['code'],
+      confidential: confidential === 'on',
+      access_policy: accessPolicy
     });
+    const secret = client.addSecret({ created_by: req.oidc_user?.username });
     
     await client.save();
     
     // Log activity
     await Activity.logActivity('client_created', {
-      targetUsername: client.name,
-      targetUserId: client._id,
-      adminUserId: req.oidc_user?.sub,
-      adminUsername: req.oidc_user?.username,
+      target_username: client.name,
+      target_user_id: client._id,
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
       ip: getClientIp(req),
-      userAgent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(null, client.toJSON()) }
     });
     
-    res.redirect('/admin/clients?message=Client created successfully&messageType=success');
+    req.session.new_client_secret = { client: client._id, secret };
+    res.redirect(`/admin/clients/${encodeURIComponent(client._id)}?message=Client created successfully&messageType=success`);
   } catch (error) {
     console.error('Create client error:', error);
     res.render('client-form', addUserContext(req, {
@@ -617,13 +1560,13 @@ router.post('/clients', oidcAuth.requireOidcAuth('admin'), preprocessClientData,
       isClients: true,
       message: 'Error creating client: ' + error.message,
       messageType: 'danger',
-      client: req.body
+      client: clientFormValues(req.body)
     }));
   }
 });
 
 // Edit client form
-router.get('/clients/:id/edit', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/clients/:id/edit', requirePermission('clients:write'), async (req, res) => {
   try {
     const clientId = decodeURIComponent(req.params.id);
     const client = await Client.findById(clientId);
@@ -635,7 +1578,7 @@ router.get('/clients/:id/edit', oidcAuth.requireOidcAuth('admin'), async (req, r
       title: 'Edit Client',
       isClients: true,
       client: client.toPublicJSON(),
-      clientSecret: client.clientSecret
+      secrets: client.secretSummaries()
     }));
   } catch (error) {
     console.error('Edit client error:', error);
@@ -644,7 +1587,7 @@ router.get('/clients/:id/edit', oidcAuth.requireOidcAuth('admin'), async (req, r
 });
 
 // Update client
-router.put('/clients/:id', oidcAuth.requireOidcAuth('admin'), preprocessClientData, async (req, res) => {
+router.put('/clients/:id', requirePermission('clients:write'), preprocessClientData, async (req, res) => {
   try {
     const clientId = decodeURIComponent(req.params.id);
     const client = await Client.findById(clientId);
@@ -653,38 +1596,43 @@ router.put('/clients/:id', oidcAuth.requireOidcAuth('admin'), preprocessClientDa
     }
 
     const { name, description, redirectUris, scopes, grantTypes, responseTypes, confidential, enabled } = req.body;
+    const accessPolicy = clientFormAccessPolicy(req.body);
+    const problem = !name || !redirectUris ? 'Name and redirect URIs are required' : ClientAccess.checkPolicy(accessPolicy);
     
-    if (!name || !redirectUris) {
+    if (problem) {
       return res.render('client-form', addUserContext(req, {
         title: 'Edit Client',
         isClients: true,
-        client: client.toPublicJSON(),
-        clientSecret: client.clientSecret,
-        message: 'Name and redirect URIs are required',
+        client: { ...client.toPublicJSON(), access_policy: accessPolicy },
+        secrets: client.secretSummaries(),
+        message: problem,
         messageType: 'danger'
       }));
     }
     
     // Update client
+    const before = client.toJSON();
     client.name = name;
     client.description = description;
-    client.redirectUris = redirectUris;
+    client.redirect_uris = redirectUris;
     client.scopes = scopes && scopes.length ? scopes : ['openid', 'profile', 'email'];
-    client.grantTypes = grantTypes && grantTypes.length ? grantTypes : ['authorization_code', 'refresh_token'];
-    client.responseTypes = responseTypes && responseTypes.length ? responseTypes : ['code'];
+    client.grant_types = grantTypes && grantTypes.length ? grantTypes : ['authorization_code', 'refresh_token'];
+    client.response_types = responseTypes && responseTypes.length ? responseTypes : ['code'];
     client.confidential = confidential === 'on';
-    client.enabled = enabled === 'on';
+    client.enabled = enabled === 'on' && !client.isPendingApproval(); // Pending clients are enabled by approving them
+    client.access_policy = accessPolicy;
     
     await client.save();
     
     // Log activity
     await Activity.logActivity('client_updated', {
-      targetUsername: client.name,
-      targetUserId: client._id,
-      adminUserId: req.oidc_user?.sub,
-      adminUsername: req.oidc_user?.username,
+      target_username: client.name,
+      target_user_id: client._id,
+      admin_user_id: req.oidc_user?.sub,
+      admin_username: req.oidc_user?.username,
       ip: getClientIp(req),
-      userAgent: req.headers['user-agent']
+      user_agent: req.headers['user-agent'],
+      details: { changes: diffFields(before, client.toJSON()) }
     });
     
     res.redirect('/admin/clients?message=Client updated successfully&messageType=success');
@@ -695,7 +1643,7 @@ router.put('/clients/:id', oidcAuth.requireOidcAuth('admin'), preprocessClientDa
       title: 'Edit Client',
       isClients: true,
       client: client ? client.toPublicJSON() : {},
-      clientSecret: client ? client.clientSecret : '',
+      secrets: client ? client.secretSummaries() : [],
       message: 'Error updating client: ' + error.message,
       messageType: 'danger'
     }));
@@ -703,7 +1651,7 @@ router.put('/clients/:id', oidcAuth.requireOidcAuth('admin'), preprocessClientDa
 });
 
 // View client details
-router.get('/clients/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/clients/:id', requirePermission('clients:read'), async (req, res) => {
   try {
     const clientId = decodeURIComponent(req.params.id);
     const client = await Client.findById(clientId);
@@ -712,13 +1660,32 @@ router.get('/clients/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) =
     }
     
     const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const changeHistory = await Activity.findChangeHistory(client._id);
+    const clientAccess = new ClientAccess();
+    await clientAccess.initialize();
+    const accessPreview = await clientAccess.preview(client);
+    const clientUsage = new ClientUsage();
+    await clientUsage.initialize();
+    const usage = await clientUsage.forClient(client.client_id);
+    const inactiveDays = ClientUsage.inactiveDays;
     
     res.render('client-details', addUserContext(req, {
       title: 'Client Details',
       isClients: true,
       client: client.toPublicJSON(),
-      clientSecret: client.clientSecret, // Show full secret on details page
-      baseUrl: baseUrl
+      secrets: client.secretSummaries(),
+      secretExpiry: clientSecretExpiry.summarize([client]).statuses.get(client.client_id) || null,
+      newSecret: takeNewClientSecret(req, client),
+      defaultOverlapHours: Client.defaultRotationOverlapHours,
+      baseUrl: baseUrl,
+      changeHistory: changeHistory.map(activity => activity.toChangeHistoryJSON()),
+      accessRestricted: client.isAccessRestricted(),
+      accessPreview,
+      usage,
+      inactiveDays,
+      usageActivity: ClientUsage.activity(client, usage.last_used ? { sessions: usage.sessions, last_used: usage.last_used } : undefined, inactiveDays),
+      message: req.query.message,
+      messageType: req.query.messageType || 'info'
     }));
   } catch (error) {
     console.error('View client error:', error);
@@ -727,7 +1694,7 @@ router.get('/clients/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) =
 });
 
 // Conflict resolution routes
-router.get('/conflicts/user/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/conflicts/user/:id', requirePermission('cluster:read'), async (req, res) => {
   try {
     const userId = decodeURIComponent(req.params.id);
     const db = database.getDb();
@@ -745,7 +1712,8 @@ router.get('/conflicts/user/:id', oidcAuth.requireOidcAuth('admin'), async (req,
       version: 'current',
       rev: docWithConflicts._rev,
       user: currentUser.toPublicJSON(),
-      rawDoc: docWithConflicts
+      rawDoc: docWithConflicts,
+      metadata: instanceMetadata(docWithConflicts)
     };
     
     // Get all conflict versions
@@ -758,7 +1726,8 @@ router.get('/conflicts/user/:id', oidcAuth.requireOidcAuth('admin'), async (req,
             version: 'conflict',
             rev: conflictRev,
             user: conflictUser.toPublicJSON(),
-            rawDoc: conflictDoc
+            rawDoc: conflictDoc,
+            metadata: instanceMetadata(conflictDoc)
           };
         } catch (error) {
           console.error(`Error getting conflict revision ${conflictRev}:`, error);
@@ -789,7 +1758,7 @@ router.get('/conflicts/user/:id', oidcAuth.requireOidcAuth('admin'), async (req,
   }
 });
 
-router.get('/conflicts/client/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/conflicts/client/:id', requirePermission('cluster:read'), async (req, res) => {
   try {
     const clientId = decodeURIComponent(req.params.id);
     const db = database.getDb();
@@ -807,7 +1776,8 @@ router.get('/conflicts/client/:id', oidcAuth.requireOidcAuth('admin'), async (re
       version: 'current',
       rev: docWithConflicts._rev,
       client: currentClient.toPublicJSON(),
-      rawDoc: docWithConflicts
+      rawDoc: docWithConflicts,
+      metadata: instanceMetadata(docWithConflicts)
     };
     
     // Get all conflict versions
@@ -820,7 +1790,8 @@ router.get('/conflicts/client/:id', oidcAuth.requireOidcAuth('admin'), async (re
             version: 'conflict',
             rev: conflictRev,
             client: conflictClient.toPublicJSON(),
-            rawDoc: conflictDoc
+            rawDoc: conflictDoc,
+            metadata: instanceMetadata(conflictDoc)
           };
         } catch (error) {
           console.error(`Error getting conflict revision ${conflictRev}:`, error);
@@ -851,7 +1822,7 @@ router.get('/conflicts/client/:id', oidcAuth.requireOidcAuth('admin'), async (re
   }
 });
 
-router.get('/conflicts/session/:id', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.get('/conflicts/session/:id', requirePermission('cluster:read'), async (req, res) => {
   try {
     const sessionId = decodeURIComponent(req.params.id);
     const db = database.getDb();
@@ -873,7 +1844,8 @@ router.get('/conflicts/session/:id', oidcAuth.requireOidcAuth('admin'), async (r
         ...currentSession.toPublicJSON(),
         user: currentUser ? currentUser.toPublicJSON() : { username: 'Unknown', email: 'Unknown' }
       },
-      rawDoc: docWithConflicts
+      rawDoc: docWithConflicts,
+      metadata: instanceMetadata(docWithConflicts)
     };
     
     // Get all conflict versions
@@ -890,7 +1862,8 @@ router.get('/conflicts/session/:id', oidcAuth.requireOidcAuth('admin'), async (r
               ...conflictSession.toPublicJSON(),
               user: conflictUser ? conflictUser.toPublicJSON() : { username: 'Unknown', email: 'Unknown' }
             },
-            rawDoc: conflictDoc
+            rawDoc: conflictDoc,
+            metadata: instanceMetadata(conflictDoc)
           };
         } catch (error) {
           console.error(`Error getting conflict revision ${conflictRev}:`, error);
@@ -922,7 +1895,7 @@ router.get('/conflicts/session/:id', oidcAuth.requireOidcAuth('admin'), async (r
 });
 
 // Conflict resolution POST route
-router.post('/conflicts/:entityType/:id/resolve', oidcAuth.requireOidcAuth('admin'), async (req, res) => {
+router.post('/conflicts/:entityType/:id/resolve', requirePermission('cluster:resolve'), async (req, res) => {
   try {
     const entityType = req.params.entityType;
     const entityId = decodeURIComponent(req.params.id);
@@ -0,0 +1,662 @@
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Activity = require('../models/Activity');
+const Client = require('../models/Client');
+const Group = require('../models/Group');
+const database = require('../database');
+const { requirePermission, hasPermission, clearPermissionCache, checkRoleChange } = require('../middleware/permissions');
+const { validationRules, validateJsonBody } = require('../middleware/validation');
+const { getClientIp } = require('../utils/ip-helper');
+const { diffFields } = require('../utils/change-diff');
+const {
+  ApiError,
+  sendError,
+  handle,
+  sendResource,
+  checkRevision,
+  sendList,
+  sendOffsetList
+} = require('../utils/api-response');
+const ConflictDetector = require('../services/conflict-detector');
+const UserDirectory = require('../services/user-directory');
+const GroupManager = require('../services/group-manager');
+const ClientAccess = require('../services/client-access');
+const ActivityLog = require('../services/activity-log');
+const webhookDispatcher = require('../services/webhook-dispatcher');
+const sessionManager = require('../utils/session-manager');
+
+// Versioned REST API, mounted at /api/v1. Resources are JSON in the models' field names;
+// single resources carry `_rev` and an ETag, and writes honour If-Match (or a `_rev` field).
+// Errors use the envelope in utils/api-response.js.
+const router = express.Router();
+
+// The /api client routes refuse to disable or delete this client, and so does v1
+const DEFAULT_CLIENT_ID = 'zombie';
+
+const USER_FIELDS = ['username', 'email', 'password', 'first_name', 'last_name', 'groups', 'roles', 'enabled', 'email_verified', 'password_reset_required'];
+const CLIENT_FIELDS = ['name', 'description', 'redirect_uris', 'scopes', 'grant_types', 'response_types', 'confidential', 'enabled', 'access_policy'];
+const GROUP_FIELDS = ['name', 'description', 'owner', 'parent', 'roles'];
+
+function trimmed(value) {
+  return typeof value === 'string' ? value.trim() || undefined : undefined;
+}
+
+function nameList(value) {
+  return Array.from(new Set(value.map(item => item.trim())));
+}
+
+// Who made the change, for activity entries
+function actor(req) {
+  return {
+    admin_user_id: req.oidc_user?.sub,
+    admin_username: req.oidc_user?.username,
+    api_token_id: req.oidc_user?.api_token_id,
+    ip: getClientIp(req),
+    user_agent: req.headers['user-agent']
+  };
+}
+
+// Load a document of the given type, or 404. Model lookups by ID do not check the type.
+async function findOr404(Model, type, id, label) {
+  const db = database.getDb();
+  try {
+    const doc = await db.get(id);
+    if (doc.type === type) {
+      return new Model(doc);
+    }
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      throw error;
+    }
+  }
+  throw new ApiError(404, `${label} ${id} not found`);
+}
+
+function location(req, id) {
+  return `${req.baseUrl}${req.path.replace(/\/$/, '')}/${encodeURIComponent(id)}`;
+}
+
+// Users
+
+router.get('/users', requirePermission('users:read'), handle(async (req, res) => {
+  const query = UserDirectory.parseQuery(req.query);
+  const userDirectory = new UserDirectory();
+  await userDirectory.initialize();
+  const page = await userDirectory.listUsers(query);
+
+  sendList(req, res, page.users, {
+    first: UserDirectory.toQueryString(query),
+    prev: page.prevCursor ? UserDirectory.toQueryString(query, { before: page.prevCursor }) : null,
+    next: page.nextCursor ? UserDirectory.toQueryString(query, { after: page.nextCursor }) : null
+  });
+}));
+
+router.post('/users', requirePermission('users:write'), validateJsonBody(USER_FIELDS, validationRules.apiCreateUser), handle(async (req, res) => {
+  const body = req.body;
+  const username = String(body.username).trim();
+  const email = String(body.email).trim();
+
+  if (await User.findByUsername(username)) {
+    throw new ApiError(409, 'Username already exists');
+  }
+  if (await User.findByEmail(email)) {
+    throw new ApiError(409, 'Email already exists');
+  }
+
+  const groups = body.groups ? nameList(body.groups) : [];
+  const roles = body.roles ? nameList(body.roles) : [];
+  const roleError = await checkRoleChange(req, { roles: [], groups: [] }, { roles, groups });
+  if (roleError) {
+    throw new ApiError(403, roleError);
+  }
+
+  const user = new User({
+    username,
+    email,
+    password_hash: await User.hashPassword(body.password),
+    first_name: trimmed(body.first_name),
+    last_name: trimmed(body.last_name),
+    groups,
+    roles,
+    enabled: body.enabled !== false,
+    email_verified: body.email_verified === true,
+    password_reset_required: body.password_reset_required === true
+  });
+  await user.save();
+  clearPermissionCache();
+
+  await Activity.logActivity('user_created', {
+    target_username: user.username,
+    target_user_id: user._id,
+    ...actor(req),
+    details: { changes: diffFields(null, user.toJSON()) }
+  });
+
+  webhookDispatcher.userChanged('user.created', user, req.oidc_user);
+
+  res.location(location(req, user._id));
+  sendResource(res, 201, user.toPublicJSON(), user._rev);
+}));
+
+router.get('/users/:id', requirePermission('users:read'), handle(async (req, res) => {
+  const user = await findOr404(User, 'user', req.params.id, 'User');
+  sendResource(res, 200, user.toPublicJSON(), user._rev);
+}));
+
+router.patch('/users/:id', requirePermission('users:write'), validateJsonBody(USER_FIELDS, validationRules.apiUpdateUser), handle(async (req, res) => {
+  const body = req.body;
+  const user = await findOr404(User, 'user', req.params.id, 'User');
+  checkRevision(req, user._rev);
+
+  if (body.username !== undefined && body.username !== user.username) {
+    throw new ApiError(400, 'username cannot be changed');
+  }
+  if (body.password !== undefined) {
+    throw new ApiError(400, `Set passwords with POST ${req.baseUrl}/users/:id/password`);
+  }
+  // Like the force_password_reset bulk action
+  if (body.password_reset_required !== undefined && !hasPermission(req, 'users:password')) {
+    throw new ApiError(403, 'Setting password_reset_required requires the \'users:password\' permission');
+  }
+
+  const email = body.email !== undefined ? String(body.email).trim() : user.email;
+  if (email !== user.email && await User.findByEmail(email)) {
+    throw new ApiError(409, 'Email already exists');
+  }
+
+  const groups = body.groups ? nameList(body.groups) : user.groups;
+  const roles = body.roles ? nameList(body.roles) : user.roles;
+  const roleError = await checkRoleChange(req, user, { roles, groups });
+  if (roleError) {
+    throw new ApiError(403, roleError);
+  }
+
+  if (body.enabled === false && req.oidc_user && user.username === req.oidc_user.username) {
+    throw new ApiError(403, 'Cannot disable yourself');
+  }
+
+  const before = user.toJSON();
+  user.email = email;
+  if (body.first_name !== undefined) user.first_name = trimmed(body.first_name);
+  if (body.last_name !== undefined) user.last_name = trimmed(body.last_name);
+  user.groups = groups;
+  user.roles = roles;
+  if (body.enabled !== undefined) user.enabled = body.enabled;
+  if (body.email_verified !== undefined) user.email_verified = body.email_verified;
+  if (body.password_reset_required !== undefined) user.password_reset_required = body.password_reset_required;
+
+  await user.save();
+  clearPermissionCache();
+
+  await Activity.logActivity('user_updated', {
+    target_username: user.username,
+    target_user_id: user._id,
+    ...actor(req),
+    details: { changes: diffFields(before, user.toJSON()) }
+  });
+
+  if (before.enabled !== user.enabled) {
+    webhookDispatcher.userChanged(user.enabled ? 'user.enabled' : 'user.disabled', user, req.oidc_user);
+  }
+
+  sendResource(res, 200, user.toPublicJSON(), user._rev);
+}));
+
+router.post('/users/:id/password', requirePermission('users:password'), validateJsonBody(['password'], validationRules.apiSetPassword), handle(async (req, res) => {
+  const body = req.body;
+  const user = await findOr404(User, 'user', req.params.id, 'User');
+  checkRevision(req, user._rev);
+
+  const before = user.toJSON();
+  user.password_hash = await User.hashPassword(body.password);
+  await user.save();
+
+  await Activity.logActivity('password_reset', {
+    target_username: user.username,
+    target_user_id: user._id,
+    ...actor(req),
+    details: { changes: diffFields(before, user.toJSON()) }
+  });
+
+  res.set('ETag', `"${user._rev}"`).status(204).end();
+}));
+
+router.delete('/users/:id', requirePermission('users:delete'), handle(async (req, res) => {
+  const user = await findOr404(User, 'user', req.params.id, 'User');
+  checkRevision(req, user._rev);
+
+  if (req.oidc_user && user.username === req.oidc_user.username) {
+    throw new ApiError(403, 'Cannot delete yourself');
+  }
+
+  await user.delete();
+  clearPermissionCache();
+
+  await Activity.logActivity('user_deleted', {
+    target_username: user.username,
+    target_user_id: user._id,
+    ...actor(req)
+  });
+
+  webhookDispatcher.userChanged('user.deleted', user, req.oidc_user);
+  res.status(204).end();
+}));
+
+// Clients
+
+// A submitted access policy, normalized and checked
+function accessPolicy(value) {
+  const policy = Client.normalizeAccessPolicy(value);
+  const problem = ClientAccess.checkPolicy(policy);
+  if (problem) {
+    throw new ApiError(400, problem);
+  }
+  return policy;
+}
+
+// Secret details (never the hashes) for every reader. The secret itself only exists when
+// the client is created, and is returned then to admins allowed to see secrets.
+function clientResource(req, client, newSecret = null) {
+  const resource = { ...client.toPublicJSON(), client_secrets: client.secretSummaries() };
+  if (newSecret && hasPermission(req, 'clients:secrets')) {
+    resource.client_secret = newSecret;
+  }
+  return resource;
+}
+
+router.get('/clients', requirePermission('clients:read'), handle(async (req, res) => {
+  const clients = await Client.findAll();
+  sendOffsetList(req, res, clients.map(client => clientResource(req, client)));
+}));
+
+router.post('/clients', requirePermission('clients:write'), validateJsonBody(CLIENT_FIELDS, validationRules.apiCreateClient), handle(async (req, res) => {
+  const body = req.body;
+
+  const client = new Client({
+    name: body.name.trim(),
+    description: trimmed(body.description),
+    redirect_uris: nameList(body.redirect_uris),
+    scopes: body.scopes && body.scopes.length ? nameList(body.scopes) : undefined,
+    grant_types: body.grant_types,
+    response_types: body.response_types,
+    confidential: body.confidential,
+    enabled: body.enabled,
+    access_policy: body.access_policy !== undefined ? accessPolicy(body.access_policy) : undefined
+  });
+  const secret = client.addSecret({ created_by: req.oidc_user?.username });
+  await client.save();
+
+  await Activity.logActivity('client_created', {
+    target_username: client.name,
+    target_user_id: client._id,
+    ...actor(req),
+    details: { changes: diffFields(null, client.toJSON()) }
+  });
+
+  res.location(location(req, client._id));
+  sendResource(res, 201, clientResource(req, client, secret), client._rev);
+}));
+
+router.get('/clients/:id', requirePermission('clients:read'), handle(async (req, res) => {
+  const client = await findOr404(Client, 'client', req.params.id, 'Client');
+  sendResource(res, 200, clientResource(req, client), client._rev);
+}));
+
+router.patch('/clients/:id', requirePermission('clients:write'), validateJsonBody(CLIENT_FIELDS, validationRules.apiUpdateClient), handle(async (req, res) => {
+  const body = req.body;
+  const client = await findOr404(Client, 'client', req.params.id, 'Client');
+  checkRevision(req, client._rev);
+
+  if (body.enabled === false && client.client_id === DEFAULT_CLIENT_ID) {
+    throw new ApiError(403, 'Cannot disable the default client');
+  }
+  if (body.enabled === true && !client.enabled && client.isPendingApproval()) {
+    throw new ApiError(409, 'This client registered itself and is waiting for approval in the admin UI');
+  }
+
+  const before = client.toJSON();
+  if (body.name !== undefined) client.name = body.name.trim();
+  if (body.description !== undefined) client.description = trimmed(body.description);
+  if (body.redirect_uris !== undefined) client.redirect_uris = nameList(body.redirect_uris);
+  if (body.scopes !== undefined) client.scopes = body.scopes.length ? nameList(body.scopes) : ['openid', 'profile', 'email'];
+  if (body.grant_types !== undefined) client.grant_types = body.grant_types;
+  if (body.response_types !== undefined) client.response_types = body.response_types;
+  if (body.confidential !== undefined) client.confidential = body.confidential;
+  if (body.enabled !== undefined) client.enabled = body.enabled;
+  if (body.access_policy !== undefined) client.access_policy = accessPolicy(body.access_policy);
+
+  await client.save();
+
+  await Activity.logActivity('client_updated', {
+    target_username: client.name,
+    target_user_id: client._id,
+    ...actor(req),
+    details: { changes: diffFields(before, client.toJSON()) }
+  });
+
+  sendResource(res, 200, clientResource(req, client), client._rev);
+}));
+
+router.delete('/clients/:id', requirePermission('clients:write'), handle(async (req, res) => {
+  const client = await findOr404(Client, 'client', req.params.id, 'Client');
+  checkRevision(req, client._rev);
+
+  if (client.client_id === DEFAULT_CLIENT_ID) {
+    throw new ApiError(403, 'Cannot delete the default client');
+  }
+
+  await client.delete();
+
+  await Activity.logActivity('client_deleted', {
+    target_username: client.name,
+    target_user_id: client._id,
+    ...actor(req)
+  });
+
+  res.status(204).end();
+}));
+
+// Sessions
+
+function sessionResource(session) {
+  return { ...session.toPublicJSON(), expired: session.isExpired() };
+}
+
+// Filter by user_id, and by active=true (live and unexpired) or active=false
+router.get('/sessions', requirePermission('sessions:read'), handle(async (req, res) => {
+  const userId = typeof req.query.user_id === 'string' && req.query.user_id ? req.query.user_id : null;
+  const db = database.getDb();
+  const result = await db.view('sessions', 'by_user_id', {
+    include_docs: true,
+    ...(userId ? { key: userId } : {})
+  });
+
+  let sessions = result.rows.filter(row => row.doc).map(row => new Session(row.doc));
+  if (req.query.active === 'true' || req.query.active === 'false') {
+    const live = req.query.active === 'true';
+    sessions = sessions.filter(session => (session.active && !session.isExpired()) === live);
+  }
+
+  sendOffsetList(req, res, sessions.map(sessionResource));
+}));
+
+router.get('/sessions/:id', requirePermission('sessions:read'), handle(async (req, res) => {
+  const session = await findOr404(Session, 'session', req.params.id, 'Session');
+  sendResource(res, 200, sessionResource(session), session._rev);
+}));
+
+router.delete('/sessions/:id', requirePermission('sessions:revoke'), handle(async (req, res) => {
+  const session = await findOr404(Session, 'session', req.params.id, 'Session');
+  checkRevision(req, session._rev);
+
+  await session.delete();
+
+  await Activity.logActivity('session_invalidated', {
+    ...actor(req),
+    details: `Session ${session._id} deleted`
+  });
+
+  if (session.active && !session.isExpired()) {
+    webhookDispatcher.sessionsRevoked(session.user_id, [session._id], 'admin_deleted', req.oidc_user);
+  }
+
+  // Sign the user out of the admin UI too, if they are signed in
+  await sessionManager.destroyUserSession(session.user_id);
+  res.status(204).end();
+}));
+
+// Groups
+
+async function groupResource(group, groupManager) {
+  const [members, subgroups] = await Promise.all([
+    groupManager.getMembers(group.name),
+    groupManager.getSubgroups(group.name)
+  ]);
+
+  return {
+    ...group.toPublicJSON(),
+    members: members.map(member => ({ id: member._id, username: member.username })),
+    subgroups: subgroups.map(subgroup => subgroup.name)
+  };
+}
+
+// Read a group body into the values checkGroup expects, keeping the existing group's values for missing fields
+function groupValues(body, existing) {
+  const pick = (field, fallback) => (body[field] !== undefined ? trimmed(body[field]) : fallback);
+
+  return {
+    name: existing ? existing.name : trimmed(body.name),
+    description: pick('description', existing?.description),
+    owner: pick('owner', existing?.owner),
+    parent: pick('parent', existing?.parent) || null,
+    roles: body.roles !== undefined ? nameList(body.roles) : (existing ? existing.roles : [])
+  };
+}
+
+router.get('/groups', requirePermission('groups:read'), handle(async (req, res) => {
+  const groupManager = new GroupManager();
+  await groupManager.initialize();
+  const { groups } = await groupManager.listGroups();
+  sendOffsetList(req, res, groups);
+}));
+
+router.post('/groups', requirePermission('groups:write'), validateJsonBody(GROUP_FIELDS, validationRules.apiGroup), handle(async (req, res) => {
+  const body = req.body;
+  const groupManager = new GroupManager();
+  await groupManager.initialize();
+
+  const values = groupValues(body, null);
+  if (values.name && await Group.findByName(values.name)) {
+    throw new ApiError(409, 'A group with this name already exists');
+  }
+  const problem = await groupManager.checkGroup(values, null, hasPermission(req, 'roles:manage'));
+  if (problem) {
+    throw new ApiError(problem.forbidden ? 403 : 400, problem.message);
+  }
+
+  const group = new Group(values);
+  await group.save();
+  clearPermissionCache();
+
+  await Activity.logActivity('group_created', {
+    ...actor(req),
+    details: { group: group.name, parent: group.parent, roles: group.roles }
+  });
+
+  res.location(location(req, group._id));
+  sendResource(res, 201, await groupResource(group, groupManager), group._rev);
+}));
+
+router.get('/groups/:id', requirePermission('groups:read'), handle(async (req, res) => {
+  const group = await findOr404(Group, 'group', req.params.id, 'Group');
+  const groupManager = new GroupManager();
+  await groupManager.initialize();
+  sendResource(res, 200, await groupResource(group, groupManager), group._rev);
+}));
+
+router.patch('/groups/:id', requirePermission('groups:write'), validateJsonBody(GROUP_FIELDS, validationRules.apiGroup), handle(async (req, res) => {
+  const body = req.body;
+  const group = await findOr404(Group, 'group', req.params.id, 'Group');
+  checkRevision(req, group._rev);
+
+  if (body.name !== undefined && body.name !== group.name) {
+    throw new ApiError(400, 'Group names cannot be changed');
+  }
+
+  const groupManager = new GroupManager();
+  await groupManager.initialize();
+
+  const values = groupValues(body, group);
+  const problem = await groupManager.checkGroup(values, group, hasPermission(req, 'roles:manage'));
+  if (problem) {
+    throw new ApiError(problem.forbidden ? 403 : 400, problem.message);
+  }
+
+  group.description = values.description;
+  group.owner = values.owner;
+  group.parent = values.parent;
+  group.roles = values.roles;
+  await group.save();
+  clearPermissionCache();
+
+  await Activity.logActivity('group_updated', {
+    ...actor(req),
+    details: { group: group.name, parent: group.parent, roles: group.roles }
+  });
+
+  sendResource(res, 200, await groupResource(group, groupManager), group._rev);
+}));
+
+router.delete('/groups/:id', requirePermission('groups:write'), handle(async (req, res) => {
+  const group = await findOr404(Group, 'group', req.params.id, 'Group');
+  checkRevision(req, group._rev);
+
+  const groupManager = new GroupManager();
+  await groupManager.initialize();
+  // Deleting the group takes its roles away from every member
+  if (!hasPermission(req, 'roles:manage') && (await groupManager.resolveMembership([group.name])).roles.length > 0) {
+    throw new ApiError(403, 'Deleting a group that grants roles requires the \'roles:manage\' permission');
+  }
+  const subgroups = await groupManager.getSubgroups(group.name);
+  if (subgroups.length > 0) {
+    throw new ApiError(409, `Group has ${subgroups.length} subgroup(s); move or delete them first`);
+  }
+
+  const removedMembers = await groupManager.deleteGroup(group);
+  clearPermissionCache();
+
+  await Activity.logActivity('group_deleted', {
+    ...actor(req),
+    details: { group: group.name, removed_members: removedMembers }
+  });
+
+  res.status(204).end();
+}));
+
+// Membership is stored on the user, so these change the user document
+async function findMember(req) {
+  const group = await findOr404(Group, 'group', req.params.id, 'Group');
+  const user = await findOr404(User, 'user', req.params.userId, 'User');
+  return { group, user };
+}
+
+async function saveMembership(req, res, user, change, group) {
+  const before = user.toJSON();
+  if (change === 'group_added') {
+    user.addGroup(group.name);
+  } else {
+    user.removeGroup(group.name);
+  }
+  await user.save();
+  clearPermissionCache();
+
+  await Activity.logActivity('user_updated', {
+    target_username: user.username,
+    target_user_id: user._id,
+    ...actor(req),
+    details: { [change]: group.name, changes: diffFields(before, user.toJSON()) }
+  });
+
+  res.status(204).end();
+}
+
+// Idempotent: adding a member twice is not an error
+router.put('/groups/:id/members/:userId', requirePermission('groups:write'), handle(async (req, res) => {
+  const { group, user } = await findMember(req);
+  if (user.hasGroup(group.name)) {
+    return res.status(204).end();
+  }
+  // Group membership can carry roles, so handing it out or taking it away is gated like a role change
+  if (!hasPermission(req, 'roles:manage') && (await new GroupManager().resolveMembership([group.name])).roles.length > 0) {
+    throw new ApiError(403, 'Adding members to a group that grants roles requires the \'roles:manage\' permission');
+  }
+  await saveMembership(req, res, user, 'group_added', group);
+}));
+
+router.delete('/groups/:id/members/:userId', requirePermission('groups:write'), handle(async (req, res) => {
+  const { group, user } = await findMember(req);
+  if (!user.hasGroup(group.name)) {
+    throw new ApiError(404, `${user.username} is not a member of ${group.name}`);
+  }
+  if (!hasPermission(req, 'roles:manage') && (await new GroupManager().resolveMembership([group.name])).roles.length > 0) {
+    throw new ApiError(403, 'Removing members from a group that grants roles requires the \'roles:manage\' permission');
+  }
+  await saveMembership(req, res, user, 'group_removed', group);
+}));
+
+// Activity
+
+router.get('/activity', requirePermission('activity:read'), handle(async (req, res) => {
+  const query = ActivityLog.parseQuery(req.query);
+  const activityLog = new ActivityLog();
+  await activityLog.initialize();
+  const page = await activityLog.listActivities(query);
+
+  sendList(req, res, page.activities, {
+    first: ActivityLog.toQueryString(query),
+    prev: page.prevCursor ? ActivityLog.toQueryString(query, { before: page.prevCursor }) : null,
+    next: page.nextCursor ? ActivityLog.toQueryString(query, { after: page.nextCursor }) : null
+  });
+}));
+
+router.get('/activity/:id', requirePermission('activity:read'), handle(async (req, res) => {
+  const activity = await findOr404(Activity, 'activity', req.params.id, 'Activity entry');
+  sendResource(res, 200, { ...ActivityLog.toListItem(activity), chain: activity.chain });
+}));
+
+// Conflicts
+
+const conflictDetector = new ConflictDetector();
+
+router.get('/conflicts', requirePermission('cluster:read'), handle(async (req, res) => {
+  await conflictDetector.initialize();
+  sendOffsetList(req, res, await conflictDetector.getAllConflicts());
+}));
+
+router.get('/conflicts/stats', requirePermission('cluster:read'), handle(async (req, res) => {
+  await conflictDetector.initialize();
+  res.json({ data: await conflictDetector.getConflictStats() });
+}));
+
+// Keep one revision of a conflicted document and delete the others
+router.post('/conflicts/:docId/resolve', requirePermission('cluster:resolve'), validateJsonBody(['winning_rev'], validationRules.apiResolveConflict), handle(async (req, res) => {
+  const winningRev = req.body.winning_rev;
+
+  await conflictDetector.initialize();
+  const db = database.getDb();
+  let doc;
+  try {
+    doc = await db.get(req.params.docId, { conflicts: true });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw new ApiError(404, `Document ${req.params.docId} not found`);
+    }
+    throw error;
+  }
+
+  const revisions = [doc._rev, ...(doc._conflicts || [])];
+  if (revisions.length < 2) {
+    throw new ApiError(409, `Document ${doc._id} has no conflicts`);
+  }
+  if (!revisions.includes(winningRev)) {
+    throw new ApiError(400, `${winningRev} is not a revision of ${doc._id}`, { revisions });
+  }
+
+  const losingRevs = revisions.filter(rev => rev !== winningRev);
+  await conflictDetector.resolveConflict(doc._id, winningRev, losingRevs);
+
+  await Activity.logActivity('conflict_resolved', {
+    ...actor(req),
+    details: `Resolved conflict for document ${doc._id}`
+  });
+
+  res.json({ data: { document_id: doc._id, winning_rev: winningRev, deleted_revs: losingRevs } });
+}));
+
+// Anything else under /api/v1 gets a JSON 404 rather than falling through to the admin UI
+router.use((req, res) => {
+  sendError(res, new ApiError(404, `No API endpoint at ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+module.exports = router;
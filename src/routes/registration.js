@@ -0,0 +1,59 @@
+const express = require('express');
+const ClientRegistration = require('../services/client-registration');
+const { RegistrationError } = require('../services/client-registration');
+const { requireInitialAccessToken, requireRegistrationAccessToken } = require('../middleware/registration-auth');
+const { getClientIp } = require('../utils/ip-helper');
+
+const router = express.Router();
+
+// OAuth 2.0 dynamic client registration (RFC 7591) at POST /register, and client
+// configuration (RFC 7592) at /register/:clientId. Authenticated by bearer token only:
+// an initial access token to register, then the client's registration access token.
+
+function registrationFor(req) {
+  return new ClientRegistration({
+    baseUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}`,
+    audit: { ip: getClientIp(req), user_agent: req.headers['user-agent'] }
+  });
+}
+
+// Responses carry secrets and tokens, so nothing may cache them
+function send(res, status, body) {
+  res.status(status).set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' }).json(body);
+}
+
+// Wrap a handler so every failure becomes an OAuth error response
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      if (error instanceof RegistrationError) {
+        return send(res, error.status, { error: error.error, error_description: error.message });
+      }
+      console.error('Client registration error:', error);
+      send(res, 500, { error: 'server_error', error_description: 'Internal server error' });
+    }
+  };
+}
+
+router.post('/', requireInitialAccessToken, handle(async (req, res) => {
+  const response = await registrationFor(req).register(req.body, req.registrationToken);
+  res.location(response.registration_client_uri);
+  send(res, 201, response);
+}));
+
+router.get('/:clientId', requireRegistrationAccessToken, handle(async (req, res) => {
+  send(res, 200, registrationFor(req).response(req.registeredClient, { accessToken: req.registrationAccessToken }));
+}));
+
+router.put('/:clientId', requireRegistrationAccessToken, handle(async (req, res) => {
+  send(res, 200, await registrationFor(req).update(req.registeredClient, req.body, req.registrationAccessToken));
+}));
+
+router.delete('/:clientId', requireRegistrationAccessToken, handle(async (req, res) => {
+  await registrationFor(req).remove(req.registeredClient);
+  res.status(204).set('Cache-Control', 'no-store').end();
+}));
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const ScimService = require('../services/scim');
+const { ScimError } = require('../services/scim');
+const { SCHEMAS, serviceProviderConfig, resourceTypes, schemas } = require('../services/scim-schemas');
+const { requireScimToken } = require('../middleware/scim-auth');
+const { clearPermissionCache } = require('../middleware/permissions');
+const { getClientIp } = require('../utils/ip-helper');
+
+const router = express.Router();
+
+// SCIM 2.0 provisioning API (RFC 7644), mounted at /scim/v2. Authenticated by bearer
+// token only: no session, no CSRF token.
+router.use(requireScimToken);
+
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+function scimFor(req) {
+  return new ScimService({
+    baseUrl: baseUrl(req),
+    token: req.scimToken,
+    audit: { ip: getClientIp(req), user_agent: req.headers['user-agent'] }
+  });
+}
+
+function send(res, status, body) {
+  res.status(status).type('application/scim+json').json(body);
+}
+
+function sendError(res, error) {
+  if (error instanceof ScimError) {
+    return send(res, error.status, {
+      schemas: [SCHEMAS.error],
+      status: String(error.status),
+      ...(error.scimType ? { scimType: error.scimType } : {}),
+      detail: error.message
+    });
+  }
+
+  console.error('SCIM error:', error);
+  send(res, 500, { schemas: [SCHEMAS.error], status: '500', detail: 'Internal server error' });
+}
+
+// Wrap a handler so every failure becomes a SCIM error response
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+function created(res, resource) {
+  res.location(resource.meta.location);
+  send(res, 201, resource);
+}
+
+// Discovery
+
+router.get('/ServiceProviderConfig', (req, res) => {
+  send(res, 200, serviceProviderConfig(baseUrl(req)));
+});
+
+router.get('/ResourceTypes', (req, res) => {
+  const resources = resourceTypes(baseUrl(req));
+  send(res, 200, {
+    schemas: [SCHEMAS.listResponse],
+    totalResults: resources.length,
+    startIndex: 1,
+    itemsPerPage: resources.length,
+    Resources: resources
+  });
+});
+
+router.get('/ResourceTypes/:id', handle(async (req, res) => {
+  const resource = resourceTypes(baseUrl(req)).find(type => type.id === req.params.id);
+  if (!resource) {
+    throw new ScimError(404, null, `Resource type ${req.params.id} not found`);
+  }
+  send(res, 200, resource);
+}));
+
+router.get('/Schemas', (req, res) => {
+  const resources = schemas(baseUrl(req));
+  send(res, 200, {
+    schemas: [SCHEMAS.listResponse],
+    totalResults: resources.length,
+    startIndex: 1,
+    itemsPerPage: resources.length,
+    Resources: resources
+  });
+});
+
+router.get('/Schemas/:id', handle(async (req, res) => {
+  const resource = schemas(baseUrl(req)).find(schema => schema.id === req.params.id);
+  if (!resource) {
+    throw new ScimError(404, null, `Schema ${req.params.id} not found`);
+  }
+  send(res, 200, resource);
+}));
+
+// Users
+
+router.get('/Users', handle(async (req, res) => {
+  send(res, 200, await scimFor(req).listUsers(ScimService.parseListQuery(req.query)));
+}));
+
+router.post('/Users', handle(async (req, res) => {
+  created(res, await scimFor(req).createUser(req.body));
+}));
+
+router.get('/Users/:id', handle(async (req, res) => {
+  const query = ScimService.parseListQuery(req.query);
+  send(res, 200, ScimService.project(await scimFor(req).getUser(req.params.id), query));
+}));
+
+router.put('/Users/:id', handle(async (req, res) => {
+  send(res, 200, await scimFor(req).replaceUser(req.params.id, req.body));
+  clearPermissionCache();
+}));
+
+router.patch('/Users/:id', handle(async (req, res) => {
+  send(res, 200, await scimFor(req).patchUser(req.params.id, req.body));
+  clearPermissionCache();
+}));
+
+router.delete('/Users/:id', handle(async (req, res) => {
+  await scimFor(req).deleteUser(req.params.id);
+  clearPermissionCache();
+  res.status(204).end();
+}));
+
+// Groups
+
+router.get('/Groups', handle(async (req, res) => {
+  send(res, 200, await scimFor(req).listGroups(ScimService.parseListQuery(req.query)));
+}));
+
+router.post('/Groups', handle(async (req, res) => {
+  created(res, await scimFor(req).createGroup(req.body));
+  clearPermissionCache();
+}));
+
+router.get('/Groups/:id', handle(async (req, res) => {
+  const query = ScimService.parseListQuery(req.query);
+  send(res, 200, ScimService.project(await scimFor(req).getGroup(req.params.id), query));
+}));
+
+router.put('/Groups/:id', handle(async (req, res) => {
+  send(res, 200, await scimFor(req).replaceGroup(req.params.id, req.body));
+  clearPermissionCache();
+}));
+
+router.patch('/Groups/:id', handle(async (req, res) => {
+  send(res, 200, await scimFor(req).patchGroup(req.params.id, req.body));
+  clearPermissionCache();
+}));
+
+router.delete('/Groups/:id', handle(async (req, res) => {
+  await scimFor(req).deleteGroup(req.params.id);
+  clearPermissionCache();
+  res.status(204).end();
+}));
+
+// Anything else under /scim/v2 gets a SCIM 404 rather than the admin UI's error page
+router.use((req, res) => {
+  sendError(res, new ScimError(404, null, `No SCIM endpoint at ${req.method} ${req.path}`));
+});
+
+module.exports = router;
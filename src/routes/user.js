@@ -4,10 +4,28 @@ const Session = require('../models/Session');
 const Activity = require('../models/Activity');
 const Client = require('../models/Client');
 const oidcAuth = require('../middleware/oidc-auth');
+const { clearPermissionCache } = require('../middleware/permissions');
 const { getClientIp } = require('../utils/ip-helper');
+const webhookDispatcher = require('../services/webhook-dispatcher');
 
 const router = express.Router();
 
+// Users an admin has asked to change their password (User.password_reset_required)
+// can only reach the password form until they have
+async function requireCurrentPassword(req, res, next) {
+  try {
+    const user = await User.findByUsername(req.oidc_user.username);
+    if (user && user.password_reset_required) {
+      return res.redirect('/password');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+const requireUser = [oidcAuth.requireOidcAuth('user'), requireCurrentPassword];
+
 // Helper function to add user context to render data
 function addUserContext(req, renderData) {
   return {
@@ -18,7 +36,7 @@ function addUserContext(req, renderData) {
 }
 
 // User dashboard
-router.get('/', oidcAuth.requireOidcAuth('user'), async (req, res) => {
+router.get('/', requireUser, async (req, res) => {
   console.log('🎯 USER ROUTE: Root path hit - rendering user dashboard');
   console.log('🎯 USER ROUTE: User roles:', req.oidc_user?.roles);
   try {
@@ -77,7 +95,7 @@ router.get('/', oidcAuth.requireOidcAuth('user'), async (req, res) => {
 });
 
 // User profile view
-router.get('/profile', oidcAuth.requireOidcAuth('user'), async (req, res) => {
+router.get('/profile', requireUser, async (req, res) => {
   try {
     const user = await User.findByUsername(req.oidc_user.username);
     if (!user) {
@@ -102,7 +120,7 @@ router.get('/profile', oidcAuth.requireOidcAuth('user'), async (req, res) => {
 });
 
 // Update user profile
-router.post('/profile', oidcAuth.requireOidcAuth('user'), async (req, res) => {
+router.post('/profile', requireUser, async (req, res) => {
   try {
     const user = await User.findByUsername(req.oidc_user.username);
     if (!user) {
@@ -156,7 +174,11 @@ router.get('/password', oidcAuth.requireOidcAuth('user'), async (req, res) => {
 
     res.render('user-change-password', addUserContext(req, {
       title: 'Password',
-      isPassword: true
+      isPassword: true,
+      ...(user.password_reset_required ? {
+        message: 'An administrator has asked you to change your password before you continue.',
+        messageType: 'warning'
+      } : {})
     }));
   } catch (error) {
     console.error('Change password form error:', error);
@@ -219,8 +241,10 @@ router.post('/password', oidcAuth.requireOidcAuth('user'), async (req, res) => {
     }
 
     // Update password
-    user.passwordHash = await User.hashPassword(newPassword);
+    user.password_hash = await User.hashPassword(newPassword);
+    user.password_reset_required = false;
     await user.save();
+    clearPermissionCache(); // Admin pages stop sending the user here at once
 
     // Log activity
     await Activity.logActivity('password_changed', {
@@ -244,7 +268,7 @@ router.post('/password', oidcAuth.requireOidcAuth('user'), async (req, res) => {
 });
 
 // User sessions management
-router.get('/sessions', oidcAuth.requireOidcAuth('user'), async (req, res) => {
+router.get('/sessions', requireUser, async (req, res) => {
   try {
     const user = await User.findByUsername(req.oidc_user.username);
     if (!user) {
@@ -305,7 +329,7 @@ router.get('/sessions', oidcAuth.requireOidcAuth('user'), async (req, res) => {
 });
 
 // Revoke session
-router.post('/sessions/:id/revoke', oidcAuth.requireOidcAuth('user'), async (req, res) => {
+router.post('/sessions/:id/revoke', requireUser, async (req, res) => {
   try {
     const user = await User.findByUsername(req.oidc_user.username);
     if (!user) {
@@ -343,6 +367,8 @@ router.post('/sessions/:id/revoke', oidcAuth.requireOidcAuth('user'), async (req
       details: { sessionId: sessionId }
     });
 
+    webhookDispatcher.sessionsRevoked(user, [sessionId], 'user_revoked', req.oidc_user);
+
     res.json({ success: true, message: 'Session revoked successfully' });
   } catch (error) {
     console.error('Revoke session error:', error);
@@ -351,7 +377,7 @@ router.post('/sessions/:id/revoke', oidcAuth.requireOidcAuth('user'), async (req
 });
 
 // Revoke all sessions except current
-router.post('/sessions/revoke-all', oidcAuth.requireOidcAuth('user'), async (req, res) => {
+router.post('/sessions/revoke-all', requireUser, async (req, res) => {
   try {
     const user = await User.findByUsername(req.oidc_user.username);
     if (!user) {
@@ -361,14 +387,15 @@ router.post('/sessions/revoke-all', oidcAuth.requireOidcAuth('user'), async (req
     const allSessions = await Session.findByUserId(user._id);
     const currentSessionId = req.sessionID;
 
-    let revokedCount = 0;
+    const revoked = [];
     for (const session of allSessions) {
       if (session._id !== currentSessionId && session.active) {
         session.active = false;
         await session.save();
-        revokedCount++;
+        revoked.push(session._id);
       }
     }
+    const revokedCount = revoked.length;
 
     // Log activity
     await Activity.logActivity('all_sessions_revoked', {
@@ -380,6 +407,8 @@ router.post('/sessions/revoke-all', oidcAuth.requireOidcAuth('user'), async (req
       details: { revokedCount }
     });
 
+    webhookDispatcher.sessionsRevoked(user, revoked, 'user_revoked', req.oidc_user);
+
     res.json({ success: true, message: `${revokedCount} sessions revoked successfully` });
   } catch (error) {
     console.error('Revoke all sessions error:', error);
@@ -0,0 +1,227 @@
+const database = require('../database');
+const Activity = require('../models/Activity');
+
+const PAGE_SIZES = [50, 100, 200];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rows read per view request while filling a page with filtered results
+const SCAN_BATCH_SIZE = 500;
+
+// Filters that have their own view, in the order one is picked to drive the scan
+const INDEXED_FILTERS = [
+  { param: 'action', view: 'by_action' },
+  { param: 'target', view: 'by_target_user' },
+  { param: 'admin', view: 'by_admin' },
+  { param: 'ip', view: 'by_ip' }
+];
+
+// Cursors are the view key and doc id of the row at the edge of a page
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.key, row.id])).toString('base64url');
+}
+
+function decodeCursor(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  try {
+    const [key, id] = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return typeof id === 'string' ? { key, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseText(value, maxLength = 100) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function parseDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) ? value : '';
+}
+
+class ActivityLog {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDb();
+  }
+
+  // Normalize activity log query parameters from the request
+  static parseQuery(params = {}) {
+    const limit = parseInt(params.limit, 10);
+
+    return {
+      q: parseText(params.q),
+      action: parseText(params.action),
+      admin: parseText(params.admin),
+      target: parseText(params.target),
+      ip: parseText(params.ip, 45),
+      from: parseDate(params.from),
+      to: parseDate(params.to),
+      limit: PAGE_SIZES.includes(limit) ? limit : PAGE_SIZES[0],
+      after: decodeCursor(params.after),
+      before: decodeCursor(params.before)
+    };
+  }
+
+  // Build a query string for the given query, dropping cursors unless overridden
+  static toQueryString(query, overrides = {}) {
+    const params = new URLSearchParams();
+    const values = { ...query, after: null, before: null, ...overrides };
+
+    for (const key of ['q', 'action', 'admin', 'target', 'ip', 'from', 'to', 'limit', 'after', 'before']) {
+      const value = values[key];
+      if (value === null || value === undefined || value === '') continue;
+      if (key === 'limit' && value === PAGE_SIZES[0]) continue;
+      params.set(key, value);
+    }
+
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : '';
+  }
+
+  static get pageSizes() {
+    return PAGE_SIZES;
+  }
+
+  static hasFilters(query) {
+    return ['q', 'action', 'admin', 'target', 'ip', 'from', 'to'].some(key => query[key]);
+  }
+
+  // Pick the view for the most selective filter; the rest are checked per document
+  static scanPlan(query) {
+    const indexed = INDEXED_FILTERS.find(filter => query[filter.param]);
+    const prefix = indexed ? query[indexed.param] : null;
+    const key = timestamp => (indexed ? [prefix, timestamp] : timestamp);
+
+    return {
+      view: indexed ? indexed.view : 'by_timestamp',
+      indexed: indexed ? indexed.param : null,
+      // Dates are UTC days; {} sorts after every string and null before them
+      newest: key(query.to ? `${query.to}T23:59:59.999Z` : {}),
+      oldest: key(query.from ? `${query.from}T00:00:00.000Z` : null)
+    };
+  }
+
+  static matchesFilters(doc, query, indexed) {
+    if (query.action && indexed !== 'action' && doc.action !== query.action) {
+      return false;
+    }
+    if (query.admin && indexed !== 'admin' && doc.admin_username !== query.admin) {
+      return false;
+    }
+    if (query.target && indexed !== 'target' &&
+        doc.target_user_id !== query.target && doc.target_username !== query.target) {
+      return false;
+    }
+    if (query.ip && indexed !== 'ip' && doc.ip !== query.ip) {
+      return false;
+    }
+    if (query.q) {
+      const text = [doc.action, doc.username, doc.admin_username, doc.api_token_id, doc.target_username, doc.ip,
+        doc.details ? JSON.stringify(doc.details) : ''].join(' ').toLowerCase();
+      if (!text.includes(query.q.toLowerCase())) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Collect up to limit + 1 matching rows, newest first (or oldest first when paging back)
+  async scanView(query, reverse) {
+    const plan = ActivityLog.scanPlan(query);
+    const cursor = reverse ? query.before : query.after;
+    const rows = [];
+    let params = {
+      include_docs: true,
+      reduce: false,
+      descending: !reverse,
+      startkey: reverse ? plan.oldest : plan.newest,
+      endkey: reverse ? plan.newest : plan.oldest,
+      limit: SCAN_BATCH_SIZE
+    };
+
+    if (cursor) {
+      params.startkey = cursor.key;
+      params.startkey_docid = cursor.id;
+    }
+
+    while (rows.length <= query.limit) {
+      const result = await this.db.view('activity_log', plan.view, params);
+
+      for (const row of result.rows) {
+        if (!row.doc || (cursor && row.id === cursor.id)) continue;
+        if (ActivityLog.matchesFilters(row.doc, query, plan.indexed)) {
+          rows.push(row);
+          if (rows.length > query.limit) break;
+        }
+      }
+
+      if (result.rows.length < params.limit) break;
+
+      const lastRow = result.rows[result.rows.length - 1];
+      params = { ...params, startkey: lastRow.key, startkey_docid: lastRow.id, skip: 1 };
+    }
+
+    return rows;
+  }
+
+  async listActivities(query) {
+    const reverse = !!query.before && !query.after;
+    const rows = await this.scanView(query, reverse);
+    const hasMore = rows.length > query.limit;
+
+    // Paging back past the newest entry lands on a short page - show the first page instead
+    if (reverse && !hasMore) {
+      return this.listActivities({ ...query, before: null });
+    }
+
+    const pageRows = rows.slice(0, query.limit);
+    if (reverse) {
+      pageRows.reverse();
+    }
+
+    const firstRow = pageRows[0];
+    const lastRow = pageRows[pageRows.length - 1];
+
+    return {
+      activities: pageRows.map(row => ActivityLog.toListItem(new Activity(row.doc))),
+      nextCursor: lastRow && (reverse || hasMore) ? encodeCursor(lastRow) : null,
+      prevCursor: firstRow && (reverse ? hasMore : !!query.after) ? encodeCursor(firstRow) : null
+    };
+  }
+
+  static toListItem(activity) {
+    return {
+      ...activity.toPublicJSON(),
+      target_user_id: activity.target_user_id,
+      user_agent: activity.user_agent,
+      detailsText: activity.details ? JSON.stringify(activity.details) : ''
+    };
+  }
+
+  // Distinct values and entry counts from a reduced [value, timestamp] view, for filter pickers
+  async getFacet(view) {
+    try {
+      const result = await this.db.view('activity_log', view, { group_level: 1 });
+      return result.rows.map(row => ({ value: row.key[0], count: row.value }));
+    } catch (error) {
+      console.error(`Error loading activity ${view} counts:`, error);
+      return [];
+    }
+  }
+
+  async getActionCounts() {
+    return this.getFacet('by_action');
+  }
+
+  async getAdminCounts() {
+    return this.getFacet('by_admin');
+  }
+}
+
+module.exports = ActivityLog;
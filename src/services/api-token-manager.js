@@ -0,0 +1,5 @@
+// Lifetimes offered when minting an API token; every token expires
+const TOKEN_EXPIRY_DAYS = [7, 30, 90, 180, 365];
+const DEFAULT_TOKEN_EXPIRY_DAYS = 30;
+
+module.exports = { TOKEN_EXPIRY_DAYS, DEFAULT_TOKEN_EXPIRY_DAYS };
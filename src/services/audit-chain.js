@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const database = require('../database');
+
+// Every activity is linked to the one before it from the same instance: its hash covers its
+// own content plus the previous hash, so editing or deleting an entry breaks the chain.
+// Chains are per instance so entries replicated in from other nodes never interleave.
+const GENESIS_HASH = '0'.repeat(64);
+const HEAD_DOC_PREFIX = '_local/audit_chain_';
+
+// Chain rows read per view request while verifying
+const VERIFY_BATCH_SIZE = 1000;
+
+// Tries at saving an entry when its sequence number turns out to be taken
+const MAX_APPEND_ATTEMPTS = 3;
+
+// Fields covered by the hash, in a fixed order. Fields an entry doesn't have are left out
+// of its hash, so entries written before a field was added still verify.
+const HASHED_FIELDS = ['timestamp', 'action', 'username', 'target_user_id', 'target_username',
+  'ip', 'user_agent', 'admin_user_id', 'admin_username', 'details', 'api_token_id'];
+
+// JSON with object keys sorted at every level, so the same content always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function instanceId() {
+  return process.env.INSTANCE_ID || 'unknown';
+}
+
+function chainDocId(instance, seq) {
+  return `activity:${instance}:${String(seq).padStart(12, '0')}`;
+}
+
+class AuditChain {
+  constructor() {
+    this.head = null; // { seq, hash, _rev } for this instance, loaded on first append
+    this.queue = Promise.resolve();
+  }
+
+  static hashEntry(doc, chain) {
+    const content = { instance: chain.instance, seq: chain.seq, prev_hash: chain.prev_hash };
+    for (const field of HASHED_FIELDS) {
+      content[field] = doc[field];
+    }
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+  }
+
+  // The head lives in a _local document, which CouchDB never replicates. It can fall behind
+  // the entries - when saving it failed, or another process such as the CLI appended with the
+  // same INSTANCE_ID - so the newest entry in the chain view wins when it is further on.
+  async loadHead(db) {
+    const instance = instanceId();
+    let head = { seq: 0, hash: GENESIS_HASH, _rev: undefined };
+    try {
+      const doc = await db.get(`${HEAD_DOC_PREFIX}${instance}`);
+      head = { seq: doc.seq, hash: doc.hash, _rev: doc._rev };
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+
+    const result = await db.view('activity_log', 'by_chain', {
+      startkey: [instance, {}],
+      endkey: [instance, 0],
+      descending: true,
+      reduce: false,
+      include_docs: true,
+      limit: 1
+    });
+    const last = result.rows[0]?.doc?.chain;
+    if (last && last.seq > head.seq) {
+      head = { ...head, seq: last.seq, hash: last.hash };
+    }
+    return head;
+  }
+
+  async saveHead(db, head) {
+    const result = await db.insert({
+      _id: `${HEAD_DOC_PREFIX}${instanceId()}`,
+      _rev: head._rev,
+      seq: head.seq,
+      hash: head.hash,
+      updated_at: new Date().toISOString()
+    });
+    head._rev = result.rev;
+  }
+
+  /**
+   * Link an activity to the chain and save it. Appends run one at a time so two
+   * requests logging at once can't claim the same sequence number.
+   * @param {Activity} activity - Unsaved activity
+   */
+  append(activity) {
+    const run = this.queue.then(() => this.appendNow(activity));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async appendNow(activity) {
+    const db = database.getDb();
+    const instance = instanceId();
+    let chain;
+
+    for (let attempt = 1; ; attempt++) {
+      if (!this.head) {
+        this.head = await this.loadHead(db);
+      }
+
+      chain = { instance, seq: this.head.seq + 1, prev_hash: this.head.hash };
+      chain.hash = AuditChain.hashEntry(activity, chain);
+      activity._id = chainDocId(instance, chain.seq);
+      activity.chain = chain;
+
+      try {
+        await activity.save();
+        break;
+      } catch (error) {
+        this.head = null;
+        // A 409 means another process claimed this sequence number: catch up and try again
+        if (error.statusCode !== 409 || attempt >= MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+
+    this.head = { ...this.head, seq: chain.seq, hash: chain.hash };
+    try {
+      await this.saveHead(db, this.head);
+    } catch (error) {
+      // The entry is saved either way; the next load catches the head up from the view
+      console.error('Failed to save audit chain head:', error.message);
+      this.head = null;
+    }
+
+    return activity;
+  }
+
+  // Instances that have chained entries, with their entry counts
+  static async listInstances(db) {
+    const result = await db.view('activity_log', 'by_chain', { group_level: 1 });
+    return result.rows.map(row => ({ instance: row.key[0], entries: row.value }));
+  }
+
+  // Links of entries removed by audit retention, as a map of seq => { prev_hash, hash }
+  static async loadPurged(db, instance) {
+    const purged = new Map();
+    try {
+      const result = await db.view('activity_log', 'purged_by_instance', { key: instance, include_docs: true });
+      for (const row of result.rows) {
+        for (const [seq, prevHash, hash] of row.doc.entries || []) {
+          purged.set(seq, { prev_hash: prevHash, hash });
+        }
+      }
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+    return purged;
+  }
+
+  /**
+   * Walk one instance's chain in sequence order, recomputing every hash. Entries removed
+   * by audit retention are stepped over using the links recorded when they were purged.
+   * @returns {Promise<Object>} { instance, entries, purged, lastSeq, problems: [{ seq, type, message }] }
+   */
+  static async verifyInstance(db, instance) {
+    const report = { instance, entries: 0, purged: 0, lastSeq: 0, problems: [] };
+    const purged = await AuditChain.loadPurged(db, instance);
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+
+    // Follow recorded purge links from expectedSeq up to (but not including) untilSeq
+    const skipPurged = (untilSeq) => {
+      while (expectedSeq < untilSeq && purged.has(expectedSeq)) {
+        const link = purged.get(expectedSeq);
+        if (link.prev_hash !== prevHash) {
+          report.problems.push({ seq: expectedSeq, type: 'link_mismatch', message: 'Purged entry does not link to the previous entry' });
+        }
+        prevHash = link.hash;
+        report.purged++;
+        report.lastSeq = expectedSeq;
+        expectedSeq++;
+      }
+    };
+    let params = {
+      startkey: [instance, 0],
+      endkey: [instance, {}],
+      include_docs: true,
+      reduce: false,
+      limit: VERIFY_BATCH_SIZE
+    };
+
+    for (;;) {
+      const result = await db.view('activity_log', 'by_chain', params);
+
+      for (const row of result.rows) {
+        const doc = row.doc;
+        const chain = doc.chain;
+        report.entries++;
+        skipPurged(chain.seq);
+
+        if (chain.seq > expectedSeq) {
+          report.problems.push({
+            seq: expectedSeq,
+            type: 'gap',
+            message: `Entries ${expectedSeq}-${chain.seq - 1} are missing`
+          });
+          // The next entry can't link to a missing one, so only its own hash is checked
+          prevHash = chain.prev_hash;
+        } else if (chain.seq < expectedSeq) {
+          report.problems.push({ seq: chain.seq, type: 'duplicate', message: `Sequence ${chain.seq} appears more than once` });
+          continue;
+        }
+
+        if (chain.prev_hash !== prevHash) {
+          report.problems.push({ seq: chain.seq, type: 'link_mismatch', message: 'Does not link to the previous entry' });
+        }
+        if (AuditChain.hashEntry(doc, chain) !== chain.hash) {
+          report.problems.push({ seq: chain.seq, type: 'hash_mismatch', message: `Content does not match its hash (${doc._id})` });
+        }
+
+        prevHash = chain.hash;
+        expectedSeq = chain.seq + 1;
+        report.lastSeq = chain.seq;
+      }
+
+      if (result.rows.length < params.limit) break;
+
+      const lastRow = result.rows[result.rows.length - 1];
+      params = { ...params, startkey: lastRow.key, startkey_docid: lastRow.id, skip: 1 };
+    }
+
+    // Entries purged from the end of the chain
+    skipPurged(Infinity);
+
+    return report;
+  }
+
+  /**
+   * Verify every instance's chain. For this instance the stored head is also checked,
+   * which catches entries deleted from the end of the chain.
+   * @param {Object} [options]
+   * @param {string} [options.instance] - Only verify this instance
+   */
+  async verify(options = {}) {
+    const db = database.getDb();
+    const instances = (await AuditChain.listInstances(db)).map(item => item.instance);
+    const current = instanceId();
+    if (!instances.includes(current)) {
+      instances.push(current);
+    }
+
+    const reports = [];
+    for (const instance of instances) {
+      if (options.instance && instance !== options.instance) continue;
+
+      const report = await AuditChain.verifyInstance(db, instance);
+      if (instance === current) {
+        const head = await this.loadHead(db);
+        report.headSeq = head.seq;
+        if (head.seq > report.lastSeq) {
+          report.problems.push({
+            seq: report.lastSeq + 1,
+            type: 'truncated',
+            message: `Entries ${report.lastSeq + 1}-${head.seq} were removed from the end of the chain`
+          });
+        }
+      }
+      report.ok = report.problems.length === 0;
+      reports.push(report);
+    }
+
+    const unchained = await AuditChain.countUnchained(db);
+
+    return {
+      ok: reports.every(report => report.ok),
+      checkedAt: new Date().toISOString(),
+      unchained,
+      instances: reports
+    };
+  }
+
+  // Activities written before chaining was added carry no chain data and can't be verified
+  static async countUnchained(db) {
+    const [all, chained] = await Promise.all([
+      db.view('activity_log', 'by_timestamp', { limit: 0 }),
+      db.view('activity_log', 'by_chain', { reduce: true })
+    ]);
+    const chainedCount = chained.rows.length > 0 ? chained.rows[0].value : 0;
+    return Math.max(0, all.total_rows - chainedCount);
+  }
+}
+
+// One chain writer per process
+const auditChain = new AuditChain();
+
+module.exports = auditChain;
@@ -0,0 +1,384 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const Activity = require('../models/Activity');
+const { every } = require('../utils/schedule');
+
+// Activities read per view request; each batch is archived and purged before the next is read
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_TARGETS = ['couchdb', 'file'];
+
+function instanceId() {
+  return process.env.INSTANCE_ID || 'unknown';
+}
+
+function parseDays(value) {
+  const days = parseInt(value, 10);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+}
+
+// Archived copies drop the revision, which means nothing outside the main database
+function archivedCopy(doc) {
+  const copy = { ...doc };
+  delete copy._rev;
+  return copy;
+}
+
+// Archive expired activities into a separate CouchDB database. Re-archiving a document
+// that is already there (after an interrupted run) is not an error.
+async function openCouchArchive(name) {
+  try {
+    await database.client.db.create(name);
+    console.log(`Created audit archive database: ${name}`);
+  } catch (error) {
+    if (error.statusCode !== 412) { // 412 = database already exists
+      throw error;
+    }
+  }
+  const archiveDb = database.client.db.use(name);
+
+  return {
+    location: name,
+    async write(docs) {
+      const results = await archiveDb.bulk({ docs: docs.map(archivedCopy) });
+      const failed = results.filter(result => result.error && result.error !== 'conflict');
+      if (failed.length > 0) {
+        throw new Error(`Archive write failed for ${failed.length} document(s): ${failed[0].reason || failed[0].error}`);
+      }
+    },
+    async close() {}
+  };
+}
+
+// Archive expired activities to a gzipped NDJSON file, one file per run
+async function openFileArchive(dir, runId) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const location = path.join(dir, `activity-archive-${new Date().toISOString().replace(/[:.]/g, '-')}-${runId}.ndjson.gz`);
+  const gzip = zlib.createGzip();
+  const file = fs.createWriteStream(location, { mode: 0o600 });
+  gzip.pipe(file);
+
+  return {
+    location,
+    async write(docs) {
+      for (const doc of docs) {
+        if (!gzip.write(`${JSON.stringify(archivedCopy(doc))}\n`)) {
+          await once(gzip, 'drain');
+        }
+      }
+    },
+    async close() {
+      gzip.end();
+      await once(file, 'finish');
+    }
+  };
+}
+
+class AuditRetention {
+  constructor() {
+    this.running = false;
+    this.scheduled = false;
+    this.timer = null;
+  }
+
+  /**
+   * Retention settings from the environment:
+   *   AUDIT_RETENTION_DAYS - default days to keep activities (0 or unset keeps them forever)
+   *   AUDIT_RETENTION_RULES - per-action overrides, e.g. "login=30,logout=30,user_deleted=0"
+   *   AUDIT_ARCHIVE_TARGET - couchdb (default) or file
+   *   AUDIT_ARCHIVE_DATABASE - archive database name (default <COUCHDB_DATABASE>_audit_archive)
+   *   AUDIT_ARCHIVE_DIR - directory for gzipped NDJSON archives (default ./audit-archive)
+   */
+  static policy(env = process.env) {
+    const rules = {};
+    for (const rule of (env.AUDIT_RETENTION_RULES || '').split(',')) {
+      const [action, days] = rule.split('=').map(part => part && part.trim());
+      if (action && days !== undefined) {
+        rules[action] = parseDays(days);
+      }
+    }
+
+    const target = ARCHIVE_TARGETS.includes(env.AUDIT_ARCHIVE_TARGET) ? env.AUDIT_ARCHIVE_TARGET : 'couchdb';
+
+    return {
+      defaultDays: parseDays(env.AUDIT_RETENTION_DAYS),
+      rules,
+      target,
+      archiveDatabase: env.AUDIT_ARCHIVE_DATABASE || `${env.COUCHDB_DATABASE || 'zombie'}_audit_archive`,
+      archiveDir: env.AUDIT_ARCHIVE_DIR || path.join(process.cwd(), 'audit-archive')
+    };
+  }
+
+  static retentionDays(policy, action) {
+    return Object.prototype.hasOwnProperty.call(policy.rules, action) ? policy.rules[action] : policy.defaultDays;
+  }
+
+  static isEnabled(policy) {
+    return policy.defaultDays > 0 || Object.values(policy.rules).some(days => days > 0);
+  }
+
+  // Rules as rows for the report page, with the default last
+  static describePolicy(policy) {
+    const rows = Object.entries(policy.rules)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([action, days]) => ({ action, days }));
+    rows.push({ action: null, days: policy.defaultDays });
+    return rows;
+  }
+
+  // This instance only purges its own chained entries (plus entries from before chaining),
+  // so every chain is trimmed by the node that can record how
+  isExpired(doc, policy, now) {
+    if (doc.chain && doc.chain.instance !== instanceId()) {
+      return false;
+    }
+    const days = AuditRetention.retentionDays(policy, doc.action);
+    return days > 0 && doc.timestamp < new Date(now - days * DAY_MS).toISOString();
+  }
+
+  /**
+   * Archive and purge expired activities, recording a run document either way.
+   * @param {Object} options
+   * @param {boolean} [options.dryRun] - Only report what would be archived
+   * @param {string} [options.trigger] - 'scheduled' or 'manual'
+   * @param {Object} [options.admin] - oidc_user of the admin who started a manual run
+   * @param {Object} [options.audit] - ip and user_agent recorded on the purge activity
+   * @returns {Promise<Object>} The saved run document
+   */
+  async run(options = {}) {
+    if (this.running) {
+      throw new Error('A retention run is already in progress');
+    }
+    this.running = true;
+
+    const db = database.getDb();
+    const policy = AuditRetention.policy();
+    const runId = uuidv4();
+    const report = {
+      _id: `audit_retention_run:${runId}`,
+      type: 'audit_retention_run',
+      instance: instanceId(),
+      trigger: options.trigger || 'manual',
+      admin_username: options.admin?.username,
+      dry_run: !!options.dryRun,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      policy: { default_days: policy.defaultDays, rules: policy.rules },
+      target: policy.target,
+      location: null,
+      archived: 0,
+      by_action: {},
+      oldest: null,
+      newest: null,
+      error: null
+    };
+
+    // The archive is opened on the first expired batch and closed even if a later batch fails
+    const state = { archive: null };
+    try {
+      if (AuditRetention.isEnabled(policy)) {
+        await this.processExpired(db, policy, report, runId, state);
+      }
+    } catch (error) {
+      console.error('Audit retention run error:', error);
+      report.error = error.message;
+    } finally {
+      if (state.archive) {
+        await state.archive.close().catch(error => {
+          report.error = report.error || `Closing archive failed: ${error.message}`;
+        });
+      }
+      this.running = false;
+    }
+
+    report.finished_at = new Date().toISOString();
+    await db.insert(report);
+
+    if (!report.dry_run && report.archived > 0) {
+      await Activity.logActivity('audit_log_purged', {
+        admin_user_id: options.admin?.sub,
+        admin_username: options.admin?.username,
+        api_token_id: options.admin?.api_token_id,
+        ip: options.audit?.ip,
+        user_agent: options.audit?.user_agent,
+        details: {
+          run_id: runId,
+          trigger: report.trigger,
+          archived: report.archived,
+          target: report.target,
+          location: report.location,
+          by_action: report.by_action
+        }
+      });
+    }
+
+    return report;
+  }
+
+  async processExpired(db, policy, report, runId, state) {
+    const now = Date.now();
+    // Nothing newer than the shortest retention period can have expired
+    const shortestKept = Math.min(...[policy.defaultDays, ...Object.values(policy.rules)].filter(days => days > 0));
+    const endkey = new Date(now - shortestKept * DAY_MS).toISOString();
+
+    let batchNumber = 0;
+    let lastRow = null;
+
+    for (;;) {
+      // Purged rows disappear from the view, so resume from the last key and skip that doc
+      // by ID instead of with skip=1
+      const params = { include_docs: true, endkey, limit: BATCH_SIZE };
+      if (lastRow) {
+        params.startkey = lastRow.key;
+        params.startkey_docid = lastRow.id;
+      }
+
+      const result = await db.view('activity_log', 'by_timestamp', params);
+      const rows = result.rows.filter(row => row.doc && (!lastRow || row.id !== lastRow.id));
+      const expired = rows.map(row => row.doc).filter(doc => this.isExpired(doc, policy, now));
+
+      for (const doc of expired) {
+        report.archived++;
+        report.by_action[doc.action] = (report.by_action[doc.action] || 0) + 1;
+        report.oldest = report.oldest && report.oldest < doc.timestamp ? report.oldest : doc.timestamp;
+        report.newest = report.newest && report.newest > doc.timestamp ? report.newest : doc.timestamp;
+      }
+
+      if (expired.length > 0 && !report.dry_run) {
+        if (!state.archive) {
+          state.archive = policy.target === 'file'
+            ? await openFileArchive(policy.archiveDir, runId)
+            : await openCouchArchive(policy.archiveDatabase);
+          report.location = state.archive.location;
+        }
+        await state.archive.write(expired);
+        await this.recordPurge(db, expired, runId, ++batchNumber);
+        await this.purge(db, expired);
+      }
+
+      if (result.rows.length < params.limit) break;
+      lastRow = result.rows[result.rows.length - 1];
+    }
+
+    if (!state.archive && !report.dry_run) {
+      report.location = policy.target === 'file' ? policy.archiveDir : policy.archiveDatabase;
+    }
+  }
+
+  // Purged chain links are kept as (seq, prev_hash, hash) so the chain still verifies
+  async recordPurge(db, docs, runId, batchNumber) {
+    const entries = docs
+      .filter(doc => doc.chain)
+      .map(doc => [doc.chain.seq, doc.chain.prev_hash, doc.chain.hash]);
+    if (entries.length === 0) {
+      return;
+    }
+
+    await db.insert({
+      _id: `audit_purge:${instanceId()}:${runId}:${batchNumber}`,
+      type: 'audit_purge',
+      instance: instanceId(),
+      run_id: runId,
+      created_at: new Date().toISOString(),
+      entries
+    });
+  }
+
+  async purge(db, docs) {
+    const results = await db.bulk({
+      docs: docs.map(doc => ({ _id: doc._id, _rev: doc._rev, _deleted: true }))
+    });
+    // A conflict means another node already changed or removed the entry
+    const failed = results.filter(result => result.error && result.error !== 'conflict');
+    if (failed.length > 0) {
+      throw new Error(`Purge failed for ${failed.length} document(s): ${failed[0].reason || failed[0].error}`);
+    }
+  }
+
+  // Current settings for the report page
+  describe(env = process.env) {
+    const policy = AuditRetention.policy(env);
+    const hours = env.AUDIT_RETENTION_INTERVAL_HOURS === undefined ? 24 : Number(env.AUDIT_RETENTION_INTERVAL_HOURS);
+
+    return {
+      enabled: AuditRetention.isEnabled(policy),
+      rules: AuditRetention.describePolicy(policy),
+      target: policy.target,
+      location: policy.target === 'file' ? policy.archiveDir : policy.archiveDatabase,
+      intervalHours: hours > 0 ? hours : null,
+      scheduledDryRun: env.AUDIT_RETENTION_DRY_RUN === 'true',
+      running: this.running
+    };
+  }
+
+  // Most recent runs from every instance, newest first
+  async findRuns(limit = 50) {
+    const db = database.getDb();
+    try {
+      const result = await db.view('activity_log', 'retention_runs', {
+        include_docs: true,
+        descending: true,
+        limit
+      });
+      return result.rows.map(row => row.doc);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run retention on a timer. Settings:
+   *   AUDIT_RETENTION_INTERVAL_HOURS - hours between runs (default 24, 0 disables the job)
+   *   AUDIT_RETENTION_DRY_RUN - "true" makes scheduled runs report only
+   */
+  startSchedule(env = process.env) {
+    if (this.scheduled) {
+      console.log('Audit retention job already scheduled');
+      return;
+    }
+
+    const { enabled, intervalHours: hours, scheduledDryRun: dryRun } = this.describe(env);
+    if (!enabled || !hours) {
+      console.log('Audit retention job disabled');
+      return;
+    }
+
+    this.scheduled = true;
+    console.log(`Starting audit retention job (every ${hours}h${dryRun ? ', dry run' : ''})`);
+
+    this.timer = every(hours * 60 * 60 * 1000, async () => {
+      try {
+        const report = await this.run({ dryRun, trigger: 'scheduled' });
+        console.log(`Audit retention: ${report.dry_run ? 'would archive' : 'archived'} ${report.archived} activities`);
+      } catch (error) {
+        console.error('Error in audit retention job:', error);
+      }
+    });
+  }
+
+  stopSchedule() {
+    if (!this.scheduled) {
+      return;
+    }
+
+    console.log('Stopping audit retention job');
+    this.scheduled = false;
+
+    if (this.timer) {
+      this.timer.stop();
+      this.timer = null;
+    }
+  }
+}
+
+// One retention job per process, shared by the scheduler and manual runs
+const auditRetention = new AuditRetention();
+
+module.exports = auditRetention;
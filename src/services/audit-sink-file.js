@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Appends audit events to a JSON-lines file. When the file would grow past maxBytes it is
+ * rotated: audit.jsonl becomes audit.jsonl.1, .1 becomes .2 and so on, keeping maxFiles old files.
+ */
+class FileSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Log file path
+   * @param {number} [options.maxBytes] - Rotate before the file grows past this size
+   * @param {number} [options.maxFiles] - Rotated files to keep
+   */
+  constructor(options) {
+    this.name = 'file';
+    this.path = path.resolve(options.path);
+    this.target = this.path;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.size = null; // Current file size, read on first write
+  }
+
+  async send(event) {
+    const line = `${JSON.stringify(event)}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    if (this.size === null) {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      this.size = await this.currentSize();
+    }
+
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      await this.rotate();
+    }
+
+    await fs.promises.appendFile(this.path, line, { mode: 0o600 });
+    this.size += bytes;
+  }
+
+  async currentSize() {
+    try {
+      return (await fs.promises.stat(this.path)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  async rotate() {
+    await fs.promises.rm(`${this.path}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await fs.promises.rename(`${this.path}.${i}`, `${this.path}.${i + 1}`).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fs.promises.rename(this.path, `${this.path}.1`);
+    this.size = 0;
+  }
+}
+
+module.exports = FileSink;
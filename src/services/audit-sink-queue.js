@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETRY_BASE_MS = 1000;
+const DEFAULT_RETRY_MAX_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_EVENTS = 10000;
+
+/**
+ * Delivers events to one sink in order. When the sink is down, events are spooled to a
+ * JSON-lines file and retried with exponential backoff; new events queue behind them so
+ * the sink never sees them out of order. The spool survives restarts.
+ */
+class AuditSinkQueue {
+  /**
+   * @param {Object} sink - Has name and async send(event)
+   * @param {Object} options
+   * @param {string} options.dir - Spool directory
+   * @param {number} [options.retryBaseMs] - First retry delay, doubled after each failure
+   * @param {number} [options.retryMaxMs] - Longest retry delay
+   * @param {number} [options.maxEvents] - Spooled events kept; the oldest are dropped beyond this
+   */
+  constructor(sink, options) {
+    this.sink = sink;
+    this.file = path.join(options.dir, `${process.env.INSTANCE_ID || 'unknown'}-${sink.name}.jsonl`);
+    this.retryBaseMs = options.retryBaseMs || DEFAULT_RETRY_BASE_MS;
+    this.retryMaxMs = options.retryMaxMs || DEFAULT_RETRY_MAX_MS;
+    this.maxEvents = options.maxEvents || DEFAULT_MAX_EVENTS;
+
+    this.backlog = 0;
+    this.attempt = 0;
+    this.delivered = 0;
+    this.dropped = 0;
+    this.lastError = null;
+    this.nextRetryAt = null;
+    this.timer = null;
+    this.work = Promise.resolve();
+  }
+
+  // Run queue operations one at a time so the spool file is never read and written at once
+  serialize(task) {
+    const run = this.work.then(task);
+    this.work = run.catch(() => {});
+    return run;
+  }
+
+  // Pick up events spooled before a restart
+  async load() {
+    return this.serialize(async () => {
+      const events = await this.readSpool();
+      this.backlog = events.length;
+      if (this.backlog > 0) {
+        console.log(`Audit sink ${this.sink.name}: ${this.backlog} queued event(s) from a previous run`);
+        this.scheduleRetry(0);
+      }
+    });
+  }
+
+  push(event) {
+    return this.serialize(async () => {
+      if (this.backlog === 0) {
+        try {
+          await this.sink.send(event);
+          this.delivered++;
+          this.lastError = null;
+          return;
+        } catch (error) {
+          this.recordFailure(error);
+        }
+      }
+
+      await this.spool(event);
+      if (!this.timer) {
+        this.scheduleRetry(this.delay());
+      }
+    });
+  }
+
+  drain() {
+    return this.serialize(async () => {
+      this.timer = null;
+      this.nextRetryAt = null;
+
+      const events = await this.readSpool();
+      let sent = 0;
+      for (const event of events) {
+        try {
+          await this.sink.send(event);
+          sent++;
+        } catch (error) {
+          this.recordFailure(error);
+          break;
+        }
+      }
+
+      this.delivered += sent;
+      await this.writeSpool(events.slice(sent));
+
+      if (this.backlog > 0) {
+        this.scheduleRetry(this.delay());
+      } else {
+        this.attempt = 0;
+        this.lastError = null;
+        if (sent > 0) {
+          console.log(`Audit sink ${this.sink.name}: delivered ${sent} queued event(s)`);
+        }
+      }
+    });
+  }
+
+  recordFailure(error) {
+    this.attempt++;
+    this.lastError = { message: error.message, at: new Date().toISOString() };
+    console.error(`Audit sink ${this.sink.name} delivery failed (attempt ${this.attempt}):`, error.message);
+  }
+
+  delay() {
+    return Math.min(this.retryBaseMs * 2 ** Math.max(0, this.attempt - 1), this.retryMaxMs);
+  }
+
+  scheduleRetry(delayMs) {
+    this.nextRetryAt = new Date(Date.now() + delayMs).toISOString();
+    this.timer = setTimeout(() => {
+      this.drain().catch(error => console.error(`Audit sink ${this.sink.name} retry error:`, error));
+    }, delayMs);
+    // Pending retries shouldn't keep a CLI process alive
+    this.timer.unref();
+  }
+
+  async readSpool() {
+    try {
+      const content = await fs.promises.readFile(this.file, 'utf8');
+      return content.split('\n').filter(line => line).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async writeSpool(events) {
+    this.backlog = events.length;
+    if (events.length === 0) {
+      await fs.promises.rm(this.file, { force: true });
+      return;
+    }
+    await fs.promises.writeFile(this.file, events.map(event => `${JSON.stringify(event)}\n`).join(''), { mode: 0o600 });
+  }
+
+  async spool(event) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    if (this.backlog >= this.maxEvents) {
+      const events = await this.readSpool();
+      const overflow = events.length - this.maxEvents + 1;
+      this.dropped += overflow;
+      console.error(`Audit sink ${this.sink.name}: queue full, dropping ${overflow} oldest event(s)`);
+      await this.writeSpool([...events.slice(overflow), event]);
+      return;
+    }
+
+    await fs.promises.appendFile(this.file, `${JSON.stringify(event)}\n`, { mode: 0o600 });
+    this.backlog++;
+  }
+
+  status() {
+    return {
+      name: this.sink.name,
+      target: this.sink.target,
+      backlog: this.backlog,
+      delivered: this.delivered,
+      dropped: this.dropped,
+      lastError: this.lastError,
+      nextRetryAt: this.nextRetryAt
+    };
+  }
+
+  close() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (typeof this.sink.close === 'function') {
+      this.sink.close();
+    }
+  }
+}
+
+module.exports = AuditSinkQueue;
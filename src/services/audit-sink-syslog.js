@@ -0,0 +1,150 @@
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+
+const CONNECT_TIMEOUT_MS = 5000;
+
+const FACILITIES = {
+  kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+  uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+// Activity badge types mapped to syslog severities
+const SEVERITIES = { danger: 4, warning: 5 }; // warning, notice
+const DEFAULT_SEVERITY = 6; // informational
+
+// Structured data ID for the event metadata. 32473 is the private enterprise number
+// RFC 5612 sets aside for documentation and examples.
+const SD_ID = 'zombie@32473';
+
+// RFC 5424 header fields are printable US-ASCII without spaces, with a nil value of "-"
+function headerField(value, maxLength) {
+  const text = String(value || '').replace(/[^\x21-\x7e]/g, '').slice(0, maxLength);
+  return text || '-';
+}
+
+function sdParam(name, value) {
+  return `${name}="${String(value).replace(/["\\\]]/g, char => `\\${char}`)}"`;
+}
+
+/**
+ * Format an audit event as an RFC 5424 message. The event JSON is the message body,
+ * marked as UTF-8 with a BOM as the RFC requires.
+ * @param {Object} event - Audit event from AuditStream
+ * @param {Object} options - facility (number), appName, hostname
+ */
+function formatRfc5424(event, options) {
+  const severity = SEVERITIES[event.severity] ?? DEFAULT_SEVERITY;
+  const pri = options.facility * 8 + severity;
+  const params = [sdParam('action', event.action)];
+  if (event.instance) params.push(sdParam('instance', event.instance));
+  if (event.chain) params.push(sdParam('seq', event.chain.seq));
+  if (event.admin_username) params.push(sdParam('admin', event.admin_username));
+
+  return [
+    `<${pri}>1`,
+    event.timestamp || new Date().toISOString(),
+    headerField(options.hostname, 255),
+    headerField(options.appName, 48),
+    headerField(process.pid, 128),
+    headerField(event.action, 32),
+    `[${SD_ID} ${params.join(' ')}]`,
+    `\uFEFF${JSON.stringify(event)}`
+  ].join(' ');
+}
+
+class SyslogSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - udp://host:port or tcp://host:port
+   * @param {string|number} [options.facility] - Facility name or number (default authpriv)
+   * @param {string} [options.appName] - APP-NAME header (default zombie-ui)
+   */
+  constructor(options) {
+    const url = new URL(options.url);
+    this.protocol = url.protocol.replace(':', '');
+    if (!['udp', 'tcp'].includes(this.protocol)) {
+      throw new Error(`Unsupported syslog protocol: ${url.protocol}`);
+    }
+
+    this.name = 'syslog';
+    this.host = url.hostname;
+    this.port = parseInt(url.port, 10) || 514;
+    this.target = `${this.protocol}://${this.host}:${this.port}`;
+
+    const facility = options.facility === undefined ? 'authpriv' : options.facility;
+    this.format = {
+      facility: FACILITIES[facility] ?? (Number.isInteger(Number(facility)) ? Number(facility) : FACILITIES.authpriv),
+      appName: options.appName || 'zombie-ui',
+      hostname: os.hostname()
+    };
+
+    this.socket = null;
+  }
+
+  send(event) {
+    const message = formatRfc5424(event, this.format);
+    return this.protocol === 'udp' ? this.sendUdp(message) : this.sendTcp(message);
+  }
+
+  sendUdp(message) {
+    if (!this.socket) {
+      this.socket = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+      this.socket.unref();
+    }
+    const buffer = Buffer.from(message);
+    return new Promise((resolve, reject) => {
+      this.socket.send(buffer, this.port, this.host, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  // TCP uses octet-counting framing (RFC 6587) over one long-lived connection
+  async sendTcp(message) {
+    const socket = await this.connectTcp();
+    const buffer = Buffer.from(message);
+    await new Promise((resolve, reject) => {
+      socket.write(`${buffer.length} ${message}`, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  connectTcp() {
+    if (this.socket && !this.socket.destroyed) {
+      return Promise.resolve(this.socket);
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+      socket.setTimeout(CONNECT_TIMEOUT_MS);
+
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        socket.unref();
+        this.socket = socket;
+        resolve(socket);
+      });
+      socket.once('timeout', () => socket.destroy(new Error(`Connection to ${this.target} timed out`)));
+      socket.on('error', error => {
+        if (this.socket === socket) this.socket = null;
+        reject(error);
+      });
+      socket.on('close', () => {
+        if (this.socket === socket) this.socket = null;
+      });
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      if (this.protocol === 'udp') {
+        this.socket.close();
+      } else {
+        this.socket.end();
+      }
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = SyslogSink;
+module.exports.formatRfc5424 = formatRfc5424;
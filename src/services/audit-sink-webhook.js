@@ -0,0 +1,54 @@
+const { signatureHeaders } = require('../utils/webhook-signature');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * POSTs each audit event as JSON. With a secret, requests carry
+ *   X-Zombie-Timestamp: <unix seconds>
+ *   X-Zombie-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * so receivers can check the sender and reject replays.
+ */
+class WebhookSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - http(s) endpoint
+   * @param {string} [options.secret] - HMAC signing secret
+   * @param {number} [options.index] - Position in AUDIT_WEBHOOK_URLS, used in the sink name
+   */
+  constructor(options) {
+    const url = new URL(options.url);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Unsupported webhook protocol: ${url.protocol}`);
+    }
+
+    this.name = `webhook-${options.index || 1}`;
+    this.url = url.toString();
+    this.target = `${url.origin}${url.pathname}`; // Query strings may hold tokens
+    this.secret = options.secret || null;
+  }
+
+  async send(event) {
+    const body = JSON.stringify(event);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'zombie-ui-audit',
+      'X-Zombie-Event': event.action,
+      'X-Zombie-Delivery': event.id || ''
+    };
+    if (this.secret) {
+      Object.assign(headers, signatureHeaders(this.secret, body));
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`${this.target} responded ${response.status}`);
+    }
+  }
+}
+
+module.exports = WebhookSink;
@@ -0,0 +1,140 @@
+const path = require('path');
+const AuditSinkQueue = require('./audit-sink-queue');
+const SyslogSink = require('./audit-sink-syslog');
+const FileSink = require('./audit-sink-file');
+const WebhookSink = require('./audit-sink-webhook');
+
+/**
+ * Streams every logged activity to external sinks (syslog, a JSON-lines file, webhooks),
+ * each behind its own retrying, disk-backed queue. Publishing never blocks or fails
+ * the request that logged the activity.
+ */
+class AuditStream {
+  constructor() {
+    this.queues = null; // Built from the environment on first use
+  }
+
+  /**
+   * Sinks from the environment:
+   *   AUDIT_SYSLOG_URL - udp://host:514 or tcp://host:601
+   *   AUDIT_SYSLOG_FACILITY - facility name or number (default authpriv)
+   *   AUDIT_SYSLOG_APP_NAME - APP-NAME in each message (default zombie-ui)
+   *   AUDIT_FILE_PATH - JSON-lines file to append to
+   *   AUDIT_FILE_MAX_BYTES / AUDIT_FILE_MAX_FILES - rotation size (default 10 MB) and files kept (default 5)
+   *   AUDIT_WEBHOOK_URLS - comma-separated http(s) endpoints
+   *   AUDIT_WEBHOOK_SECRET - HMAC-SHA256 signing secret for webhook requests
+   *   AUDIT_QUEUE_DIR - spool directory for undelivered events (default ./audit-queue)
+   *   AUDIT_QUEUE_MAX_EVENTS - spooled events kept per sink (default 10000)
+   */
+  static createSinks(env = process.env) {
+    const sinks = [];
+
+    if (env.AUDIT_SYSLOG_URL) {
+      sinks.push(new SyslogSink({
+        url: env.AUDIT_SYSLOG_URL,
+        facility: env.AUDIT_SYSLOG_FACILITY,
+        appName: env.AUDIT_SYSLOG_APP_NAME
+      }));
+    }
+
+    if (env.AUDIT_FILE_PATH) {
+      sinks.push(new FileSink({
+        path: env.AUDIT_FILE_PATH,
+        maxBytes: parseInt(env.AUDIT_FILE_MAX_BYTES, 10) || undefined,
+        maxFiles: parseInt(env.AUDIT_FILE_MAX_FILES, 10) || undefined
+      }));
+    }
+
+    const webhookUrls = (env.AUDIT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(url => url);
+    webhookUrls.forEach((url, index) => {
+      sinks.push(new WebhookSink({ url, secret: env.AUDIT_WEBHOOK_SECRET, index: index + 1 }));
+    });
+
+    return sinks;
+  }
+
+  configure(env = process.env) {
+    this.close();
+
+    const options = {
+      dir: env.AUDIT_QUEUE_DIR || path.join(process.cwd(), 'audit-queue'),
+      maxEvents: parseInt(env.AUDIT_QUEUE_MAX_EVENTS, 10) || undefined
+    };
+
+    this.queues = [];
+    for (const sink of AuditStream.createSinks(env)) {
+      const queue = new AuditSinkQueue(sink, options);
+      // Events spooled before a restart go out before anything new
+      queue.load().catch(error => console.error(`Audit sink ${sink.name} queue load error:`, error));
+      this.queues.push(queue);
+    }
+    return this.queues;
+  }
+
+  getQueues() {
+    if (!this.queues) {
+      try {
+        this.configure();
+      } catch (error) {
+        // A bad sink setting disables streaming rather than activity logging
+        console.error('Audit streaming disabled - invalid sink configuration:', error.message);
+        this.queues = [];
+      }
+    }
+    return this.queues;
+  }
+
+  // Set up sinks at startup so spooled events are retried without waiting for new activity
+  start() {
+    const queues = this.getQueues();
+    if (queues.length === 0) {
+      console.log('Audit streaming: no sinks configured');
+      return;
+    }
+
+    console.log(`Audit streaming to ${queues.map(queue => `${queue.sink.name} (${queue.sink.target})`).join(', ')}`);
+  }
+
+  // The wire form of an activity: its stored fields plus the badge type as a severity hint
+  static toEvent(activity) {
+    const event = { id: activity._id, ...activity.toJSON() };
+    delete event._id;
+    delete event._rev;
+    delete event.type;
+    event.instance = activity.chain ? activity.chain.instance : (process.env.INSTANCE_ID || 'unknown');
+    event.severity = activity.getActionType();
+    return event;
+  }
+
+  /**
+   * Hand an activity to every sink. Returns once each sink has delivered or spooled it.
+   * @param {Activity} activity - Saved activity
+   */
+  async publish(activity) {
+    const queues = this.getQueues();
+    if (queues.length === 0) {
+      return;
+    }
+
+    const event = AuditStream.toEvent(activity);
+    await Promise.all(queues.map(queue => queue.push(event).catch(error => {
+      console.error(`Audit sink ${queue.sink.name} could not queue event:`, error);
+    })));
+  }
+
+  status() {
+    return this.getQueues().map(queue => queue.status());
+  }
+
+  close() {
+    for (const queue of this.queues || []) {
+      queue.close();
+    }
+    this.queues = null;
+  }
+}
+
+// One stream per process so every activity goes through the same queues
+const auditStream = new AuditStream();
+
+module.exports = auditStream;
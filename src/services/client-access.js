@@ -0,0 +1,119 @@
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Role = require('../models/Role');
+const GroupManager = require('./group-manager');
+const UserDirectory = require('./user-directory');
+
+// Names each list of a policy may hold
+const MAX_POLICY_NAMES = 100;
+
+// Users listed per outcome in a preview; the counts cover everyone
+const PREVIEW_LIST_LIMIT = 200;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,50}$/;
+
+const POLICY_LISTS = {
+  allowed_groups: { label: 'Allowed groups', isValid: name => Group.isValidName(name) },
+  allowed_roles: { label: 'Allowed roles', isValid: name => Role.isValidName(name) || Role.isBuiltin(name) },
+  allowed_users: { label: 'Allowed users', isValid: name => USERNAME_PATTERN.test(name) },
+  denied_users: { label: 'Denied users', isValid: name => USERNAME_PATTERN.test(name) }
+};
+
+/**
+ * Per-client access policies (Client.access_policy): checking them before they are saved
+ * and previewing whom they let sign in. The Zombie server enforces the stored policy;
+ * the preview runs the same rules (Client.checkAccess) over every user.
+ */
+class ClientAccess {
+  constructor() {
+    this.groupManager = new GroupManager();
+    this.userDirectory = new UserDirectory();
+  }
+
+  async initialize() {
+    await this.groupManager.initialize();
+    await this.userDirectory.initialize();
+  }
+
+  /**
+   * Check a normalized policy (Client.normalizeAccessPolicy) before it is saved. Groups,
+   * roles and users do not have to exist yet - users can hold group and role names
+   * without a document - but the names must be ones they could have.
+   * @returns {string|null} The problem, or null when the policy is fine
+   */
+  static checkPolicy(policy) {
+    for (const [list, { label, isValid }] of Object.entries(POLICY_LISTS)) {
+      if (policy[list].length > MAX_POLICY_NAMES) {
+        return `${label} may list at most ${MAX_POLICY_NAMES} names`;
+      }
+      const invalid = policy[list].filter(name => !isValid(name));
+      if (invalid.length > 0) {
+        return `${label} contains names that are not valid: ${invalid.join(', ')}`;
+      }
+    }
+
+    const both = policy.allowed_users.filter(name => policy.denied_users.includes(name));
+    if (both.length > 0) {
+      return `Users cannot be both allowed and denied: ${both.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate a client's policy against every user
+   * @param {Client} client
+   * @returns {Promise<Object>} Counts of enabled users (total, split into allowed and refused)
+   *   and of disabled users, who cannot sign in anywhere; allowed_users and
+   *   refused_users with each user's reason (at most PREVIEW_LIST_LIMIT each, truncated set
+   *   when there are more); unknown_users named in the policy that do not exist
+   */
+  async preview(client) {
+    const groupsByName = await this.groupManager.loadGroupsByName();
+    const memberships = new Map(); // Resolved once per distinct set of direct groups
+    const seen = new Set();
+    const preview = {
+      total: 0,
+      allowed: 0,
+      refused: 0,
+      disabled: 0,
+      allowed_users: [],
+      refused_users: [],
+      truncated: false,
+      unknown_users: []
+    };
+
+    for await (const doc of this.userDirectory.iterateUsers(UserDirectory.parseQuery({}))) {
+      const user = new User(doc);
+      seen.add(user.username);
+
+      const key = [...user.groups].sort().join('\n');
+      if (!memberships.has(key)) {
+        memberships.set(key, await this.groupManager.resolveMembership(user.groups, groupsByName));
+      }
+      const membership = memberships.get(key);
+      const roles = [...new Set([...user.roles, ...membership.roles])];
+      const access = client.checkAccess(user, { groups: membership.groups, roles });
+
+      if (access.reason === 'user_disabled') {
+        preview.disabled++;
+        continue;
+      }
+
+      const outcome = access.allowed ? 'allowed' : 'refused';
+      preview.total++;
+      preview[outcome]++;
+      const list = preview[`${outcome}_users`];
+      if (list.length < PREVIEW_LIST_LIMIT) {
+        list.push({ id: user._id, username: user.username, email: user.email, reason: access.reason, match: access.match });
+      } else {
+        preview.truncated = true;
+      }
+    }
+
+    const policy = client.access_policy;
+    preview.unknown_users = [...policy.allowed_users, ...policy.denied_users].filter(name => !seen.has(name));
+    return preview;
+  }
+}
+
+module.exports = ClientAccess;
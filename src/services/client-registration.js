@@ -0,0 +1,258 @@
+const Client = require('../models/Client');
+const RegistrationToken = require('../models/RegistrationToken');
+const Activity = require('../models/Activity');
+const webhookDispatcher = require('./webhook-dispatcher');
+const { validationRules, validateData } = require('../middleware/validation');
+const { diffFields } = require('../utils/change-diff');
+
+const DEFAULT_SCOPES = ['openid', 'profile', 'email'];
+
+// Optional RFC 7591 metadata kept in the client's metadata field, as given
+const EXTRA_METADATA = ['client_uri', 'logo_uri', 'tos_uri', 'policy_uri', 'contacts', 'software_id', 'software_version'];
+
+// Server-assigned values a client may not send when it updates its registration (RFC 7592 section 2.2)
+const READ_ONLY_FIELDS = ['registration_access_token', 'registration_client_uri', 'client_secret_expires_at', 'client_id_issued_at'];
+
+// Attempts at claiming a registration from a limited initial access token against concurrent claims
+const CLAIM_ATTEMPTS = 3;
+
+// An error with the HTTP status and OAuth error code for the JSON error response
+class RegistrationError extends Error {
+  constructor(status, error, description) {
+    super(description);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+/**
+ * Scopes self-registered clients may ask for, from CLIENT_REGISTRATION_SCOPES (space- or
+ * comma-separated; default "openid profile email")
+ */
+function allowedScopes(env = process.env) {
+  const scopes = (env.CLIENT_REGISTRATION_SCOPES || '').split(/[\s,]+/).filter(scope => scope);
+  return scopes.length > 0 ? scopes : DEFAULT_SCOPES;
+}
+
+/**
+ * Dynamic client registration (RFC 7591) and client configuration (RFC 7592). Registration
+ * metadata maps onto Client documents; the extra descriptive fields are kept in the
+ * client's metadata. One instance serves one request, so changes are audited as the
+ * initial access token or the client that made them.
+ */
+class ClientRegistration {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Absolute URL of /register, for registration_client_uri
+   * @param {Object} [options.audit] - ip and user_agent recorded on each activity entry
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || '/register';
+    this.audit = options.audit || {};
+  }
+
+  static get allowedScopes() {
+    return allowedScopes();
+  }
+
+  async logActivity(action, client, actor, details) {
+    await Activity.logActivity(action, {
+      target_username: client.name,
+      target_user_id: client._id,
+      admin_user_id: actor.sub,
+      admin_username: actor.username,
+      ip: this.audit.ip,
+      user_agent: this.audit.user_agent,
+      details: { registration: true, ...details }
+    });
+  }
+
+  /**
+   * Validate registration metadata and turn it into Client fields. Missing fields get the
+   * RFC 7591 defaults, so an update replaces the whole registration.
+   * @throws {RegistrationError} invalid_redirect_uri or invalid_client_metadata
+   */
+  async parseMetadata(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new RegistrationError(400, 'invalid_client_metadata', 'The request body must be a JSON object');
+    }
+
+    const errors = await validateData(validationRules.clientRegistration, body);
+    if (errors.length > 0) {
+      const { field, message } = errors[0];
+      throw new RegistrationError(400, field.startsWith('redirect_uris') ? 'invalid_redirect_uri' : 'invalid_client_metadata', message);
+    }
+
+    const authMethod = body.token_endpoint_auth_method || 'client_secret_basic';
+    const grantTypes = [...new Set(body.grant_types || ['authorization_code'])];
+    const responseTypes = [...new Set(body.response_types || ['code'])];
+    const redirectUris = [...new Set(body.redirect_uris || [])];
+    const scopes = body.scope ? [...new Set(body.scope.split(' '))] : DEFAULT_SCOPES.filter(scope => allowedScopes().includes(scope));
+
+    if (grantTypes.includes('authorization_code') && redirectUris.length === 0) {
+      throw new RegistrationError(400, 'invalid_redirect_uri', 'redirect_uris is required for the authorization_code grant');
+    }
+    if (redirectUris.some(uri => uri.includes('#'))) {
+      throw new RegistrationError(400, 'invalid_redirect_uri', 'redirect_uris must not contain a fragment');
+    }
+    if (authMethod === 'none' && grantTypes.includes('client_credentials')) {
+      throw new RegistrationError(400, 'invalid_client_metadata', 'The client_credentials grant needs a client secret; use client_secret_basic or client_secret_post');
+    }
+    const refused = scopes.filter(scope => !allowedScopes().includes(scope));
+    if (refused.length > 0) {
+      throw new RegistrationError(400, 'invalid_client_metadata', `scope may only contain ${allowedScopes().join(' ')}; not allowed: ${refused.join(' ')}`);
+    }
+
+    const metadata = { token_endpoint_auth_method: authMethod };
+    for (const field of EXTRA_METADATA) {
+      if (body[field] !== undefined) {
+        metadata[field] = body[field];
+      }
+    }
+
+    return {
+      name: typeof body.client_name === 'string' ? body.client_name.trim() : null,
+      redirect_uris: redirectUris,
+      grant_types: grantTypes,
+      response_types: responseTypes,
+      scopes,
+      confidential: authMethod !== 'none',
+      metadata
+    };
+  }
+
+  // Count a registration against a limited token, re-reading it when another request got there first
+  async claim(token) {
+    let current = token;
+    for (let attempt = 1; ; attempt++) {
+      if (current.isExpired() || current.isUsedUp()) {
+        throw new RegistrationError(401, 'invalid_token', 'The initial access token has expired or been used up');
+      }
+      current.registrations++;
+      try {
+        await current.save();
+        return current;
+      } catch (error) {
+        if (error.statusCode !== 409 || attempt >= CLAIM_ATTEMPTS) {
+          throw error;
+        }
+        current = await RegistrationToken.findById(token._id);
+        if (!current) {
+          throw new RegistrationError(401, 'invalid_token', 'The initial access token has been revoked');
+        }
+      }
+    }
+  }
+
+  /**
+   * Register a client with an initial access token. Tokens that require approval register
+   * clients disabled and pending; an admin approves them in the admin UI.
+   * @param {Object} body - RFC 7591 client metadata
+   * @param {RegistrationToken} token - The initial access token that authenticated the request
+   * @returns {Promise<Object>} The client information response, with the secret and registration access token
+   */
+  async register(body, token) {
+    const fields = await this.parseMetadata(body);
+    const claimed = await this.claim(token);
+    const actor = { sub: claimed._id, username: `registration:${claimed.name}` };
+
+    const client = new Client({ ...fields, enabled: !claimed.approval_required });
+    client.name = fields.name || `Registered client ${client.client_id.slice(-8)}`;
+    client.registration = {
+      status: claimed.approval_required ? 'pending' : 'approved',
+      registered_at: client.created_at,
+      initial_token_id: claimed._id,
+      initial_token_name: claimed.name
+    };
+    const secret = client.confidential ? client.addSecret({ created_by: actor.username }) : null;
+    const accessToken = client.issueRegistrationToken();
+    await client.save();
+
+    await this.logActivity('client_created', client, actor, { changes: diffFields(null, client.toJSON()) });
+    webhookDispatcher.emit('client.registered', {
+      client: { id: client._id, client_id: client.client_id, name: client.name },
+      status: client.registration.status,
+      initial_token: { id: claimed._id, name: claimed.name }
+    }, actor);
+
+    return this.response(client, { secret, accessToken });
+  }
+
+  /**
+   * Replace a client's registration with new metadata (RFC 7592 section 2.2). Enabled state
+   * and approval are left as they are. Switching to a confidential auth method issues a
+   * secret if the client has none.
+   * @param {string} accessToken - The registration access token, echoed back in the response
+   */
+  async update(client, body, accessToken) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new RegistrationError(400, 'invalid_client_metadata', 'The request body must be a JSON object');
+    }
+    if (body.client_id !== client.client_id) {
+      throw new RegistrationError(400, 'invalid_request', 'client_id must match the client being updated');
+    }
+    const readOnly = READ_ONLY_FIELDS.filter(field => body[field] !== undefined);
+    if (readOnly.length > 0) {
+      throw new RegistrationError(400, 'invalid_request', `These fields are set by the server: ${readOnly.join(', ')}`);
+    }
+    if (body.client_secret !== undefined && !client.validateSecret(body.client_secret)) {
+      throw new RegistrationError(400, 'invalid_request', 'client_secret does not match the current secret');
+    }
+
+    const fields = await this.parseMetadata(body);
+    const before = client.toJSON();
+    client.name = fields.name || client.name;
+    client.redirect_uris = fields.redirect_uris;
+    client.grant_types = fields.grant_types;
+    client.response_types = fields.response_types;
+    client.scopes = fields.scopes;
+    client.confidential = fields.confidential;
+    client.metadata = { ...fields.metadata };
+
+    const actor = { sub: client._id, username: `client:${client.client_id}` };
+    const secret = client.confidential && client.activeSecrets().length === 0
+      ? client.addSecret({ created_by: actor.username })
+      : null;
+    await client.save();
+
+    await this.logActivity('client_updated', client, actor, { changes: diffFields(before, client.toJSON()) });
+    return this.response(client, { secret, accessToken });
+  }
+
+  async remove(client) {
+    await client.delete();
+    await this.logActivity('client_deleted', client, { sub: client._id, username: `client:${client.client_id}` });
+  }
+
+  /**
+   * The client information response (RFC 7591 section 3.2.1). The secret only exists when
+   * it was just issued; registration_status is an extension telling clients whether an
+   * admin still has to approve them.
+   */
+  response(client, { secret = null, accessToken = null } = {}) {
+    const metadata = client.metadata || {};
+    const response = {
+      client_id: client.client_id,
+      client_id_issued_at: Math.floor(Date.parse(client.created_at) / 1000),
+      ...(secret ? { client_secret: secret, client_secret_expires_at: 0 } : {}),
+      ...(accessToken ? { registration_access_token: accessToken } : {}),
+      registration_client_uri: `${this.baseUrl}/${encodeURIComponent(client.client_id)}`,
+      client_name: client.name,
+      redirect_uris: client.redirect_uris,
+      grant_types: client.grant_types,
+      response_types: client.response_types,
+      token_endpoint_auth_method: metadata.token_endpoint_auth_method || (client.confidential ? 'client_secret_basic' : 'none'),
+      scope: client.scopes.join(' '),
+      registration_status: client.registration?.status || 'approved'
+    };
+    for (const field of EXTRA_METADATA) {
+      if (metadata[field] !== undefined) {
+        response[field] = metadata[field];
+      }
+    }
+    return response;
+  }
+}
+
+module.exports = ClientRegistration;
+module.exports.RegistrationError = RegistrationError;
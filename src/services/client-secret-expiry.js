@@ -0,0 +1,255 @@
+const Client = require('../models/Client');
+const Activity = require('../models/Activity');
+const webhookDispatcher = require('./webhook-dispatcher');
+const { every } = require('../utils/schedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REMINDER_DAYS = [14, 7, 1];
+
+// Recorded in a secret's expiry_notices once the expiry itself has been announced
+const EXPIRED_NOTICE = 0;
+
+// Never auto-disabled: the Zombie server's own client and the one this admin UI signs in with
+function isProtected(client) {
+  return client.client_id === 'zombie' || client.client_id === process.env.CLIENT_ID;
+}
+
+function parseReminderDays(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_REMINDER_DAYS;
+  }
+  const days = value.split(',')
+    .map(part => parseInt(part, 10))
+    .filter(day => Number.isFinite(day) && day > 0);
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+function clientSummary(client) {
+  return { id: client._id, client_id: client.client_id, name: client.name };
+}
+
+/**
+ * Tracks confidential clients' secrets against the rotation policy: every secret has a
+ * rotate_by date (CLIENT_SECRET_MAX_AGE_DAYS after it was created), and the client's
+ * secrets expire when the newest one passes it. A scheduled check records activity and
+ * sends webhook events ahead of and at expiry, and can disable clients left past it.
+ * Expiry only warns - the secrets keep working until rotated out or revoked.
+ */
+class ClientSecretExpiry {
+  constructor() {
+    this.running = false;
+    this.scheduled = false;
+    this.timer = null;
+  }
+
+  /**
+   * Settings from the environment:
+   *   CLIENT_SECRET_MAX_AGE_DAYS - days a secret may be used (default 90, 0 turns expiry off)
+   *   CLIENT_SECRET_REMINDER_DAYS - days before expiry to send reminders (default "14,7,1")
+   *   CLIENT_SECRET_AUTO_DISABLE - "true" disables clients whose secrets have expired
+   */
+  static policy(env = process.env) {
+    return {
+      maxAgeDays: Client.secretMaxAgeDays,
+      reminderDays: parseReminderDays(env.CLIENT_SECRET_REMINDER_DAYS),
+      autoDisable: env.CLIENT_SECRET_AUTO_DISABLE === 'true'
+    };
+  }
+
+  /**
+   * Where a client stands against the rotation policy. Clients inside the earliest
+   * reminder window are expiring.
+   * @returns {{state: string, rotate_by: string, days_left: number}|null} state is ok,
+   *   expiring or expired; null for public clients and clients without a dated secret
+   */
+  static status(client, policy = ClientSecretExpiry.policy(), now = Date.now()) {
+    if (!client.confidential) {
+      return null;
+    }
+    const rotateBy = client.secretRotateBy();
+    if (!rotateBy) {
+      return null;
+    }
+
+    const daysLeft = Math.ceil((Date.parse(rotateBy) - now) / DAY_MS);
+    let state = 'ok';
+    if (daysLeft <= 0) {
+      state = 'expired';
+    } else if (daysLeft <= (policy.reminderDays[0] || 0)) {
+      state = 'expiring';
+    }
+    return { state, rotate_by: rotateBy, days_left: Math.max(daysLeft, 0) };
+  }
+
+  /**
+   * Check every client, sending the reminders and expiry notices that are due and
+   * disabling expired clients when CLIENT_SECRET_AUTO_DISABLE is on. Notices are recorded
+   * on the secret, so each goes out once across instances and runs.
+   * @returns {Promise<Object>} Counts of clients checked, reminded, expired and disabled
+   */
+  async run() {
+    if (this.running) {
+      throw new Error('A client secret expiry check is already in progress');
+    }
+    this.running = true;
+
+    const policy = ClientSecretExpiry.policy();
+    const report = { checked: 0, reminded: 0, expired: 0, disabled: 0, errors: 0 };
+    try {
+      for (const client of await Client.findAll()) {
+        report.checked++;
+        try {
+          await this.checkClient(client, policy, report);
+        } catch (error) {
+          report.errors++;
+          if (error.statusCode === 409) {
+            // Changed since it was read, maybe by another instance sending the same notice
+            console.log(`Client ${client.client_id} changed during the secret expiry check, retrying next run`);
+          } else {
+            console.error(`Secret expiry check failed for client ${client.client_id}:`, error);
+          }
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    return report;
+  }
+
+  async checkClient(client, policy, report) {
+    const status = ClientSecretExpiry.status(client, policy);
+    if (!status || status.state === 'ok' || !client.enabled) {
+      return;
+    }
+
+    const secret = client.currentSecret();
+    const notices = secret.expiry_notices || [];
+
+    if (status.state === 'expired') {
+      const disable = policy.autoDisable && !isProtected(client);
+      if (notices.includes(EXPIRED_NOTICE) && !disable) {
+        return;
+      }
+
+      secret.expiry_notices = [...new Set([...notices, EXPIRED_NOTICE])];
+      if (disable) {
+        client.enabled = false;
+      }
+      await client.save();
+
+      report.expired++;
+      if (disable) {
+        report.disabled++;
+      }
+      await this.announce('expired', client, status, secret, disable);
+      return;
+    }
+
+    // Only the nearest reminder is sent; ones skipped while the check wasn't running are dropped
+    const due = policy.reminderDays.filter(days => status.days_left <= days);
+    if (due.length === 0 || due.every(days => notices.includes(days))) {
+      return;
+    }
+
+    secret.expiry_notices = [...new Set([...notices, ...due])];
+    await client.save();
+
+    report.reminded++;
+    await this.announce('expiring', client, status, secret, false);
+  }
+
+  async announce(state, client, status, secret, disabled) {
+    const details = {
+      client_id: client.client_id,
+      client_name: client.name,
+      secret_id: secret.id,
+      rotate_by: status.rotate_by,
+      days_left: status.days_left
+    };
+    if (state === 'expired') {
+      details.client_disabled = disabled;
+    }
+
+    await Activity.logActivity(`client_secret_${state}`, { details });
+    await webhookDispatcher.emit(`client.secret_${state}`, {
+      client: clientSummary(client),
+      secret_id: secret.id,
+      rotate_by: status.rotate_by,
+      days_left: status.days_left,
+      ...(state === 'expired' ? { client_disabled: disabled } : {})
+    }, null);
+    console.log(`Client ${client.client_id} secret ${state === 'expired' ? 'expired' : `expires in ${status.days_left} day(s)`}${disabled ? ', client disabled' : ''}`);
+  }
+
+  /**
+   * Clients with their expiry status, for the dashboard and the clients list
+   * @param {Client[]} clients
+   * @returns {{expiring: number, expired: number, statuses: Map<string, Object>}} Counts and
+   *   each dated client's status by client_id
+   */
+  summarize(clients, policy = ClientSecretExpiry.policy()) {
+    const now = Date.now();
+    const summary = { expiring: 0, expired: 0, statuses: new Map() };
+    for (const client of clients) {
+      const status = ClientSecretExpiry.status(client, policy, now);
+      if (!status) continue;
+      summary.statuses.set(client.client_id, status);
+      if (status.state !== 'ok') {
+        summary[status.state]++;
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Check secrets on a timer. Settings:
+   *   CLIENT_SECRET_CHECK_INTERVAL_HOURS - hours between checks (default 24, 0 disables the job)
+   */
+  startSchedule(env = process.env) {
+    if (this.scheduled) {
+      console.log('Client secret expiry job already scheduled');
+      return;
+    }
+
+    const hours = env.CLIENT_SECRET_CHECK_INTERVAL_HOURS === undefined ? 24 : Number(env.CLIENT_SECRET_CHECK_INTERVAL_HOURS);
+    if (!(hours > 0) || !Client.secretMaxAgeDays) {
+      console.log('Client secret expiry job disabled');
+      return;
+    }
+
+    this.scheduled = true;
+    console.log(`Starting client secret expiry job (every ${hours}h)`);
+
+    const check = async () => {
+      try {
+        const report = await this.run();
+        console.log(`Client secret expiry: ${report.reminded} reminded, ${report.expired} expired, ${report.disabled} disabled`);
+      } catch (error) {
+        console.error('Error in client secret expiry job:', error);
+      }
+    };
+
+    // Reminders are date-driven, so check once at startup rather than a whole interval later
+    check();
+    this.timer = every(hours * 60 * 60 * 1000, check);
+  }
+
+  stopSchedule() {
+    if (!this.scheduled) {
+      return;
+    }
+
+    console.log('Stopping client secret expiry job');
+    this.scheduled = false;
+
+    if (this.timer) {
+      this.timer.stop();
+      this.timer = null;
+    }
+  }
+}
+
+// One expiry job per process
+const clientSecretExpiry = new ClientSecretExpiry();
+
+module.exports = clientSecretExpiry;
@@ -0,0 +1,190 @@
+const database = require('../database');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INACTIVE_DAYS = 90;
+
+// Periods shown in the login charts
+const DAILY_PERIODS = 30;
+const WEEKLY_PERIODS = 12;
+
+// Sessions read per request when scanning a client's sessions
+const SCAN_BATCH_SIZE = 500;
+
+// CLIENT_INACTIVE_DAYS, 0 meaning clients are never flagged as inactive
+function inactiveDays(env = process.env) {
+  const value = env.CLIENT_INACTIVE_DAYS;
+  const days = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(days) && days >= 0 ? days : DEFAULT_INACTIVE_DAYS;
+}
+
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// When a session was last used: the latest of its creation, last access and last refresh
+function lastUsed(session) {
+  const times = [session.created_at, session.last_accessed_at, session.last_refreshed_at]
+    .map(value => Date.parse(value))
+    .filter(Number.isFinite);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+// Chart bars for counts by period, scaled to the busiest period
+function chartSeries(counts, starts) {
+  const busiest = Math.max(1, ...counts);
+  return starts.map((start, index) => ({
+    date: new Date(start).toISOString().slice(0, 10),
+    count: counts[index],
+    percent: Math.round((counts[index] / busiest) * 100)
+  }));
+}
+
+/**
+ * Client usage from Session documents, which the Zombie server writes as users sign in to
+ * clients and refresh tokens. A session is one login; it counts as used when it was
+ * created, accessed or refreshed.
+ */
+class ClientUsage {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDb();
+  }
+
+  static get inactiveDays() {
+    return inactiveDays();
+  }
+
+  /**
+   * Session count and last use of every client that has sessions
+   * @returns {Promise<Map<string, {sessions: number, last_used: string}>>} By client_id
+   */
+  async summaries() {
+    const result = await this.db.view('sessions', 'usage_by_client', { group: true });
+    return new Map(result.rows.map(row => [row.key, {
+      sessions: row.value.count,
+      last_used: new Date(row.value.max).toISOString()
+    }]));
+  }
+
+  /**
+   * How long a client has gone unused. A client is inactive when it has not been used for
+   * CLIENT_INACTIVE_DAYS - counting from its creation when it has never been used, so new
+   * clients are not flagged.
+   * @param {Client} client
+   * @param {Object|undefined} summary - The client's entry from summaries()
+   * @returns {{sessions: number, last_used: string|null, idle_days: number|null, inactive: boolean}}
+   */
+  static activity(client, summary, days = inactiveDays(), now = Date.now()) {
+    const lastUsedAt = summary ? summary.last_used : null;
+    const since = Date.parse(lastUsedAt || client.created_at);
+    const idleDays = Number.isFinite(since) ? Math.max(0, Math.floor((now - since) / DAY_MS)) : null;
+    return {
+      sessions: summary ? summary.sessions : 0,
+      last_used: lastUsedAt,
+      idle_days: idleDays,
+      inactive: days > 0 && idleDays !== null && idleDays >= days
+    };
+  }
+
+  // Yield every session of a client, oldest first, reading the view one batch at a time
+  async *iterateSessions(clientId) {
+    let params = {
+      startkey: [clientId],
+      endkey: [clientId, {}],
+      include_docs: true,
+      limit: SCAN_BATCH_SIZE
+    };
+
+    for (;;) {
+      const result = await this.db.view('sessions', 'by_client_id', params);
+
+      for (const row of result.rows) {
+        if (row.doc) {
+          yield new Session(row.doc);
+        }
+      }
+
+      if (result.rows.length < params.limit) break;
+
+      const lastRow = result.rows[result.rows.length - 1];
+      params = { ...params, startkey: lastRow.key, startkey_docid: lastRow.id, skip: 1 };
+    }
+  }
+
+  /**
+   * Usage statistics for one client
+   * @param {string} clientId - The client's client_id
+   * @returns {Promise<Object>} Session, user, login and refresh counts, last use, and logins
+   *   per day (last 30 days) and per week (last 12 weeks) as chart series
+   */
+  async forClient(clientId, now = Date.now()) {
+    const today = startOfDay(now);
+    const monthAgo = today - (DAILY_PERIODS - 1) * DAY_MS;
+    const daily = new Array(DAILY_PERIODS).fill(0);
+    const weekly = new Array(WEEKLY_PERIODS).fill(0);
+    const users = new Set();
+    const recentUsers = new Set();
+    const stats = {
+      sessions: 0,
+      active_sessions: 0,
+      users: 0,
+      users_30d: 0,
+      logins_7d: 0,
+      logins_30d: 0,
+      refreshes: 0,
+      last_used: null,
+      last_refreshed_at: null
+    };
+    let lastUsedAt = null;
+
+    for await (const session of this.iterateSessions(clientId)) {
+      stats.sessions++;
+      if (session.active && !session.isExpired()) {
+        stats.active_sessions++;
+      }
+      users.add(session.user_id);
+      stats.refreshes += session.refresh_count;
+      if (session.last_refreshed_at && (!stats.last_refreshed_at || session.last_refreshed_at > stats.last_refreshed_at)) {
+        stats.last_refreshed_at = session.last_refreshed_at;
+      }
+
+      const used = lastUsed(session);
+      if (used !== null) {
+        lastUsedAt = Math.max(lastUsedAt || 0, used);
+        if (used >= monthAgo) {
+          recentUsers.add(session.user_id);
+        }
+      }
+
+      const created = Date.parse(session.created_at);
+      if (!Number.isFinite(created)) continue;
+      const daysAgo = Math.floor((today - startOfDay(created)) / DAY_MS);
+      if (daysAgo < 0) continue;
+      if (daysAgo < DAILY_PERIODS) {
+        daily[DAILY_PERIODS - 1 - daysAgo]++;
+        stats.logins_30d++;
+        if (daysAgo < 7) stats.logins_7d++;
+      }
+      const weeksAgo = Math.floor(daysAgo / 7);
+      if (weeksAgo < WEEKLY_PERIODS) {
+        weekly[WEEKLY_PERIODS - 1 - weeksAgo]++;
+      }
+    }
+
+    stats.users = users.size;
+    stats.users_30d = recentUsers.size;
+    stats.last_used = lastUsedAt === null ? null : new Date(lastUsedAt).toISOString();
+    stats.daily_logins = chartSeries(daily, daily.map((count, index) => monthAgo + index * DAY_MS));
+    // Weeks end today, so each one starts six days after the end of the one before
+    stats.weekly_logins = chartSeries(weekly, weekly.map((count, index) => today - ((WEEKLY_PERIODS - 1 - index) * 7 + 6) * DAY_MS));
+    return stats;
+  }
+}
+
+module.exports = ClientUsage;
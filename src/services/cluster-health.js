@@ -1,5 +1,6 @@
 const database = require('../database');
 const InstanceMonitor = require('./instance-monitor');
+const { instanceMetadata } = require('../utils/field-names');
 
 // Global isolation state to persist across instances
 global.clusterIsolationState = global.clusterIsolationState || {
@@ -162,10 +163,14 @@ class ClusterHealth {
       const db = this.database.getDb();
       
       // Try to use a simple document query instead of a view
-      // This looks for documents with instanceMetadata.lastModifiedAt after isolation start
+      // This looks for documents with instance_metadata.last_modified_at after isolation start,
+      // or the legacy camelCase field on documents not yet migrated
       const result = await db.find({
         selector: {
-          'instanceMetadata.lastModifiedAt': { '$gte': isolationStart }
+          '$or': [
+            { 'instance_metadata.last_modified_at': { '$gte': isolationStart } },
+            { 'instanceMetadata.lastModifiedAt': { '$gte': isolationStart } }
+          ]
         },
         fields: ['_id'],
         limit: 1000 // Reasonable limit for counting
@@ -176,19 +181,20 @@ class ClusterHealth {
       
       return isolatedCount;
     } catch (error) {
-      // If the instanceMetadata field doesn't exist or query fails, just return 0
-      console.log('Could not count isolated records (this is normal if no instanceMetadata tracking):', error.message);
+      // If the instance_metadata field doesn't exist or query fails, just return 0
+      console.log('Could not count isolated records (this is normal if no instance_metadata tracking):', error.message);
       return 0;
     }
   }
 
   // Check if a specific record was modified during isolation period
   isRecordIsolated(record) {
-    if (!global.clusterIsolationState.isolationStartTime || !record.instanceMetadata?.lastModifiedAt) {
+    const modifiedAt = instanceMetadata(record)?.last_modified_at;
+    if (!global.clusterIsolationState.isolationStartTime || !modifiedAt) {
       return false;
     }
     
-    const recordModifiedTime = new Date(record.instanceMetadata.lastModifiedAt);
+    const recordModifiedTime = new Date(modifiedAt);
     const isolationStartTime = global.clusterIsolationState.isolationStartTime;
     
     return recordModifiedTime >= isolationStartTime;
@@ -1,4 +1,5 @@
 const database = require('../database');
+const { instanceMetadata } = require('../utils/field-names');
 
 class ConflictDetector {
   constructor() {
@@ -7,65 +8,6 @@ class ConflictDetector {
 
   async initialize() {
     this.db = database.getDb();
-    
-    // Create design document for conflict detection views
-    await this.createConflictViews();
-  }
-
-  async createConflictViews() {
-    const conflictDesignDoc = {
-      _id: '_design/conflicts',
-      views: {
-        all_conflicts: {
-          map: function(doc) {
-            if (doc._conflicts && doc._conflicts.length > 0) {
-              emit([doc.type, doc._id], {
-                id: doc._id,
-                type: doc.type,
-                conflicts: doc._conflicts,
-                instanceMetadata: doc.instanceMetadata
-              });
-            }
-          }.toString()
-        },
-        user_conflicts: {
-          map: function(doc) {
-            if (doc.type === 'user' && doc._conflicts && doc._conflicts.length > 0) {
-              emit(doc._id, {
-                id: doc._id,
-                username: doc.username,
-                email: doc.email,
-                groups: doc.groups,
-                conflicts: doc._conflicts,
-                instanceMetadata: doc.instanceMetadata
-              });
-            }
-          }.toString()
-        },
-        client_conflicts: {
-          map: function(doc) {
-            if (doc.type === 'client' && doc._conflicts && doc._conflicts.length > 0) {
-              emit(doc._id, {
-                id: doc._id,
-                clientId: doc.clientId,
-                name: doc.name,
-                conflicts: doc._conflicts,
-                instanceMetadata: doc.instanceMetadata
-              });
-            }
-          }.toString()
-        }
-      }
-    };
-
-    try {
-      await this.db.insert(conflictDesignDoc);
-      console.log('Created conflict detection views');
-    } catch (error) {
-      if (error.statusCode !== 409) { // 409 = conflict (already exists)
-        console.error('Error creating conflict views:', error);
-      }
-    }
   }
 
   async getAllConflicts() {
@@ -122,7 +64,7 @@ class ConflictDetector {
       version: 'current',
       rev: doc._rev,
       data: doc,
-      instanceMetadata: doc.instanceMetadata
+      instanceMetadata: instanceMetadata(doc)
     });
     
     // Get all conflicting versions
@@ -133,7 +75,7 @@ class ConflictDetector {
           version: 'conflict',
           rev: conflictRev,
           data: conflictDoc,
-          instanceMetadata: conflictDoc.instanceMetadata
+          instanceMetadata: instanceMetadata(conflictDoc)
         });
       } catch (error) {
         console.warn(`Could not retrieve conflict version ${conflictRev} for ${doc._id}`);
@@ -162,7 +104,7 @@ class ConflictDetector {
       groups: userDoc.groups || [],
       roles: userDoc.roles || [],
       enabled: userDoc.enabled,
-      instanceMetadata: userDoc.instanceMetadata
+      instanceMetadata: instanceMetadata(userDoc)
     });
     
     // Get conflicting versions
@@ -177,7 +119,7 @@ class ConflictDetector {
           groups: conflictDoc.groups || [],
           roles: conflictDoc.roles || [],
           enabled: conflictDoc.enabled,
-          instanceMetadata: conflictDoc.instanceMetadata
+          instanceMetadata: instanceMetadata(conflictDoc)
         });
       } catch (error) {
         console.warn(`Could not retrieve conflict version ${conflictRev} for user ${userDoc._id}`);
@@ -202,8 +144,8 @@ class ConflictDetector {
     let hasDataDifferences = false;
     
     for (const version of versions) {
-      if (version.instanceMetadata?.lastModifiedBy) {
-        instancesInvolved.add(version.instanceMetadata.lastModifiedBy);
+      if (version.instanceMetadata?.last_modified_by) {
+        instancesInvolved.add(version.instanceMetadata.last_modified_by);
       }
     }
     
@@ -267,10 +209,10 @@ class ConflictDetector {
     
     if (versions.length < 2) return suggestions;
     
-    // Suggest keeping the most recent version based on lastModifiedAt
+    // Suggest keeping the most recent version based on last_modified_at
     let mostRecentVersion = versions[0];
     for (const version of versions) {
-      if (version.instanceMetadata?.lastModifiedAt > mostRecentVersion.instanceMetadata?.lastModifiedAt) {
+      if (version.instanceMetadata?.last_modified_at > mostRecentVersion.instanceMetadata?.last_modified_at) {
         mostRecentVersion = version;
       }
     }
@@ -278,8 +220,8 @@ class ConflictDetector {
     suggestions.keepMostRecent = {
       version: mostRecentVersion.version,
       rev: mostRecentVersion.rev,
-      modifiedBy: mostRecentVersion.instanceMetadata?.lastModifiedBy,
-      modifiedAt: mostRecentVersion.instanceMetadata?.lastModifiedAt
+      modifiedBy: mostRecentVersion.instanceMetadata?.last_modified_by,
+      modifiedAt: mostRecentVersion.instanceMetadata?.last_modified_at
     };
     
     // Suggest merging groups and roles from all versions
@@ -305,7 +247,7 @@ class ConflictDetector {
 
   hasSignificantDifferences(doc1, doc2) {
     // Skip internal CouchDB fields and metadata that don't represent actual conflicts
-    const ignoreFields = ['_rev', '_conflicts', 'updatedAt', 'instanceMetadata'];
+    const ignoreFields = ['_rev', '_conflicts', 'updated_at', 'instance_metadata', 'sync_status', 'updatedAt', 'instanceMetadata', 'syncStatus'];
     
     for (const key in doc1) {
       if (ignoreFields.includes(key)) continue;
@@ -0,0 +1,182 @@
+const database = require('../database');
+const Group = require('../models/Group');
+const User = require('../models/User');
+
+class GroupManager {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDb();
+  }
+
+  async getMemberCounts() {
+    const result = await this.db.view('groups', 'members', { group: true });
+    return new Map(result.rows.map(row => [row.key, row.value]));
+  }
+
+  // All groups with member and subgroup counts. Group names found on users without a
+  // group document are returned separately so they can be adopted.
+  async listGroups() {
+    const [groups, memberCounts] = await Promise.all([Group.findAll(), this.getMemberCounts()]);
+    const names = new Set(groups.map(group => group.name));
+
+    const list = groups.map(group => ({
+      ...group.toPublicJSON(),
+      memberCount: memberCounts.get(group.name) || 0,
+      subgroupCount: groups.filter(child => child.parent === group.name).length
+    }));
+
+    const unmanaged = Array.from(memberCounts)
+      .filter(([name]) => !names.has(name))
+      .map(([name, memberCount]) => ({ name, memberCount }));
+
+    return { groups: list, unmanaged };
+  }
+
+  async getMembers(name) {
+    const result = await this.db.view('groups', 'members', {
+      key: name,
+      reduce: false,
+      include_docs: true
+    });
+    return result.rows.filter(row => row.doc).map(row => new User(row.doc));
+  }
+
+  async getSubgroups(name) {
+    const result = await this.db.view('groups', 'by_parent', { key: name, include_docs: true });
+    return result.rows.map(row => new Group(row.doc));
+  }
+
+  // Names of the group's ancestors, nearest first. Stops at a cycle or missing parent.
+  getAncestors(name, groupsByName) {
+    const ancestors = [];
+    let current = groupsByName.get(name);
+
+    while (current && current.parent && !ancestors.includes(current.parent) && current.parent !== name) {
+      ancestors.push(current.parent);
+      current = groupsByName.get(current.parent);
+    }
+
+    return ancestors;
+  }
+
+  async wouldCreateCycle(name, parentName) {
+    if (!parentName) return false;
+    if (parentName === name) return true;
+
+    const groupsByName = await this.loadGroupsByName();
+    return this.getAncestors(parentName, groupsByName).includes(name);
+  }
+
+  // Every group by name, for resolving many users' memberships with one read
+  async loadGroupsByName() {
+    return new Map((await Group.findAll()).map(group => [group.name, group]));
+  }
+
+  /**
+   * Expand direct group memberships through parent groups and collect the roles they grant
+   * @param {string[]} groupNames - Groups the user is directly a member of
+   * @param {Map<string, Group>} [groupsByName] - From loadGroupsByName(); read when not given
+   * @returns {Promise<{groups: string[], inherited: string[], roles: string[]}>}
+   */
+  async resolveMembership(groupNames = [], groupsByName = null) {
+    groupsByName = groupsByName || await this.loadGroupsByName();
+    const effective = new Set(groupNames);
+
+    for (const name of groupNames) {
+      for (const ancestor of this.getAncestors(name, groupsByName)) {
+        effective.add(ancestor);
+      }
+    }
+
+    const roles = new Set();
+    for (const name of effective) {
+      const group = groupsByName.get(name);
+      if (group) {
+        group.roles.forEach(role => roles.add(role));
+      }
+    }
+
+    return {
+      groups: Array.from(effective),
+      inherited: Array.from(effective).filter(name => !groupNames.includes(name)),
+      roles: Array.from(roles).sort()
+    };
+  }
+
+  /**
+   * Check group values before a create or update
+   * @param {Object} values - name, owner, parent and roles as they would be saved
+   * @param {Group|null} existing - The group being updated, or null for a new group
+   * @param {boolean} canManageRoles - Whether the admin may change the roles the group grants
+   * @returns {Promise<{message: string, forbidden: boolean}|null>} The problem, or null when the values are
+   *   fine. forbidden is set when only the missing roles:manage permission stands in the way.
+   */
+  async checkGroup({ name, owner, parent, roles }, existing, canManageRoles) {
+    if (!existing) {
+      if (!Group.isValidName(name)) {
+        return { message: 'Group name must be 1-100 characters: letters, numbers, spaces, dots, hyphens and underscores', forbidden: false };
+      }
+      if (await Group.findByName(name)) {
+        return { message: 'A group with this name already exists', forbidden: false };
+      }
+    }
+
+    if (owner && !await User.findByUsername(owner)) {
+      return { message: `Owner ${owner} is not an existing user`, forbidden: false };
+    }
+
+    if (parent) {
+      if (!await Group.findByName(parent)) {
+        return { message: `Parent group ${parent} does not exist`, forbidden: false };
+      }
+      if (await this.wouldCreateCycle(name, parent)) {
+        return { message: 'A group cannot be nested inside itself or one of its subgroups', forbidden: false };
+      }
+    }
+
+    if (!canManageRoles) {
+      const before = existing ? (await this.resolveMembership([existing.name])).roles : [];
+      const inherited = parent ? (await this.resolveMembership([parent])).roles : [];
+      const after = Array.from(new Set([...roles, ...inherited])).sort();
+      if (before.join(',') !== after.join(',')) {
+        return { message: 'Changing the roles a group grants requires the \'roles:manage\' permission', forbidden: true };
+      }
+    }
+
+    return null;
+  }
+
+  // Roles a user holds directly plus those granted through group membership
+  async getEffectiveRoles(user) {
+    const membership = await this.resolveMembership(user.groups || []);
+    return Array.from(new Set([...(user.roles || []), ...membership.roles])).sort();
+  }
+
+  // Remove the group from every member, then delete it. Groups with subgroups must be emptied first.
+  async deleteGroup(group) {
+    const subgroups = await this.getSubgroups(group.name);
+    if (subgroups.length > 0) {
+      throw new Error(`Group has ${subgroups.length} subgroup(s); move or delete them first`);
+    }
+
+    const members = await this.getMembers(group.name);
+    for (const member of members) {
+      member.removeGroup(group.name);
+    }
+    if (members.length > 0) {
+      const results = await User.bulkSave(members);
+      const failed = results.filter(result => !result.ok);
+      if (failed.length > 0) {
+        throw new Error(`Could not remove ${failed.length} member(s) from the group; try again`);
+      }
+    }
+
+    await group.delete();
+    return members.length;
+  }
+}
+
+module.exports = GroupManager;
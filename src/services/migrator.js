@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const designDocs = require('../migrations/design-docs');
+const migrations = require('../migrations');
+
+// Applied migrations and design document versions. CouchDB never replicates _local
+// documents, so each node keeps its own record and brings its own database up to date.
+const STATE_DOC_ID = '_local/zombie_ui_migrations';
+
+// Attempts at saving a document another instance is updating at the same moment
+const MAX_ATTEMPTS = 3;
+
+function instanceId() {
+  return process.env.INSTANCE_ID || 'unknown';
+}
+
+// A design document's views as CouchDB stores them: functions become source text
+function viewSource(views) {
+  const source = {};
+  for (const [name, view] of Object.entries(views)) {
+    source[name] = { map: view.map.toString() };
+    if (view.reduce) {
+      source[name].reduce = view.reduce.toString();
+    }
+  }
+  return source;
+}
+
+function sameView(a, b) {
+  return !!a && !!b && a.map === b.map && (a.reduce || null) === (b.reduce || null);
+}
+
+/**
+ * Brings the database up to date at startup: creates or updates the design documents
+ * in migrations/design-docs.js, then runs the migrations in migrations/index.js that
+ * have not run here yet, in order.
+ *
+ * Takes the database handle rather than requiring ../database, because migrations use
+ * the models and the database module runs the migrator while it initializes.
+ */
+class Migrator {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // The source of each design document's views, and a hash that changes with them
+  static designDocVersions() {
+    return Object.entries(designDocs).map(([name, doc]) => {
+      const views = viewSource(doc.views);
+      const hash = crypto.createHash('sha256').update(JSON.stringify(views)).digest('hex').slice(0, 16);
+      return { id: `_design/${name}`, views, hash };
+    });
+  }
+
+  async loadState() {
+    try {
+      return await this.db.get(STATE_DOC_ID);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return { _id: STATE_DOC_ID, design_docs: {}, migrations: {} };
+      }
+      throw error;
+    }
+  }
+
+  // Record changes in the state document, reloading it if another process saved it first
+  async saveState(changes) {
+    for (let attempt = 1; ; attempt++) {
+      const state = await this.loadState();
+      Object.assign(state.design_docs, changes.design_docs);
+      Object.assign(state.migrations, changes.migrations);
+      state.updated_at = new Date().toISOString();
+
+      try {
+        await this.db.insert(state);
+        return;
+      } catch (error) {
+        if (error.statusCode !== 409 || attempt >= MAX_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Create a design document, or add and update the views that differ from ours.
+   * Views we don't define are kept, since the Zombie server shares some documents.
+   * @returns {Promise<{id: string, action: string, views: string[]}>} action is created, updated or unchanged
+   */
+  async applyDesignDoc({ id, views }, dryRun) {
+    for (let attempt = 1; ; attempt++) {
+      let existing = null;
+      try {
+        existing = await this.db.get(id);
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      }
+
+      const changed = Object.keys(views).filter(name => !sameView(existing?.views?.[name], views[name]));
+      if (changed.length === 0) {
+        return { id, action: 'unchanged', views: [] };
+      }
+
+      const action = existing ? 'updated' : 'created';
+      if (dryRun) {
+        return { id, action, views: changed };
+      }
+
+      try {
+        await this.db.insert(existing
+          ? { ...existing, views: { ...existing.views, ...views } }
+          : { _id: id, views });
+        return { id, action, views: changed };
+      } catch (error) {
+        // Another instance wrote it between our read and write - compare again
+        if (error.statusCode !== 409 || attempt >= MAX_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Apply design documents, then pending migrations
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report what would change without writing anything
+   * @param {boolean} [options.includeManual=false] - Also run migrations marked manual
+   * @returns {Promise<{design_docs: Array, migrations: Array}>}
+   */
+  async run(options = {}) {
+    const dryRun = options.dryRun === true;
+    const includeManual = options.includeManual === true;
+    const state = await this.loadState();
+    const report = { design_docs: [], migrations: [] };
+    const now = new Date().toISOString();
+
+    const designDocChanges = {};
+    for (const version of Migrator.designDocVersions()) {
+      const result = await this.applyDesignDoc(version, dryRun);
+      report.design_docs.push(result);
+      if (result.action !== 'unchanged' || state.design_docs[version.id]?.hash !== version.hash) {
+        designDocChanges[version.id] = { hash: version.hash, applied_at: now };
+      }
+      if (result.action !== 'unchanged' && !dryRun) {
+        console.log(`${result.action === 'created' ? 'Created' : 'Updated'} ${result.id} (${result.views.join(', ')})`);
+      }
+    }
+    if (!dryRun && Object.keys(designDocChanges).length > 0) {
+      await this.saveState({ design_docs: designDocChanges });
+    }
+
+    for (const migration of migrations) {
+      const applied = state.migrations[migration.id];
+      if (applied) {
+        report.migrations.push({ id: migration.id, description: migration.description, action: 'applied', applied_at: applied.applied_at });
+        continue;
+      }
+
+      if (migration.manual && !includeManual) {
+        report.migrations.push({ id: migration.id, description: migration.description, action: 'pending' });
+        if (!dryRun) {
+          console.log(`Migration ${migration.id} is pending: ${migration.description}. Run \`zombie-admin migrate --dry-run\` to review it, then \`zombie-admin migrate\``);
+        }
+        continue;
+      }
+
+      // A migration that throws stops startup; the ones after it wait for the next run
+      const result = await migration.up(this.db, { dryRun });
+      if (dryRun) {
+        report.migrations.push({ id: migration.id, description: migration.description, action: 'pending', result });
+        continue;
+      }
+
+      if (result?.complete === false) {
+        report.migrations.push({ id: migration.id, description: migration.description, action: 'incomplete', result });
+        console.warn(`Migration ${migration.id} did not complete and will run again next time`);
+        continue;
+      }
+
+      report.migrations.push({ id: migration.id, description: migration.description, action: 'ran', result });
+      await this.saveState({ migrations: { [migration.id]: { applied_at: new Date().toISOString(), instance: instanceId() } } });
+      console.log(`Ran migration ${migration.id}: ${migration.description}`);
+    }
+
+    return report;
+  }
+}
+
+module.exports = Migrator;
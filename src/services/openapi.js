@@ -0,0 +1,646 @@
+const apiV1Router = require('../routes/api-v1');
+const Role = require('../models/Role');
+const UserDirectory = require('./user-directory');
+const ActivityLog = require('./activity-log');
+const { version } = require('../../package.json');
+
+// Builds the OpenAPI 3 document for /api/v1 from the router itself: paths and methods from
+// its routes, required permissions from requirePermission() and request bodies from the
+// validateJsonBody() rule sets in middleware/validation.js. Response shapes mirror the
+// models' toPublicJSON() and are kept here.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+const stringList = { type: 'array', items: { type: 'string' } };
+const timestamp = nullable({ type: 'string', format: 'date-time' });
+const rev = { type: 'string', description: 'CouchDB revision, also sent as the ETag' };
+
+const userProperties = {
+  id: { type: 'string' },
+  username: { type: 'string' },
+  email: { type: 'string', format: 'email' },
+  first_name: nullable({ type: 'string' }),
+  last_name: nullable({ type: 'string' }),
+  groups: stringList,
+  roles: stringList,
+  enabled: { type: 'boolean' },
+  email_verified: { type: 'boolean' },
+  password_reset_required: { type: 'boolean' },
+  sync_status: { type: 'string', enum: ['synced', 'conflict', 'error'] },
+  created_at: timestamp,
+  last_login: timestamp,
+  _rev: rev
+};
+
+const groupProperties = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  description: nullable({ type: 'string' }),
+  owner: nullable({ type: 'string' }),
+  parent: nullable({ type: 'string' }),
+  roles: stringList,
+  created_at: timestamp,
+  updated_at: timestamp,
+  _rev: rev
+};
+
+const activityProperties = {
+  id: { type: 'string' },
+  timestamp: { type: 'string', format: 'date-time' },
+  action: { type: 'string' },
+  username: nullable({ type: 'string' }),
+  target_username: nullable({ type: 'string' }),
+  target_user_id: nullable({ type: 'string' }),
+  ip: nullable({ type: 'string' }),
+  user_agent: nullable({ type: 'string' }),
+  admin_username: nullable({ type: 'string' }),
+  api_token_id: nullable({ type: 'string' }),
+  details: { description: 'Free text, or an object such as { changes: [...] }' },
+  detailsText: { type: 'string' },
+  actionType: { type: 'string', description: 'Display category of the action' }
+};
+
+const schemas = {
+  User: { type: 'object', additionalProperties: false, properties: userProperties },
+  UserListItem: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { ...userProperties, syncStatus: { type: 'string', enum: UserDirectory.syncStatuses } }
+  },
+  Client: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string' },
+      client_id: { type: 'string' },
+      name: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      redirect_uris: stringList,
+      scopes: stringList,
+      grant_types: stringList,
+      response_types: stringList,
+      enabled: { type: 'boolean' },
+      confidential: { type: 'boolean' },
+      access_policy: {
+        type: 'object',
+        additionalProperties: false,
+        description: 'Who may sign in with the client. Empty allow lists let every enabled user in; denied users are always refused.',
+        properties: {
+          allowed_groups: { ...stringList, description: 'Members of these groups or their subgroups' },
+          allowed_roles: { ...stringList, description: 'Holders of these roles, directly or through a group' },
+          allowed_users: { ...stringList, description: 'Usernames' },
+          denied_users: { ...stringList, description: 'Usernames refused even when a group or role allows them' },
+          require_mfa: { type: 'boolean' }
+        }
+      },
+      registration: nullable({
+        type: 'object',
+        additionalProperties: false,
+        description: 'Set on clients that registered themselves at /register. Pending clients stay disabled until an admin approves them in the admin UI.',
+        properties: {
+          status: { type: 'string', enum: ['pending', 'approved'] },
+          registered_at: timestamp,
+          initial_token_id: nullable({ type: 'string' }),
+          initial_token_name: nullable({ type: 'string' }),
+          approved_by: nullable({ type: 'string' }),
+          approved_at: timestamp
+        }
+      }),
+      client_secret: { type: 'string', description: 'Only in the response that creates the client, for admins with clients:secrets' },
+      client_secrets: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            id: { type: 'string' },
+            hint: { type: 'string', description: 'Last four characters of the secret' },
+            created_at: timestamp,
+            created_by: nullable({ type: 'string' }),
+            expires_at: timestamp,
+            rotate_by: { ...timestamp, description: 'When the rotation policy says to replace the secret; it keeps working after' },
+            last_used_at: timestamp,
+            status: { type: 'string', enum: ['active', 'expiring', 'expired'] }
+          }
+        }
+      },
+      created_at: timestamp,
+      updated_at: timestamp,
+      _rev: rev
+    }
+  },
+  Session: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string' },
+      user_id: { type: 'string' },
+      client_id: nullable({ type: 'string' }),
+      scopes: stringList,
+      active: { type: 'boolean' },
+      expired: { type: 'boolean' },
+      created_at: timestamp,
+      last_accessed_at: timestamp,
+      expires_at: timestamp,
+      _rev: rev
+    }
+  },
+  Group: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...groupProperties,
+      members: {
+        type: 'array',
+        items: { type: 'object', properties: { id: { type: 'string' }, username: { type: 'string' } } }
+      },
+      subgroups: stringList
+    }
+  },
+  GroupListItem: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...groupProperties,
+      memberCount: { type: 'integer' },
+      subgroupCount: { type: 'integer' }
+    }
+  },
+  Activity: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...activityProperties,
+      chain: nullable({ type: 'object', description: 'Audit hash chain link: instance, seq, prev_hash, hash' })
+    }
+  },
+  Conflict: {
+    type: 'object',
+    properties: {
+      documentId: { type: 'string' },
+      documentType: nullable({ type: 'string' }),
+      conflictCount: { type: 'integer' },
+      versions: { type: 'array', items: { type: 'object' } },
+      analysis: { type: 'object' },
+      detectedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ConflictStats: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      byType: { type: 'object', additionalProperties: { type: 'integer' } },
+      byInstance: { type: 'object', additionalProperties: { type: 'integer' } },
+      requiresManualResolution: { type: 'integer' }
+    }
+  },
+  ConflictResolution: {
+    type: 'object',
+    properties: {
+      document_id: { type: 'string' },
+      winning_rev: { type: 'string' },
+      deleted_revs: stringList
+    }
+  },
+  Links: {
+    type: 'object',
+    required: ['self'],
+    properties: {
+      self: { type: 'string' },
+      first: { type: 'string' },
+      prev: { type: 'string' },
+      next: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: {
+            type: 'string',
+            enum: ['invalid_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'precondition_failed', 'payload_too_large', 'internal_error']
+          },
+          message: { type: 'string' },
+          details: { description: 'Per-field problems as [{ field, message }], or other context such as current_rev' }
+        }
+      }
+    }
+  }
+};
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const responses = {
+  BadRequest: errorResponse('The request is invalid; details lists the fields at fault'),
+  Unauthorized: errorResponse('No session or API token'),
+  Forbidden: errorResponse('Missing a permission or token scope, or the change is not allowed'),
+  NotFound: errorResponse('No such resource'),
+  Conflict: errorResponse('The change clashes with the current state, or another request saved first'),
+  PreconditionFailed: errorResponse('If-Match or _rev is stale; details.current_rev has the current revision')
+};
+
+// First path segment -> how its routes are described
+const RESOURCES = {
+  users: { tag: 'Users', name: 'user', schema: 'User', listSchema: 'UserListItem' },
+  clients: { tag: 'Clients', name: 'client', schema: 'Client' },
+  sessions: { tag: 'Sessions', name: 'session', schema: 'Session' },
+  groups: { tag: 'Groups', name: 'group', schema: 'Group', listSchema: 'GroupListItem' },
+  activity: { tag: 'Activity', name: 'activity entry', plural: 'activity entries', schema: 'Activity' },
+  conflicts: { tag: 'Conflicts', name: 'conflicted document', schema: 'Conflict' }
+};
+
+const queryParam = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+
+const offsetParameters = [
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 25 }, 'Items per page'),
+  queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'Items to skip')
+];
+
+const cursorParameters = pageSizes => [
+  queryParam('limit', { type: 'integer', enum: pageSizes, default: pageSizes[0] }, 'Items per page'),
+  queryParam('after', { type: 'string' }, 'Cursor from links.next'),
+  queryParam('before', { type: 'string' }, 'Cursor from links.prev')
+];
+
+// Operations that are not plain list/create/get/update/delete, and extra notes for some that are
+const OPERATIONS = {
+  'GET /users': {
+    parameters: [
+      queryParam('q', { type: 'string' }, 'Search usernames, emails and names'),
+      queryParam('sort', { type: 'string', enum: UserDirectory.sortFields, default: 'username' }),
+      queryParam('dir', { type: 'string', enum: ['asc', 'desc'], default: 'asc' }),
+      queryParam('enabled', { type: 'string', enum: ['true', 'false'] }),
+      queryParam('verified', { type: 'string', enum: ['true', 'false'] }),
+      queryParam('sync', { type: 'string', enum: UserDirectory.syncStatuses }),
+      queryParam('role', { type: 'string' }),
+      ...cursorParameters(UserDirectory.pageSizes)
+    ]
+  },
+  'PATCH /users/{id}': { description: 'username cannot be changed; set passwords with POST /users/{id}/password. Setting password_reset_required also needs users:password.' },
+  'POST /users/{id}/password': { summary: 'Set a user\'s password', status: 204, conditional: true },
+  'POST /clients': { description: 'The response includes client_secret for admins with clients:secrets. It is not stored and cannot be read again.' },
+  'GET /sessions': {
+    parameters: [
+      queryParam('user_id', { type: 'string' }, 'Only this user\'s sessions'),
+      queryParam('active', { type: 'string', enum: ['true', 'false'] }, 'Only live, unexpired sessions (true) or the rest (false)'),
+      ...offsetParameters
+    ]
+  },
+  'DELETE /sessions/{id}': { description: 'Also signs the session\'s user out of the admin UI.' },
+  'DELETE /groups/{id}': { description: 'Members are removed from the group. Groups with subgroups cannot be deleted (409). Groups that grant roles also need roles:manage.' },
+  'PUT /groups/{id}/members/{userId}': {
+    summary: 'Add a user to a group',
+    status: 204,
+    description: 'Idempotent. Groups that grant roles also need roles:manage.'
+  },
+  'DELETE /groups/{id}/members/{userId}': { summary: 'Remove a user from a group', status: 204 },
+  'GET /activity': {
+    parameters: [
+      queryParam('q', { type: 'string' }, 'Search every field'),
+      queryParam('action', { type: 'string' }),
+      queryParam('admin', { type: 'string' }, 'Admin username'),
+      queryParam('target', { type: 'string' }, 'Target username'),
+      queryParam('ip', { type: 'string' }),
+      queryParam('from', { type: 'string', format: 'date' }, 'First day, YYYY-MM-DD'),
+      queryParam('to', { type: 'string', format: 'date' }, 'Last day, YYYY-MM-DD'),
+      ...cursorParameters(ActivityLog.pageSizes)
+    ]
+  },
+  'GET /activity/{id}': { etag: false, description: 'Includes the entry\'s audit hash chain link.' },
+  'GET /conflicts/stats': { summary: 'Count conflicts by type and instance', schema: 'ConflictStats' },
+  'POST /conflicts/{docId}/resolve': {
+    summary: 'Keep one revision of a conflicted document and delete the others',
+    status: 200,
+    schema: 'ConflictResolution'
+  }
+};
+
+/**
+ * Describe one express-validator chain as a schema. Standard validators map to keywords;
+ * custom checks (isString, isArray, the JSON boolean check) are recognised by what they accept.
+ * @param {Object} context - The chain's built context (chain.builder.build())
+ * @returns {Object} Schema for the field, with the chain's message as its description
+ */
+function chainSchema(context) {
+  const schema = {};
+
+  for (const item of context.stack) {
+    const kind = item.constructor.name;
+    if (kind === 'CustomValidation' && !item.negated) {
+      Object.assign(schema, customSchema(item.validator));
+    } else if (kind === 'StandardValidation') {
+      Object.assign(schema, standardSchema(item));
+    }
+    if (!schema.description && typeof item.message === 'string') {
+      schema.description = item.message;
+    }
+  }
+
+  return schema;
+}
+
+function customSchema(validator) {
+  const accepts = value => {
+    try {
+      return validator(value, { req: { body: {} }, location: 'body', path: '' }) === true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (accepts(true) && !accepts('true')) return { type: 'boolean' };
+  if (accepts('x') && !accepts(1)) return { type: 'string' };
+  if (accepts(['x'])) return accepts([]) ? { type: 'array' } : { type: 'array', minItems: 1 };
+  if (accepts({})) return { type: 'object' };
+  return {};
+}
+
+function standardSchema(item) {
+  const [option] = item.options || [];
+
+  switch (item.validator.name) {
+    case 'isLength':
+      return {
+        type: 'string',
+        ...(option && option.min ? { minLength: option.min } : {}),
+        ...(option && option.max ? { maxLength: option.max } : {})
+      };
+    case 'isEmpty':
+      return item.negated ? { type: 'string', minLength: 1 } : {};
+    case 'matches':
+      return { type: 'string', pattern: String(option) };
+    case 'isEmail':
+      return { type: 'string', format: 'email' };
+    case 'isURL':
+      return { type: 'string', format: 'uri' };
+    case 'isIn':
+      return { enum: option };
+    case 'isInt':
+      return { type: 'integer' };
+    case 'isBoolean':
+      return { type: 'boolean' };
+    default:
+      return { type: 'string' };
+  }
+}
+
+/**
+ * The request body schema for a validateJsonBody() middleware
+ * @param {string[]} fields - Fields the endpoint accepts
+ * @param {Array} rules - Its rule set
+ * @param {boolean} conditional - Whether the endpoint also takes `_rev`
+ */
+function bodySchema(fields, rules, conditional) {
+  const properties = Object.fromEntries(fields.map(field => [field, {}]));
+  const required = [];
+
+  for (const rule of rules) {
+    const context = rule.builder.build();
+    if (!context.locations.includes('body')) continue;
+
+    for (const path of context.fields) {
+      const [field, rest, item] = path.split('.');
+      if (!properties[field]) continue;
+
+      if (rest === '*') {
+        properties[field] = { type: 'array', ...properties[field], items: { ...properties[field].items, ...chainSchema(context) } };
+        continue;
+      }
+
+      // A field of an object field, e.g. access_policy.allowed_groups(.*); always optional
+      if (rest) {
+        const parent = { type: 'object', additionalProperties: false, ...properties[field] };
+        const child = (parent.properties || {})[rest] || {};
+        parent.properties = {
+          ...parent.properties,
+          [rest]: item === '*' ? { type: 'array', ...child, items: { ...child.items, ...chainSchema(context) } } : { ...child, ...chainSchema(context) }
+        };
+        properties[field] = parent;
+        continue;
+      }
+
+      properties[field] = { ...properties[field], ...chainSchema(context) };
+      if (context.optional === 'null') {
+        properties[field].nullable = true;
+      } else if (context.optional === false) {
+        required.push(field);
+      }
+    }
+  }
+
+  if (conditional) {
+    properties._rev = { type: 'string', description: 'Revision you last read; a stale one gets 412 (same as If-Match)' };
+  }
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    ...(required.length ? { required } : {}),
+    properties
+  };
+}
+
+function permissionText(permissions) {
+  if (permissions.length === 0) {
+    return 'Any admin permission.';
+  }
+  const described = permissions.map(permission => `\`${permission}\` (${Role.permissions[permission] || 'unknown permission'})`);
+  return `Requires ${described.join(', ')}.`;
+}
+
+// Decide what kind of operation a route is from its method and shape
+function describeRoute(method, path, resource) {
+  const collection = `/${path.split('/')[1]}`;
+  const item = `${collection}/{id}`;
+  const plural = resource.plural || `${resource.name}s`;
+  const one = `${/^[aeiou]/.test(resource.name) ? 'an' : 'a'} ${resource.name}`;
+
+  if (path === collection && method === 'get') {
+    return { summary: `List ${plural}`, status: 200, schema: resource.listSchema || resource.schema, list: true };
+  }
+  if (path === collection && method === 'post') {
+    return { summary: `Create ${one}`, status: 201, schema: resource.schema, created: true };
+  }
+  if (path === item && method === 'get') {
+    return { summary: `Get ${one}`, status: 200, schema: resource.schema, etag: true };
+  }
+  if (path === item && method === 'patch') {
+    return { summary: `Update ${one}`, status: 200, schema: resource.schema, etag: true, conditional: true };
+  }
+  if (path === item && method === 'delete') {
+    return { summary: `Delete ${one}`, status: 204, conditional: true };
+  }
+  return { summary: `${method.toUpperCase()} ${path}`, status: 200 };
+}
+
+function successResponse(operation) {
+  if (operation.status === 204) {
+    return {
+      description: 'Done',
+      ...(operation.conditional ? { headers: { ETag: { description: 'The new revision', schema: { type: 'string' } } } } : {})
+    };
+  }
+
+  const data = operation.list ? { type: 'array', items: ref(operation.schema) } : ref(operation.schema);
+  const headers = {};
+  if (operation.list) {
+    headers.Link = { description: 'The links object as an RFC 8288 Link header', schema: { type: 'string' } };
+  }
+  if (operation.etag || operation.created) {
+    headers.ETag = { description: 'The resource\'s revision', schema: { type: 'string' } };
+  }
+  if (operation.created) {
+    headers.Location = { description: 'URL of the new resource', schema: { type: 'string' } };
+  }
+
+  return {
+    description: operation.created ? 'Created' : 'OK',
+    ...(Object.keys(headers).length ? { headers } : {}),
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: operation.list ? ['data', 'links'] : ['data'],
+          properties: operation.list ? { data, links: ref('Links') } : { data }
+        }
+      }
+    }
+  };
+}
+
+function buildOperation(method, path, handlers) {
+  const resource = RESOURCES[path.split('/')[1]];
+  const operation = { ...describeRoute(method, path, resource), ...OPERATIONS[`${method.toUpperCase()} ${path}`] };
+  const permissions = (handlers.find(handler => handler.permissions) || {}).permissions || [];
+  const validator = handlers.find(handler => handler.bodyRules);
+  const pathParams = (path.match(/\{(\w+)\}/g) || []).map(param => param.slice(1, -1));
+
+  const parameters = [
+    ...pathParams.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+    ...(operation.parameters || (operation.list ? offsetParameters : []))
+  ];
+  if (operation.etag && method === 'get') {
+    parameters.push({ name: 'If-None-Match', in: 'header', required: false, schema: { type: 'string' }, description: 'ETag you hold; unchanged resources get 304' });
+  }
+  if (operation.conditional) {
+    parameters.push({ name: 'If-Match', in: 'header', required: false, schema: { type: 'string' }, description: 'ETag you last read; a stale one gets 412' });
+  }
+
+  const operationResponses = { [operation.status]: successResponse(operation) };
+  if (operation.etag && method === 'get') {
+    operationResponses[304] = { description: 'Not modified' };
+  }
+  if (validator || parameters.some(param => param.in === 'query')) {
+    operationResponses[400] = { $ref: '#/components/responses/BadRequest' };
+  }
+  operationResponses[401] = { $ref: '#/components/responses/Unauthorized' };
+  operationResponses[403] = { $ref: '#/components/responses/Forbidden' };
+  if (pathParams.length) {
+    operationResponses[404] = { $ref: '#/components/responses/NotFound' };
+  }
+  if (method !== 'get') {
+    operationResponses[409] = { $ref: '#/components/responses/Conflict' };
+  }
+  if (operation.conditional) {
+    operationResponses[412] = { $ref: '#/components/responses/PreconditionFailed' };
+  }
+
+  return {
+    tags: [resource.tag],
+    summary: operation.summary,
+    description: [operation.description, permissionText(permissions)].filter(Boolean).join('\n\n'),
+    operationId: `${method}${path.replace(/\{(\w+)\}/g, 'By_$1').split(/[/_-]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')}`,
+    'x-permissions': permissions,
+    ...(parameters.length ? { parameters } : {}),
+    ...(validator ? {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: bodySchema(validator.bodyFields, validator.bodyRules, pathParams.length > 0) } }
+      }
+    } : {}),
+    responses: operationResponses
+  };
+}
+
+function buildSpec() {
+  const paths = {};
+
+  for (const layer of apiV1Router.stack) {
+    if (!layer.route) continue;
+
+    const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+    const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+    for (const method of Object.keys(layer.route.methods)) {
+      paths[path] = paths[path] || {};
+      paths[path][method] = buildOperation(method, path, handlers);
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Zombie Admin REST API',
+      version,
+      description: 'Manage users, OIDC clients, sessions, groups, the audit log and replication conflicts. ' +
+        'Errors share one envelope: { error: { code, message, details } }. Single resources carry _rev and an ETag; ' +
+        'send it back as If-Match (or _rev) to make writes conditional.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    tags: Object.values(RESOURCES).map(resource => ({ name: resource.tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'A personal API token from /admin/api-tokens; its scopes limit what it can do'
+        },
+        sessionCookie: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: `zombie-admin-session-${process.env.INSTANCE_ID || 'default'}`,
+          description: 'A signed-in admin UI session; writes also need the page\'s CSRF token in X-CSRF-Token'
+        }
+      },
+      schemas,
+      responses
+    }
+  };
+}
+
+let spec = null;
+
+// The document is built once; the routes it describes do not change while the app runs
+function getSpec() {
+  if (!spec) {
+    spec = buildSpec();
+  }
+  return spec;
+}
+
+/**
+ * Find the operation a request maps to
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/v1, e.g. '/users/abc'
+ * @returns {{path: string, operation: Object}|null}
+ */
+function findOperation(method, path) {
+  const { paths } = getSpec();
+  for (const [template, item] of Object.entries(paths)) {
+    const pattern = new RegExp(`^${template.replace(/\{\w+\}/g, '[^/]+')}/?$`);
+    if (pattern.test(path) && item[method.toLowerCase()]) {
+      return { path: template, operation: item[method.toLowerCase()] };
+    }
+  }
+  return null;
+}
+
+module.exports = { getSpec, findOperation };
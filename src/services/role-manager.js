@@ -0,0 +1,95 @@
+const database = require('../database');
+const Role = require('../models/Role');
+
+class RoleManager {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    this.db = database.getDb();
+  }
+
+  // Number of users holding each role directly, from the user directory views
+  async getUserCounts() {
+    try {
+      const result = await this.db.view('user_directory', 'by_role', { group: true });
+      return new Map(result.rows.map(row => [row.key, row.value]));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return new Map();
+      }
+      throw error;
+    }
+  }
+
+  async listRoles() {
+    const [roles, userCounts] = await Promise.all([Role.findAll(), this.getUserCounts()]);
+    const permissionCount = Object.keys(Role.permissions).length;
+
+    const list = [{
+      name: Role.adminRole,
+      description: 'Full access to every admin feature',
+      permissions: Object.keys(Role.permissions),
+      builtin: true,
+      allPermissions: true,
+      userCount: userCounts.get(Role.adminRole) || 0
+    }, {
+      name: Role.auditorRole,
+      description: 'Read-only access to every admin page and API; any change is refused',
+      permissions: Role.readPermissions,
+      builtin: true,
+      readOnly: true,
+      userCount: userCounts.get(Role.auditorRole) || 0
+    }];
+
+    for (const role of roles) {
+      list.push({
+        ...role.toPublicJSON(),
+        userCount: userCounts.get(role.name) || 0,
+        allPermissions: role.permissions.length === permissionCount
+      });
+    }
+
+    return list;
+  }
+
+  /**
+   * Collect the permissions granted by a set of role names. The admin role grants everything,
+   * the auditor role every read permission; role names without a role document grant nothing.
+   * @param {string[]} roleNames
+   * @returns {Promise<string[]>}
+   */
+  async resolvePermissions(roleNames = []) {
+    if (roleNames.includes(Role.adminRole)) {
+      return Object.keys(Role.permissions);
+    }
+    if (roleNames.length === 0) {
+      return [];
+    }
+
+    const roles = await Role.findByNames(roleNames.filter(name => !Role.isBuiltin(name)));
+    const permissions = new Set(roleNames.includes(Role.auditorRole) ? Role.readPermissions : []);
+    for (const role of roles) {
+      role.permissions.forEach(permission => permissions.add(permission));
+    }
+    return Array.from(permissions);
+  }
+
+  // Permission checkboxes for the roles editor, grouped by area (the part before the colon)
+  static permissionGroups(selected = []) {
+    const groups = [];
+    for (const [name, description] of Object.entries(Role.permissions)) {
+      const area = name.split(':')[0];
+      let group = groups.find(item => item.area === area);
+      if (!group) {
+        group = { area, permissions: [] };
+        groups.push(group);
+      }
+      group.permissions.push({ name, description, checked: selected.includes(name) });
+    }
+    return groups;
+  }
+}
+
+module.exports = RoleManager;
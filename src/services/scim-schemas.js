@@ -0,0 +1,174 @@
+// Discovery documents for /scim/v2: ServiceProviderConfig, ResourceTypes and Schemas
+// (RFC 7643 sections 5-7). They describe exactly what ScimService maps and accepts.
+
+const SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  resourceType: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+  schema: 'urn:ietf:params:scim:schemas:core:2.0:Schema'
+};
+
+const MAX_RESULTS = 200;
+
+function attribute(name, options = {}) {
+  return {
+    name,
+    type: options.type || 'string',
+    multiValued: options.multiValued || false,
+    description: options.description || '',
+    required: options.required || false,
+    caseExact: options.caseExact || false,
+    mutability: options.mutability || 'readWrite',
+    returned: options.returned || 'default',
+    uniqueness: options.uniqueness || 'none',
+    ...(options.subAttributes ? { subAttributes: options.subAttributes } : {}),
+    ...(options.referenceTypes ? { referenceTypes: options.referenceTypes } : {})
+  };
+}
+
+const USER_ATTRIBUTES = [
+  attribute('userName', {
+    description: 'Login name. Fixed once the user exists.',
+    required: true,
+    mutability: 'immutable',
+    uniqueness: 'server'
+  }),
+  attribute('name', {
+    type: 'complex',
+    description: 'The user\'s name',
+    subAttributes: [
+      attribute('formatted', { description: 'Full name, read-only', mutability: 'readOnly' }),
+      attribute('givenName', { description: 'First name' }),
+      attribute('familyName', { description: 'Last name' })
+    ]
+  }),
+  attribute('displayName', { description: 'Full name, or the userName when no name is set', mutability: 'readOnly' }),
+  attribute('emails', {
+    type: 'complex',
+    multiValued: true,
+    description: 'The primary (or first) email is stored; others are ignored',
+    subAttributes: [
+      attribute('value', { description: 'Email address' }),
+      attribute('type', { description: 'Label such as work' }),
+      attribute('primary', { type: 'boolean', description: 'The address to store' })
+    ]
+  }),
+  attribute('active', { type: 'boolean', description: 'Whether the user can sign in' }),
+  attribute('password', {
+    description: 'Sets the password; never returned. Users created without one must reset it at first login.',
+    mutability: 'writeOnly',
+    returned: 'never'
+  }),
+  attribute('groups', {
+    type: 'complex',
+    multiValued: true,
+    description: 'Direct group memberships. Change them through the Group resource.',
+    mutability: 'readOnly',
+    subAttributes: [
+      attribute('value', { description: 'Group id', mutability: 'readOnly' }),
+      attribute('$ref', { type: 'reference', mutability: 'readOnly', referenceTypes: ['Group'] }),
+      attribute('display', { description: 'Group name', mutability: 'readOnly' })
+    ]
+  }),
+  attribute('roles', {
+    type: 'complex',
+    multiValued: true,
+    description: 'Roles held directly. Roles decide admin permissions, so they are managed in the admin UI only.',
+    mutability: 'readOnly',
+    subAttributes: [attribute('value', { description: 'Role name', mutability: 'readOnly' })]
+  })
+];
+
+const GROUP_ATTRIBUTES = [
+  attribute('displayName', {
+    description: 'Group name. Fixed once the group exists.',
+    required: true,
+    mutability: 'immutable',
+    uniqueness: 'server'
+  }),
+  attribute('members', {
+    type: 'complex',
+    multiValued: true,
+    description: 'Direct members. Only users can be members.',
+    subAttributes: [
+      attribute('value', { description: 'User id', mutability: 'immutable' }),
+      attribute('$ref', { type: 'reference', mutability: 'immutable', referenceTypes: ['User'] }),
+      attribute('display', { description: 'Username', mutability: 'readOnly' }),
+      attribute('type', { description: 'Always User', mutability: 'immutable' })
+    ]
+  })
+];
+
+function meta(resourceType, location) {
+  return { resourceType, location };
+}
+
+function serviceProviderConfig(baseUrl) {
+  return {
+    schemas: [SCHEMAS.serviceProviderConfig],
+    documentationUri: 'https://datatracker.ietf.org/doc/html/rfc7644',
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_RESULTS },
+    changePassword: { supported: true },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'Bearer token',
+      description: 'A SCIM token issued on the admin SCIM page, sent as Authorization: Bearer <token>',
+      primary: true
+    }],
+    meta: meta('ServiceProviderConfig', `${baseUrl}/ServiceProviderConfig`)
+  };
+}
+
+function resourceTypes(baseUrl) {
+  return [
+    {
+      schemas: [SCHEMAS.resourceType],
+      id: 'User',
+      name: 'User',
+      endpoint: '/Users',
+      description: 'User account',
+      schema: SCHEMAS.user,
+      meta: meta('ResourceType', `${baseUrl}/ResourceTypes/User`)
+    },
+    {
+      schemas: [SCHEMAS.resourceType],
+      id: 'Group',
+      name: 'Group',
+      endpoint: '/Groups',
+      description: 'Group of users',
+      schema: SCHEMAS.group,
+      meta: meta('ResourceType', `${baseUrl}/ResourceTypes/Group`)
+    }
+  ];
+}
+
+function schemas(baseUrl) {
+  return [
+    {
+      schemas: [SCHEMAS.schema],
+      id: SCHEMAS.user,
+      name: 'User',
+      description: 'User account',
+      attributes: USER_ATTRIBUTES,
+      meta: meta('Schema', `${baseUrl}/Schemas/${SCHEMAS.user}`)
+    },
+    {
+      schemas: [SCHEMAS.schema],
+      id: SCHEMAS.group,
+      name: 'Group',
+      description: 'Group of users',
+      attributes: GROUP_ATTRIBUTES,
+      meta: meta('Schema', `${baseUrl}/Schemas/${SCHEMAS.group}`)
+    }
+  ];
+}
+
+module.exports = { SCHEMAS, MAX_RESULTS, serviceProviderConfig, resourceTypes, schemas };
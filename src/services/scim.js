@@ -0,0 +1,629 @@
+const crypto = require('crypto');
+const database = require('../database');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Activity = require('../models/Activity');
+const GroupManager = require('./group-manager');
+const webhookDispatcher = require('./webhook-dispatcher');
+const { SCHEMAS, MAX_RESULTS } = require('./scim-schemas');
+const { parseFilter, matchesFilter, exactUserName, getAttribute, ScimFilterError } = require('../utils/scim-filter');
+const { applyPatch, ScimPatchError } = require('../utils/scim-patch');
+const { commonRules, validateData } = require('../middleware/validation');
+const { grantsAdminAccess } = require('../middleware/permissions');
+const { diffFields } = require('../utils/change-diff');
+
+// Users read per view request while scanning for filter matches
+const SCAN_BATCH_SIZE = 500;
+
+// Attributes that are always returned, whatever attributes/excludedAttributes ask for
+const ALWAYS_RETURNED = ['schemas', 'id', 'meta'];
+
+// An error with the HTTP status and scimType for the SCIM error response
+class ScimError extends Error {
+  constructor(status, scimType, message) {
+    super(message);
+    this.status = status;
+    this.scimType = scimType;
+  }
+
+  // Filter and patch errors from the parsers, as SCIM errors; anything else unchanged
+  static from(error) {
+    if (error instanceof ScimFilterError) {
+      return new ScimError(400, 'invalidFilter', error.message);
+    }
+    if (error instanceof ScimPatchError) {
+      return new ScimError(400, error.scimType, error.message);
+    }
+    return error;
+  }
+}
+
+function readBoolean(value) {
+  if (typeof value === 'string') {
+    return value.toLowerCase() === 'true'; // Some providers send "True"/"False"
+  }
+  return value === true;
+}
+
+function readString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+function parseAttributeList(value) {
+  return typeof value === 'string' && value.trim()
+    ? value.split(',').map(name => name.trim().replace(/^urn:[^[\]\s]*:/i, '').split('.')[0].toLowerCase()).filter(name => name)
+    : [];
+}
+
+/**
+ * Maps SCIM 2.0 Users and Groups (RFC 7643/7644) onto User documents and their groups array.
+ * One instance serves one request: changes are audited as the SCIM token that made them.
+ */
+class ScimService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Absolute URL of /scim/v2, for meta.location and $ref
+   * @param {ScimToken} [options.token] - The token that authenticated the request
+   * @param {Object} [options.audit] - ip and user_agent recorded on each activity entry
+   */
+  constructor(options = {}) {
+    this.db = null;
+    this.baseUrl = options.baseUrl || '/scim/v2';
+    this.token = options.token || null;
+    this.audit = options.audit || {};
+  }
+
+  async initialize() {
+    this.db = database.getDb();
+  }
+
+  // The SCIM token as the "admin" on activity entries and webhook events
+  get actor() {
+    return this.token ? { sub: this.token._id, username: `scim:${this.token.name}` } : null;
+  }
+
+  async logActivity(action, fields) {
+    await Activity.logActivity(action, {
+      admin_user_id: this.actor?.sub,
+      admin_username: this.actor?.username,
+      ip: this.audit.ip,
+      user_agent: this.audit.user_agent,
+      ...fields,
+      details: { scim: true, ...fields.details }
+    });
+  }
+
+  /**
+   * Parse the list query parameters shared by /Users and /Groups.
+   * startIndex is 1-based; count is capped at MAX_RESULTS.
+   */
+  static parseListQuery(params = {}) {
+    const startIndex = parseInt(params.startIndex, 10);
+    const count = parseInt(params.count, 10);
+    let filter = null;
+
+    if (typeof params.filter === 'string' && params.filter.trim()) {
+      try {
+        filter = parseFilter(params.filter);
+      } catch (error) {
+        throw ScimError.from(error);
+      }
+    }
+
+    return {
+      filter,
+      startIndex: startIndex > 0 ? startIndex : 1,
+      count: Number.isNaN(count) ? 100 : Math.min(Math.max(count, 0), MAX_RESULTS),
+      attributes: parseAttributeList(params.attributes),
+      excludedAttributes: parseAttributeList(params.excludedAttributes)
+    };
+  }
+
+  // Trim a resource to the requested top-level attributes
+  static project(resource, query) {
+    const keys = Object.keys(resource).filter(key => {
+      const name = key.toLowerCase();
+      if (ALWAYS_RETURNED.includes(name)) return true;
+      if (query.attributes.length > 0) return query.attributes.includes(name);
+      return !query.excludedAttributes.includes(name);
+    });
+    return Object.fromEntries(keys.map(key => [key, resource[key]]));
+  }
+
+  listResponse(resources, totalResults, query) {
+    return {
+      schemas: [SCHEMAS.listResponse],
+      totalResults,
+      startIndex: query.startIndex,
+      itemsPerPage: resources.length,
+      Resources: resources.map(resource => ScimService.project(resource, query))
+    };
+  }
+
+  meta(resourceType, id, created, lastModified, rev) {
+    return {
+      resourceType,
+      created,
+      lastModified,
+      location: `${this.baseUrl}/${resourceType}s/${encodeURIComponent(id)}`,
+      ...(rev ? { version: `W/"${rev}"` } : {})
+    };
+  }
+
+  // Users
+
+  toScimUser(user, groupsByName) {
+    const displayName = [user.first_name, user.last_name].filter(part => part).join(' ');
+    const resource = {
+      schemas: [SCHEMAS.user],
+      id: user._id,
+      userName: user.username,
+      name: {
+        formatted: displayName || undefined,
+        givenName: user.first_name || undefined,
+        familyName: user.last_name || undefined
+      },
+      displayName: displayName || user.username,
+      emails: user.email ? [{ value: user.email, type: 'work', primary: true }] : [],
+      active: user.enabled,
+      groups: user.groups
+        .filter(name => groupsByName.has(name))
+        .map(name => {
+          const id = groupsByName.get(name)._id;
+          return { value: id, $ref: `${this.baseUrl}/Groups/${encodeURIComponent(id)}`, display: name };
+        }),
+      roles: user.roles.map(role => ({ value: role })),
+      meta: this.meta('User', user._id, user.created_at, user.updated_at, user._rev)
+    };
+    if (user.metadata.scim_external_id) {
+      resource.externalId = user.metadata.scim_external_id;
+    }
+    return resource;
+  }
+
+  async groupsByName() {
+    return new Map((await Group.findAll()).map(group => [group.name, group]));
+  }
+
+  // User by document ID; other document types are not users even if the ID is guessed
+  async findUser(id) {
+    try {
+      const doc = await database.getDb().get(id);
+      return doc.type === 'user' ? new User(doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async requireUser(id) {
+    const user = await this.findUser(id);
+    if (!user) {
+      throw new ScimError(404, null, `User ${id} not found`);
+    }
+    return user;
+  }
+
+  // Case-insensitive username lookup through the user directory view, when it exists
+  async findByUserName(userName) {
+    try {
+      const result = await database.getDb().view('user_directory', 'by_username', {
+        key: userName.toLowerCase(),
+        include_docs: true
+      });
+      return result.rows.length > 0 ? new User(result.rows[0].doc) : null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return User.findByUsername(userName);
+      }
+      throw error;
+    }
+  }
+
+  async *iterateUsers() {
+    const db = database.getDb();
+    let params = { include_docs: true, limit: SCAN_BATCH_SIZE + 1 };
+
+    while (true) {
+      const result = await db.view('users', 'by_username', params);
+      const rows = result.rows.slice(0, SCAN_BATCH_SIZE);
+      for (const row of rows) {
+        if (row.doc) yield new User(row.doc);
+      }
+      if (result.rows.length <= SCAN_BATCH_SIZE) {
+        return;
+      }
+      const next = result.rows[SCAN_BATCH_SIZE];
+      params = { include_docs: true, limit: SCAN_BATCH_SIZE + 1, startkey: next.key, startkey_docid: next.id };
+    }
+  }
+
+  async listUsers(query) {
+    const groupsByName = await this.groupsByName();
+
+    if (!query.filter) {
+      const result = await database.getDb().view('users', 'by_username', {
+        include_docs: true,
+        skip: query.startIndex - 1,
+        limit: query.count
+      });
+      const users = result.rows.filter(row => row.doc).map(row => this.toScimUser(new User(row.doc), groupsByName));
+      return this.listResponse(users, result.total_rows, query);
+    }
+
+    let matches = [];
+    const userName = exactUserName(query.filter);
+    try {
+      if (userName !== null) {
+        const user = await this.findByUserName(userName);
+        const resource = user ? this.toScimUser(user, groupsByName) : null;
+        matches = resource && matchesFilter(query.filter, resource) ? [resource] : [];
+      } else {
+        for await (const user of this.iterateUsers()) {
+          const resource = this.toScimUser(user, groupsByName);
+          if (matchesFilter(query.filter, resource)) {
+            matches.push(resource);
+          }
+        }
+      }
+    } catch (error) {
+      throw ScimError.from(error);
+    }
+
+    const page = matches.slice(query.startIndex - 1, query.startIndex - 1 + query.count);
+    return this.listResponse(page, matches.length, query);
+  }
+
+  async getUser(id) {
+    return this.toScimUser(await this.requireUser(id), await this.groupsByName());
+  }
+
+  /**
+   * Read the writable User attributes from a SCIM representation. Absent attributes
+   * clear the stored value, as PUT replaces the whole resource; active and password
+   * are kept when absent.
+   */
+  async readUser(resource, existing) {
+    if (!resource || typeof resource !== 'object') {
+      throw new ScimError(400, 'invalidSyntax', 'Request body must be a SCIM User');
+    }
+
+    const userName = readString(getAttribute(resource, 'username'));
+    if (!userName) {
+      throw new ScimError(400, 'invalidValue', 'userName is required');
+    }
+    if (existing && userName.toLowerCase() !== existing.username.toLowerCase()) {
+      throw new ScimError(400, 'mutability', 'userName cannot be changed');
+    }
+
+    const name = getAttribute(resource, 'name') || {};
+    const emails = getAttribute(resource, 'emails');
+    const emailList = Array.isArray(emails) ? emails.filter(email => email && typeof email === 'object') : [];
+    const primary = emailList.find(email => readBoolean(getAttribute(email, 'primary'))) || emailList[0];
+    const active = getAttribute(resource, 'active');
+    const password = getAttribute(resource, 'password');
+
+    const values = {
+      username: existing ? existing.username : userName,
+      first_name: readString(getAttribute(name, 'givenname')),
+      last_name: readString(getAttribute(name, 'familyname')),
+      email: primary ? readString(getAttribute(primary, 'value')) : undefined,
+      enabled: active === undefined ? (existing ? existing.enabled : true) : readBoolean(active),
+      external_id: readString(getAttribute(resource, 'externalid')),
+      password: typeof password === 'string' && password ? password : undefined
+    };
+
+    const rules = [];
+    if (!existing) rules.push(commonRules.username);
+    if (values.email) rules.push(commonRules.email);
+    if (values.password) rules.push(commonRules.password);
+    const errors = await validateData(rules, values);
+    if (errors.length > 0) {
+      throw new ScimError(400, 'invalidValue', errors.map(error => error.message).join('; '));
+    }
+
+    return values;
+  }
+
+  async applyUserValues(user, values) {
+    user.first_name = values.first_name;
+    user.last_name = values.last_name;
+    user.email = values.email;
+    user.enabled = values.enabled;
+    if (values.external_id) {
+      user.metadata.scim_external_id = values.external_id;
+    } else {
+      delete user.metadata.scim_external_id;
+    }
+    if (values.password) {
+      user.password_hash = await User.hashPassword(values.password);
+      user.password_reset_required = false;
+    }
+  }
+
+  async createUser(resource) {
+    const values = await this.readUser(resource, null);
+    if (await this.findByUserName(values.username)) {
+      throw new ScimError(409, 'uniqueness', `userName ${values.username} is already taken`);
+    }
+
+    const user = new User({ username: values.username });
+    if (!values.password) {
+      // No password from the provider: set one nobody knows and require a reset
+      user.password_hash = await User.hashPassword(crypto.randomBytes(32).toString('base64url'));
+      user.password_reset_required = true;
+    }
+    await this.applyUserValues(user, values);
+    await user.save();
+
+    await this.logActivity('user_created', {
+      target_username: user.username,
+      target_user_id: user._id,
+      details: { changes: diffFields(null, user.toJSON()) }
+    });
+    webhookDispatcher.userChanged('user.created', user, this.actor);
+
+    return this.toScimUser(user, await this.groupsByName());
+  }
+
+  // Admin accounts are left to the admin UI, so the provisioning token cannot take one over
+  async checkAdminAccount(user, change) {
+    if (await grantsAdminAccess(user)) {
+      throw new ScimError(403, 'mutability', `User ${user.username} has admin permissions; ${change} only in the admin UI`);
+    }
+  }
+
+  async saveUserChanges(user, values) {
+    if (values.password || values.enabled !== user.enabled) {
+      await this.checkAdminAccount(user, 'its password and active status can be changed');
+    }
+
+    const before = user.toJSON();
+    await this.applyUserValues(user, values);
+    await user.save();
+
+    const changes = diffFields(before, user.toJSON());
+    if (changes.length > 0) {
+      await this.logActivity('user_updated', {
+        target_username: user.username,
+        target_user_id: user._id,
+        details: { changes }
+      });
+    }
+    if (before.enabled !== user.enabled) {
+      webhookDispatcher.userChanged(user.enabled ? 'user.enabled' : 'user.disabled', user, this.actor);
+    }
+
+    return this.toScimUser(user, await this.groupsByName());
+  }
+
+  async replaceUser(id, resource) {
+    const user = await this.requireUser(id);
+    return this.saveUserChanges(user, await this.readUser(resource, user));
+  }
+
+  async patchUser(id, body) {
+    const user = await this.requireUser(id);
+    const current = this.toScimUser(user, await this.groupsByName());
+
+    let patched;
+    try {
+      patched = applyPatch(current, getAttribute(body, 'operations'));
+    } catch (error) {
+      throw ScimError.from(error);
+    }
+    return this.saveUserChanges(user, await this.readUser(patched, user));
+  }
+
+  async deleteUser(id) {
+    const user = await this.requireUser(id);
+    await this.checkAdminAccount(user, 'it can be deleted');
+    await this.logActivity('user_deleted', {
+      target_username: user.username,
+      target_user_id: user._id
+    });
+    await user.delete();
+    webhookDispatcher.userChanged('user.deleted', user, this.actor);
+  }
+
+  // Groups
+
+  toScimGroup(group, members) {
+    const resource = {
+      schemas: [SCHEMAS.group],
+      id: group._id,
+      displayName: group.name,
+      meta: this.meta('Group', group._id, group.created_at, group.updated_at, group._rev)
+    };
+    if (members) {
+      resource.members = members.map(user => ({
+        value: user._id,
+        $ref: `${this.baseUrl}/Users/${encodeURIComponent(user._id)}`,
+        display: user.username,
+        type: 'User'
+      }));
+    }
+    return resource;
+  }
+
+  async groupManager() {
+    const groupManager = new GroupManager();
+    await groupManager.initialize();
+    return groupManager;
+  }
+
+  async requireGroup(id) {
+    const group = await Group.findById(id);
+    if (!group) {
+      throw new ScimError(404, null, `Group ${id} not found`);
+    }
+    return group;
+  }
+
+  // Members are left out when the client excludes them, which saves a view query per group
+  async listGroups(query) {
+    const groupManager = await this.groupManager();
+    const withMembers = !query.excludedAttributes.includes('members') &&
+      (query.attributes.length === 0 || query.attributes.includes('members') || Boolean(query.filter));
+
+    const resources = [];
+    for (const group of await Group.findAll()) {
+      resources.push(this.toScimGroup(group, withMembers ? await groupManager.getMembers(group.name) : null));
+    }
+
+    let matches = resources;
+    if (query.filter) {
+      try {
+        matches = resources.filter(resource => matchesFilter(query.filter, resource));
+      } catch (error) {
+        throw ScimError.from(error);
+      }
+    }
+
+    const page = matches.slice(query.startIndex - 1, query.startIndex - 1 + query.count);
+    return this.listResponse(page, matches.length, query);
+  }
+
+  async getGroup(id) {
+    const group = await this.requireGroup(id);
+    const groupManager = await this.groupManager();
+    return this.toScimGroup(group, await groupManager.getMembers(group.name));
+  }
+
+  readMemberIds(resource) {
+    const members = getAttribute(resource, 'members');
+    if (members === undefined || members === null) {
+      return [];
+    }
+    if (!Array.isArray(members)) {
+      throw new ScimError(400, 'invalidValue', 'members must be an array');
+    }
+    return [...new Set(members.map(member => (member && typeof member === 'object' ? getAttribute(member, 'value') : member))
+      .filter(value => typeof value === 'string' && value))];
+  }
+
+  /**
+   * Make the group's direct members exactly memberIds. Membership of groups that grant
+   * roles is left to admins with roles:manage, so SCIM cannot hand out admin access.
+   */
+  async setMembers(group, currentMembers, memberIds, groupManager) {
+    const currentIds = currentMembers.map(user => user._id);
+    const addIds = memberIds.filter(id => !currentIds.includes(id));
+    const removed = currentMembers.filter(user => !memberIds.includes(user._id));
+    if (addIds.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    if ((await groupManager.resolveMembership([group.name])).roles.length > 0) {
+      throw new ScimError(403, null, `Group ${group.name} grants roles; its members can only be changed in the admin UI`);
+    }
+
+    const added = await User.findByIds(addIds);
+    const unknown = addIds.filter((id, index) => !added[index]);
+    if (unknown.length > 0) {
+      throw new ScimError(400, 'invalidValue', `Unknown member: ${unknown.join(', ')}`);
+    }
+
+    const changed = [];
+    for (const user of added) {
+      changed.push({ user, before: user.toJSON(), detail: { group_added: group.name } });
+      user.addGroup(group.name);
+    }
+    for (const user of removed) {
+      changed.push({ user, before: user.toJSON(), detail: { group_removed: group.name } });
+      user.removeGroup(group.name);
+    }
+
+    const results = await User.bulkSave(changed.map(item => item.user));
+    const failed = results.filter(result => !result.ok);
+
+    for (const [index, { user, before, detail }] of changed.entries()) {
+      if (!results[index].ok) continue;
+      await this.logActivity('user_updated', {
+        target_username: user.username,
+        target_user_id: user._id,
+        details: { ...detail, changes: diffFields(before, user.toJSON()) }
+      });
+    }
+
+    if (failed.length > 0) {
+      throw new ScimError(409, null, `Could not update ${failed.length} member(s); try again`);
+    }
+  }
+
+  async createGroup(resource) {
+    const name = readString(getAttribute(resource || {}, 'displayname'));
+    if (!Group.isValidName(name)) {
+      throw new ScimError(400, 'invalidValue', 'displayName must be 1-100 characters: letters, numbers, spaces, dots, hyphens and underscores');
+    }
+    if (await Group.findByName(name)) {
+      throw new ScimError(409, 'uniqueness', `Group ${name} already exists`);
+    }
+
+    const memberIds = this.readMemberIds(resource);
+    const group = new Group({ name });
+    await group.save();
+
+    await this.logActivity('group_created', {
+      details: { group: group.name, parent: group.parent, roles: group.roles }
+    });
+
+    const groupManager = await this.groupManager();
+    await this.setMembers(group, [], memberIds, groupManager);
+    return this.toScimGroup(group, await groupManager.getMembers(group.name));
+  }
+
+  async saveGroupChanges(group, resource, groupManager) {
+    const name = readString(getAttribute(resource, 'displayname'));
+    if (name !== group.name) {
+      throw new ScimError(400, 'mutability', 'displayName cannot be changed');
+    }
+
+    await this.setMembers(group, await groupManager.getMembers(group.name), this.readMemberIds(resource), groupManager);
+    return this.toScimGroup(group, await groupManager.getMembers(group.name));
+  }
+
+  async replaceGroup(id, resource) {
+    const group = await this.requireGroup(id);
+    return this.saveGroupChanges(group, resource || {}, await this.groupManager());
+  }
+
+  async patchGroup(id, body) {
+    const group = await this.requireGroup(id);
+    const groupManager = await this.groupManager();
+    const current = this.toScimGroup(group, await groupManager.getMembers(group.name));
+
+    let patched;
+    try {
+      patched = applyPatch(current, getAttribute(body, 'operations'));
+    } catch (error) {
+      throw ScimError.from(error);
+    }
+    return this.saveGroupChanges(group, patched, groupManager);
+  }
+
+  async deleteGroup(id) {
+    const group = await this.requireGroup(id);
+    const groupManager = await this.groupManager();
+    // Deleting the group would take its roles away from every member, like removing them one by one
+    if ((await groupManager.resolveMembership([group.name])).roles.length > 0) {
+      throw new ScimError(403, 'mutability', `Group ${group.name} grants roles; it can only be deleted in the admin UI`);
+    }
+
+    let removedMembers;
+    try {
+      removedMembers = await groupManager.deleteGroup(group);
+    } catch (error) {
+      throw new ScimError(409, null, error.message);
+    }
+
+    await this.logActivity('group_deleted', {
+      details: { group: group.name, removed_members: removedMembers }
+    });
+  }
+}
+
+module.exports = ScimService;
+module.exports.ScimError = ScimError;
@@ -59,39 +59,39 @@ class SyncMonitor {
       for (const row of result.rows) {
         const userData = row.doc;
         const user = new User(userData);
-        const previousSyncStatus = user.syncStatus;
+        const previousSyncStatus = user.sync_status;
         
         // Check current conflict status
         await user.checkAndUpdateSyncStatus();
         
         // If sync status changed, update the document
-        if (user.syncStatus !== previousSyncStatus) {
+        if (user.sync_status !== previousSyncStatus) {
           try {
             // Get the latest revision to ensure we have the most current document
             const currentDoc = await db.get(user._id);
             
-            // Update only the syncStatus field
-            currentDoc.syncStatus = user.syncStatus;
-            currentDoc.updatedAt = new Date().toISOString();
+            // Update only the sync_status field
+            currentDoc.sync_status = user.sync_status;
+            currentDoc.updated_at = new Date().toISOString();
             
             // Update instance metadata
-            currentDoc.instanceMetadata = {
-              ...currentDoc.instanceMetadata,
-              lastModifiedBy: process.env.INSTANCE_ID || 'sync-monitor',
-              lastModifiedAt: new Date().toISOString(),
-              version: (currentDoc.instanceMetadata?.version || 1) + 1
+            currentDoc.instance_metadata = {
+              ...currentDoc.instance_metadata,
+              last_modified_by: process.env.INSTANCE_ID || 'sync-monitor',
+              last_modified_at: new Date().toISOString(),
+              version: (currentDoc.instance_metadata?.version || 1) + 1
             };
             
             await db.insert(currentDoc);
             syncUpdates++;
             
-            console.log(`Updated sync status for user ${user.username}: ${previousSyncStatus} → ${user.syncStatus}`);
+            console.log(`Updated sync status for user ${user.username}: ${previousSyncStatus} → ${user.sync_status}`);
           } catch (updateError) {
             console.error(`Failed to update sync status for user ${user.username}:`, updateError);
           }
         }
         
-        if (user.syncStatus === 'conflict') {
+        if (user.sync_status === 'conflict') {
           conflictUsers++;
         }
       }
@@ -113,20 +113,20 @@ class SyncMonitor {
         throw new Error(`User not found: ${userId}`);
       }
 
-      const previousSyncStatus = user.syncStatus;
+      const previousSyncStatus = user.sync_status;
       await user.checkAndUpdateSyncStatus();
       
-      if (user.syncStatus !== previousSyncStatus) {
+      if (user.sync_status !== previousSyncStatus) {
         await user.save();
-        console.log(`Updated sync status for user ${user.username}: ${previousSyncStatus} → ${user.syncStatus}`);
+        console.log(`Updated sync status for user ${user.username}: ${previousSyncStatus} → ${user.sync_status}`);
       }
       
       return {
         userId: user._id,
         username: user.username,
         previousSyncStatus,
-        currentSyncStatus: user.syncStatus,
-        updated: user.syncStatus !== previousSyncStatus
+        currentSyncStatus: user.sync_status,
+        updated: user.sync_status !== previousSyncStatus
       };
       
     } catch (error) {
@@ -153,7 +153,7 @@ class SyncMonitor {
         const user = new User(row.doc);
         stats.total++;
         
-        switch (user.syncStatus) {
+        switch (user.sync_status) {
           case 'synced':
             stats.synced++;
             break;
@@ -0,0 +1,251 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Activity = require('../models/Activity');
+const { diffFields } = require('../utils/change-diff');
+const webhookDispatcher = require('./webhook-dispatcher');
+
+const MAX_BULK_USERS = 500;
+
+// Each action changes a loaded user in place and reports whether anything changed.
+// selfProtected actions mirror the single-user safeguards (you can't disable or delete yourself).
+// permission is the admin permission needed to run the action.
+// webhook is the lifecycle event sent to webhook subscribers for each changed user.
+const ACTIONS = {
+  enable: {
+    permission: 'users:write',
+    activity: 'user_enabled',
+    webhook: 'user.enabled',
+    apply: user => {
+      if (user.enabled) return false;
+      user.enabled = true;
+      return true;
+    }
+  },
+  disable: {
+    permission: 'users:write',
+    activity: 'user_disabled',
+    webhook: 'user.disabled',
+    selfProtected: 'Cannot disable yourself',
+    apply: user => {
+      if (!user.enabled) return false;
+      user.enabled = false;
+      return true;
+    }
+  },
+  delete: {
+    permission: 'users:delete',
+    activity: 'user_deleted',
+    webhook: 'user.deleted',
+    selfProtected: 'Cannot delete yourself',
+    apply: () => true
+  },
+  add_group: {
+    permission: 'users:write',
+    activity: 'user_updated',
+    needsValue: true,
+    apply: (user, value) => {
+      if (user.hasGroup(value)) return false;
+      user.addGroup(value);
+      return true;
+    }
+  },
+  remove_group: {
+    permission: 'users:write',
+    activity: 'user_updated',
+    needsValue: true,
+    apply: (user, value) => {
+      if (!user.hasGroup(value)) return false;
+      user.removeGroup(value);
+      return true;
+    }
+  },
+  add_role: {
+    permission: 'roles:manage',
+    activity: 'user_updated',
+    needsValue: true,
+    apply: (user, value) => {
+      if (user.hasRole(value)) return false;
+      user.addRole(value);
+      return true;
+    }
+  },
+  remove_role: {
+    permission: 'roles:manage',
+    activity: 'user_updated',
+    needsValue: true,
+    apply: (user, value) => {
+      if (!user.hasRole(value)) return false;
+      user.removeRole(value);
+      return true;
+    }
+  },
+  force_password_reset: {
+    permission: 'users:password',
+    activity: 'password_reset_required',
+    apply: user => {
+      if (user.password_reset_required) return false;
+      user.password_reset_required = true;
+      return true;
+    }
+  },
+  invalidate_sessions: {
+    permission: 'sessions:revoke',
+    activity: 'session_invalidated'
+    // Sessions are separate documents - handled in invalidateSessions()
+  }
+};
+
+class UserBulkActions {
+  /**
+   * @param {Object} options
+   * @param {string} options.action - One of UserBulkActions.actions
+   * @param {string} [options.value] - Group or role name for the add/remove actions
+   * @param {Object} [options.admin] - The acting admin's oidc_user
+   * @param {Object} [options.audit] - ip and user_agent recorded on each activity entry
+   */
+  constructor(options = {}) {
+    this.action = options.action;
+    this.value = typeof options.value === 'string' ? options.value.trim() : '';
+    this.admin = options.admin || null;
+    this.audit = options.audit || {};
+  }
+
+  static get actions() {
+    return Object.keys(ACTIONS);
+  }
+
+  static permissionFor(action) {
+    return ACTIONS[action] ? ACTIONS[action].permission : null;
+  }
+
+  // Returns an error message for a bad request, or null when the request is valid
+  static validate({ action, ids, value }) {
+    const definition = ACTIONS[action];
+    if (!definition) {
+      return `Unknown action: ${action}`;
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id)) {
+      return 'Select at least one user';
+    }
+    if (ids.length > MAX_BULK_USERS) {
+      return `Bulk actions are limited to ${MAX_BULK_USERS} users at a time`;
+    }
+    if (definition.needsValue) {
+      const name = typeof value === 'string' ? value.trim() : '';
+      if (name.length < 1 || name.length > 100) {
+        return 'A group or role name of 1-100 characters is required';
+      }
+    }
+    return null;
+  }
+
+  async run(ids) {
+    const definition = ACTIONS[this.action];
+    const uniqueIds = [...new Set(ids)];
+    const users = await User.findByIds(uniqueIds);
+
+    const results = [];
+    const changed = [];
+
+    users.forEach((user, index) => {
+      const result = { id: uniqueIds[index], username: user ? user.username : null };
+      const before = user ? user.toJSON() : null;
+      results.push(result);
+
+      if (!user) {
+        Object.assign(result, { status: 'error', message: 'User not found' });
+      } else if (definition.selfProtected && this.admin && user.username === this.admin.username) {
+        Object.assign(result, { status: 'error', message: definition.selfProtected });
+      } else if (definition.apply && !definition.apply(user, this.value)) {
+        Object.assign(result, { status: 'skipped', message: 'No change needed' });
+      } else {
+        changed.push({ user, result, before });
+      }
+    });
+
+    if (this.action === 'invalidate_sessions') {
+      await this.invalidateSessions(changed);
+    } else if (changed.length > 0) {
+      const targets = changed.map(item => item.user);
+      const writeResults = this.action === 'delete'
+        ? await User.bulkDelete(targets)
+        : await User.bulkSave(targets);
+
+      writeResults.forEach((writeResult, index) => {
+        Object.assign(changed[index].result, writeResult.ok
+          ? { status: 'ok' }
+          : { status: 'error', message: `Write failed: ${writeResult.error}` });
+      });
+    }
+
+    // One audit entry and webhook event per user that was actually changed
+    for (const { user, result, before, sessionIds } of changed) {
+      if (result.status !== 'ok') continue;
+      await Activity.logActivity(definition.activity, {
+        target_username: user.username,
+        target_user_id: user._id,
+        admin_user_id: this.admin?.sub,
+        admin_username: this.admin?.username,
+        api_token_id: this.admin?.api_token_id,
+        ip: this.audit.ip,
+        user_agent: this.audit.user_agent,
+        details: this.activityDetails(result, before, user)
+      });
+
+      if (definition.webhook) {
+        webhookDispatcher.userChanged(definition.webhook, user, this.admin);
+      } else if (sessionIds) {
+        webhookDispatcher.sessionsRevoked(user, sessionIds, 'admin_invalidated', this.admin);
+      }
+    }
+
+    return results;
+  }
+
+  async invalidateSessions(changed) {
+    for (const item of changed) {
+      const { user, result } = item;
+      try {
+        const sessions = await Session.findByUserId(user._id);
+        item.sessionIds = [];
+        for (const session of sessions) {
+          if (session.active) {
+            await session.invalidate();
+            item.sessionIds.push(session._id);
+          }
+        }
+        const count = item.sessionIds.length;
+        Object.assign(result, count > 0
+          ? { status: 'ok', count }
+          : { status: 'skipped', message: 'No active sessions' });
+      } catch (error) {
+        Object.assign(result, { status: 'error', message: error.message });
+      }
+    }
+  }
+
+  activityDetails(result, before, user) {
+    const details = { bulk: true, bulk_action: this.action };
+    if (ACTIONS[this.action].needsValue) {
+      details.value = this.value;
+    }
+    // Deleted users and session invalidations leave no field changes to record
+    if (this.action !== 'delete' && this.action !== 'invalidate_sessions') {
+      details.changes = diffFields(before, user.toJSON());
+    }
+    if (result.count !== undefined) {
+      details.sessions_invalidated = result.count;
+    }
+    return details;
+  }
+
+  static summarize(results) {
+    const summary = { total: results.length, ok: 0, skipped: 0, error: 0 };
+    for (const result of results) {
+      summary[result.status]++;
+    }
+    return summary;
+  }
+}
+
+module.exports = UserBulkActions;
@@ -0,0 +1,338 @@
+const database = require('../database');
+const User = require('../models/User');
+const ConflictDetector = require('./conflict-detector');
+const ClusterHealth = require('./cluster-health');
+
+const SORT_FIELDS = ['username', 'email', 'created_at', 'last_login'];
+const PAGE_SIZES = [25, 50, 100];
+const SYNC_STATUSES = ['synced', 'isolated', 'conflict'];
+
+// Rows read per view request while filling a page with filtered results
+const SCAN_BATCH_SIZE = 500;
+
+// Cursors are the view key and doc id of the row at the edge of a page
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.key, row.doc._id])).toString('base64url');
+}
+
+function decodeCursor(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  try {
+    const [key, id] = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return typeof id === 'string' ? { key, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseBooleanFilter(value) {
+  return value === 'true' || value === 'false' ? value : '';
+}
+
+// Mirrors the keys emitted by the by_* sort views so in-memory pages line up with view pages
+function sortKeyFor(doc, sort) {
+  switch (sort) {
+    case 'email':
+      return doc.email ? doc.email.toLowerCase() : null;
+    case 'created_at':
+      return doc.created_at || null;
+    case 'last_login':
+      return doc.last_login || null;
+    default:
+      return doc.username ? doc.username.toLowerCase() : null;
+  }
+}
+
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+function compareRows(a, b) {
+  return compareKeys(a.key, b.key) || compareKeys(a.doc._id, b.doc._id);
+}
+
+class UserDirectory {
+  constructor() {
+    this.db = null;
+    this.conflictDetector = new ConflictDetector();
+    this.clusterHealth = new ClusterHealth();
+  }
+
+  async initialize() {
+    this.db = database.getDb();
+    await this.conflictDetector.initialize();
+    await this.clusterHealth.initialize();
+  }
+
+  // Normalize list query parameters from the request into a directory query
+  static parseQuery(params = {}) {
+    const limit = parseInt(params.limit, 10);
+
+    return {
+      q: typeof params.q === 'string' ? params.q.trim().slice(0, 100) : '',
+      sort: SORT_FIELDS.includes(params.sort) ? params.sort : 'username',
+      dir: params.dir === 'desc' ? 'desc' : 'asc',
+      limit: PAGE_SIZES.includes(limit) ? limit : PAGE_SIZES[0],
+      enabled: parseBooleanFilter(params.enabled),
+      verified: parseBooleanFilter(params.verified),
+      sync: SYNC_STATUSES.includes(params.sync) ? params.sync : '',
+      role: typeof params.role === 'string' ? params.role.trim() : '',
+      after: decodeCursor(params.after),
+      before: decodeCursor(params.before)
+    };
+  }
+
+  // Build a query string for the given query, dropping cursors unless overridden
+  static toQueryString(query, overrides = {}) {
+    const params = new URLSearchParams();
+    const values = { ...query, after: null, before: null, ...overrides };
+
+    for (const key of ['q', 'sort', 'dir', 'limit', 'enabled', 'verified', 'sync', 'role', 'after', 'before']) {
+      const value = values[key];
+      if (value === null || value === undefined || value === '') continue;
+      if (key === 'sort' && value === 'username') continue;
+      if (key === 'dir' && value === 'asc') continue;
+      if (key === 'limit' && value === PAGE_SIZES[0]) continue;
+      params.set(key, value);
+    }
+
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : '';
+  }
+
+  static get sortFields() {
+    return SORT_FIELDS;
+  }
+
+  static get pageSizes() {
+    return PAGE_SIZES;
+  }
+
+  static get syncStatuses() {
+    return SYNC_STATUSES;
+  }
+
+  async getConflictedUserIds() {
+    try {
+      const result = await this.db.view('conflicts', 'user_conflicts');
+      return new Set(result.rows.map(row => row.id));
+    } catch (error) {
+      console.error('Error getting conflicted user IDs:', error);
+      return new Set();
+    }
+  }
+
+  getSyncStatus(doc, conflictedIds) {
+    if (conflictedIds.has(doc._id)) {
+      return 'conflict';
+    }
+    return this.clusterHealth.isRecordIsolated(doc) ? 'isolated' : 'synced';
+  }
+
+  matchesFilters(doc, query, conflictedIds) {
+    if (query.enabled && String(doc.enabled !== false) !== query.enabled) {
+      return false;
+    }
+    if (query.verified && String(doc.email_verified === true) !== query.verified) {
+      return false;
+    }
+    if (query.role && !(doc.roles || []).includes(query.role)) {
+      return false;
+    }
+    if (query.sync && this.getSyncStatus(doc, conflictedIds) !== query.sync) {
+      return false;
+    }
+    return true;
+  }
+
+  // Collect up to limit + 1 matching rows by walking a sort view from the cursor
+  async scanSortView(query, matches, reverse) {
+    const cursor = reverse ? query.before : query.after;
+    const rows = [];
+    let params = {
+      include_docs: true,
+      descending: (query.dir === 'desc') !== reverse,
+      limit: SCAN_BATCH_SIZE
+    };
+
+    if (cursor) {
+      params.startkey = cursor.key;
+      params.startkey_docid = cursor.id;
+    }
+
+    while (rows.length <= query.limit) {
+      const result = await this.db.view('user_directory', `by_${query.sort}`, params);
+
+      for (const row of result.rows) {
+        if (!row.doc || (cursor && row.id === cursor.id)) continue;
+        if (matches(row.doc)) {
+          rows.push({ key: row.key, doc: row.doc });
+          if (rows.length > query.limit) break;
+        }
+      }
+
+      if (result.rows.length < params.limit) break;
+
+      const lastRow = result.rows[result.rows.length - 1];
+      params = { ...params, startkey: lastRow.key, startkey_docid: lastRow.id, skip: 1 };
+    }
+
+    return rows;
+  }
+
+  async findIdsForSearch(searchText) {
+    const terms = searchText.toLowerCase().split(/\s+/).filter(term => term).slice(0, 5);
+    let ids = null;
+
+    for (const term of terms) {
+      const result = await this.db.view('user_directory', 'search_terms', {
+        startkey: term,
+        endkey: `${term}\ufff0`
+      });
+      const termIds = new Set(result.rows.map(row => row.id));
+      ids = ids ? new Set([...ids].filter(id => termIds.has(id))) : termIds;
+    }
+
+    return ids ? Array.from(ids) : [];
+  }
+
+  // Search results are small, so they are loaded, sorted and paged in memory
+  async searchRows(query, matches, reverse) {
+    const ids = await this.findIdsForSearch(query.q);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const result = await this.db.fetch({ keys: ids });
+    const rows = result.rows
+      .filter(row => row.doc && matches(row.doc))
+      .map(row => ({ key: sortKeyFor(row.doc, query.sort), doc: row.doc }))
+      .sort(compareRows);
+
+    if ((query.dir === 'desc') !== reverse) {
+      rows.reverse();
+    }
+
+    const cursor = reverse ? query.before : query.after;
+    let start = 0;
+    if (cursor) {
+      const cursorRow = { key: cursor.key, doc: { _id: cursor.id } };
+      const ascending = (query.dir === 'desc') === reverse;
+      start = rows.findIndex(row => {
+        const order = compareRows(row, cursorRow);
+        return ascending ? order > 0 : order < 0;
+      });
+      if (start === -1) {
+        return [];
+      }
+    }
+
+    return rows.slice(start, start + query.limit + 1);
+  }
+
+  async listUsers(query) {
+    const conflictedIds = await this.getConflictedUserIds();
+    const matches = doc => this.matchesFilters(doc, query, conflictedIds);
+    const reverse = !!query.before && !query.after;
+
+    const rows = query.q
+      ? await this.searchRows(query, matches, reverse)
+      : await this.scanSortView(query, matches, reverse);
+
+    const hasMore = rows.length > query.limit;
+
+    // Paging back past the start lands on a short page - show the full first page instead
+    if (reverse && !hasMore) {
+      return this.listUsers({ ...query, before: null });
+    }
+
+    const pageRows = rows.slice(0, query.limit);
+    if (reverse) {
+      pageRows.reverse();
+    }
+
+    const users = pageRows.map(row => {
+      const publicUser = new User(row.doc).toPublicJSON();
+      publicUser.syncStatus = this.getSyncStatus(row.doc, conflictedIds);
+      return publicUser;
+    });
+
+    const firstRow = pageRows[0];
+    const lastRow = pageRows[pageRows.length - 1];
+
+    return {
+      users,
+      nextCursor: lastRow && (reverse || hasMore) ? encodeCursor(lastRow) : null,
+      prevCursor: firstRow && (reverse ? hasMore : !!query.after) ? encodeCursor(firstRow) : null
+    };
+  }
+
+  // Yield every matching user document in sort order, reading the view one batch at a time
+  async *iterateUsers(query) {
+    const conflictedIds = await this.getConflictedUserIds();
+    const matches = doc => this.matchesFilters(doc, query, conflictedIds);
+
+    if (query.q) {
+      const rows = await this.searchRows({ ...query, after: null, before: null, limit: Infinity }, matches, false);
+      for (const row of rows) {
+        yield row.doc;
+      }
+      return;
+    }
+
+    let params = {
+      include_docs: true,
+      descending: query.dir === 'desc',
+      limit: SCAN_BATCH_SIZE
+    };
+
+    for (;;) {
+      const result = await this.db.view('user_directory', `by_${query.sort}`, params);
+
+      for (const row of result.rows) {
+        if (row.doc && matches(row.doc)) {
+          yield row.doc;
+        }
+      }
+
+      if (result.rows.length < params.limit) break;
+
+      const lastRow = result.rows[result.rows.length - 1];
+      params = { ...params, startkey: lastRow.key, startkey_docid: lastRow.id, skip: 1 };
+    }
+  }
+
+  async getUserStats() {
+    const stats = { activeUsers: 0, disabledUsers: 0, unverifiedUsers: 0, totalUsers: 0 };
+
+    const result = await this.db.view('user_directory', 'by_status', { group: true });
+    for (const row of result.rows) {
+      const [enabled, emailVerified] = row.key;
+      stats.totalUsers += row.value;
+
+      // Same priority as the status badge: disabled > unverified > active
+      if (!enabled) {
+        stats.disabledUsers += row.value;
+      } else if (!emailVerified) {
+        stats.unverifiedUsers += row.value;
+      } else {
+        stats.activeUsers += row.value;
+      }
+    }
+
+    return stats;
+  }
+
+  async getRoleCounts() {
+    const result = await this.db.view('user_directory', 'by_role', { group: true });
+    return result.rows.map(row => ({ role: row.key, count: row.value }));
+  }
+}
+
+module.exports = UserDirectory;
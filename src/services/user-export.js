@@ -0,0 +1,132 @@
+const { once } = require('events');
+const { toCsvRow } = require('../utils/csv');
+
+// Fields that can be selected for an export, in column order. 'id' is the document _id.
+const EXPORT_FIELDS = [
+  'id', 'username', 'email', 'first_name', 'last_name', 'groups', 'roles',
+  'enabled', 'email_verified', 'created_at', 'updated_at', 'last_login'
+];
+
+const DEFAULT_FIELDS = ['username', 'email', 'first_name', 'last_name', 'groups', 'roles', 'enabled', 'email_verified'];
+
+// Backups carry everything needed to restore a user, including the bcrypt hash
+const BACKUP_FIELDS = [...EXPORT_FIELDS, 'password_hash'];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+function fieldValue(doc, field) {
+  if (field === 'id') return doc._id;
+  if (field === 'groups' || field === 'roles') return doc[field] || [];
+  if (field === 'enabled') return doc.enabled !== false;
+  if (field === 'email_verified') return doc.email_verified === true;
+  return doc[field] === undefined ? null : doc[field];
+}
+
+class UserExport {
+  constructor(options = {}) {
+    this.format = FORMATS[options.format] ? options.format : 'csv';
+    this.backup = options.backup === true;
+    this.fields = this.backup ? BACKUP_FIELDS : UserExport.parseFields(options.fields);
+  }
+
+  // Accepts a comma separated list or array; unknown names (including password_hash) are dropped
+  static parseFields(value) {
+    const requested = Array.isArray(value) ? value : String(value || '').split(',');
+    const names = requested.map(name => String(name).trim());
+    const fields = EXPORT_FIELDS.filter(field => names.includes(field));
+    return fields.length > 0 ? fields : DEFAULT_FIELDS;
+  }
+
+  static get fieldNames() {
+    return EXPORT_FIELDS;
+  }
+
+  static get defaultFields() {
+    return DEFAULT_FIELDS;
+  }
+
+  static isValidFormat(format) {
+    return !!FORMATS[format];
+  }
+
+  get contentType() {
+    return FORMATS[this.format].contentType;
+  }
+
+  filename(date = new Date()) {
+    const prefix = this.backup ? 'users-backup' : 'users';
+    return `${prefix}-${date.toISOString().slice(0, 10)}.${FORMATS[this.format].extension}`;
+  }
+
+  toRecord(doc) {
+    const record = {};
+    for (const field of this.fields) {
+      record[field] = fieldValue(doc, field);
+    }
+    return record;
+  }
+
+  formatDoc(doc, index) {
+    switch (this.format) {
+      case 'json':
+        return (index === 0 ? '\n' : ',\n') + JSON.stringify(this.toRecord(doc));
+      case 'ndjson':
+        return JSON.stringify(this.toRecord(doc)) + '\n';
+      default:
+        return toCsvRow(this.fields.map(field => fieldValue(doc, field)));
+    }
+  }
+
+  header() {
+    switch (this.format) {
+      case 'json':
+        return '[';
+      case 'ndjson':
+        return '';
+      default:
+        return toCsvRow(this.fields);
+    }
+  }
+
+  footer(count) {
+    return this.format === 'json' ? (count > 0 ? '\n]\n' : ']\n') : '';
+  }
+
+  /**
+   * Write documents from an async iterable to a writable stream, waiting for
+   * 'drain' so a slow client never causes the whole export to be buffered.
+   * Stops early if the client disconnects.
+   * @returns {Promise<{count: number, completed: boolean}>}
+   */
+  async writeTo(stream, docs) {
+    let count = 0;
+
+    const write = async (chunk) => {
+      if (chunk && !stream.write(chunk)) {
+        await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+      }
+      return !stream.destroyed;
+    };
+
+    if (!await write(this.header())) {
+      return { count, completed: false };
+    }
+
+    for await (const doc of docs) {
+      if (!await write(this.formatDoc(doc, count))) {
+        return { count, completed: false };
+      }
+      count++;
+    }
+
+    await write(this.footer(count));
+    stream.end();
+    return { count, completed: true };
+  }
+}
+
+module.exports = UserExport;
@@ -0,0 +1,390 @@
+const User = require('../models/User');
+const { parseCsv } = require('../utils/csv');
+const { validationRules, validateData } = require('../middleware/validation');
+const { hasPermission, checkRoleChange, grantsAdminAccess } = require('../middleware/permissions');
+const GroupManager = require('./group-manager');
+const webhookDispatcher = require('./webhook-dispatcher');
+
+const MAX_IMPORT_ROWS = 5000;
+const BULK_CHUNK_SIZE = 500;
+
+// Accepted column/property names for each User field, compared after
+// lowercasing and stripping spaces, dashes and underscores
+const FIELD_ALIASES = {
+  username: ['username', 'user', 'login'],
+  email: ['email', 'emailaddress', 'mail'],
+  first_name: ['firstname', 'givenname', 'first'],
+  last_name: ['lastname', 'familyname', 'surname', 'last'],
+  groups: ['groups', 'group'],
+  roles: ['roles', 'role'],
+  enabled: ['enabled', 'active'],
+  email_verified: ['emailverified', 'verified'],
+  password: ['password'],
+  password_hash: ['passwordhash', 'hash', 'bcrypt']
+};
+
+const UPDATABLE_FIELDS = ['email', 'first_name', 'last_name', 'groups', 'roles', 'enabled', 'email_verified'];
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+function fieldForName(name) {
+  const normalized = normalizeName(name);
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(normalized)) || null;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y', 'on'].includes(text)) return true;
+  if (['false', '0', 'no', 'n', 'off'].includes(text)) return false;
+  return null;
+}
+
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(/[;,|]/);
+  return items.map(item => String(item).trim()).filter(item => item);
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every(item => b.includes(item));
+}
+
+// Read CSV or JSON input into raw records keyed by User field
+function parseInput(data, format) {
+  const text = typeof data === 'string' ? data.trim() : '';
+  if (!text) {
+    throw new Error('No import data provided');
+  }
+
+  const resolvedFormat = format === 'csv' || format === 'json'
+    ? format
+    : (text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv');
+
+  const ignoredColumns = new Set();
+  let records;
+
+  if (resolvedFormat === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed.users;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON must be an array of users or an object with a "users" array');
+    }
+
+    records = items.map(item => {
+      const record = {};
+      for (const [key, value] of Object.entries(item && typeof item === 'object' ? item : {})) {
+        const field = fieldForName(key);
+        if (field) {
+          record[field] = value;
+        } else {
+          ignoredColumns.add(key);
+        }
+      }
+      return record;
+    });
+  } else {
+    const { headers, rows } = parseCsv(text);
+    const fields = headers.map(header => {
+      const field = fieldForName(header);
+      if (!field && header) ignoredColumns.add(header);
+      return field;
+    });
+
+    if (!fields.includes('username')) {
+      throw new Error('CSV header must include a username column');
+    }
+
+    records = rows.map(values => {
+      const record = {};
+      fields.forEach((field, index) => {
+        if (field && values[index] !== undefined) {
+          record[field] = values[index];
+        }
+      });
+      return record;
+    });
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} users per batch`);
+  }
+
+  return { format: resolvedFormat, records, ignoredColumns: Array.from(ignoredColumns) };
+}
+
+// Convert a raw record into typed User fields; fields left empty stay undefined
+function mapRecord(record) {
+  const fields = {};
+  const errors = [];
+
+  for (const field of ['username', 'email', 'first_name', 'last_name', 'password', 'password_hash']) {
+    if (record[field] !== undefined && record[field] !== null && String(record[field]).trim() !== '') {
+      fields[field] = String(record[field]).trim();
+    }
+  }
+
+  for (const field of ['groups', 'roles']) {
+    if (record[field] !== undefined && record[field] !== null && record[field] !== '') {
+      fields[field] = parseList(record[field]);
+    }
+  }
+
+  for (const field of ['enabled', 'email_verified']) {
+    if (record[field] !== undefined && record[field] !== null && record[field] !== '') {
+      const value = parseBoolean(record[field]);
+      if (value === null) {
+        errors.push({ field, message: `${field} must be true or false` });
+      } else {
+        fields[field] = value;
+      }
+    }
+  }
+
+  return { fields, errors };
+}
+
+function describeValue(field, value) {
+  if (field === 'password' || field === 'password_hash') {
+    return value ? '(set)' : '';
+  }
+  return value;
+}
+
+class UserImport {
+  constructor(options = {}) {
+    this.format = options.format || 'auto';
+    this.onExisting = options.onExisting === 'update' ? 'update' : 'skip';
+    this.actor = options.actor || null; // Who runs the import, passed on to webhooks
+    // The admin's request, whose permissions limit role, group and password changes.
+    // The CLI imports without one and is not limited.
+    this.request = options.request || null;
+  }
+
+  // Row errors for changes the admin's permissions do not cover
+  async accessErrors(row) {
+    const req = this.request;
+    if (!req || (row.action !== 'create' && row.action !== 'update')) {
+      return [];
+    }
+
+    const errors = [];
+    const current = row.action === 'update' ? row.existing : { roles: [], groups: [] };
+    const next = {
+      roles: row.fields.roles || current.roles || [],
+      groups: row.fields.groups || current.groups || []
+    };
+
+    const roleError = await checkRoleChange(req, current, next);
+    if (roleError) {
+      errors.push({ field: 'roles', message: roleError });
+    } else if (!hasPermission(req, 'roles:manage')) {
+      // Group membership can carry roles, so joining or leaving such a group is gated like a role change
+      const before = current.groups || [];
+      const changed = [...next.groups.filter(name => !before.includes(name)), ...before.filter(name => !next.groups.includes(name))];
+      if (changed.length > 0 && (await new GroupManager().resolveMembership(changed)).roles.length > 0) {
+        errors.push({ field: 'groups', message: 'Changing membership of groups that grant roles requires the \'roles:manage\' permission' });
+      }
+    }
+
+    if (row.action === 'update' && (row.fields.password || row.fields.password_hash)) {
+      if (!hasPermission(req, 'users:password')) {
+        errors.push({ field: 'password', message: 'Changing passwords requires the \'users:password\' permission' });
+      } else if (!hasPermission(req, 'roles:manage') && await grantsAdminAccess(row.existing)) {
+        errors.push({ field: 'password', message: 'Changing the password of a user with admin permissions requires the \'roles:manage\' permission' });
+      }
+    }
+
+    return errors;
+  }
+
+  // Build the dry-run plan: one entry per input row with the action that would be taken
+  async plan(data) {
+    const { format, records, ignoredColumns } = parseInput(data, this.format);
+    const rowOffset = format === 'csv' ? 2 : 1; // CSV rows are numbered after the header line
+
+    const rows = [];
+    for (const [index, record] of records.entries()) {
+      const { fields, errors } = mapRecord(record);
+      const validationErrors = await validateData(validationRules.importUser, fields);
+      rows.push({
+        row: index + rowOffset,
+        username: fields.username,
+        email: fields.email,
+        fields,
+        action: 'create',
+        changes: [],
+        errors: [...errors, ...validationErrors]
+      });
+    }
+
+    const valid = rows.filter(row => row.errors.length === 0);
+    const existingByUsername = new Map();
+    const existingByEmail = new Map();
+
+    if (valid.length > 0) {
+      const usernames = [...new Set(valid.map(row => row.username))];
+      const emails = [...new Set(valid.map(row => row.email))];
+      for (const user of await User.findByUsernames(usernames)) {
+        existingByUsername.set(user.username, user);
+      }
+      for (const user of await User.findByEmails(emails)) {
+        existingByEmail.set(user.email, user);
+      }
+    }
+
+    const seenUsernames = new Set();
+    const seenEmails = new Set();
+
+    for (const row of valid) {
+      if (seenUsernames.has(row.username)) {
+        row.errors.push({ field: 'username', message: 'Username appears more than once in this import' });
+        continue;
+      }
+      if (seenEmails.has(row.email.toLowerCase())) {
+        row.errors.push({ field: 'email', message: 'Email appears more than once in this import' });
+        continue;
+      }
+      seenUsernames.add(row.username);
+      seenEmails.add(row.email.toLowerCase());
+
+      const existing = existingByUsername.get(row.username);
+      const emailOwner = existingByEmail.get(row.email);
+
+      if (emailOwner && (!existing || emailOwner._id !== existing._id)) {
+        row.errors.push({ field: 'email', message: `Email already belongs to user ${emailOwner.username}` });
+        continue;
+      }
+
+      if (existing) {
+        row.existing = existing;
+        if (this.onExisting === 'skip') {
+          row.action = 'skip';
+          row.note = 'User already exists';
+          continue;
+        }
+
+        for (const field of UPDATABLE_FIELDS) {
+          const value = row.fields[field];
+          if (value === undefined) continue;
+          const current = existing[field];
+          const changed = Array.isArray(value) ? !sameList(value, current || []) : value !== current;
+          if (changed) {
+            row.changes.push({ field, from: current, to: value });
+          }
+        }
+        if (row.fields.password || row.fields.password_hash) {
+          row.changes.push({ field: 'password', from: '(set)', to: '(changed)' });
+        }
+
+        if (row.changes.length === 0) {
+          row.action = 'skip';
+          row.note = 'No changes';
+        } else {
+          row.action = 'update';
+        }
+      } else {
+        if (!row.fields.password && !row.fields.password_hash) {
+          row.errors.push({ field: 'password', message: 'A password or password_hash is required for new users' });
+          continue;
+        }
+
+        for (const [field, value] of Object.entries(row.fields)) {
+          if (field === 'password_hash' && row.fields.password) continue;
+          row.changes.push({ field, from: undefined, to: describeValue(field, value) });
+        }
+      }
+
+      row.errors.push(...await this.accessErrors(row));
+    }
+
+    for (const row of rows) {
+      if (row.errors.length > 0) {
+        row.action = 'error';
+        row.changes = [];
+      }
+    }
+
+    return { format, ignoredColumns, rows };
+  }
+
+  // Apply a plan with _bulk_docs; per-row write failures are recorded on the row.
+  // Written users get the same user.created / user.enabled / user.disabled webhooks as
+  // users created or changed one at a time.
+  async commit(plan) {
+    const pending = [];
+
+    for (const row of plan.rows) {
+      if (row.action !== 'create' && row.action !== 'update') continue;
+
+      const { password, password_hash, ...profile } = row.fields;
+      const user = row.action === 'update'
+        ? row.existing
+        : new User({ enabled: true, email_verified: false, groups: [], roles: [] });
+      const wasEnabled = row.action === 'update' ? user.enabled : null;
+
+      for (const [field, value] of Object.entries(profile)) {
+        user[field] = value;
+      }
+
+      if (password) {
+        user.password_hash = await User.hashPassword(password);
+      } else if (password_hash) {
+        user.password_hash = password_hash;
+      }
+
+      pending.push({ row, user, wasEnabled });
+    }
+
+    const notifications = [];
+    for (let i = 0; i < pending.length; i += BULK_CHUNK_SIZE) {
+      const chunk = pending.slice(i, i + BULK_CHUNK_SIZE);
+      const results = await User.bulkSave(chunk.map(item => item.user));
+
+      results.forEach((result, index) => {
+        const { row, user, wasEnabled } = chunk[index];
+        if (!result.ok) {
+          row.errors.push({ field: 'document', message: `Write failed: ${result.error}` });
+          row.action = 'error';
+        } else if (row.action === 'create') {
+          notifications.push(webhookDispatcher.userChanged('user.created', user, this.actor));
+        } else if (wasEnabled !== user.enabled) {
+          notifications.push(webhookDispatcher.userChanged(user.enabled ? 'user.enabled' : 'user.disabled', user, this.actor));
+        }
+      });
+    }
+    await Promise.all(notifications);
+
+    return plan;
+  }
+
+  static summarize(plan) {
+    const summary = { total: plan.rows.length, create: 0, update: 0, skip: 0, error: 0 };
+    for (const row of plan.rows) {
+      summary[row.action]++;
+    }
+    return summary;
+  }
+
+  // Shape plan rows for the API response (no User instances or raw passwords)
+  static toPublicRows(plan) {
+    return plan.rows.map(row => ({
+      row: row.row,
+      username: row.username,
+      email: row.email,
+      action: row.action,
+      note: row.note,
+      changes: row.changes,
+      errors: row.errors
+    }));
+  }
+}
+
+module.exports = UserImport;
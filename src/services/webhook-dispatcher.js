@@ -0,0 +1,295 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signatureHeaders } = require('../utils/webhook-signature');
+const { every } = require('../utils/schedule');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Wait before each retry; a delivery is failed once these run out (six attempts in all)
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60].map(seconds => seconds * 1000);
+
+/**
+ * Sends identity lifecycle events to webhook subscriptions. Every send is stored as a
+ * webhook_delivery document first, so failed sends are retried on a timer and can be
+ * redelivered by hand. Emitting never throws or holds up the request that caused it.
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.db = null;
+    this.inFlight = new Set(); // Delivery IDs being sent right now
+  }
+
+  async initialize() {
+    this.db = database.getDb();
+  }
+
+  /**
+   * The JSON body receivers get. id stays the same across retries and redeliveries,
+   * so receivers can use it to drop duplicates.
+   * @param {string} type - Event name, e.g. user.disabled
+   * @param {Object} data - Event subject
+   * @param {Object} [actor] - oidc_user of whoever caused the event
+   */
+  static buildEvent(type, data, actor) {
+    return {
+      id: `evt_${uuidv4()}`,
+      type,
+      created_at: new Date().toISOString(),
+      instance: process.env.INSTANCE_ID || 'unknown',
+      actor: actor ? { id: actor.sub || null, username: actor.username || null } : null,
+      data
+    };
+  }
+
+  /**
+   * Queue an event for every enabled subscription that wants it and make the first
+   * delivery attempt. Resolves once every attempt has finished; callers need not wait.
+   */
+  async emit(type, data, actor) {
+    try {
+      const webhooks = await Webhook.findSubscribed(type);
+      if (webhooks.length === 0) {
+        return [];
+      }
+
+      const event = WebhookDispatcher.buildEvent(type, data, actor);
+      return await Promise.all(webhooks.map(webhook => this.createDelivery(webhook, event)
+        .then(delivery => this.attempt(delivery, webhook))));
+    } catch (error) {
+      console.error(`Webhook event ${type} could not be queued:`, error);
+      return [];
+    }
+  }
+
+  // user.created, user.enabled, user.disabled or user.deleted
+  userChanged(type, user, actor) {
+    return this.emit(type, { user: user.toPublicJSON() }, actor);
+  }
+
+  // Clients are identified only - the new secret never leaves the admin UI
+  // previousExpireAt: when the secrets it replaced stop working
+  clientSecretRotated(client, actor, previousExpireAt = null) {
+    return this.emit('client.secret_rotated', {
+      client: { id: client._id, client_id: client.client_id, name: client.name },
+      previous_secrets_expire_at: previousExpireAt
+    }, actor);
+  }
+
+  /**
+   * One session.revoked event for a user's revoked sessions.
+   * @param {User|string} user - The sessions' owner, or their user ID
+   * @param {string[]} sessionIds - Sessions that were revoked
+   * @param {string} reason - admin_invalidated, admin_deleted, sessions_cleared or user_revoked
+   */
+  async sessionsRevoked(user, sessionIds, reason, actor) {
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const owner = typeof user === 'string' ? await User.findById(user) : user;
+      return await this.emit('session.revoked', {
+        user: {
+          id: owner ? owner._id : user,
+          username: owner ? owner.username : null
+        },
+        session_ids: sessionIds,
+        reason
+      }, actor);
+    } catch (error) {
+      console.error('Webhook session.revoked event could not be queued:', error);
+      return [];
+    }
+  }
+
+  // Save the delivery before sending so it is retried even if this process stops mid-send
+  async createDelivery(webhook, event, redeliveryOf = null) {
+    const delivery = new WebhookDelivery({
+      webhook_id: webhook._id,
+      event: event.type,
+      event_id: event.id,
+      payload: event,
+      redelivery_of: redeliveryOf,
+      next_attempt_at: new Date(Date.now() + RETRY_DELAYS_MS[0]).toISOString()
+    });
+    return delivery.save();
+  }
+
+  /**
+   * POST the delivery's payload once and record the outcome.
+   * @returns {Promise<WebhookDelivery>}
+   */
+  async attempt(delivery, webhook) {
+    if (this.inFlight.has(delivery._id)) {
+      return delivery;
+    }
+    this.inFlight.add(delivery._id);
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString(), status_code: null, error: null, duration_ms: 0 };
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'zombie-ui-webhooks',
+          'X-Zombie-Event': delivery.event,
+          'X-Zombie-Delivery': delivery._id,
+          ...signatureHeaders(webhook.secret, body, started)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      attempt.status_code = response.status;
+      if (!response.ok) {
+        attempt.error = `Responded ${response.status} ${response.statusText}`.trim();
+      }
+    } catch (error) {
+      // fetch reports connection problems as "fetch failed" with the reason in cause
+      attempt.error = error.name === 'TimeoutError'
+        ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+        : (error.cause?.message || error.message);
+    }
+    attempt.duration_ms = Date.now() - started;
+
+    try {
+      this.recordAttempt(delivery, attempt);
+      await delivery.save();
+    } catch (error) {
+      console.error(`Webhook delivery ${delivery._id} result could not be saved:`, error);
+    } finally {
+      this.inFlight.delete(delivery._id);
+    }
+    return delivery;
+  }
+
+  recordAttempt(delivery, attempt) {
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'succeeded';
+      delivery.next_attempt_at = null;
+    } else if (delivery.attempts.length > RETRY_DELAYS_MS.length) {
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+    } else {
+      delivery.status = 'pending';
+      const delay = RETRY_DELAYS_MS[delivery.attempts.length - 1];
+      delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+    }
+  }
+
+  // Retry this instance's pending deliveries that are due
+  async retryDue() {
+    const due = await WebhookDelivery.findDue(process.env.INSTANCE_ID || 'unknown');
+    const webhooks = new Map();
+
+    for (const delivery of due) {
+      if (!webhooks.has(delivery.webhook_id)) {
+        webhooks.set(delivery.webhook_id, await Webhook.findById(delivery.webhook_id));
+      }
+      const webhook = webhooks.get(delivery.webhook_id);
+
+      if (!webhook || !webhook.enabled) {
+        // Nothing to send to any more - stop retrying but keep the record
+        delivery.status = 'failed';
+        delivery.next_attempt_at = null;
+        delivery.attempts.push({
+          at: new Date().toISOString(),
+          status_code: null,
+          error: webhook ? 'Webhook disabled, retries stopped' : 'Webhook deleted, retries stopped',
+          duration_ms: 0
+        });
+        await delivery.save();
+        continue;
+      }
+
+      await this.attempt(delivery, webhook);
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Send a stored event again as a new delivery with the same event ID.
+   * Works for disabled webhooks, so a receiver can be tested before it is re-enabled.
+   */
+  async redeliver(deliveryId) {
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original) {
+      throw new Error('Delivery not found');
+    }
+
+    const webhook = await Webhook.findById(original.webhook_id);
+    if (!webhook) {
+      throw new Error('The webhook for this delivery no longer exists');
+    }
+
+    const delivery = await this.createDelivery(webhook, original.payload, original._id);
+    return this.attempt(delivery, webhook);
+  }
+
+  // Send a webhook.ping event to one webhook, whatever events it subscribes to
+  async ping(webhook, actor) {
+    const event = WebhookDispatcher.buildEvent(Webhook.pingEvent, { webhook: webhook.toPublicJSON() }, actor);
+    const delivery = await this.createDelivery(webhook, event);
+    return this.attempt(delivery, webhook);
+  }
+
+  /**
+   * Retry failed deliveries on a timer. Settings:
+   *   WEBHOOK_RETRY_INTERVAL_SECONDS - seconds between checks for due retries (default 60, 0 disables retries)
+   */
+  startRetries(env = process.env) {
+    if (this.retrying) {
+      console.log('Webhook retries already running');
+      return;
+    }
+
+    const parsed = parseInt(env.WEBHOOK_RETRY_INTERVAL_SECONDS, 10);
+    const seconds = Number.isNaN(parsed) ? 60 : parsed;
+    if (seconds <= 0) {
+      console.log('Webhook retries disabled');
+      return;
+    }
+
+    this.retrying = true;
+    console.log(`Starting webhook retries (checking every ${seconds}s)`);
+
+    // Each check starts once the previous one has finished sending
+    this.timer = every(seconds * 1000, async () => {
+      try {
+        const count = await this.retryDue();
+        if (count > 0) {
+          console.log(`Webhook retries: ${count} deliveries retried`);
+        }
+      } catch (error) {
+        console.error('Error retrying webhook deliveries:', error);
+      }
+    });
+  }
+
+  stopRetries() {
+    if (!this.retrying) {
+      return;
+    }
+
+    console.log('Stopping webhook retries');
+    this.retrying = false;
+
+    if (this.timer) {
+      this.timer.stop();
+      this.timer = null;
+    }
+  }
+}
+
+// One dispatcher per process so in-flight sends are never retried twice
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = webhookDispatcher;
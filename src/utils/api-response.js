@@ -0,0 +1,175 @@
+// Responses for the versioned REST API (/api/v1). Every error has the same envelope:
+// { error: { code, message, details? } } with a matching HTTP status.
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  500: 'internal_error'
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.code = ERROR_CODES[status] || ERROR_CODES[500];
+    this.details = details;
+  }
+}
+
+function isVersionedApi(req) {
+  return req.originalUrl.startsWith('/api/v1/');
+}
+
+function sendError(res, error) {
+  if (!(error instanceof ApiError)) {
+    // Another writer saved the document between our read and write
+    if (error && error.statusCode === 409) {
+      error = new ApiError(409, 'The resource was changed by another request; fetch it and try again');
+    } else {
+      console.error('API v1 error:', error);
+      error = new ApiError(500, 'Internal server error');
+    }
+  }
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {})
+    }
+  });
+}
+
+// Wrap a handler so every failure becomes an error envelope
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+// Send one resource with its CouchDB revision as `_rev` and as the ETag, so conditional GETs get a 304
+function sendResource(res, status, data, rev) {
+  if (rev) {
+    res.set('ETag', `"${rev}"`);
+  }
+  res.status(status).json({ data: rev ? { ...data, _rev: rev } : data });
+}
+
+/**
+ * Refuse a write when the client's copy is stale. The revision the client last saw comes
+ * from If-Match or a `_rev` body field; requests without either are not checked.
+ * @param {Object} req - Express request
+ * @param {string} currentRev - The document's revision now
+ * @throws {ApiError} 412 when the revisions differ
+ */
+function checkRevision(req, currentRev) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, '').replace(/^"|"$/g, ''));
+    if (!tags.includes('*') && !tags.includes(currentRev)) {
+      throw new ApiError(412, 'If-Match does not match the current revision', { current_rev: currentRev });
+    }
+    return;
+  }
+
+  const rev = req.body && req.body._rev;
+  if (rev !== undefined && rev !== currentRev) {
+    throw new ApiError(412, '_rev does not match the current revision', { current_rev: currentRev });
+  }
+}
+
+// Offset paging for resources without cursor-paged views
+function parsePage(params = {}) {
+  const limit = parseInt(params.limit, 10);
+  const offset = parseInt(params.offset, 10);
+
+  return {
+    limit: limit >= 1 ? Math.min(limit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    offset: offset >= 0 ? offset : 0
+  };
+}
+
+// The request's query string with some parameters replaced; null or '' drops a parameter
+function withQuery(params, overrides) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...params, ...overrides })) {
+    if (value !== null && value !== undefined && value !== '' && typeof value !== 'object') {
+      query.set(key, value);
+    }
+  }
+
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
+/**
+ * Send a page of a collection as { data, links }, with the same links in a Link header.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array} data - Items on this page
+ * @param {Object} pages - Query strings ('?...') for the first, next and prev pages; null when there is none
+ */
+function sendList(req, res, data, pages = {}) {
+  const path = `${req.baseUrl}${req.path}`;
+  const links = { self: req.originalUrl };
+
+  for (const rel of ['first', 'prev', 'next']) {
+    if (pages[rel] !== null && pages[rel] !== undefined) {
+      links[rel] = `${path}${pages[rel]}`;
+    }
+  }
+
+  res.set('Link', Object.entries(links).map(([rel, url]) => `<${url}>; rel="${rel}"`).join(', '));
+  res.json({ data, links });
+}
+
+// Page through an in-memory list by limit and offset
+function sendOffsetList(req, res, items, page = parsePage(req.query)) {
+  const data = items.slice(page.offset, page.offset + page.limit);
+
+  sendList(req, res, data, {
+    first: withQuery(req.query, { offset: null }),
+    prev: page.offset > 0 ? withQuery(req.query, { offset: Math.max(page.offset - page.limit, 0) || null }) : null,
+    next: page.offset + page.limit < items.length ? withQuery(req.query, { offset: page.offset + page.limit }) : null
+  });
+}
+
+// Errors raised before the v1 router runs - unparseable bodies, CSRF failures - in the same envelope
+function handleApiErrors(err, req, res, _next) {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, new ApiError(400, 'Request body is not valid JSON'));
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, new ApiError(413, 'Request body is too large'));
+  }
+  if (err.code === 'EBADCSRFTOKEN') {
+    return sendError(res, new ApiError(403, 'Invalid or missing CSRF token'));
+  }
+  sendError(res, err);
+}
+
+module.exports = {
+  ApiError,
+  isVersionedApi,
+  sendError,
+  handle,
+  sendResource,
+  checkRevision,
+  parsePage,
+  withQuery,
+  sendList,
+  sendOffsetList,
+  handleApiErrors
+};
@@ -0,0 +1,97 @@
+// Bookkeeping fields that change on every save and say nothing about what an admin did
+const IGNORED_FIELDS = ['_id', '_rev', 'type', 'created_at', 'updated_at', 'last_login', 'sync_status', 'instance_metadata'];
+
+// Secrets and their hashes: only the fact that these fields changed is recorded, never their values
+const REDACTED_FIELDS = new Set([
+  'password', 'password_hash', // User
+  'client_secret', 'registration_access_token_hash', // Client
+  'token_hash', // ApiToken, ScimToken, RegistrationToken
+  'secret', // Webhook
+  'access_token', 'refresh_token', 'id_token' // Session
+]);
+
+// List fields whose entries are recorded without these keys
+const REDACTED_ENTRY_KEYS = {
+  client_secrets: ['hash']
+};
+
+// Missing, empty strings, empty lists and empty objects all count as "no value"
+function normalize(value) {
+  if (value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)) {
+    return null;
+  }
+  return value;
+}
+
+// A field's value as it may be recorded, with the secret keys of its entries left out
+function recordedValue(field, value) {
+  const keys = REDACTED_ENTRY_KEYS[field];
+  if (!keys || !Array.isArray(value)) {
+    return value;
+  }
+  return value.map(entry => {
+    if (!entry || typeof entry !== 'object') return entry;
+    const copy = { ...entry };
+    keys.forEach(key => delete copy[key]);
+    return copy;
+  });
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Field-level differences between two document snapshots, for activity details
+ * @param {Object|null} before - toJSON() of the document before the change, or null when it is new
+ * @param {Object|null} after - toJSON() of the document after the change
+ * @returns {Array<{field: string, from: *, to: *}|{field: string, redacted: true}>} Changed fields, sorted by name
+ */
+function diffFields(before, after) {
+  const previous = before || {};
+  const current = after || {};
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(current)])]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .sort();
+
+  const changes = [];
+  for (const field of fields) {
+    if (sameValue(previous[field], current[field])) continue;
+
+    if (REDACTED_FIELDS.has(field)) {
+      changes.push({ field, redacted: true });
+      continue;
+    }
+
+    const from = recordedValue(field, previous[field]);
+    const to = recordedValue(field, current[field]);
+    if (sameValue(from, to)) {
+      // Only a secret key of an entry changed
+      changes.push({ field, redacted: true });
+    } else {
+      changes.push({ field, from: normalize(from), to: normalize(to) });
+    }
+  }
+  return changes;
+}
+
+// A recorded value as display text for the change history panels
+function formatChangeValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (item && typeof item === 'object' ? JSON.stringify(item) : item)).join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+module.exports = {
+  diffFields,
+  formatChangeValue
+};
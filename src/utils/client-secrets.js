@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Client secrets are stored in the client document's client_secrets list, one entry per
+// secret that may still be presented:
+//   { id, hash, hint, created_at, created_by, expires_at, rotate_by, last_used_at }
+// expires_at is when the secret stops working (set when it is rotated out); rotate_by is
+// when policy says it should be replaced, which only warns (services/client-secret-expiry.js).
+// hash is "sha256$<salt>$<digest>", the digest being the hex SHA-256 of the salt text
+// followed by the secret. Secrets are 256 random bits, so a salted fast hash is enough;
+// anything that verifies secrets (the Zombie server's token endpoint) uses the same format.
+const HASH_ALGORITHM = 'sha256';
+
+function digest(salt, secret) {
+  return crypto.createHash(HASH_ALGORITHM).update(salt).update(secret).digest('hex');
+}
+
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${HASH_ALGORITHM}$${salt}$${digest(salt, secret)}`;
+}
+
+// Constant-time comparison of a presented secret with a stored hash
+function secretMatches(secret, hash) {
+  if (typeof secret !== 'string' || typeof hash !== 'string') {
+    return false;
+  }
+
+  const [algorithm, salt, expected] = hash.split('$');
+  if (algorithm !== HASH_ALGORITHM || !salt || !expected) {
+    return false;
+  }
+
+  const actual = Buffer.from(digest(salt, secret), 'hex');
+  const stored = Buffer.from(expected, 'hex');
+  return actual.length === stored.length && crypto.timingSafeEqual(actual, stored);
+}
+
+/**
+ * A client_secrets entry for a secret. The secret itself is not kept.
+ * @param {string} secret
+ * @param {Object} [fields] - id, created_at, created_by, expires_at and rotate_by to use
+ */
+function secretEntry(secret, fields = {}) {
+  return {
+    id: fields.id || crypto.randomBytes(8).toString('hex'),
+    hash: hashSecret(secret),
+    hint: secret.slice(-4), // To tell secrets apart in the admin UI
+    created_at: fields.created_at || new Date().toISOString(),
+    created_by: fields.created_by || null,
+    expires_at: fields.expires_at || null,
+    rotate_by: fields.rotate_by || null,
+    last_used_at: null
+  };
+}
+
+module.exports = {
+  hashSecret,
+  secretMatches,
+  secretEntry
+};
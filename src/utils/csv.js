@@ -0,0 +1,93 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+ * @param {string} text - CSV content, first row is the header
+ * @returns {{headers: string[], rows: string[][]}} Header names and data rows
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Ignore blank lines
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  const [headers = [], ...rows] = nonEmpty;
+
+  return { headers: headers.map(h => h.trim()), rows };
+}
+
+/**
+ * Escape a single value for CSV output. Arrays are joined with ';' (the
+ * separator the importer splits on) and values that a spreadsheet would
+ * evaluate as a formula are prefixed with a quote.
+ * @param {*} value - Value to escape
+ * @returns {string} CSV-safe field
+ */
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values in column order
+ * @returns {string} CSV line including the trailing CRLF
+ */
+function toCsvRow(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  toCsvRow
+};
@@ -0,0 +1,151 @@
+// Documents use snake_case field names. Some were written with camelCase names instead,
+// by scripts/setup-couchdb.sh, older SyncMonitor versions and a few route handlers; the
+// 001-normalize-field-names migration rewrites them, and until it has run the models
+// read both shapes through withCanonicalFields().
+
+// Legacy name -> canonical name, for every document type and then per type
+const COMMON_FIELDS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  syncStatus: 'sync_status',
+  instanceMetadata: 'instance_metadata'
+};
+
+const TYPE_FIELDS = {
+  user: {
+    passwordHash: 'password_hash',
+    firstName: 'first_name',
+    lastName: 'last_name',
+    emailVerified: 'email_verified',
+    passwordResetRequired: 'password_reset_required',
+    lastLogin: 'last_login'
+  },
+  client: {
+    clientId: 'client_id',
+    clientSecret: 'client_secret',
+    redirectUris: 'redirect_uris',
+    grantTypes: 'grant_types',
+    responseTypes: 'response_types'
+  },
+  session: {
+    userId: 'user_id',
+    clientId: 'client_id',
+    redirectUri: 'redirect_uri',
+    authorizationCode: 'authorization_code',
+    accessToken: 'access_token',
+    refreshToken: 'refresh_token',
+    idToken: 'id_token',
+    expiresAt: 'expires_at',
+    lastAccessedAt: 'last_accessed_at'
+  }
+};
+
+// Inside instance_metadata
+const METADATA_FIELDS = {
+  createdBy: 'created_by',
+  createdAt: 'created_at',
+  lastModifiedBy: 'last_modified_by',
+  lastModifiedAt: 'last_modified_at'
+};
+
+function legacyFields(type) {
+  return { ...COMMON_FIELDS, ...TYPE_FIELDS[type] };
+}
+
+function renameFields(object, fields) {
+  const result = { ...object };
+  for (const [legacy, canonical] of Object.entries(fields)) {
+    if (legacy in result) {
+      if (result[canonical] === undefined) {
+        result[canonical] = result[legacy];
+      }
+      delete result[legacy];
+    }
+  }
+  return result;
+}
+
+/**
+ * A document's instance metadata in canonical form, from either field name and either
+ * naming inside it. Where both shapes are present the canonical values win.
+ * @returns {Object|undefined}
+ */
+function instanceMetadata(doc) {
+  const legacy = doc.instanceMetadata && typeof doc.instanceMetadata === 'object' ? doc.instanceMetadata : null;
+  const current = doc.instance_metadata && typeof doc.instance_metadata === 'object' ? doc.instance_metadata : null;
+  if (!legacy && !current) {
+    return undefined;
+  }
+
+  const metadata = { ...renameFields(legacy || {}, METADATA_FIELDS), ...renameFields(current || {}, METADATA_FIELDS) };
+  if (legacy && current) {
+    metadata.version = Math.max(legacy.version || 1, current.version || 1);
+  }
+  return metadata;
+}
+
+/**
+ * Model constructor input with canonical fields filled in from legacy ones. Returns the
+ * same object when there is nothing to fill in.
+ * @param {string} type - Document type, e.g. 'user'
+ * @param {Object} data
+ */
+function withCanonicalFields(type, data) {
+  const fields = legacyFields(type);
+  if (!Object.keys(fields).some(legacy => legacy in data)) {
+    return data;
+  }
+
+  const result = { ...data };
+  for (const [legacy, canonical] of Object.entries(fields)) {
+    if (legacy in data && result[canonical] === undefined) {
+      result[canonical] = data[legacy];
+    }
+  }
+  result.instance_metadata = instanceMetadata(data);
+  return result;
+}
+
+/**
+ * Rewrite a stored document with canonical field names
+ * @returns {{doc: Object, renamed: string[], discarded: string[]}|null} The rewritten document,
+ *   the legacy fields moved to their canonical name, and the legacy fields dropped because the
+ *   canonical field already held a different value; null when there is nothing to change
+ */
+function normalizeDoc(doc) {
+  const fields = legacyFields(doc.type);
+  const renamed = [];
+  const discarded = [];
+
+  for (const [legacy, canonical] of Object.entries(fields)) {
+    if (!(legacy in doc) || legacy === 'instanceMetadata') continue;
+    if (doc[canonical] === undefined || JSON.stringify(doc[canonical]) === JSON.stringify(doc[legacy])) {
+      renamed.push(legacy);
+    } else {
+      discarded.push(legacy);
+    }
+  }
+
+  const metadata = doc.instance_metadata && typeof doc.instance_metadata === 'object' ? doc.instance_metadata : {};
+  const hasLegacyMetadata = 'instanceMetadata' in doc || Object.keys(METADATA_FIELDS).some(legacy => legacy in metadata);
+  if ('instanceMetadata' in doc) {
+    renamed.push('instanceMetadata');
+  }
+
+  if (renamed.length === 0 && discarded.length === 0 && !hasLegacyMetadata) {
+    return null;
+  }
+
+  const normalized = renameFields(doc, fields);
+  if (hasLegacyMetadata) {
+    normalized.instance_metadata = instanceMetadata(doc);
+  }
+  return { doc: normalized, renamed, discarded };
+}
+
+module.exports = {
+  legacyFields,
+  instanceMetadata,
+  withCanonicalFields,
+  normalizeDoc
+};
@@ -0,0 +1,103 @@
+// A small validator for the JSON Schema subset the OpenAPI document uses (see services/openapi.js):
+// type, nullable, enum, pattern, minLength, maxLength, minItems, items, properties, required,
+// additionalProperties and local $refs. Formats are descriptive only and are not checked.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Follow a '#/components/schemas/Name' reference within the document
+function resolveRef(ref, document) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), document);
+}
+
+function childPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - Schema object, possibly a $ref
+ * @param {*} value - Parsed JSON value; undefined object properties count as absent
+ * @param {Object} document - The OpenAPI document $refs resolve against
+ * @param {string} path - Field path used in messages, e.g. 'redirect_uris[0]'
+ * @returns {Array<{field: string, message: string}>} Problems found; empty when the value is valid
+ */
+function validateSchema(schema, value, document, path = '') {
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, document);
+    if (!target) {
+      throw new Error(`Unresolved schema reference ${schema.$ref}`);
+    }
+    return validateSchema(target, value, document, path);
+  }
+
+  const field = path || 'body';
+  if (value === null) {
+    return schema.type && !schema.nullable ? [{ field, message: 'must not be null' }] : [];
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ field, message: `must be of type ${schema.type}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, document, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: childPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, document, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childPath(path, key), message: 'is not a documented field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, document, childPath(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,39 @@
+// Node timers take delays of at most 2^31 - 1 ms (about 24.8 days); a longer delay makes
+// them fire after 1 ms instead
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Run a job repeatedly, each run starting intervalMs after the previous one finished.
+ * Intervals longer than a timer allows are waited out in several steps.
+ * @param {number} intervalMs - Milliseconds between runs
+ * @param {Function} job - Async function; it should catch its own errors
+ * @returns {{ stop: Function }} Cancels the runs still to come
+ */
+function every(intervalMs, job) {
+  let timeout = null;
+  let stopped = false;
+
+  const waitUntil = (runAt) => {
+    const delay = Math.min(Math.max(runAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    timeout = setTimeout(async () => {
+      if (Date.now() < runAt) {
+        return waitUntil(runAt);
+      }
+      await job();
+      if (!stopped) {
+        waitUntil(Date.now() + intervalMs);
+      }
+    }, delay);
+  };
+
+  waitUntil(Date.now() + intervalMs);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timeout);
+    }
+  };
+}
+
+module.exports = { every, MAX_TIMER_DELAY_MS };
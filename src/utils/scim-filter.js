@@ -0,0 +1,279 @@
+/**
+ * SCIM filter expressions (RFC 7644 section 3.4.2.2), parsed into a small tree and
+ * evaluated against SCIM resource JSON:
+ *   userName eq "bjensen" and (emails.value co "@example.com" or not (active eq false))
+ *   emails[type eq "work" and value ew ".org"]
+ * Attribute names are case-insensitive; string comparisons are too, except on the
+ * case-exact attributes id and externalId.
+ */
+
+const COMPARE_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+const CASE_EXACT_ATTRIBUTES = ['id', 'externalid'];
+const SCHEMA_PREFIX = /^urn:[^[\]\s]*:/i;
+
+class ScimFilterError extends Error {}
+
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index++;
+    } else if ('()[]'.includes(char)) {
+      tokens.push({ type: char });
+      index++;
+    } else if (char === '"') {
+      let end = index + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (end >= text.length) {
+        throw new ScimFilterError('Unterminated string in filter');
+      }
+      try {
+        tokens.push({ type: 'value', value: JSON.parse(text.slice(index, end + 1)) });
+      } catch (error) {
+        throw new ScimFilterError('Invalid string in filter');
+      }
+      index = end + 1;
+    } else {
+      let end = index;
+      while (end < text.length && !/[\s()[\]"]/.test(text[end])) {
+        end++;
+      }
+      tokens.push({ type: 'word', value: text.slice(index, end) });
+      index = end;
+    }
+  }
+
+  return tokens;
+}
+
+// Attribute path without its schema URN, split into lower-case segments
+function parseAttributePath(word) {
+  const path = word.replace(SCHEMA_PREFIX, '');
+  if (!/^[A-Za-z$][\w$-]*(\.[A-Za-z$][\w$-]*)?$/.test(path)) {
+    throw new ScimFilterError(`Invalid attribute path: ${word}`);
+  }
+  return path.toLowerCase().split('.');
+}
+
+function parseLiteral(token) {
+  if (!token) {
+    throw new ScimFilterError('Filter ends where a value was expected');
+  }
+  if (token.type === 'value') {
+    return token.value;
+  }
+  if (token.type === 'word') {
+    const word = token.value.toLowerCase();
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(token.value)) return Number(token.value);
+  }
+  throw new ScimFilterError('Comparison values must be quoted strings, numbers, true, false or null');
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isKeyword(token, keyword) {
+    return token && token.type === 'word' && token.value.toLowerCase() === keyword;
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (!token || token.type !== type) {
+      throw new ScimFilterError(`Expected "${type}" in filter`);
+    }
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.isKeyword(this.peek(), 'or')) {
+      this.next();
+      node = { op: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseUnary();
+    while (this.isKeyword(this.peek(), 'and')) {
+      this.next();
+      node = { op: 'and', left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (this.isKeyword(token, 'not')) {
+      this.next();
+      this.expect('(');
+      const filter = this.parseOr();
+      this.expect(')');
+      return { op: 'not', filter };
+    }
+    if (token && token.type === '(') {
+      this.next();
+      const filter = this.parseOr();
+      this.expect(')');
+      return filter;
+    }
+    return this.parseAttributeExpression();
+  }
+
+  parseAttributeExpression() {
+    const token = this.next();
+    if (!token || token.type !== 'word') {
+      throw new ScimFilterError('Expected an attribute name in filter');
+    }
+
+    const path = parseAttributePath(token.value);
+
+    // Value path: emails[type eq "work"]
+    if (this.peek() && this.peek().type === '[') {
+      this.next();
+      const filter = this.parseOr();
+      this.expect(']');
+      return { op: 'valuePath', path, filter };
+    }
+
+    const operatorToken = this.next();
+    const operator = operatorToken && operatorToken.type === 'word' ? operatorToken.value.toLowerCase() : null;
+    if (operator === 'pr') {
+      return { op: 'pr', path };
+    }
+    if (!COMPARE_OPERATORS.includes(operator)) {
+      throw new ScimFilterError(`Unknown filter operator: ${operatorToken ? operatorToken.value || operatorToken.type : '(end)'}`);
+    }
+    return { op: operator, path, value: parseLiteral(this.next()) };
+  }
+}
+
+/**
+ * Parse a filter expression.
+ * @throws {ScimFilterError} for malformed filters (reported as scimType invalidFilter)
+ */
+function parseFilter(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ScimFilterError('Filter is empty');
+  }
+
+  const parser = new Parser(tokenize(text));
+  const tree = parser.parseOr();
+  if (parser.peek()) {
+    throw new ScimFilterError('Unexpected text at the end of the filter');
+  }
+  return tree;
+}
+
+function getAttribute(object, name) {
+  if (!object || typeof object !== 'object') return undefined;
+  const key = Object.keys(object).find(candidate => candidate.toLowerCase() === name);
+  return key === undefined ? undefined : object[key];
+}
+
+// Every value found at the path; multi-valued attributes contribute each element, and
+// complex elements without a sub-attribute compare by their "value"
+function resolvePath(resource, path) {
+  let nodes = [resource];
+  for (const segment of path) {
+    nodes = nodes.flatMap(node => {
+      const value = getAttribute(node, segment);
+      return Array.isArray(value) ? value : [value];
+    }).filter(value => value !== undefined && value !== null);
+  }
+  return nodes.map(value => (value && typeof value === 'object' && !Array.isArray(value) ? getAttribute(value, 'value') : value))
+    .filter(value => value !== undefined && value !== null);
+}
+
+function compare(operator, actual, expected, caseExact) {
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    const left = caseExact ? actual : actual.toLowerCase();
+    const right = caseExact ? expected : expected.toLowerCase();
+    switch (operator) {
+      case 'eq': return left === right;
+      case 'ne': return left !== right;
+      case 'co': return left.includes(right);
+      case 'sw': return left.startsWith(right);
+      case 'ew': return left.endsWith(right);
+      case 'gt': return left > right;
+      case 'ge': return left >= right;
+      case 'lt': return left < right;
+      case 'le': return left <= right;
+    }
+  }
+
+  if (typeof actual === 'boolean' || typeof expected === 'boolean' || expected === null) {
+    if (operator === 'eq') return actual === expected;
+    if (operator === 'ne') return actual !== expected;
+    throw new ScimFilterError(`The ${operator} operator cannot compare ${expected === null ? 'null' : 'booleans'}`);
+  }
+
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    switch (operator) {
+      case 'eq': return actual === expected;
+      case 'ne': return actual !== expected;
+      case 'gt': return actual > expected;
+      case 'ge': return actual >= expected;
+      case 'lt': return actual < expected;
+      case 'le': return actual <= expected;
+      default: throw new ScimFilterError(`The ${operator} operator only applies to strings`);
+    }
+  }
+
+  return operator === 'ne';
+}
+
+/**
+ * Does the resource match the parsed filter?
+ * @param {Object} tree - From parseFilter()
+ * @param {Object} resource - SCIM resource JSON
+ */
+function matchesFilter(tree, resource) {
+  switch (tree.op) {
+    case 'and':
+      return matchesFilter(tree.left, resource) && matchesFilter(tree.right, resource);
+    case 'or':
+      return matchesFilter(tree.left, resource) || matchesFilter(tree.right, resource);
+    case 'not':
+      return !matchesFilter(tree.filter, resource);
+    case 'valuePath': {
+      const items = getAttribute(resource, tree.path[0]);
+      return (Array.isArray(items) ? items : [items]).some(item => item && typeof item === 'object' && matchesFilter(tree.filter, item));
+    }
+    case 'pr':
+      return resolvePath(resource, tree.path).some(value => value !== '' && !(Array.isArray(value) && value.length === 0));
+    default: {
+      const values = resolvePath(resource, tree.path);
+      const caseExact = tree.path.length === 1 && CASE_EXACT_ATTRIBUTES.includes(tree.path[0]);
+      if (tree.op === 'ne') {
+        return values.every(value => compare('ne', value, tree.value, caseExact));
+      }
+      return values.some(value => compare(tree.op, value, tree.value, caseExact));
+    }
+  }
+}
+
+// The username, when the whole filter is `userName eq "..."` - answered from a view instead of a scan
+function exactUserName(tree) {
+  return tree.op === 'eq' && tree.path.join('.') === 'username' && typeof tree.value === 'string' ? tree.value : null;
+}
+
+module.exports = { parseFilter, matchesFilter, exactUserName, getAttribute, ScimFilterError };
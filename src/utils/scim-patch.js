@@ -0,0 +1,207 @@
+const { parseFilter, matchesFilter, getAttribute } = require('./scim-filter');
+
+/**
+ * SCIM PATCH operations (RFC 7644 section 3.5.2) applied to a copy of a resource's JSON.
+ * Paths may be "attr", "attr.sub", "attr[filter]" or "attr[filter].sub", optionally
+ * prefixed with a schema URN. Operations without a path merge their value object into
+ * the resource; its keys may themselves be paths, as some identity providers send them.
+ */
+
+const PATH_PATTERN = /^([A-Za-z$][\w$-]*)(?:\[(.+)\])?(?:\.([A-Za-z$][\w$-]*))?$/;
+const SCHEMA_PREFIX = /^urn:[^[\]\s]*:/i;
+
+class ScimPatchError extends Error {
+  constructor(scimType, message) {
+    super(message);
+    this.scimType = scimType;
+  }
+}
+
+function parsePath(text) {
+  const match = PATH_PATTERN.exec(String(text).trim().replace(SCHEMA_PREFIX, ''));
+  if (!match) {
+    throw new ScimPatchError('invalidPath', `Invalid path: ${text}`);
+  }
+
+  let filter = null;
+  if (match[2]) {
+    try {
+      filter = parseFilter(match[2]);
+    } catch (error) {
+      throw new ScimPatchError('invalidPath', `Invalid filter in path ${text}: ${error.message}`);
+    }
+  }
+  return { attribute: match[1], filter, subAttribute: match[3] || null };
+}
+
+// The key already used for an attribute, matched case-insensitively, or the name as given
+function keyFor(object, name) {
+  return Object.keys(object).find(key => key.toLowerCase() === name.toLowerCase()) || name;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  const left = isPlainObject(a) ? getAttribute(a, 'value') : a;
+  const right = isPlainObject(b) ? getAttribute(b, 'value') : b;
+  return left !== undefined && JSON.stringify(left) === JSON.stringify(right);
+}
+
+function mergeInto(target, source) {
+  for (const [name, value] of Object.entries(source)) {
+    target[keyFor(target, name)] = value;
+  }
+  return target;
+}
+
+// For add/replace on emails[type eq "work"].value when nothing matches: build the element
+// from the filter's eq terms, so providers that never send a plain add still work
+function seedFromFilter(filter) {
+  if (filter.op === 'eq' && filter.path.length === 1) {
+    return { [filter.path[0]]: filter.value };
+  }
+  if (filter.op === 'and') {
+    const left = seedFromFilter(filter.left);
+    const right = seedFromFilter(filter.right);
+    return left && right ? { ...left, ...right } : null;
+  }
+  return null;
+}
+
+function setAttribute(resource, attribute, value, op) {
+  const key = keyFor(resource, attribute);
+  const existing = resource[key];
+
+  if (op === 'add' && Array.isArray(existing)) {
+    const additions = Array.isArray(value) ? value : [value];
+    resource[key] = existing.concat(additions.filter(item => !existing.some(current => sameValue(current, item))));
+  } else if (isPlainObject(existing) && isPlainObject(value)) {
+    // Complex attributes keep sub-attributes the operation does not mention
+    resource[key] = mergeInto({ ...existing }, value);
+  } else {
+    resource[key] = value;
+  }
+}
+
+function applyWithoutFilter(resource, path, operation) {
+  const key = keyFor(resource, path.attribute);
+
+  if (!path.subAttribute) {
+    if (operation.op !== 'remove') {
+      setAttribute(resource, path.attribute, operation.value, operation.op);
+    } else if (Array.isArray(resource[key]) && operation.value !== undefined) {
+      // Remove listed values from a multi-valued attribute, e.g. members by value
+      const removals = Array.isArray(operation.value) ? operation.value : [operation.value];
+      resource[key] = resource[key].filter(item => !removals.some(removal => sameValue(item, removal)));
+    } else {
+      delete resource[key];
+    }
+    return;
+  }
+
+  const container = resource[key];
+  if (Array.isArray(container)) {
+    if (container.length === 0 && operation.op !== 'remove') {
+      resource[key] = [{ [path.subAttribute]: operation.value }];
+      return;
+    }
+    resource[key] = container.map(item => applyToItem({ ...item }, path.subAttribute, operation));
+  } else if (operation.op === 'remove') {
+    if (isPlainObject(container)) {
+      delete container[keyFor(container, path.subAttribute)];
+    }
+  } else {
+    resource[key] = isPlainObject(container) ? { ...container } : {};
+    setAttribute(resource[key], path.subAttribute, operation.value, operation.op);
+  }
+}
+
+function applyToItem(item, subAttribute, operation) {
+  if (operation.op === 'remove') {
+    delete item[keyFor(item, subAttribute)];
+  } else {
+    setAttribute(item, subAttribute, operation.value, operation.op);
+  }
+  return item;
+}
+
+function applyWithFilter(resource, path, operation) {
+  const key = keyFor(resource, path.attribute);
+  const items = Array.isArray(resource[key]) ? resource[key] : [];
+  const matched = items.filter(item => isPlainObject(item) && matchesFilter(path.filter, item));
+
+  if (matched.length === 0) {
+    const seed = operation.op === 'remove' ? null : seedFromFilter(path.filter);
+    if (!seed) {
+      throw new ScimPatchError('noTarget', `No values of ${path.attribute} match the path filter`);
+    }
+    const element = path.subAttribute
+      ? { ...seed, [path.subAttribute]: operation.value }
+      : { ...seed, ...(isPlainObject(operation.value) ? operation.value : { value: operation.value }) };
+    resource[key] = items.concat([element]);
+    return;
+  }
+
+  if (operation.op === 'remove' && !path.subAttribute) {
+    resource[key] = items.filter(item => !matched.includes(item));
+    return;
+  }
+
+  resource[key] = items.map(item => {
+    if (!matched.includes(item)) return item;
+    if (path.subAttribute) return applyToItem({ ...item }, path.subAttribute, operation);
+    return isPlainObject(operation.value) ? mergeInto({ ...item }, operation.value) : item;
+  });
+}
+
+function applyOperation(resource, operation) {
+  if (!operation.path) {
+    if (operation.op === 'remove') {
+      throw new ScimPatchError('noTarget', 'A remove operation needs a path');
+    }
+    if (!isPlainObject(operation.value)) {
+      throw new ScimPatchError('invalidValue', 'An operation without a path needs an object value');
+    }
+    for (const [name, value] of Object.entries(operation.value)) {
+      applyOperation(resource, { op: operation.op, path: name, value });
+    }
+    return;
+  }
+
+  const path = parsePath(operation.path);
+  if (path.filter) {
+    applyWithFilter(resource, path, operation);
+  } else {
+    applyWithoutFilter(resource, path, operation);
+  }
+}
+
+/**
+ * Apply a PatchOp request body's Operations to a copy of the resource.
+ * @param {Object} resource - Current SCIM representation
+ * @param {Array} operations - Operations from the request
+ * @returns {Object} The patched representation
+ * @throws {ScimPatchError}
+ */
+function applyPatch(resource, operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new ScimPatchError('invalidSyntax', 'Operations must be a non-empty array');
+  }
+
+  const patched = JSON.parse(JSON.stringify(resource));
+  for (const raw of operations) {
+    const op = typeof raw?.op === 'string' ? raw.op.toLowerCase() : null;
+    if (!['add', 'remove', 'replace'].includes(op)) {
+      throw new ScimPatchError('invalidSyntax', `Unknown patch operation: ${raw?.op}`);
+    }
+    if (op !== 'remove' && raw.value === undefined) {
+      throw new ScimPatchError('invalidValue', `The ${op} operation needs a value`);
+    }
+    applyOperation(patched, { op, path: raw.path, value: raw.value });
+  }
+  return patched;
+}
+
+module.exports = { applyPatch, ScimPatchError };
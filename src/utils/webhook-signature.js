@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+/**
+ * Signature scheme shared by audit webhooks and lifecycle webhooks. Receivers recompute
+ *   sha256=<hex HMAC-SHA256 of "<X-Zombie-Timestamp>.<raw body>">
+ * with their secret, compare it to X-Zombie-Signature and reject stale timestamps.
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Timestamp and signature headers for one request body
+function signatureHeaders(secret, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000).toString();
+  return {
+    'X-Zombie-Timestamp': timestamp,
+    'X-Zombie-Signature': `sha256=${sign(secret, timestamp, body)}`
+  };
+}
+
+module.exports = { sign, signatureHeaders };
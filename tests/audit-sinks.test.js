@@ -0,0 +1,341 @@
+/* eslint-env jest */
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const AuditSinkQueue = require('../src/services/audit-sink-queue');
+const FileSink = require('../src/services/audit-sink-file');
+const WebhookSink = require('../src/services/audit-sink-webhook');
+const SyslogSink = require('../src/services/audit-sink-syslog');
+const { sign } = require('../src/utils/webhook-signature');
+
+const event = (id) => ({ id: `activity:${id}`, action: 'login', timestamp: new Date().toISOString() });
+
+// Resolves once check() returns true, polling while the queue's retry timers run
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// A sink that fails while down is true and records what it was sent
+function fakeSink() {
+  return {
+    name: 'fake',
+    target: 'memory',
+    down: false,
+    sent: [],
+    async send(sent) {
+      if (this.down) {
+        throw new Error('sink is down');
+      }
+      this.sent.push(sent.id);
+    }
+  };
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-sinks-'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('audit sink queue', () => {
+  test('spools events while the sink is down and retries them in order', async () => {
+    const sink = fakeSink();
+    const queue = new AuditSinkQueue(sink, { dir, retryBaseMs: 200 });
+    sink.down = true;
+
+    await queue.push(event(1));
+    await queue.push(event(2));
+    expect(queue.status()).toMatchObject({ backlog: 2, delivered: 0, lastError: { message: 'sink is down' } });
+    expect(queue.nextRetryAt).not.toBeNull();
+
+    sink.down = false;
+    await queue.push(event(3)); // Queued behind the backlog rather than sent ahead of it
+    expect(sink.sent).toEqual([]);
+
+    await waitFor(() => queue.backlog === 0);
+    queue.close();
+    expect(sink.sent).toEqual(['activity:1', 'activity:2', 'activity:3']);
+    expect(queue.status()).toMatchObject({ delivered: 3, lastError: null, nextRetryAt: null });
+    expect(fs.existsSync(queue.file)).toBe(false);
+  });
+
+  test('doubles the retry delay after each failure, up to the maximum', async () => {
+    const sink = fakeSink();
+    const queue = new AuditSinkQueue(sink, { dir, retryBaseMs: 1000, retryMaxMs: 3000 });
+    sink.down = true;
+
+    await queue.push(event(1));
+    expect(queue.delay()).toBe(1000);
+    await queue.drain();
+    expect(queue.delay()).toBe(2000);
+    await queue.drain();
+    expect(queue.delay()).toBe(3000);
+    queue.close();
+    expect(queue.attempt).toBe(3);
+  });
+
+  test('picks up spooled events after a restart', async () => {
+    const sink = fakeSink();
+    sink.down = true;
+    const first = new AuditSinkQueue(sink, { dir, retryBaseMs: 60000 });
+    await first.push(event(1));
+    first.close();
+
+    sink.down = false;
+    const second = new AuditSinkQueue(sink, { dir });
+    await second.load();
+    expect(second.backlog).toBe(1);
+
+    await waitFor(() => second.backlog === 0);
+    second.close();
+    expect(sink.sent).toEqual(['activity:1']);
+  });
+
+  test('drops the oldest events when the spool is full', async () => {
+    const sink = fakeSink();
+    const queue = new AuditSinkQueue(sink, { dir, retryBaseMs: 60000, maxEvents: 2 });
+    sink.down = true;
+
+    for (const id of [1, 2, 3]) {
+      await queue.push(event(id));
+    }
+    queue.close();
+
+    expect(queue.status()).toMatchObject({ backlog: 2, dropped: 1 });
+    expect((await queue.readSpool()).map(spooled => spooled.id)).toEqual(['activity:2', 'activity:3']);
+  });
+});
+
+describe('audit file sink', () => {
+  test('rotates the file before it grows past maxBytes and keeps maxFiles old files', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    const lineBytes = Buffer.byteLength(`${JSON.stringify(event(1))}\n`);
+    const sink = new FileSink({ path: file, maxBytes: lineBytes * 2, maxFiles: 2 });
+
+    for (const id of [1, 2, 3, 4, 5, 6, 7]) {
+      await sink.send(event(id));
+    }
+
+    const ids = name => fs.readFileSync(path.join(dir, name), 'utf8').trim().split('\n').map(line => JSON.parse(line).id);
+    expect(ids('audit.jsonl')).toEqual(['activity:7']);
+    expect(ids('audit.jsonl.1')).toEqual(['activity:5', 'activity:6']);
+    expect(ids('audit.jsonl.2')).toEqual(['activity:3', 'activity:4']);
+    expect(fs.existsSync(`${file}.3`)).toBe(false);
+  });
+
+  test('counts an existing file towards the size limit', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    fs.writeFileSync(file, 'x'.repeat(100));
+    const sink = new FileSink({ path: file, maxBytes: 120 });
+
+    await sink.send(event(1));
+
+    expect(fs.readFileSync(`${file}.1`, 'utf8')).toBe('x'.repeat(100));
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).id).toBe('activity:1');
+  });
+});
+
+describe('audit webhook sink', () => {
+  let server;
+  let baseUrl;
+  let status;
+  let received;
+
+  beforeAll(async () => {
+    const app = express();
+    app.post('/hook', express.text({ type: 'application/json' }), (req, res) => {
+      received.push({ headers: req.headers, body: req.body });
+      res.sendStatus(status);
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    status = 200;
+    received = [];
+  });
+
+  test('signs each request with the shared secret', async () => {
+    const sink = new WebhookSink({ url: `${baseUrl}/hook`, secret: 'hook-secret' });
+
+    await sink.send(event(1));
+
+    const [{ headers, body }] = received;
+    expect(headers['x-zombie-event']).toBe('login');
+    expect(headers['x-zombie-delivery']).toBe('activity:1');
+    expect(headers['x-zombie-signature']).toBe(`sha256=${sign('hook-secret', headers['x-zombie-timestamp'], body)}`);
+  });
+
+  test('fails on an error response without naming the query string', async () => {
+    status = 503;
+    const sink = new WebhookSink({ url: `${baseUrl}/hook?token=abc` });
+
+    await expect(sink.send(event(1))).rejects.toThrow(`${baseUrl}/hook responded 503`);
+  });
+
+  test('queues events the receiver rejected and delivers them once it recovers', async () => {
+    status = 500;
+    const queue = new AuditSinkQueue(new WebhookSink({ url: `${baseUrl}/hook` }), { dir, retryBaseMs: 20 });
+
+    await queue.push(event(1));
+    expect(queue.status()).toMatchObject({ backlog: 1, lastError: { message: `${baseUrl}/hook responded 500` } });
+
+    status = 200;
+    await waitFor(() => queue.backlog === 0);
+    queue.close();
+    expect(received.map(request => JSON.parse(request.body).id)).toEqual(['activity:1', 'activity:1']);
+  });
+
+  test('refuses URLs that are not http(s)', () => {
+    expect(() => new WebhookSink({ url: 'ftp://example.com/hook' })).toThrow('Unsupported webhook protocol: ftp:');
+  });
+});
+
+describe('audit syslog sink', () => {
+  const syslogEvent = {
+    ...event(1),
+    severity: 'danger',
+    instance: 'node-a',
+    chain: { seq: 7 },
+    admin_username: 'ad"min'
+  };
+
+  // <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [SD] BOM+MSG
+  const RFC5424_LINE = /^<(\d+)>1 (\S+) (\S+) (\S+) (\d+) (\S+) \[zombie@32473 ([^\]]*)\] \uFEFF(.*)$/s;
+
+  const expectRfc5424 = (line, sink) => {
+    expect(line).toBe(SyslogSink.formatRfc5424(syslogEvent, sink.format));
+    const [, pri, timestamp, hostname, appName, procId, msgId, params, body] = RFC5424_LINE.exec(line);
+    expect(Number(pri)).toBe(10 * 8 + 4); // authpriv.warning
+    expect(timestamp).toBe(syslogEvent.timestamp);
+    expect(hostname).toBe(os.hostname().replace(/[^\x21-\x7e]/g, '') || '-');
+    expect(appName).toBe('zombie-test');
+    expect(Number(procId)).toBe(process.pid);
+    expect(msgId).toBe('login');
+    expect(params).toBe('action="login" instance="node-a" seq="7" admin="ad\\"min"');
+    expect(JSON.parse(body)).toEqual(syslogEvent);
+  };
+
+  // Collects the octet-counted frames (RFC 6587) a TCP listener receives
+  function tcpListener(port = 0) {
+    const listener = { frames: [], sockets: [], connections: 0 };
+    listener.server = net.createServer(socket => {
+      listener.connections++;
+      listener.sockets.push(socket);
+      let buffer = Buffer.alloc(0);
+      socket.on('data', data => {
+        buffer = Buffer.concat([buffer, data]);
+        for (;;) {
+          const space = buffer.indexOf(' ');
+          if (space === -1) break;
+          const length = Number(buffer.subarray(0, space).toString());
+          if (buffer.length < space + 1 + length) break;
+          listener.frames.push(buffer.subarray(space + 1, space + 1 + length).toString());
+          buffer = buffer.subarray(space + 1 + length);
+        }
+      });
+    });
+    listener.close = () => {
+      listener.sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => listener.server.close(resolve));
+    };
+    return new Promise(resolve => {
+      listener.server.listen(port, '127.0.0.1', () => resolve(listener));
+    });
+  }
+
+  test('sends one RFC 5424 message per UDP datagram', async () => {
+    const receiver = dgram.createSocket('udp4');
+    await new Promise(resolve => receiver.bind(0, '127.0.0.1', resolve));
+    const received = new Promise(resolve => receiver.once('message', message => resolve(message.toString())));
+    const sink = new SyslogSink({ url: `udp://127.0.0.1:${receiver.address().port}`, appName: 'zombie-test' });
+
+    try {
+      await sink.send(syslogEvent);
+      expectRfc5424(await received, sink);
+    } finally {
+      sink.close();
+      receiver.close();
+    }
+  });
+
+  test('frames TCP messages with their length in octets', async () => {
+    const listener = await tcpListener();
+    const sink = new SyslogSink({ url: `tcp://127.0.0.1:${listener.server.address().port}`, appName: 'zombie-test' });
+
+    try {
+      await sink.send(syslogEvent);
+      await sink.send(syslogEvent);
+      await waitFor(() => listener.frames.length === 2);
+      listener.frames.forEach(frame => expectRfc5424(frame, sink));
+      expect(listener.connections).toBe(1);
+    } finally {
+      sink.close();
+      await listener.close();
+    }
+  });
+
+  test('reconnects after the TCP listener drops the connection', async () => {
+    const listener = await tcpListener();
+    const sink = new SyslogSink({ url: `tcp://127.0.0.1:${listener.server.address().port}`, appName: 'zombie-test' });
+
+    try {
+      await sink.send(syslogEvent);
+      await waitFor(() => listener.frames.length === 1);
+      listener.sockets.forEach(socket => socket.destroy());
+      await waitFor(() => sink.socket === null);
+
+      await sink.send(syslogEvent);
+      await waitFor(() => listener.frames.length === 2);
+      expect(listener.connections).toBe(2);
+    } finally {
+      sink.close();
+      await listener.close();
+    }
+  });
+
+  test('spools events while the TCP listener is down and delivers them once it is up', async () => {
+    // A port with nothing listening on it
+    const probe = await tcpListener();
+    const port = probe.server.address().port;
+    await probe.close();
+
+    const sink = new SyslogSink({ url: `tcp://127.0.0.1:${port}`, appName: 'zombie-test' });
+    const queue = new AuditSinkQueue(sink, { dir, retryBaseMs: 50 });
+    await queue.push(syslogEvent);
+    expect(queue.status()).toMatchObject({ backlog: 1, lastError: { message: expect.stringContaining('ECONNREFUSED') } });
+
+    const listener = await tcpListener(port);
+    try {
+      await waitFor(() => queue.backlog === 0);
+      await waitFor(() => listener.frames.length === 1);
+      expectRfc5424(listener.frames[0], sink);
+    } finally {
+      queue.close();
+      await listener.close();
+    }
+  });
+});
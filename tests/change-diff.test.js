@@ -0,0 +1,47 @@
+/* eslint-env jest */
+const { diffFields, formatChangeValue } = require('../src/utils/change-diff');
+
+describe('change diffs', () => {
+  test('records password_reset_required turning on and off', () => {
+    const user = { username: 'kim', password_reset_required: false };
+
+    expect(diffFields(user, { ...user, password_reset_required: true }))
+      .toEqual([{ field: 'password_reset_required', from: false, to: true }]);
+    expect(diffFields({ ...user, password_reset_required: true }, user))
+      .toEqual([{ field: 'password_reset_required', from: true, to: false }]);
+  });
+
+  test('records fields that only look like secrets', () => {
+    const before = { metadata: { token_endpoint_auth_method: 'client_secret_basic' }, token_hint: 'abcd' };
+    const after = { metadata: { token_endpoint_auth_method: 'none' }, token_hint: 'efgh' };
+
+    expect(diffFields(before, after)).toEqual([
+      { field: 'metadata', from: before.metadata, to: after.metadata },
+      { field: 'token_hint', from: 'abcd', to: 'efgh' }
+    ]);
+  });
+
+  test('redacts secrets and their hashes', () => {
+    const before = { password_hash: 'old', registration_access_token_hash: null, secret: 'a' };
+    const after = { password_hash: 'new', registration_access_token_hash: 'hash', secret: 'b' };
+
+    expect(diffFields(before, after)).toEqual([
+      { field: 'password_hash', redacted: true },
+      { field: 'registration_access_token_hash', redacted: true },
+      { field: 'secret', redacted: true }
+    ]);
+  });
+
+  test('records client secret entries without their hashes', () => {
+    const entry = { id: 'one', hash: 'hash-one', hint: 'wxyz', expires_at: null };
+    const [change] = diffFields(
+      { client_secrets: [entry] },
+      { client_secrets: [{ ...entry, expires_at: '2030-01-01T00:00:00.000Z' }] }
+    );
+
+    expect(change.to).toEqual([{ id: 'one', hint: 'wxyz', expires_at: '2030-01-01T00:00:00.000Z' }]);
+    expect(formatChangeValue(change.to)).not.toContain('hash-one');
+    expect(diffFields({ client_secrets: [entry] }, { client_secrets: [{ ...entry, hash: 'hash-two' }] }))
+      .toEqual([{ field: 'client_secrets', redacted: true }]);
+  });
+});
@@ -0,0 +1,87 @@
+/* eslint-env jest */
+process.env.COUCHDB_PASSWORD = process.env.COUCHDB_PASSWORD || 'test';
+
+const User = require('../src/models/User');
+const Group = require('../src/models/Group');
+const Role = require('../src/models/Role');
+const Activity = require('../src/models/Activity');
+const ScimService = require('../src/services/scim');
+const webhookDispatcher = require('../src/services/webhook-dispatcher');
+
+const { ScimError } = ScimService;
+
+describe('SCIM changes to admin accounts', () => {
+  let scim;
+  let users;
+
+  beforeEach(() => {
+    users = {
+      'user:root': new User({ _id: 'user:root', username: 'root', email: 'root@example.com', roles: ['admin'], enabled: true }),
+      'user:opal': new User({ _id: 'user:opal', username: 'opal', email: 'opal@example.com', groups: ['ops'], enabled: true }),
+      'user:kim': new User({ _id: 'user:kim', username: 'kim', email: 'kim@example.com', enabled: true })
+    };
+    jest.spyOn(ScimService.prototype, 'findUser').mockImplementation(async id => users[id] || null);
+    jest.spyOn(Group, 'findAll').mockResolvedValue([new Group({ name: 'ops', roles: ['admin'] })]);
+    jest.spyOn(Role, 'findByNames').mockResolvedValue([]);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(User.prototype, 'delete').mockResolvedValue(true);
+    jest.spyOn(Activity, 'logActivity').mockResolvedValue(null);
+    jest.spyOn(webhookDispatcher, 'userChanged').mockResolvedValue([]);
+    scim = new ScimService({ token: { _id: 'scim_token:1', name: 'idp' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const patch = (id, value) => scim.patchUser(id, {
+    Operations: [{ op: 'replace', value }]
+  });
+
+  const refusal = promise => promise.then(
+    () => { throw new Error('Expected the change to be refused'); },
+    error => {
+      expect(error).toBeInstanceOf(ScimError);
+      return { status: error.status, scimType: error.scimType };
+    }
+  );
+
+  test.each([
+    ['an admin', 'user:root'],
+    ['a member of a group that grants admin roles', 'user:opal']
+  ])('refuses to set the password of %s', async (label, id) => {
+    await expect(refusal(patch(id, { password: 'New-password-123' }))).resolves.toEqual({ status: 403, scimType: 'mutability' });
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('refuses to deactivate an admin', async () => {
+    await expect(refusal(patch('user:root', { active: false }))).resolves.toEqual({ status: 403, scimType: 'mutability' });
+    expect(users['user:root'].enabled).toBe(true);
+  });
+
+  test('refuses to replace an admin with a different password', async () => {
+    const resource = { userName: 'root', emails: [{ value: 'root@example.com', primary: true }], password: 'New-password-123' };
+
+    await expect(refusal(scim.replaceUser('user:root', resource))).resolves.toEqual({ status: 403, scimType: 'mutability' });
+  });
+
+  test('refuses to delete an admin', async () => {
+    await expect(refusal(scim.deleteUser('user:root'))).resolves.toEqual({ status: 403, scimType: 'mutability' });
+    expect(User.prototype.delete).not.toHaveBeenCalled();
+  });
+
+  test('still changes the profile of an admin', async () => {
+    const result = await patch('user:root', { name: { givenName: 'Ruth' } });
+
+    expect(result.name.givenName).toBe('Ruth');
+    expect(User.prototype.save).toHaveBeenCalled();
+  });
+
+  test('still changes the password and status of, and deletes, other users', async () => {
+    await patch('user:kim', { password: 'New-password-123', active: false });
+    expect(users['user:kim'].enabled).toBe(false);
+
+    await scim.deleteUser('user:kim');
+    expect(User.prototype.delete).toHaveBeenCalled();
+  });
+});
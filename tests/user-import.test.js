@@ -0,0 +1,171 @@
+/* eslint-env jest */
+process.env.COUCHDB_PASSWORD = process.env.COUCHDB_PASSWORD || 'test';
+
+const express = require('express');
+const { bodyParsing } = require('../src/middleware/body-parsing');
+const User = require('../src/models/User');
+const Group = require('../src/models/Group');
+const Role = require('../src/models/Role');
+const UserImport = require('../src/services/user-import');
+const webhookDispatcher = require('../src/services/webhook-dispatcher');
+
+const CSV = [
+  'username,email,first_name,password',
+  'alice,alice@example.com,Alice,Secret-password-1',
+  'bob,bob@example.com,"Bob\tJr",Secret-password-2'
+].join('\r\n');
+
+describe('user import through the request middleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    jest.spyOn(User, 'findByUsernames').mockResolvedValue([]);
+    jest.spyOn(User, 'findByEmails').mockResolvedValue([]);
+
+    // The app's body parsing and sanitizing, then a dry run like /api/users/import
+    const app = express();
+    app.use(bodyParsing());
+    app.post('/api/users/import', async (req, res) => {
+      try {
+        const plan = await new UserImport({ format: req.body.format }).plan(req.body.data);
+        res.json({ success: true, summary: UserImport.summarize(plan), rows: UserImport.toPublicRows(plan) });
+      } catch (error) {
+        res.json({ success: false, error: error.message });
+      }
+    });
+    app.post('/echo', (req, res) => res.json(req.body));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = async (path, body) => {
+    const response = await fetch(baseUrl + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return response.json();
+  };
+
+  test('keeps the line breaks of a multi-line CSV', async () => {
+    const result = await post('/api/users/import', { data: CSV, format: 'csv' });
+
+    expect(result.success).toBe(true);
+    expect(result.summary).toMatchObject({ total: 2, create: 2, error: 0 });
+    expect(result.rows.map(row => row.username)).toEqual(['alice', 'bob']);
+    expect(result.rows[1].changes).toContainEqual({ field: 'first_name', from: undefined, to: 'Bob\tJr' });
+  });
+
+  test('still strips null bytes and other control characters from the import', async () => {
+    const result = await post('/api/users/import', { data: CSV.replace('alice,', 'al\u0000ice,'), format: 'csv' });
+
+    expect(result.rows[0].username).toBe('alice');
+  });
+
+  test('still strips line breaks from other requests', async () => {
+    const result = await post('/echo', { name: 'one\ntwo\r\n' });
+
+    expect(result.name).toBe('onetwo');
+  });
+});
+
+describe('committing an import', () => {
+  const actor = { sub: 'admin-1', username: 'admin' };
+  const dave = new User({ username: 'dave', email: 'dave@example.com', enabled: true });
+  const erin = new User({ username: 'erin', email: 'erin@example.com', enabled: false });
+  const frank = new User({ username: 'frank', email: 'frank@example.com', enabled: true });
+
+  beforeAll(() => {
+    jest.spyOn(User, 'findByUsernames').mockResolvedValue([dave, erin, frank]);
+    jest.spyOn(User, 'findByEmails').mockResolvedValue([dave, erin, frank]);
+    jest.spyOn(User, 'bulkSave').mockImplementation(async users => users.map(user => ({ id: user._id, ok: true })));
+    jest.spyOn(webhookDispatcher, 'userChanged').mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends the user lifecycle webhooks for the users it writes', async () => {
+    const data = [
+      'username,email,enabled,last_name,password',
+      'carol,carol@example.com,true,,Secret-password-3',
+      'dave,dave@example.com,false,,',
+      'erin,erin@example.com,true,,',
+      'frank,frank@example.com,true,Frank,'
+    ].join('\n');
+
+    const userImport = new UserImport({ format: 'csv', onExisting: 'update', actor });
+    const plan = await userImport.commit(await userImport.plan(data));
+
+    expect(UserImport.summarize(plan)).toMatchObject({ create: 1, update: 3, error: 0 });
+    expect(webhookDispatcher.userChanged.mock.calls.map(([type, user, by]) => [type, user.username, by])).toEqual([
+      ['user.created', 'carol', actor],
+      ['user.disabled', 'dave', actor],
+      ['user.enabled', 'erin', actor]
+    ]);
+  });
+});
+
+describe('importing with an admin\'s permissions', () => {
+  const root = new User({ username: 'root', email: 'root@example.com', roles: ['admin'], enabled: true });
+  const gina = new User({ username: 'gina', email: 'gina@example.com', roles: [], enabled: true });
+
+  beforeAll(() => {
+    jest.spyOn(User, 'findByUsernames').mockResolvedValue([root, gina]);
+    jest.spyOn(User, 'findByEmails').mockResolvedValue([root, gina]);
+    jest.spyOn(Group, 'findAll').mockResolvedValue([
+      new Group({ name: 'ops', roles: ['admin'] }),
+      new Group({ name: 'readers', roles: [] })
+    ]);
+    jest.spyOn(Role, 'findByNames').mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const plan = (permissions, lines) => new UserImport({ format: 'csv', onExisting: 'update', request: { permissions } })
+    .plan(['username,email,roles,groups,password', ...lines].join('\n'));
+  const errors = result => result.rows.map(row => row.errors.map(error => error.field));
+
+  test('refuses roles, role-granting groups and password changes the admin cannot make', async () => {
+    const result = await plan(['users:import'], [
+      'hank,hank@example.com,admin,,Secret-password-4',
+      'ivan,ivan@example.com,,ops,Secret-password-5',
+      'jill,jill@example.com,,readers,Secret-password-6',
+      'gina,gina@example.com,,,Secret-password-7'
+    ]);
+
+    expect(result.rows.map(row => row.action)).toEqual(['error', 'error', 'create', 'error']);
+    expect(errors(result)).toEqual([['roles'], ['roles'], [], ['password']]);
+  });
+
+  test('refuses to replace an admin\'s password without roles:manage', async () => {
+    const result = await plan(['users:import', 'users:password'], [
+      'root,root@example.com,,,Secret-password-8',
+      'gina,gina@example.com,,,Secret-password-9'
+    ]);
+
+    expect(result.rows.map(row => row.action)).toEqual(['error', 'update']);
+    expect(result.rows[0].errors[0].message).toMatch('roles:manage');
+  });
+
+  test('allows every change with roles:manage and users:password', async () => {
+    const result = await plan(['users:import', 'users:password', 'roles:manage'], [
+      'hank,hank@example.com,admin,ops,Secret-password-4',
+      'root,root@example.com,,,Secret-password-8'
+    ]);
+
+    expect(result.rows.map(row => row.action)).toEqual(['create', 'update']);
+  });
+});